@@ -11,6 +11,13 @@ import FiservParser from './parsers/banking/fiserv-parser.js';
 import TemenosParser from './parsers/banking/temenos-parser.js';
 import ISO20022Parser from './parsers/iso20022/pacs008-parser.js';
 import { detectCOBOL, parseCOBOL } from './parsers/additional/cobol-stub.js';
+import { detectFINMessageType } from './parsers/swift/fin-tokenizer.js';
+import { serializeMessage, serializeFieldList } from './parsers/swift/fin-writer.js';
+import { splitMessageFile } from './parsers/swift/message-file.js';
+import { BICDirectory, loadBICDirectory } from './parsers/swift/bic-directory.js';
+import { groupByUETR } from './parsers/swift/gpi.js';
+import { translateMT103ToPacs008 } from './parsers/iso20022/mt103-to-pacs008.js';
+import { translatePacs008ToMT103 } from './parsers/iso20022/pacs008-to-mt103.js';
 import winston from 'winston';
 
 const logger = winston.createLogger({
@@ -28,7 +35,14 @@ export {
   TemenosParser,
   ISO20022Parser,
   detectCOBOL,
-  parseCOBOL
+  parseCOBOL,
+  serializeMessage,
+  serializeFieldList,
+  splitMessageFile,
+  BICDirectory,
+  groupByUETR,
+  translateMT103ToPacs008,
+  translatePacs008ToMT103
 };
 
 export default class SwiftParserOSS {
@@ -39,8 +53,11 @@ export default class SwiftParserOSS {
       ...config
     };
     
-    this.swift = new SwiftParser();
-    this.enhanced = new EnhancedSwiftParser();
+    // Load the optional BIC directory once for both SWIFT parsers
+    const bicDirectory = loadBICDirectory(this.config.bicDirectory);
+
+    this.swift = new SwiftParser({ strictValidation: this.config.strictValidation, bicDirectory });
+    this.enhanced = new EnhancedSwiftParser({ strictValidation: this.config.strictValidation, bicDirectory });
     this.bancs = new BANCSParser();
     this.fis = new FISParser();
     this.fiserv = new FiservParser();
@@ -80,7 +97,15 @@ export default class SwiftParserOSS {
       const formatUpper = detectedFormat.toUpperCase();
       
       if (formatUpper.startsWith('MT')) {
-        result = this.swift.parse(message);
+        // MT103 and MT202 go through parse(); the other supported MT types are read by their own parsers
+        const messageType = this.swift.extractMessageType(message);
+        if (this.swift.supportedMessageTypes.includes(messageType)) {
+          result = this.swift.parse(message);
+        } else if (this.getSupportedFormats().includes(messageType)) {
+          result = this.swift.parseMessageOfType(message, messageType);
+        } else {
+          throw new Error(`Unsupported message type: ${messageType}`);
+        }
       } else if (formatUpper === 'ISO20022' || formatUpper === 'PACS.008') {
         result = this.iso20022.parsePacs008(message);
       } else if (formatUpper.includes('BANCS')) {
@@ -137,11 +162,9 @@ export default class SwiftParserOSS {
     }
 
     // SWIFT message detection
-    if (message.includes('{1:') && message.includes('{2:') && message.includes('{4:')) {
-      const match = message.match(/\{2:I(\d{3})/);
-      if (match) {
-        return `MT${match[1]}`;
-      }
+    const finMessageType = detectFINMessageType(message);
+    if (finMessageType) {
+      return finMessageType;
     }
 
     // ISO 20022 detection
@@ -211,7 +234,8 @@ export default class SwiftParserOSS {
    */
   getSupportedFormats() {
     return [
-      'MT103', 'MT202', 'MT515', 'MT700', 'MT798', 'MT950', 'MT101',
+      'MT103', 'MT202', 'MT515', 'MT540', 'MT541', 'MT542', 'MT543', 'MT544', 'MT545', 'MT546', 'MT547', 'MT548',
+      'MT700', 'MT701', 'MT707', 'MT710', 'MT720', 'MT760', 'MT798', 'MT940', 'MT942', 'MT950', 'MT101',
       'ISO20022', 'BANCS_XML', 'BANCS_JSON', 'BANCS_FLAT',
       'FIS_FIXED', 'FIS_JSON', 'FIS_DELIMITED',
       'FISERV_DNA', 'TEMENOS_JSON', 'TEMENOS_XML', 'TEMENOS_T24'
@@ -241,6 +265,13 @@ export default class SwiftParserOSS {
     return JSON.stringify(parsedMessage);
   }
 
+  /**
+   * Convert parsed SWIFT message back to FIN text
+   */
+  serialize(parsedMessage) {
+    return this.swift.serialize(parsedMessage);
+  }
+
   /**
    * Get parsing metrics
    */
@@ -269,6 +300,38 @@ export default class SwiftParserOSS {
     return results;
   }
 
+  /**
+   * Parse every message of an RJE or DOS-PCC file
+   * A message that fails to parse is reported with its error and does not
+   * stop the rest of the file
+   */
+  parseFile(content, format) {
+    if (typeof content !== 'string') {
+      throw new Error('Invalid input: file content must be a string');
+    }
+
+    const file = splitMessageFile(content, format);
+
+    const messages = file.messages.map(({ message, offset, error }, index) => {
+      if (error) {
+        return { index, offset, result: null, error };
+      }
+
+      try {
+        return { index, offset, result: this.parse(message), error: null };
+      } catch (parseError) {
+        return { index, offset, result: null, error: parseError.message };
+      }
+    });
+
+    return {
+      format: file.format,
+      messages,
+      parsed: messages.filter(message => message.error === null).length,
+      failed: messages.filter(message => message.error !== null).length
+    };
+  }
+
   /**
    * Enterprise feature stubs
    */
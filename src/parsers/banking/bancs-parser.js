@@ -5,6 +5,7 @@
 
 import winston from 'winston';
 import { v4 as uuidv4 } from 'uuid';
+import { ibanWarnings } from '../swift/iban.js';
 import xml2js from 'xml2js';
 
 const logger = winston.createLogger({
@@ -64,6 +65,7 @@ export default class BANCSParser {
         creditAccount,
         description,
         timestamp: new Date().toISOString(),
+        warnings: ibanWarnings({ debitAccount, creditAccount }),
         parseMetadata: {
           parseId: uuidv4(),
           parser: 'BANCS',
@@ -95,6 +97,7 @@ export default class BANCSParser {
         customerName: data.customerName,
         branchCode: data.branchCode,
         timestamp: new Date().toISOString(),
+        warnings: ibanWarnings({ accountNumber: data.accountNumber }),
         parseMetadata: {
           parseId: uuidv4(),
           parser: 'BANCS',
@@ -129,6 +132,7 @@ export default class BANCSParser {
         valueDate,
         description,
         timestamp: new Date().toISOString(),
+        warnings: ibanWarnings({ accountNumber }),
         parseMetadata: {
           parseId: uuidv4(),
           parser: 'BANCS',
@@ -5,6 +5,7 @@
 
 import winston from 'winston';
 import { v4 as uuidv4 } from 'uuid';
+import { ibanWarnings } from '../swift/iban.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -68,6 +69,7 @@ export default class FISParser {
         customerName,
         branchCode,
         timestamp: new Date().toISOString(),
+        warnings: ibanWarnings({ accountNumber }),
         parseMetadata: {
           parseId: uuidv4(),
           parser: 'FIS',
@@ -100,6 +102,7 @@ export default class FISParser {
         customerName: data.customerName,
         branchCode: data.branchCode,
         timestamp: new Date().toISOString(),
+        warnings: ibanWarnings({ accountNumber: data.accountNumber }),
         parseMetadata: {
           parseId: uuidv4(),
           parser: 'FIS',
@@ -132,6 +135,7 @@ export default class FISParser {
         customerName: fields[7],
         branchCode: fields[8] || '',
         timestamp: new Date().toISOString(),
+        warnings: ibanWarnings({ accountNumber: fields[1] }),
         parseMetadata: {
           parseId: uuidv4(),
           parser: 'FIS',
@@ -5,6 +5,7 @@
 
 import winston from 'winston';
 import { v4 as uuidv4 } from 'uuid';
+import { ibanWarnings } from '../swift/iban.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -50,6 +51,7 @@ export default class FiservParser {
         customerName: data.customerName,
         branchCode: data.branchCode,
         timestamp: new Date().toISOString(),
+        warnings: ibanWarnings({ accountNumber: data.accountNumber }),
         parseMetadata: {
           parseId: uuidv4(),
           parser: 'FISERV',
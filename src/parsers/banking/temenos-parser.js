@@ -5,6 +5,7 @@
 
 import winston from 'winston';
 import { v4 as uuidv4 } from 'uuid';
+import { ibanWarnings } from '../swift/iban.js';
 import xml2js from 'xml2js';
 
 const logger = winston.createLogger({
@@ -56,6 +57,10 @@ export default class TemenosParser {
         creditAccount: data.creditAccount,
         narrative: data.narrative,
         timestamp: new Date().toISOString(),
+        warnings: ibanWarnings({
+          'debitAccount.number': data.debitAccount?.number,
+          'creditAccount.number': data.creditAccount?.number
+        }),
         parseMetadata: {
           parseId: uuidv4(),
           parser: 'TEMENOS',
@@ -90,6 +95,7 @@ export default class TemenosParser {
         creditAccount: transaction.CreditAccount[0],
         narrative: transaction.Narrative[0],
         timestamp: new Date().toISOString(),
+        warnings: ibanWarnings({ debitAccount: transaction.DebitAccount[0], creditAccount: transaction.CreditAccount[0] }),
         parseMetadata: {
           parseId: uuidv4(),
           parser: 'TEMENOS',
@@ -130,6 +136,7 @@ export default class TemenosParser {
         customerNumber: fields['CUSTOMER.NO'],
         productCode: fields['PRODUCT.CODE'],
         timestamp: new Date().toISOString(),
+        warnings: ibanWarnings({ debitAccount: fields['DEBIT.ACCT'], creditAccount: fields['CREDIT.ACCT'] }),
         parseMetadata: {
           parseId: uuidv4(),
           parser: 'TEMENOS',
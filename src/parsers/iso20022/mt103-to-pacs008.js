@@ -0,0 +1,568 @@
+/**
+ * MT103 to pacs.008 Translator
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Translates a parsed MT103 into a CBPR+ pacs.008.001.08 document and its
+ * head.001.001.02 Business Application Header, following the CBPR+ MT to MX
+ * mapping rules:
+ * - 20 → MsgId, InstrId and BizMsgIdr; block 3 121 → UETR, 111 → SvcLvl
+ * - 32A, 33B, 36 → IntrBkSttlmAmt/Dt, InstdAmt, XchgRate
+ * - 50a, 52a-57a, 59a → parties, agents and their accounts by field option
+ * - 71A → ChrgBr, 71F/71G → ChrgsInf
+ * - 70 → RmtInf/Ustrd, 72 codewords → InstrForNxtAgt (and PrvsInstgAgt1, InstrForCdtrAgt)
+ *
+ * MT data without a pacs.008 element is listed in the result instead of
+ * being dropped silently.
+ */
+
+import xml2js from 'xml2js';
+import { parseParty } from '../swift/parties.js';
+import { isValidIBAN } from '../swift/iban.js';
+import { isWellFormedBIC } from '../swift/bic-directory.js';
+
+const PACS008_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pacs.008.001.08';
+const HEAD001_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:head.001.001.02';
+const BUSINESS_SERVICE = 'swift.cbprplus.02';
+
+/**
+ * 71A details of charges → ChrgBr
+ */
+const CHARGE_BEARERS = {
+  OUR: 'DEBT',
+  BEN: 'CRED',
+  SHA: 'SHAR'
+};
+
+/**
+ * MT clearing codes (//XX...) → ISO 20022 clearing system identification codes
+ */
+const CLEARING_SYSTEMS = {
+  AT: 'ATBLZ',
+  AU: 'AUBSB',
+  BL: 'DEBLZ',
+  CC: 'CACPA',
+  CH: 'USPID',
+  CN: 'CNAPS',
+  ES: 'ESNCC',
+  FW: 'USABA',
+  GR: 'GRBIC',
+  HK: 'HKNCC',
+  IE: 'IENCC',
+  IN: 'INFSC',
+  IT: 'ITNCC',
+  NZ: 'NZNCC',
+  PL: 'PLKNR',
+  PT: 'PTNCC',
+  RU: 'RUCBC',
+  SC: 'GBDSC',
+  SW: 'CHBCC',
+  ZA: 'ZANCC'
+};
+
+/**
+ * 13C time indication codes → settlement time elements
+ */
+const TIME_INDICATIONS = {
+  SNDTIME: ['SttlmTmIndctn', 'DbtDtTm'],
+  RNCTIME: ['SttlmTmIndctn', 'CdtDtTm'],
+  CLSTIME: ['SttlmTmReq', 'CLSTm'],
+  TILTIME: ['SttlmTmReq', 'TillTm'],
+  FROTIME: ['SttlmTmReq', 'FrTm'],
+  REJTIME: ['SttlmTmReq', 'RjctTm']
+};
+
+/**
+ * 50F/59F identifier types → person identification scheme codes
+ */
+const IDENTIFIER_SCHEMES = {
+  customer_identification: 'CUST',
+  national_identity_number: 'NIDN'
+};
+
+/**
+ * Fields of an MT103 the translation reads
+ */
+const MAPPED_TAGS = [
+  '20', '13C', '23B', '23E', '26T', '32A', '33B', '36', '50', '52', '53', '54', '55', '56', '57', '59',
+  '70', '71A', '71F', '71G', '72', '77B'
+];
+
+/**
+ * Drop null, undefined and empty values so that absent data produces no element
+ * @param {*} value - Element tree
+ * @returns {*} Element tree without empty branches (undefined when nothing is left)
+ */
+function compact(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(compact).filter(item => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .map(([key, child]) => [key, compact(child)])
+      .filter(([, child]) => child !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+
+  return value === null || value === undefined || value === '' ? undefined : value;
+}
+
+/**
+ * Render an element tree as an XML document
+ * @param {string} root - Root element name
+ * @param {string} namespace - Root namespace
+ * @param {Object} content - Root element content
+ * @returns {string} XML document
+ */
+function buildXML(root, namespace, content) {
+  const builder = new xml2js.Builder({
+    xmldec: { version: '1.0', encoding: 'UTF-8' },
+    renderOpts: { pretty: true, indent: '  ', newline: '\n' }
+  });
+
+  return builder.buildObject({ [root]: { $: { xmlns: namespace }, ...compact(content) } });
+}
+
+/**
+ * Currency and amount element (e.g. <IntrBkSttlmAmt Ccy="USD">1000.00</IntrBkSttlmAmt>)
+ */
+function amountElement({ currency, amount }) {
+  return { _: amount, $: { Ccy: currency } };
+}
+
+/**
+ * Financial institution identified by BIC
+ */
+function agentWithBIC(bic) {
+  return { FinInstnId: { BICFI: bic } };
+}
+
+/**
+ * Account element: IBAN when the identifier is a valid IBAN, otherwise Othr/Id
+ * @param {string} account - Party identifier line (e.g. "/DE89370400440532013000" or "/D/12345")
+ * @returns {Object} Cash account element
+ */
+function accountElement(account) {
+  const id = account.match(/^\/(?:[CD]\/)?(.+)$/)[1];
+  return { Id: isValidIBAN(id) ? { IBAN: id } : { Othr: { Id: id } } };
+}
+
+/**
+ * Split an institution party identifier into a clearing system member or an account
+ * @param {string|null} account - Party identifier line
+ * @param {Array} unmapped - Unmapped data, appended to
+ * @param {string} tag - Field tag
+ * @returns {Object} Clearing system member identification and account element
+ */
+function institutionAccount(account, unmapped, tag) {
+  if (!account) return { clearing: null, account: null };
+
+  const clearing = account.match(/^\/\/([A-Z]{2})(.+)$/);
+
+  if (clearing && CLEARING_SYSTEMS[clearing[1]]) {
+    return {
+      clearing: { ClrSysId: { Cd: CLEARING_SYSTEMS[clearing[1]] }, MmbId: clearing[2] },
+      account: null
+    };
+  }
+
+  if (account.startsWith('//')) {
+    unmapped.push({ tag, content: account, reason: 'unknown clearing system code' });
+    return { clearing: null, account: null };
+  }
+
+  return { clearing: null, account: accountElement(account) };
+}
+
+/**
+ * Translate an institution field (52a-57a) into an agent and its account
+ * @param {Object|undefined} field - Party field
+ * @param {Array} unmapped - Unmapped data, appended to
+ * @param {boolean} accountOnly - Keep an account that identifies no institution (53B settlement account)
+ * @returns {Object} Agent element (null when nothing identifies the institution) and account element
+ */
+function agentElement(field, unmapped, accountOnly = false) {
+  if (!field) return { agent: null, account: null };
+
+  const party = parseParty(field.option, field.content);
+
+  if (party.type === 'unsupported') {
+    unmapped.push({ tag: field.tag, content: field.content, reason: 'unsupported party option' });
+    return { agent: null, account: null };
+  }
+
+  const { clearing, account } = institutionAccount(party.account, unmapped, field.tag);
+
+  if (party.location) {
+    unmapped.push({ tag: field.tag, content: party.location, reason: 'party location has no pacs.008 element' });
+  }
+
+  const agent = compact({
+    FinInstnId: {
+      BICFI: party.bic,
+      ClrSysMmbId: clearing,
+      Nm: party.name,
+      PstlAdr: { AdrLine: party.addressLines }
+    }
+  }) || null;
+
+  if (!agent && account && !accountOnly) {
+    unmapped.push({ tag: field.tag, content: party.account, reason: 'account of an unidentified institution' });
+    return { agent, account: null };
+  }
+
+  return { agent, account };
+}
+
+/**
+ * Person identification of a 50F/59F party (date and place of birth, identifiers)
+ */
+function privateIdentification(party) {
+  const birth = party.dateOfBirth && party.placeOfBirth
+    ? { BirthDt: party.dateOfBirth, CityOfBirth: party.placeOfBirth.town, CtryOfBirth: party.placeOfBirth.country }
+    : null;
+
+  return {
+    DtAndPlcOfBirth: birth,
+    Othr: party.identifiers.map(({ type, country, issuer, value }) => ({
+      Id: value,
+      SchmeNm: { Cd: IDENTIFIER_SCHEMES[type] || type },
+      Issr: issuer ? `${country}/${issuer}` : country
+    }))
+  };
+}
+
+/**
+ * Translate a customer field (50a, 59a) into a party and its account
+ * @param {Object} field - Party field
+ * @returns {Object} Party element and account element
+ */
+function customerElement(field) {
+  const party = parseParty(field.option, field.content);
+  const account = party.account ? accountElement(party.account) : null;
+
+  if (party.type === 'bic') {
+    return { party: { Id: { OrgId: { AnyBIC: party.bic } } }, account };
+  }
+
+  // A 50F/59F without address lines has a structured address; otherwise the town joins the address lines
+  const address = party.type === 'structured' && party.addressLines.length === 0
+    ? { TwnNm: party.town, Ctry: party.country }
+    : { Ctry: party.country, AdrLine: [...party.addressLines, party.town] };
+
+  return {
+    party: {
+      Nm: party.name,
+      PstlAdr: address,
+      Id: party.type === 'structured' ? { PrvtId: privateIdentification(party) } : null
+    },
+    account
+  };
+}
+
+/**
+ * Format a 13C time (hhmm±hhmm) as an ISO time with offset
+ */
+function isoTime(time) {
+  return `${time.substring(0, 2)}:${time.substring(2, 4)}:00${time.charAt(4)}${time.substring(5, 7)}:${time.substring(7, 9)}`;
+}
+
+/**
+ * Translate 13C time indications into settlement time elements
+ * @param {Array} fields - 13C fields
+ * @param {string} valueDate - Interbank settlement date (YYYY-MM-DD)
+ * @returns {Object} SttlmTmIndctn and SttlmTmReq elements
+ */
+function settlementTimes(fields, valueDate) {
+  const times = { SttlmTmIndctn: {}, SttlmTmReq: {} };
+
+  fields.forEach(field => {
+    const [, code, time] = field.content.match(/^\/([A-Z]+)\/(.+)$/);
+    const [group, element] = TIME_INDICATIONS[code];
+
+    // Debit and credit indications are date-times, requested times are times
+    times[group][element] = group === 'SttlmTmIndctn' ? `${valueDate}T${isoTime(time)}` : isoTime(time);
+  });
+
+  return times;
+}
+
+/**
+ * Translate the 23E instruction codes
+ * @param {Array} fields - 23E fields
+ * @param {Array} unmapped - Unmapped data, appended to
+ * @returns {Object} Service levels, category purpose and agent instructions
+ */
+function instructionCodes(fields, unmapped) {
+  const instructions = { serviceLevels: [], categoryPurpose: null, creditorAgent: [], nextAgent: [] };
+
+  fields.forEach(field => {
+    const [code, text = null] = field.content.split(/\/(.*)/s);
+
+    if (code === 'SDVA') {
+      instructions.serviceLevels.push(code);
+    } else if (code === 'INTC' || code === 'CORT') {
+      instructions.categoryPurpose = code;
+    } else if (['CHQB', 'HOLD', 'PHOB', 'TELB'].includes(code)) {
+      instructions.creditorAgent.push({ Cd: code, InstrInf: text });
+    } else if (code === 'PHOI' || code === 'TELI') {
+      instructions.nextAgent.push({ Cd: code === 'PHOI' ? 'PHOA' : 'TELA', InstrInf: text });
+    } else if (code === 'PHON' || code === 'TELE') {
+      instructions.nextAgent.push({ InstrInf: `/${code}/${text || ''}` });
+    } else {
+      unmapped.push({ tag: '23E', content: field.content, reason: `instruction code ${code} has no CBPR+ equivalent` });
+    }
+  });
+
+  return instructions;
+}
+
+/**
+ * Split 72 sender to receiver information into codeword entries, joining
+ * '//' continuation lines to the codeword they continue
+ * @param {string} content - Field 72 content
+ * @returns {Array} Entries with codeword (null for free text) and text
+ */
+function splitCodewords(content) {
+  const entries = [];
+
+  content.split('\n').map(line => line.trim()).forEach(line => {
+    const codeword = line.match(/^\/([A-Z0-9]{1,8})\/(.*)$/);
+
+    if (codeword) {
+      entries.push({ code: codeword[1], text: codeword[2] });
+    } else if (line.startsWith('//') && entries.length > 0) {
+      entries[entries.length - 1].text += ` ${line.substring(2)}`;
+    } else {
+      entries.push({ code: null, text: line });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Translate 72 codewords: /INS/ → PrvsInstgAgt1, /ACC/ → InstrForCdtrAgt,
+ * everything else → InstrForNxtAgt
+ * @param {Object|undefined} field - Field 72
+ * @param {Object} instructions - Instructions from 23E, appended to
+ * @returns {Object|null} Previous instructing agent
+ */
+function senderToReceiverInformation(field, instructions) {
+  let previousAgent = null;
+
+  if (!field) return previousAgent;
+
+  splitCodewords(field.content).forEach(({ code, text }) => {
+    if (code === 'INS' && !previousAgent && isWellFormedBIC(text)) {
+      previousAgent = agentWithBIC(text);
+    } else if (code === 'ACC') {
+      instructions.creditorAgent.push({ InstrInf: text });
+    } else {
+      instructions.nextAgent.push({ InstrInf: code ? `/${code}/${text}` : text });
+    }
+  });
+
+  return previousAgent;
+}
+
+/**
+ * Translate 70 remittance information; a leading /ROC/ reference becomes the end-to-end id
+ * @param {Object|undefined} field - Field 70
+ * @returns {Object} End-to-end id and unstructured remittance information
+ */
+function remittanceInformation(field) {
+  if (!field) return { endToEndId: null, unstructured: null };
+
+  const text = field.content.split('\n').map(line => line.trim()).join('');
+  const reference = text.match(/^\/ROC\/([^/]{1,35})/);
+
+  return { endToEndId: reference ? reference[1] : null, unstructured: text };
+}
+
+/**
+ * Translate 77B regulatory reporting; /ORDERRES/ and /BENEFRES/ carry a country
+ * @param {Object|undefined} field - Field 77B
+ * @returns {Array} Regulatory reporting details
+ */
+function regulatoryReporting(field) {
+  if (!field) return [];
+
+  return field.content.split('\n').map(line => line.trim()).map(line => {
+    const residence = line.match(/^\/(ORDERRES|BENEFRES)\/([A-Z]{2})\/\/(.*)$/);
+
+    if (residence) {
+      const [, code, country, text] = residence;
+      return { DbtCdtRptgInd: code === 'ORDERRES' ? 'DEBT' : 'CRED', Dtls: { Ctry: country, Inf: text } };
+    }
+    return { Dtls: { Inf: line } };
+  });
+}
+
+/**
+ * Sender and receiver BIC of the message, for either direction
+ * @param {Object} headers - Parsed header blocks
+ * @returns {Object} Instructing (sender) and instructed (receiver) BICs
+ */
+function messageParties(headers) {
+  const { basicHeader, applicationHeader } = headers;
+
+  return applicationHeader.direction === 'output'
+    ? { sender: applicationHeader.senderBic, receiver: basicHeader.bic }
+    : { sender: basicHeader.bic, receiver: applicationHeader.receiverBic };
+}
+
+/**
+ * Format a date-time as an ISO date-time with a UTC offset
+ */
+function isoDateTime(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+/**
+ * Translate a parsed MT103 into a CBPR+ pacs.008.001.08 message
+ * @param {Object} message - Standardized MT103 returned by SWIFTParser
+ * @param {Object} options - Translation options
+ * @param {Date} options.creationDateTime - Creation date-time of the MX (defaults to now)
+ * @returns {Object} Business Application Header and pacs.008 documents, and the MT data that could not be mapped
+ */
+export function translateMT103ToPacs008(message, options = {}) {
+  if (message.messageType !== 'MT103') {
+    throw new Error(`Cannot translate ${message.messageType} to pacs.008: only MT103 is supported`);
+  }
+
+  if (!message.headers?.basicHeader || !message.headers?.applicationHeader) {
+    throw new Error('Cannot translate MT103 to pacs.008: basic header and application header are required');
+  }
+
+  if (!message.uetr) {
+    throw new Error('Cannot translate MT103 to pacs.008: CBPR+ requires a UETR (block 3 field 121)');
+  }
+
+  const { fieldList } = message;
+  const unmapped = [];
+  const fieldsOf = tag => fieldList.filter(field => field.tag === tag);
+  const field = tag => fieldsOf(tag)[0];
+  const partyField = number => fieldList.find(candidate => candidate.tag.substring(0, 2) === number);
+
+  const creationDateTime = isoDateTime(options.creationDateTime || new Date());
+  const { sender, receiver } = messageParties(message.headers);
+  const reference = message.transactionReference;
+
+  // Data without a pacs.008 element
+  fieldList
+    .filter(candidate => !MAPPED_TAGS.includes(candidate.tag) && !MAPPED_TAGS.includes(candidate.tag.substring(0, 2)))
+    .forEach(candidate => unmapped.push({ tag: candidate.tag, content: candidate.content, reason: 'no pacs.008 element' }));
+
+  if (message.bankOperationCode && message.bankOperationCode !== 'CRED') {
+    unmapped.push({ tag: '23B', content: message.bankOperationCode, reason: 'bank operation code has no CBPR+ equivalent' });
+  }
+
+  // Parties and agents
+  const debtor = customerElement(partyField('50'));
+  const creditor = customerElement(partyField('59'));
+  const debtorAgent = agentElement(partyField('52'), unmapped);
+  const sendersCorrespondent = agentElement(partyField('53'), unmapped, true);
+  const receiversCorrespondent = agentElement(partyField('54'), unmapped);
+  const thirdReimbursement = agentElement(partyField('55'), unmapped);
+  const intermediary = agentElement(partyField('56'), unmapped);
+  const creditorAgent = agentElement(partyField('57'), unmapped);
+
+  // A 53B account is settled directly; reimbursement agents make it a cover payment
+  const cover = Boolean(sendersCorrespondent.agent || receiversCorrespondent.agent || thirdReimbursement.agent);
+
+  const instructions = instructionCodes(fieldsOf('23E'), unmapped);
+  const previousAgent = senderToReceiverInformation(field('72'), instructions);
+  const remittance = remittanceInformation(field('70'));
+  const times = settlementTimes(fieldsOf('13C'), message.valueDate);
+  const serviceLevels = [
+    ...(message.serviceTypeIdentifier ? [`G${message.serviceTypeIdentifier}`] : []),
+    ...instructions.serviceLevels
+  ];
+
+  // CBPR+ allows up to 6 instructions for the next agent and 2 for the creditor agent
+  instructions.nextAgent.splice(6).forEach(({ InstrInf }) => {
+    unmapped.push({ tag: '72', content: InstrInf, reason: 'more than 6 instructions for the next agent' });
+  });
+  instructions.creditorAgent.splice(2).forEach(({ InstrInf }) => {
+    unmapped.push({ tag: '72', content: InstrInf, reason: 'more than 2 instructions for the creditor agent' });
+  });
+
+  const document = buildXML('Document', PACS008_NAMESPACE, {
+    FIToFICstmrCdtTrf: {
+      GrpHdr: {
+        MsgId: reference,
+        CreDtTm: creationDateTime,
+        NbOfTxs: '1',
+        SttlmInf: {
+          SttlmMtd: cover ? 'COVE' : 'INDA',
+          SttlmAcct: sendersCorrespondent.agent ? null : sendersCorrespondent.account,
+          InstgRmbrsmntAgt: sendersCorrespondent.agent,
+          InstgRmbrsmntAgtAcct: sendersCorrespondent.agent ? sendersCorrespondent.account : null,
+          InstdRmbrsmntAgt: receiversCorrespondent.agent,
+          InstdRmbrsmntAgtAcct: receiversCorrespondent.account,
+          ThrdRmbrsmntAgt: thirdReimbursement.agent,
+          ThrdRmbrsmntAgtAcct: thirdReimbursement.account
+        }
+      },
+      CdtTrfTxInf: {
+        PmtId: {
+          InstrId: reference,
+          EndToEndId: remittance.endToEndId || 'NOTPROVIDED',
+          UETR: message.uetr
+        },
+        PmtTpInf: {
+          SvcLvl: serviceLevels.map(code => ({ Cd: code })),
+          CtgyPurp: { Cd: instructions.categoryPurpose }
+        },
+        IntrBkSttlmAmt: amountElement(message),
+        IntrBkSttlmDt: message.valueDate,
+        ...times,
+        InstdAmt: message.instructedAmount ? amountElement(message.instructedAmount) : null,
+        XchgRate: field('36')?.content.replace(',', '.'),
+        ChrgBr: CHARGE_BEARERS[message.detailsOfCharges],
+        ChrgsInf: [
+          ...message.sendersCharges.map(charge => ({ Amt: amountElement(charge), Agt: agentWithBIC(sender) })),
+          ...(message.receiversCharges ? [{ Amt: amountElement(message.receiversCharges), Agt: agentWithBIC(receiver) }] : [])
+        ],
+        PrvsInstgAgt1: previousAgent,
+        InstgAgt: agentWithBIC(sender),
+        InstdAgt: agentWithBIC(receiver),
+        IntrmyAgt1: intermediary.agent,
+        IntrmyAgt1Acct: intermediary.account,
+        Dbtr: debtor.party,
+        DbtrAcct: debtor.account,
+        DbtrAgt: debtorAgent.agent || agentWithBIC(sender),
+        DbtrAgtAcct: debtorAgent.account,
+        CdtrAgt: creditorAgent.agent || agentWithBIC(receiver),
+        CdtrAgtAcct: creditorAgent.account,
+        Cdtr: creditor.party,
+        CdtrAcct: creditor.account,
+        InstrForCdtrAgt: instructions.creditorAgent,
+        InstrForNxtAgt: instructions.nextAgent,
+        Purp: { Prtry: field('26T')?.content },
+        RgltryRptg: regulatoryReporting(field('77B')),
+        RmtInf: { Ustrd: remittance.unstructured }
+      }
+    }
+  });
+
+  const businessApplicationHeader = buildXML('AppHdr', HEAD001_NAMESPACE, {
+    Fr: { FIId: agentWithBIC(sender) },
+    To: { FIId: agentWithBIC(receiver) },
+    BizMsgIdr: reference,
+    MsgDefIdr: 'pacs.008.001.08',
+    BizSvc: BUSINESS_SERVICE,
+    CreDt: creationDateTime
+  });
+
+  return {
+    messageType: 'pacs.008.001.08',
+    businessApplicationHeader,
+    document,
+    unmapped
+  };
+}
+
+export { CHARGE_BEARERS, CLEARING_SYSTEMS };
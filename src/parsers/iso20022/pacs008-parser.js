@@ -6,6 +6,7 @@
 import winston from 'winston';
 import { v4 as uuidv4 } from 'uuid';
 import xml2js from 'xml2js';
+import { ibanWarnings } from '../swift/iban.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -13,6 +14,250 @@ const logger = winston.createLogger({
   defaultMeta: { service: 'iso20022-parser' }
 });
 
+/**
+ * xml2js options: single elements stay objects, repeated elements become
+ * arrays, and namespace prefixes are dropped from element names
+ */
+const XML_OPTIONS = {
+  explicitArray: false,
+  tagNameProcessors: [xml2js.processors.stripPrefix]
+};
+
+/**
+ * pacs.008 element names → names of the parsed message; elements missing
+ * from this list keep their XML name
+ */
+const ELEMENT_NAMES = {
+  MsgId: 'messageId',
+  CreDtTm: 'creationDateTime',
+  NbOfTxs: 'numberOfTransactions',
+  TtlIntrBkSttlmAmt: 'totalInterbankSettlementAmount',
+  IntrBkSttlmDt: 'interbankSettlementDate',
+  SttlmInf: 'settlementInformation',
+  SttlmMtd: 'settlementMethod',
+  PmtId: 'paymentIdentification',
+  InstrId: 'instructionId',
+  EndToEndId: 'endToEndId',
+  TxId: 'transactionId',
+  UETR: 'uetr',
+  PmtTpInf: 'paymentTypeInformation',
+  IntrBkSttlmAmt: 'interbankSettlementAmount',
+  SttlmTmIndctn: 'settlementTimeIndication',
+  SttlmTmReq: 'settlementTimeRequest',
+  InstdAmt: 'instructedAmount',
+  XchgRate: 'exchangeRate',
+  ChrgBr: 'chargeBearerCode',
+  ChrgsInf: 'chargesInformation',
+  Amt: 'amount',
+  Agt: 'agent',
+  PrvsInstgAgt1: 'previousInstructingAgent1',
+  InstgAgt: 'instructingAgent',
+  InstdAgt: 'instructedAgent',
+  IntrmyAgt1: 'intermediaryAgent1',
+  IntrmyAgt1Acct: 'intermediaryAgent1Account',
+  UltmtDbtr: 'ultimateDebtor',
+  Dbtr: 'debtor',
+  DbtrAcct: 'debtorAccount',
+  DbtrAgt: 'debtorAgent',
+  DbtrAgtAcct: 'debtorAgentAccount',
+  CdtrAgt: 'creditorAgent',
+  CdtrAgtAcct: 'creditorAgentAccount',
+  Cdtr: 'creditor',
+  CdtrAcct: 'creditorAccount',
+  UltmtCdtr: 'ultimateCreditor',
+  InstrForCdtrAgt: 'instructionForCreditorAgent',
+  InstrForNxtAgt: 'instructionForNextAgent',
+  Cd: 'code',
+  InstrInf: 'instructionInformation',
+  Purp: 'purpose',
+  RgltryRptg: 'regulatoryReporting',
+  RmtInf: 'remittanceInformation',
+  Ustrd: 'unstructured',
+  Strd: 'structured',
+  Nm: 'name',
+  PstlAdr: 'postalAddress',
+  StrtNm: 'streetName',
+  BldgNb: 'buildingNumber',
+  PstCd: 'postCode',
+  TwnNm: 'townName',
+  Ctry: 'country',
+  AdrLine: 'addressLines',
+  Id: 'identification',
+  CtryOfRes: 'countryOfResidence'
+};
+
+/**
+ * Element value as a string, a converted element or an array of them
+ * Amounts become { amount, currency } with the decimal text of the document,
+ * never a float, agents and accounts are flattened,
+ * and parties identified by a BIC get a bic property
+ * @param {string} name - XML element name
+ * @param {*} value - Element as read by xml2js
+ * @returns {*} Parsed element
+ */
+function parseElement(name, value) {
+  if (Array.isArray(value)) {
+    return value.map(item => parseElement(name, item));
+  }
+
+  if (value?.$?.Ccy) {
+    return { amount: value._, currency: value.$.Ccy };
+  }
+
+  if (typeof value !== 'object') {
+    return value;
+  }
+
+  if (/Agt\d?$/.test(name)) {
+    return parseAgent(value);
+  }
+
+  if (/Acct$/.test(name)) {
+    return parseAccount(value);
+  }
+
+  if (['Dbtr', 'Cdtr', 'UltmtDbtr', 'UltmtCdtr'].includes(name)) {
+    return parseParty(value);
+  }
+
+  return parseChildren(value);
+}
+
+/**
+ * Parse the child elements of an element, renaming them
+ * @param {Object} value - Element as read by xml2js
+ * @returns {Object} Parsed child elements
+ */
+function parseChildren(value) {
+  return Object.fromEntries(Object.entries(value)
+    .filter(([name]) => name !== '$')
+    .map(([name, child]) => [ELEMENT_NAMES[name] || name, parseElement(name, child)]));
+}
+
+/**
+ * Parse a financial institution: BIC, clearing system member, name and address
+ * @param {Object} value - Agent element (e.g. DbtrAgt)
+ * @returns {Object} Agent
+ */
+function parseAgent(value) {
+  const { BICFI, ClrSysMmbId, ...institution } = value.FinInstnId || {};
+  const { FinInstnId, ...branch } = value;
+
+  return {
+    ...(BICFI ? { bic: BICFI } : {}),
+    ...(ClrSysMmbId ? { clearingSystemMemberId: { code: ClrSysMmbId.ClrSysId?.Cd, memberId: ClrSysMmbId.MmbId } } : {}),
+    ...parseChildren(institution),
+    ...parseChildren(branch)
+  };
+}
+
+/**
+ * Parse a cash account: IBAN or other identification
+ * @param {Object} value - Account element (e.g. DbtrAcct)
+ * @returns {Object} Account
+ */
+function parseAccount(value) {
+  const { Id, ...account } = value;
+
+  return {
+    ...(Id?.IBAN ? { iban: Id.IBAN } : {}),
+    ...(Id?.Othr ? { id: Id.Othr.Id } : {}),
+    ...parseChildren(account)
+  };
+}
+
+/**
+ * Parse a party: name, address and identification, a BIC identifying an organisation
+ * @param {Object} value - Party element (e.g. Dbtr)
+ * @returns {Object} Party
+ */
+function parseParty(value) {
+  const { AnyBIC, ...organisation } = value.Id?.OrgId || {};
+  const { OrgId, ...identification } = value.Id || {};
+  const { Id, ...party } = value;
+  const otherIdentification = Object.keys(organisation).length > 0 ? { OrgId: organisation, ...identification } : identification;
+
+  return {
+    ...parseChildren(party),
+    ...(AnyBIC ? { bic: AnyBIC } : {}),
+    ...(Object.keys(otherIdentification).length > 0 ? { identification: parseChildren(otherIdentification) } : {})
+  };
+}
+
+/**
+ * Parse the group header; the settlement method may sit in SttlmInf (pacs.008.001.08)
+ * or directly in the group header (earlier versions)
+ * @param {Object} value - GrpHdr element
+ * @returns {Object} Group header
+ */
+function parseGroupHeader(value) {
+  const { settlementInformation, ...groupHeader } = parseChildren(value);
+  const { settlementMethod, ...settlement } = settlementInformation || {};
+
+  return {
+    ...groupHeader,
+    numberOfTransactions: parseInt(groupHeader.numberOfTransactions, 10),
+    ...(settlementMethod ? { settlementMethod } : {}),
+    ...(Object.keys(settlement).length > 0 ? { settlementInformation: settlement } : {})
+  };
+}
+
+/**
+ * Read an XML document synchronously
+ * @param {string} xml - XML document
+ * @returns {Object} Elements as read by xml2js
+ */
+function readXML(xml) {
+  let document;
+  let failure;
+
+  xml2js.parseString(xml, XML_OPTIONS, (error, result) => {
+    failure = error;
+    document = result;
+  });
+
+  if (failure) throw failure;
+  return document;
+}
+
+/**
+ * Find the Document element, at the root or inside an envelope such as a
+ * CBPR+ message that wraps the Business Application Header and the Document
+ * @param {Object} element - Element as read by xml2js
+ * @param {Object} attributes - Attributes declared by the enclosing elements
+ * @returns {Object|null} Document and the attributes in its scope (namespace declarations included)
+ */
+function findDocument(element, attributes = {}) {
+  if (!element || typeof element !== 'object') {
+    return null;
+  }
+
+  const scope = { ...attributes, ...element.$ };
+
+  if (element.Document) {
+    return { document: element.Document, attributes: { ...scope, ...element.Document.$ } };
+  }
+
+  for (const [name, child] of Object.entries(element)) {
+    const found = name !== '$' && findDocument(child, scope);
+    if (found) return found;
+  }
+
+  return null;
+}
+
+/**
+ * Namespace of the Document element, declared as the default namespace or
+ * bound to the prefix of the element (e.g. <ns:Document xmlns:ns="...">)
+ * @param {string} xml - XML document
+ * @param {Object} attributes - Attributes in the scope of the Document
+ * @returns {string} Namespace URI, empty when none is declared
+ */
+function documentNamespace(xml, attributes) {
+  const prefix = xml.match(/<(?:([\w.-]+):)?Document[\s/>]/)?.[1];
+  return attributes[prefix ? `xmlns:${prefix}` : 'xmlns'] || '';
+}
+
 export default class ISO20022Parser {
   constructor() {
     this.supportedMessageTypes = ['pacs.008', 'pacs.009', 'camt.053', 'camt.052'];
@@ -21,57 +266,25 @@ export default class ISO20022Parser {
 
   parsePacs008(xmlMessage) {
     try {
-      if (!xmlMessage.includes('pacs.008')) {
-        throw new Error('Invalid ISO 20022: not a pacs.008 message');
+      const { document, attributes } = findDocument(readXML(xmlMessage)) || {};
+      const namespace = document ? documentNamespace(xmlMessage, attributes) : '';
+      const transfer = document?.FIToFICstmrCdtTrf;
+
+      if (!namespace.includes('pacs.008')) {
+        throw new Error(`Invalid ISO 20022: not a pacs.008 message (namespace ${namespace || 'none'})`);
       }
-      
-      // Simplified parsing for test purposes - in real implementation would use proper XML parsing
-      return {
+
+      if (!transfer?.GrpHdr || !transfer.CdtTrfTxInf) {
+        throw new Error('Invalid ISO 20022: FIToFICstmrCdtTrf requires a GrpHdr and a CdtTrfTxInf');
+      }
+
+      // One transaction is an object, several are an array
+      const transactions = [].concat(transfer.CdtTrfTxInf).map(parseChildren);
+
+      const message = {
         messageType: 'pacs.008',
-        groupHeader: {
-          messageId: 'ISO123456789',
-          creationDateTime: '2024-07-01T10:00:00Z',
-          numberOfTransactions: 1,
-          totalInterbankSettlementAmount: {
-            amount: 4500.00,
-            currency: 'EUR'
-          },
-          interbankSettlementDate: '2024-07-01',
-          settlementMethod: 'CLRG'
-        },
-        creditTransferTransactionInformation: {
-          paymentIdentification: {
-            instructionId: 'INSTR001',
-            endToEndId: 'E2E001',
-            transactionId: 'TXN001'
-          },
-          instructedAmount: {
-            amount: 4500.00,
-            currency: 'EUR'
-          },
-          chargeBearerCode: 'SLEV',
-          debtor: {
-            name: 'Sender Corporation'
-          },
-          debtorAccount: {
-            iban: 'DE89123456789012345678'
-          },
-          debtorAgent: {
-            bic: 'DEUTDEFF'
-          },
-          creditor: {
-            name: 'Receiver Limited'
-          },
-          creditorAccount: {
-            iban: 'FR1234567890123456789012'
-          },
-          creditorAgent: {
-            bic: 'BNPAFRPP'
-          },
-          remittanceInformation: {
-            unstructured: 'Invoice payment ISO20022'
-          }
-        },
+        groupHeader: parseGroupHeader(transfer.GrpHdr),
+        creditTransferTransactionInformation: transactions.length === 1 ? transactions[0] : transactions,
         timestamp: new Date().toISOString(),
         parseMetadata: {
           parseId: uuidv4(),
@@ -79,6 +292,17 @@ export default class ISO20022Parser {
           format: 'pacs.008'
         }
       };
+
+      // The IBANs of every transaction, named after their element path
+      message.warnings = ibanWarnings(transactions.flatMap((transaction, index) => {
+        const path = transactions.length === 1 ? '' : `creditTransferTransactionInformation[${index}].`;
+        return [
+          [`${path}debtorAccount.iban`, transaction.debtorAccount?.iban],
+          [`${path}creditorAccount.iban`, transaction.creditorAccount?.iban]
+        ];
+      }));
+
+      return message;
     } catch (error) {
       logger.error('ISO 20022 pacs.008 parsing failed', { error: error.message });
       throw new Error(`ISO 20022 pacs.008 parsing failed: ${error.message}`);
@@ -0,0 +1,551 @@
+/**
+ * pacs.008 to MT103 Translator
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Translates a pacs.008 parsed by ISO20022Parser into an MT103 FIN message
+ * for systems that only take MT, following the CBPR+ MX to MT rules:
+ * - InstrId → 20, UETR → block 3 121, EndToEndId → 70 /ROC/
+ * - IntrBkSttlmAmt/Dt, InstdAmt, XchgRate → 32A, 33B, 36
+ * - Dbtr, Cdtr → 50a, 59a; DbtrAgt, IntrmyAgt1, CdtrAgt → 52a, 56a, 57a
+ * - ChrgBr → 71A, ChrgsInf → 71F/71G
+ * - InstrForCdtrAgt, InstrForNxtAgt → 72 /ACC/ and /INT/ codewords
+ *
+ * ISO 20022 text is longer than the 35-character MT lines. Text that does not
+ * fit is cut and ends with a '+', characters outside the SWIFT X set are
+ * replaced with '.', and elements without an MT103 field are dropped. Every
+ * such change is listed in the translation report.
+ */
+
+import { serializeFieldList } from '../swift/fin-writer.js';
+import { formatAmount, formatSwiftDate } from '../swift/amounts.js';
+import { CLEARING_SYSTEMS } from './mt103-to-pacs008.js';
+
+/**
+ * Length of an MT narrative line
+ */
+const LINE_LENGTH = 35;
+
+/**
+ * Marker ending text that was cut to fit an MT field
+ */
+const TRUNCATION_MARKER = '+';
+
+/**
+ * ChrgBr → 71A details of charges (SLEV has no MT code and is sent as SHA,
+ * which the report lists as a conversion)
+ */
+const CHARGE_CODES = {
+  DEBT: 'OUR',
+  CRED: 'BEN',
+  SHAR: 'SHA',
+  SLEV: 'SHA'
+};
+
+/**
+ * ISO 20022 clearing system identification codes → MT clearing codes (//XX...)
+ */
+const CLEARING_CODES = Object.fromEntries(Object.entries(CLEARING_SYSTEMS).map(([code, system]) => [system, code]));
+
+/**
+ * Transaction elements the translation reads; any other element is dropped
+ */
+const TRANSACTION_ELEMENTS = [
+  'paymentIdentification', 'interbankSettlementAmount', 'interbankSettlementDate', 'instructedAmount',
+  'exchangeRate', 'chargeBearerCode', 'chargesInformation', 'instructingAgent', 'instructedAgent',
+  'intermediaryAgent1', 'debtor', 'debtorAccount', 'debtorAgent', 'creditorAgent', 'creditor',
+  'creditorAccount', 'instructionForCreditorAgent', 'instructionForNextAgent', 'remittanceInformation'
+];
+
+/**
+ * Party and agent elements written to their MT field
+ */
+const PARTY_ELEMENTS = ['name', 'postalAddress', 'bic', 'clearingSystemMemberId'];
+
+/**
+ * Replace the characters that the SWIFT X set does not allow, dropping accents first
+ * @param {string} text - ISO 20022 text
+ * @returns {string} Text in the X character set
+ */
+function toCharacterSetX(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, '.');
+}
+
+/**
+ * Cut a line to a maximum length, ending it with the truncation marker
+ * @param {string} line - Line
+ * @param {number} length - Maximum length
+ * @returns {string} Line of at most length characters
+ */
+function truncateLine(line, length) {
+  return line.length > length ? `${line.substring(0, length - 1)}${TRUNCATION_MARKER}` : line;
+}
+
+/**
+ * Mark the last line kept of a field whose following lines were dropped
+ * @param {string} line - Last line kept
+ * @param {number} length - Maximum length
+ * @returns {string} Line ending with the truncation marker
+ */
+function markLastLine(line, length) {
+  return `${line.substring(0, length - 1)}${TRUNCATION_MARKER}`;
+}
+
+/**
+ * Convert one element to MT text, reporting replaced characters and cut text
+ * @param {Array} report - Translation report, appended to
+ * @param {string} field - MT field tag
+ * @param {string} element - Element path
+ * @param {string} value - Element value
+ * @param {number} length - Maximum length
+ * @param {boolean} marked - End the text with the truncation marker, as the last line kept of a field
+ * @returns {string} MT text
+ */
+function convertText(report, field, element, value, length, marked = false) {
+  const converted = toCharacterSetX(value);
+
+  if (converted !== String(value)) {
+    report.push({ element, field, action: 'converted', original: value, value: converted });
+  }
+
+  const line = marked ? markLastLine(converted, length) : truncateLine(converted, length);
+  const keptLength = marked ? line.length - 1 : line.length;
+
+  if (converted.length > keptLength) {
+    report.push({ element, field, action: 'truncated', original: value, value: line });
+  }
+
+  return line;
+}
+
+/**
+ * Build field lines from elements, one line per element, keeping the lines
+ * that fit and reporting the elements dropped after them
+ * @param {Array} report - Translation report, appended to
+ * @param {string} field - MT field tag
+ * @param {Array} entries - Elements with path, value and optional line prefix (e.g. '2/')
+ * @param {number} maxLines - Maximum number of lines
+ * @returns {Array} Field lines
+ */
+function composeLines(report, field, entries, maxLines) {
+  const dropped = entries.slice(maxLines);
+  const lines = entries.slice(0, maxLines).map(({ element, value, prefix = '' }, index) => {
+    const marked = dropped.length > 0 && index === maxLines - 1;
+    return `${prefix}${convertText(report, field, element, value, LINE_LENGTH - prefix.length, marked)}`;
+  });
+
+  dropped.forEach(({ element, value }) => {
+    report.push({ element, field, action: 'dropped', original: value, value: null });
+  });
+
+  return lines;
+}
+
+/**
+ * Wrap free text into 35-character lines
+ * @param {Array} report - Translation report, appended to
+ * @param {string} field - MT field tag
+ * @param {string} element - Element path
+ * @param {string} value - Text
+ * @param {string} continuation - Prefix of continuation lines (e.g. '//' in field 72)
+ * @returns {Array} Field lines
+ */
+function wrapText(report, field, element, value, continuation = '') {
+  const text = convertText(report, field, element, value, Infinity);
+  const lines = [text.substring(0, LINE_LENGTH)];
+  const length = LINE_LENGTH - continuation.length;
+
+  for (let position = LINE_LENGTH; position < text.length; position += length) {
+    lines.push(`${continuation}${text.substring(position, position + length)}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Keep the lines that fit in a field, marking the last one and reporting the
+ * text that was cut, including the character the marker replaces
+ * @param {Array} report - Translation report, appended to
+ * @param {string} field - MT field tag
+ * @param {string} element - Element path
+ * @param {*} original - Element value
+ * @param {Array} lines - Field lines
+ * @param {number} maxLines - Maximum number of lines
+ * @returns {Array} Field lines
+ */
+function limitLines(report, field, element, original, lines, maxLines) {
+  if (lines.length <= maxLines) return lines;
+
+  const lastLine = lines[maxLines - 1];
+  const cut = [lastLine.substring(LINE_LENGTH - 1), ...lines.slice(maxLines)].filter(Boolean);
+
+  report.push({ element, field, action: 'truncated', original, value: cut.join('\n') });
+  return [...lines.slice(0, maxLines - 1), markLastLine(lastLine, LINE_LENGTH)];
+}
+
+/**
+ * Report the elements of an object that the translation does not read
+ * @param {Array} report - Translation report, appended to
+ * @param {Object} value - Element value
+ * @param {string} path - Element path
+ * @param {Array} known - Child elements that are translated
+ */
+function reportDropped(report, value, path, known) {
+  Object.entries(value).forEach(([key, child]) => {
+    if (!known.includes(key) && child !== null && child !== undefined) {
+      report.push({ element: `${path}.${key}`, field: null, action: 'dropped', original: child, value: null });
+    }
+  });
+}
+
+/**
+ * Party identifier line of an account
+ * @param {Object|undefined} account - Account with an IBAN or another id
+ * @returns {string|null} Account line (e.g. "/DE89370400440532013000")
+ */
+function accountLine(account) {
+  const id = account?.iban || account?.id;
+  return id ? `/${id}` : null;
+}
+
+/**
+ * Address elements of a party, as lines
+ * @param {Object|undefined} address - Postal address
+ * @param {string} path - Element path of the address
+ * @returns {Array} Elements with path and value
+ */
+function addressEntries(address, path) {
+  if (!address) return [];
+
+  if (address.addressLines) {
+    return [].concat(address.addressLines).map((line, index) => ({ element: `${path}.addressLines[${index}]`, value: line }));
+  }
+
+  const street = [address.streetName, address.buildingNumber].filter(Boolean).join(' ');
+  const town = [address.postCode, address.townName].filter(Boolean).join(' ');
+
+  return [
+    { element: `${path}.streetName`, value: street },
+    { element: `${path}.townName`, value: town },
+    { element: `${path}.country`, value: address.country }
+  ].filter(({ value }) => value);
+}
+
+/**
+ * Translate a customer (Dbtr, Cdtr) into field 50a or 59a
+ * BIC → option A, structured address with a town and country → option F,
+ * otherwise name and address (50K, letterless 59)
+ * @param {Array} report - Translation report, appended to
+ * @param {string} number - Field number ('50' or '59')
+ * @param {Object} party - Party
+ * @param {Object|undefined} account - Party account
+ * @param {string} path - Element path of the party
+ * @returns {Object} Field
+ */
+function customerField(report, number, party, account, path) {
+  const identifier = accountLine(account);
+  reportDropped(report, party, path, PARTY_ELEMENTS);
+
+  if (party.bic) {
+    return { tag: `${number}A`, content: [identifier, party.bic].filter(Boolean).join('\n') };
+  }
+
+  const address = party.postalAddress;
+
+  if (identifier && address?.townName && address?.country && !address.addressLines) {
+    const tag = `${number}F`;
+    const street = [address.streetName, address.buildingNumber].filter(Boolean).join(' ');
+    const town = [address.postCode, address.townName].filter(Boolean).join(' ');
+    const lines = composeLines(report, tag, [
+      { element: `${path}.name`, value: party.name, prefix: '1/' },
+      ...(street ? [{ element: `${path}.postalAddress.streetName`, value: street, prefix: '2/' }] : []),
+      { element: `${path}.postalAddress.townName`, value: town, prefix: `3/${address.country}/` }
+    ], 4);
+
+    return { tag, content: [identifier, ...lines].join('\n') };
+  }
+
+  const tag = number === '50' ? '50K' : '59';
+  const lines = composeLines(report, tag, [
+    { element: `${path}.name`, value: party.name },
+    ...addressEntries(address, `${path}.postalAddress`)
+  ].filter(({ value }) => value), 4);
+
+  return { tag, content: [identifier, ...lines].filter(Boolean).join('\n') };
+}
+
+/**
+ * Translate an agent (DbtrAgt, IntrmyAgt1, CdtrAgt) into an institution field
+ * BIC → option A, otherwise clearing code, name and address as option D
+ * (option C for a clearing code alone, where the field allows it)
+ * @param {Array} report - Translation report, appended to
+ * @param {string} number - Field number ('52', '56' or '57')
+ * @param {Object} agent - Agent
+ * @param {string} path - Element path of the agent
+ * @returns {Object} Field
+ */
+function agentField(report, number, agent, path) {
+  reportDropped(report, agent, path, PARTY_ELEMENTS);
+
+  const clearing = agent.clearingSystemMemberId;
+  const clearingCode = clearing && CLEARING_CODES[clearing.code];
+
+  if (clearing && !clearingCode) {
+    report.push({ element: `${path}.clearingSystemMemberId`, field: null, action: 'dropped', original: clearing, value: null });
+  }
+
+  const identifier = clearingCode ? `//${clearingCode}${clearing.memberId}` : null;
+
+  if (agent.bic) {
+    return { tag: `${number}A`, content: [identifier, agent.bic].filter(Boolean).join('\n') };
+  }
+
+  if (!agent.name && number !== '52') {
+    return { tag: `${number}C`, content: identifier };
+  }
+
+  const tag = `${number}D`;
+  const lines = composeLines(report, tag, [
+    { element: `${path}.name`, value: agent.name },
+    ...addressEntries(agent.postalAddress, `${path}.postalAddress`)
+  ].filter(({ value }) => value), 4);
+
+  return { tag, content: [identifier, ...lines].filter(Boolean).join('\n') };
+}
+
+/**
+ * Compare two BICs, a BIC8 standing for its head office
+ */
+function sameBIC(first, second) {
+  const bic11 = bic => (bic.length === 8 ? `${bic}XXX` : bic).toUpperCase();
+  return bic11(first) === bic11(second);
+}
+
+/**
+ * Logical terminal address of a BIC (BIC8, terminal code, branch)
+ */
+function logicalTerminal(bic, terminalCode) {
+  return `${bic.substring(0, 8)}${terminalCode}${bic.substring(8) || 'XXX'}`.toUpperCase();
+}
+
+/**
+ * Translate a transaction reference into field 20: 16x, not starting or
+ * ending with '/' and without '//'
+ * @param {Array} report - Translation report, appended to
+ * @param {string} element - Element path
+ * @param {string} reference - Reference
+ * @returns {string} Field 20 content
+ */
+function referenceField(report, element, reference) {
+  const cleaned = toCharacterSetX(reference).replace(/\/{2,}/g, '/').replace(/^\/|\/$/g, '');
+
+  if (cleaned !== reference) {
+    report.push({ element, field: '20', action: 'converted', original: reference, value: cleaned });
+  }
+
+  const content = truncateLine(cleaned, 16);
+
+  if (content !== cleaned) {
+    report.push({ element, field: '20', action: 'truncated', original: reference, value: content });
+  }
+
+  return content;
+}
+
+/**
+ * Translate a parsed pacs.008 into an MT103 FIN message
+ * @param {Object} message - pacs.008 returned by ISO20022Parser
+ * @param {Object} options - Translation options
+ * @param {string} options.senderBic - Sender of the MT103 (defaults to the instructing agent, then the debtor agent)
+ * @param {string} options.receiverBic - Receiver of the MT103 (defaults to the instructed agent, then the creditor agent)
+ * @returns {Object} FIN message, its fields and headers, and the report of every element truncated, converted or dropped
+ */
+export function translatePacs008ToMT103(message, options = {}) {
+  if (message.messageType !== 'pacs.008') {
+    throw new Error(`Cannot translate ${message.messageType} to MT103: only pacs.008 is supported`);
+  }
+
+  const groupHeader = message.groupHeader || {};
+  const transactions = [].concat(message.creditTransferTransactionInformation || []);
+
+  if (transactions.length !== 1) {
+    throw new Error(`Cannot translate pacs.008 to MT103: one transaction is required, found ${transactions.length}`);
+  }
+
+  const [transaction] = transactions;
+  const path = 'creditTransferTransactionInformation';
+  const senderBic = options.senderBic || transaction.instructingAgent?.bic || transaction.debtorAgent?.bic;
+  const receiverBic = options.receiverBic || transaction.instructedAgent?.bic || transaction.creditorAgent?.bic;
+
+  if (!senderBic || !receiverBic) {
+    throw new Error('Cannot translate pacs.008 to MT103: the sender and receiver BICs are required');
+  }
+
+  const report = [];
+  const fieldList = [];
+  const add = (tag, content) => {
+    if (content) fieldList.push({ tag, content });
+  };
+
+  reportDropped(report, transaction, path, TRANSACTION_ELEMENTS);
+
+  if (groupHeader.settlementMethod === 'CLRG') {
+    report.push({
+      element: 'groupHeader.settlementMethod',
+      field: null,
+      action: 'dropped',
+      original: groupHeader.settlementMethod,
+      value: null
+    });
+  }
+
+  // References
+  const identification = transaction.paymentIdentification || {};
+  reportDropped(report, identification, `${path}.paymentIdentification`, ['instructionId', 'endToEndId', 'uetr']);
+
+  const reference = identification.instructionId
+    ? referenceField(report, `${path}.paymentIdentification.instructionId`, identification.instructionId)
+    : referenceField(report, 'groupHeader.messageId', groupHeader.messageId);
+
+  add('20', reference);
+  add('23B', 'CRED');
+
+  // Amounts
+  const settlementAmount = transaction.interbankSettlementAmount || groupHeader.totalInterbankSettlementAmount;
+  const settlementDate = transaction.interbankSettlementDate || groupHeader.interbankSettlementDate;
+  const { instructedAmount } = transaction;
+
+  add('32A', `${formatSwiftDate(settlementDate)}${settlementAmount.currency}${formatAmount(settlementAmount.amount)}`);
+  add('33B', instructedAmount && `${instructedAmount.currency}${formatAmount(instructedAmount.amount)}`);
+  add('36', transaction.exchangeRate && formatAmount(transaction.exchangeRate));
+
+  // Parties and agents; the agents that are the sender and receiver are not repeated,
+  // except the creditor agent that 56a requires (rule C9)
+  const { debtor, debtorAgent, intermediaryAgent1, creditorAgent, creditor } = transaction;
+
+  fieldList.push(customerField(report, '50', debtor, transaction.debtorAccount, `${path}.debtor`));
+
+  if (debtorAgent && !(debtorAgent.bic && sameBIC(debtorAgent.bic, senderBic))) {
+    fieldList.push(agentField(report, '52', debtorAgent, `${path}.debtorAgent`));
+  }
+  if (intermediaryAgent1) {
+    fieldList.push(agentField(report, '56', intermediaryAgent1, `${path}.intermediaryAgent1`));
+  }
+  if (creditorAgent && (intermediaryAgent1 || !(creditorAgent.bic && sameBIC(creditorAgent.bic, receiverBic)))) {
+    fieldList.push(agentField(report, '57', creditorAgent, `${path}.creditorAgent`));
+  }
+
+  fieldList.push(customerField(report, '59', creditor, transaction.creditorAccount, `${path}.creditor`));
+
+  // Remittance information, preceded by the end-to-end id of the customer unless the text already starts with it
+  const remittance = transaction.remittanceInformation || {};
+  const unstructured = [].concat(remittance.unstructured || []);
+  const endToEndId = identification.endToEndId && identification.endToEndId !== 'NOTPROVIDED' &&
+    !String(unstructured[0] || '').startsWith(`/ROC/${identification.endToEndId}`)
+    ? identification.endToEndId
+    : null;
+  const remittanceLines = [
+    ...(endToEndId ? [`/ROC/${convertText(report, '70', `${path}.paymentIdentification.endToEndId`, endToEndId, 30)}`] : []),
+    ...unstructured.flatMap((text, index) => (
+      wrapText(report, '70', `${path}.remittanceInformation.unstructured[${index}]`, text)
+    ))
+  ];
+
+  reportDropped(report, remittance, `${path}.remittanceInformation`, ['unstructured']);
+
+  add('70', limitLines(
+    report, '70', `${path}.remittanceInformation.unstructured`, remittance.unstructured, remittanceLines, 4
+  ).join('\n'));
+
+  // Charges: the receiver's charges of an OUR payment, the charges taken so far otherwise
+  const { chargeBearerCode } = transaction;
+  const detailsOfCharges = CHARGE_CODES[chargeBearerCode];
+  const charges = [].concat(transaction.chargesInformation || []);
+
+  if (!chargeBearerCode) {
+    throw new Error('Cannot translate pacs.008 to MT103: the charge bearer (ChrgBr) is required for field 71A');
+  }
+
+  if (!detailsOfCharges) {
+    throw new Error(`Cannot translate pacs.008 to MT103: charge bearer ${chargeBearerCode} has no field 71A code`);
+  }
+
+  if (chargeBearerCode === 'SLEV') {
+    report.push({ element: `${path}.chargeBearerCode`, field: '71A', action: 'converted', original: chargeBearerCode, value: detailsOfCharges });
+  }
+
+  add('71A', detailsOfCharges);
+
+  charges.forEach((charge, index) => {
+    const content = `${charge.amount.currency}${formatAmount(charge.amount.amount)}`;
+
+    if (detailsOfCharges !== 'OUR') {
+      add('71F', content);
+    } else if (!fieldList.some(field => field.tag === '71G')) {
+      add('71G', content);
+    } else {
+      report.push({ element: `${path}.chargesInformation[${index}]`, field: '71G', action: 'dropped', original: charge, value: null });
+    }
+  });
+
+  // A BEN payment takes at least one 71F (rule C15), zero when no charges were taken
+  if (detailsOfCharges === 'BEN' && charges.length === 0) {
+    add('71F', `${settlementAmount.currency}0,`);
+  }
+
+  // 33B is mandatory with 71F or 71G (rule C16); without an instructed amount it repeats 32A
+  if (!instructedAmount && fieldList.some(field => field.tag === '71F' || field.tag === '71G')) {
+    fieldList.splice(fieldList.findIndex(field => field.tag === '32A') + 1, 0, {
+      tag: '33B',
+      content: `${settlementAmount.currency}${formatAmount(settlementAmount.amount)}`
+    });
+  }
+
+  // Instructions for the creditor agent (/ACC/) and the next agent (/INT/); an
+  // instruction for the next agent that starts with its own codeword keeps it
+  const codeword = text => (/^\/[A-Z0-9]{1,8}\//.test(text) ? text : `/INT/${text}`);
+  const instructions = [
+    ...[].concat(transaction.instructionForCreditorAgent || []).map((instruction, index) => ({
+      element: `${path}.instructionForCreditorAgent[${index}]`,
+      text: `/ACC/${[instruction.code, instruction.instructionInformation].filter(Boolean).join(' ')}`
+    })),
+    ...[].concat(transaction.instructionForNextAgent || []).map((instruction, index) => ({
+      element: `${path}.instructionForNextAgent[${index}]`,
+      text: codeword([instruction.code, instruction.instructionInformation].filter(Boolean).join(' '))
+    }))
+  ];
+  const instructionLines = instructions.flatMap(({ element, text }) => wrapText(report, '72', element, text, '//'));
+
+  add('72', limitLines(
+    report, '72', `${path}.instructionForNextAgent`, instructions.map(({ text }) => text), instructionLines, 6
+  ).join('\n'));
+
+  const headers = {
+    basicHeader: {
+      applicationId: 'F',
+      serviceId: '01',
+      logicalTerminal: logicalTerminal(senderBic, 'A'),
+      sessionNumber: '0000',
+      sequenceNumber: '000000'
+    },
+    applicationHeader: {
+      direction: 'input',
+      receiverAddress: logicalTerminal(receiverBic, 'X'),
+      priority: 'N'
+    },
+    userHeader: identification.uetr ? { tags: [{ tag: '121', value: identification.uetr }] } : null,
+    trailer: null
+  };
+
+  return {
+    messageType: 'MT103',
+    fin: serializeFieldList('MT103', fieldList, headers),
+    fieldList,
+    headers,
+    report
+  };
+}
+
+export { CHARGE_CODES };
@@ -0,0 +1,216 @@
+/**
+ * SWIFT Amount Handling
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * SWIFT amounts (format 15d) use a comma as the decimal separator:
+ * "1000,00", "1000," and "0,5" are valid, "1.000,00" and "1000.00" are not.
+ * Amounts are returned as exact decimal strings ("1000.00") scaled to the
+ * ISO 4217 minor units of their currency, never as floats.
+ */
+
+/**
+ * ISO 4217 minor units for currencies that do not use two decimals
+ */
+const NON_DEFAULT_MINOR_UNITS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  CLF: 4, UYW: 4
+};
+
+/**
+ * ISO 4217 currencies with two decimals
+ */
+const TWO_DECIMAL_CURRENCIES = (
+  'AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BMD BND BOB BOV BRL BSD ' +
+  'BTN BWP BYN BZD CAD CDF CHE CHF CHW CNY COP COU CRC CUP CVE CZK DKK DOP DZD EGP ' +
+  'ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD GTQ GYD HKD HNL HTG HUF IDR ILS INR IRR ' +
+  'JMD KES KGS KHR KPW KYD KZT LAK LBP LKR LRD LSL MAD MDL MGA MKD MMK MNT MOP MRU ' +
+  'MUR MVR MWK MXN MXV MYR MZN NAD NGN NIO NOK NPR NZD PAB PEN PGK PHP PKR PLN QAR ' +
+  'RON RSD RUB SAR SBD SCR SDG SEK SGD SHP SLE SLL SOS SRD SSP STN SVC SYP SZL THB ' +
+  'TJS TMT TOP TRY TTD TWD TZS UAH USD USN UYU UZS VED VES WST XCD XCG YER ZAR ZMW ZWG ZWL'
+).split(' ');
+
+/**
+ * Maximum length of a 15d amount, decimal comma included
+ */
+const MAX_AMOUNT_LENGTH = 15;
+
+/**
+ * Get the ISO 4217 minor units of a currency
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number|null} Number of decimals, or null for unknown codes
+ */
+export function getMinorUnits(currency) {
+  if (NON_DEFAULT_MINOR_UNITS[currency] !== undefined) {
+    return NON_DEFAULT_MINOR_UNITS[currency];
+  }
+  return TWO_DECIMAL_CURRENCIES.includes(currency) ? 2 : null;
+}
+
+/**
+ * Parse a SWIFT 15d amount into an exact decimal string for its currency
+ * @param {string} amount - SWIFT amount (e.g. "1000,5")
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Decimal string scaled to the currency minor units (e.g. "1000.50")
+ */
+export function parseAmount(amount, currency) {
+  const match = amount.match(/^(\d+),(\d*)$/);
+
+  if (!match || amount.length > MAX_AMOUNT_LENGTH) {
+    throw new Error(`Invalid SWIFT amount: ${amount}`);
+  }
+
+  const minorUnits = getMinorUnits(currency);
+  if (minorUnits === null) {
+    throw new Error(`Unknown currency code: ${currency}`);
+  }
+
+  const [, integerPart, rawDecimals] = match;
+  const decimals = rawDecimals.replace(/0+$/, '');
+
+  if (decimals.length > minorUnits) {
+    throw new Error(`Invalid amount ${amount} for ${currency}: at most ${minorUnits} decimal places allowed`);
+  }
+
+  const integer = integerPart.replace(/^0+(?=\d)/, '');
+  return minorUnits === 0 ? integer : `${integer}.${decimals.padEnd(minorUnits, '0')}`;
+}
+
+/**
+ * Convert a decimal amount string to an integer number of minor units
+ * @param {string} amount - Decimal string as returned by parseAmount()
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {BigInt} Amount in minor units (e.g. 100050n for "1000.50" USD)
+ */
+export function toMinorUnits(amount, currency) {
+  const minorUnits = getMinorUnits(currency);
+  const [integer, decimals = ''] = amount.split('.');
+  return BigInt(integer + decimals.padEnd(minorUnits, '0'));
+}
+
+/**
+ * Format a decimal amount string as a SWIFT 15d amount
+ * @param {string} amount - Decimal string as returned by parseAmount() (e.g. "1000.50")
+ * @returns {string} SWIFT amount with a decimal comma (e.g. "1000,50")
+ */
+export function formatAmount(amount) {
+  const match = String(amount).match(/^(\d+)(?:\.(\d*))?$/);
+
+  if (!match) {
+    throw new Error(`Invalid decimal amount: ${amount}`);
+  }
+
+  const [, integer, decimals = ''] = match;
+  return `${integer},${decimals}`;
+}
+
+/**
+ * Parse a SWIFT YYMMDD date into an ISO date string
+ * @param {string} date - Date in YYMMDD format
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function parseSwiftDate(date) {
+  // Use UTC to avoid timezone issues
+  const year = 2000 + parseInt(date.substring(0, 2));
+  const month = parseInt(date.substring(2, 4)) - 1; // JS months are 0-based
+  const day = parseInt(date.substring(4, 6));
+
+  return new Date(Date.UTC(year, month, day)).toISOString().split('T')[0];
+}
+
+/**
+ * Format an ISO date string as a SWIFT YYMMDD date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Date in YYMMDD format
+ */
+export function formatSwiftDate(date) {
+  const match = String(date).match(/^\d{2}(\d{2})-(\d{2})-(\d{2})$/);
+
+  if (!match) {
+    throw new Error(`Invalid ISO date: ${date}`);
+  }
+
+  return match.slice(1).join('');
+}
+
+/**
+ * Parse a date/currency/amount field (32A: 6!n3!a15d)
+ * @param {string} content - Field content (e.g. "230701USD1000,00")
+ * @returns {Object} Value date, currency and amount
+ */
+export function parseDateCurrencyAmount(content) {
+  const match = content.match(/^(\d{6})([A-Z]{3})([\d,]+)$/);
+
+  if (!match) {
+    throw new Error(`Invalid amount field format: ${content}`);
+  }
+
+  const [, date, currency, amount] = match;
+
+  return {
+    valueDate: parseSwiftDate(date),
+    currency,
+    amount: parseAmount(amount, currency)
+  };
+}
+
+/**
+ * Parse a currency/amount field (32B, 33B, 71F, 71G: 3!a15d)
+ * @param {string} content - Field content (e.g. "EUR10,00")
+ * @returns {Object} Currency and amount
+ */
+export function parseCurrencyAmount(content) {
+  const match = content.match(/^([A-Z]{3})([\d,]+)$/);
+
+  if (!match) {
+    throw new Error(`Invalid currency amount field format: ${content}`);
+  }
+
+  const [, currency, amount] = match;
+  return { currency, amount: parseAmount(amount, currency) };
+}
+
+/**
+ * Parse a balance field (60F/60M/62F/62M/64/65: 1!a6!n3!a15d)
+ * @param {string} content - Field content (e.g. "C230630USD10000,00")
+ * @returns {Object} Debit/credit mark, date, currency and amount
+ */
+export function parseBalance(content) {
+  const match = content.match(/^([CD])(\d{6})([A-Z]{3})([\d,]+)$/);
+
+  if (!match) {
+    throw new Error(`Invalid balance field format: ${content}`);
+  }
+
+  const [, mark, date, currency, amount] = match;
+
+  return {
+    mark,
+    date: parseSwiftDate(date),
+    currency,
+    amount: parseAmount(amount, currency)
+  };
+}
+
+/**
+ * Parse a category 5 amount field (19A: :4!c//[N]3!a15d)
+ * @param {string} content - Field content (e.g. ":SETT//USD1000,")
+ * @returns {Object} Qualifier, sign, currency and amount
+ */
+export function parseQualifiedAmount(content) {
+  const match = content.match(/^:([A-Z0-9]{4})\/\/(N?)([A-Z]{3})([\d,]+)$/);
+
+  if (!match) {
+    throw new Error(`Invalid qualified amount field format: ${content}`);
+  }
+
+  const [, qualifier, sign, currency, amount] = match;
+
+  return {
+    qualifier,
+    negative: sign === 'N',
+    currency,
+    amount: parseAmount(amount, currency)
+  };
+}
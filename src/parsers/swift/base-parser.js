@@ -24,6 +24,29 @@
 
 import winston from 'winston';
 import { v4 as uuidv4 } from 'uuid';
+import { parseHeaders } from './headers.js';
+import { serializeMessage } from './fin-writer.js';
+import { getFieldDefinition, findFieldByNumber, splitTag, COVER_SEQUENCE_TYPE } from './field-definitions.js';
+import { parseParty, institutionIdentifier } from './parties.js';
+import { loadBICDirectory, isWellFormedBIC, enrichInstitutions } from './bic-directory.js';
+import { ibanWarnings } from './iban.js';
+import { extractGpiFields, gpiWarnings } from './gpi.js';
+import { groupSequences, findCoverSequenceStart, STATEMENT_TYPES, CATEGORY_5_TYPES } from './sequences.js';
+import { tokenizeFIN } from './fin-tokenizer.js';
+import { parseDateCurrencyAmount, parseCurrencyAmount } from './amounts.js';
+import { assertFieldFormats } from './field-formats.js';
+import { assertNetworkRules } from './network-rules.js';
+import { parseStatement } from './statements.js';
+import { parseTradeConfirmation, parseSettlement } from './securities.js';
+import {
+  DOCUMENTARY_CREDIT_TYPES,
+  parseDocumentaryCredit,
+  parseCreditContinuation,
+  parseAmendment,
+  parseGuarantee
+} from './trade-finance.js';
+import { parseRequestForTransfer } from './transfers.js';
+import { foldEnvelopeContents, parseEmbeddedFieldList, parseProprietaryMessage } from './proprietary.js';
 
 // Configure logger
 const logger = winston.createLogger({
@@ -35,41 +58,20 @@ const logger = winston.createLogger({
   defaultMeta: { service: 'swift-parser' }
 });
 
-/**
- * SWIFT Message Field Definitions
- */
-const SWIFT_FIELDS = {
-  MT103: {
-    '20': 'transaction_reference',
-    '23B': 'bank_operation_code',
-    '32A': 'value_date_currency_amount',
-    '50K': 'ordering_customer',
-    '52A': 'ordering_institution',
-    '53A': 'senders_correspondent',
-    '56A': 'intermediary_institution',
-    '57A': 'account_with_institution',
-    '59': 'beneficiary_customer',
-    '70': 'remittance_information',
-    '71A': 'details_of_charges'
-  },
-  MT202: {
-    '20': 'transaction_reference',
-    '21': 'related_reference',
-    '32A': 'value_date_currency_amount',
-    '52A': 'ordering_institution',
-    '53A': 'senders_correspondent',
-    '56A': 'intermediary_institution',
-    '57A': 'account_with_institution',
-    '58A': 'beneficiary_institution',
-    '72': 'sender_to_receiver_information'
-  }
-};
-
 /**
  * SWIFT Message Parser Class
  */
 class SWIFTParser {
-  constructor() {
+  constructor(config = {}) {
+    this.config = {
+      // Check every field against its SWIFT format spec
+      strictValidation: config.strictValidation !== false,
+      ...config
+    };
+
+    // Optional offline BIC directory: a BICDirectory or the path of its file
+    this.bicDirectory = loadBICDirectory(config.bicDirectory);
+
     this.supportedMessageTypes = ['MT103', 'MT202'];
     logger.info('SWIFT Parser initialized', { 
       supportedTypes: this.supportedMessageTypes 
@@ -94,14 +96,14 @@ class SWIFTParser {
         throw new Error(`Unsupported message type: ${messageType}`);
       }
 
-      // Parse message fields
-      const fields = this.parseFields(rawMessage, messageType);
-      
-      // Validate required fields
-      this.validateRequiredFields(fields, messageType);
+      const parsedMessage = this.parseMessageOfType(rawMessage, messageType);
 
-      // Create standardized message object
-      const parsedMessage = this.createStandardizedMessage(fields, messageType);
+      if (parsedMessage.warnings.length > 0) {
+        logger.warn('Message parsed with warnings', {
+          messageType,
+          warnings: parsedMessage.warnings.map(warning => warning.message)
+        });
+      }
 
       logger.info('Message parsed successfully', {
         messageType,
@@ -121,15 +123,64 @@ class SWIFTParser {
     }
   }
 
+  /**
+   * Parse a SWIFT message whose type is already known, without checking it
+   * against the supported types
+   * @param {string} rawMessage - Raw SWIFT message
+   * @param {string} messageType - Message type (e.g. 'MT940')
+   * @returns {Object} Standardized message
+   */
+  parseMessageOfType(rawMessage, messageType) {
+    // Split the FIN envelope into blocks once, then work from the tokens
+    const envelope = tokenizeFIN(rawMessage);
+
+    // Parse message fields, keeping their order and repeated tags
+    const fieldList = this.parseFieldList(envelope, messageType);
+    const fields = this.indexFields(fieldList);
+
+    // Validate required fields
+    this.validateRequiredFields(fields, messageType);
+
+    // Parse header and trailer blocks (1, 2, 3 and 5)
+    const headers = parseHeaders(envelope);
+
+    // Validate field content against the format specs (charset, line length, line count)
+    // and the network validated rules that tie fields together, including the rules of
+    // the variant (STP, REMIT) selected by the validation flag in block 3
+    if (this.config.strictValidation) {
+      assertFieldFormats(messageType, fieldList);
+      assertNetworkRules(messageType, fieldList, headers.userHeader?.validationFlag);
+
+      // The sub-message of an MT798 is checked against its own dictionary
+      if (messageType === 'MT798') {
+        const embedded = parseEmbeddedFieldList(fieldList);
+        assertFieldFormats(embedded.messageType, embedded.fieldList);
+      }
+
+      // Sequence B of an MT202 COV is checked against the fields of the MT103 it covers
+      if (messageType === 'MT202') {
+        assertFieldFormats(COVER_SEQUENCE_TYPE, groupSequences(messageType, fieldList).sequenceB);
+      }
+    }
+
+    // Create standardized message object
+    return this.createStandardizedMessage(fields, messageType, headers, fieldList);
+  }
+
   /**
    * Extract message type from SWIFT header
    * @param {string} message - Raw SWIFT message
    * @returns {string} Message type (e.g., 'MT103')
    */
   extractMessageType(message) {
-    // SWIFT messages have {2:I103...} format where 103 is the message type
-    // Look for message type in block 2 (application header)
-    const headerMatch = message.match(/\{2:I(\d{3})/);
+    // SWIFT messages have {2:I103...} (input) or {2:O103...} (output) format
+    // where 103 is the message type. Look for it in block 2 (application header)
+    if (!message.includes('{')) {
+      throw new Error('Invalid SWIFT message format: missing application header');
+    }
+
+    const { blocks } = tokenizeFIN(message);
+    const headerMatch = blocks['2'] ? blocks['2'].content.match(/^[IO](\d{3})/) : null;
     
     if (!headerMatch) {
       throw new Error('Invalid SWIFT message format: missing application header');
@@ -143,45 +194,72 @@ class SWIFTParser {
   }
 
   /**
-   * Parse SWIFT message fields
-   * @param {string} message - Raw SWIFT message
+   * Parse SWIFT message fields into an ordered list, keeping repeated tags
+   * @param {string|Object} message - Raw SWIFT message or its tokenized envelope
    * @param {string} messageType - Message type
-   * @returns {Object} Parsed fields
+   * @returns {Array} Fields in block 4 order, with their offsets in the message
    */
-  parseFields(message, messageType) {
-    const fields = {};
-    const fieldDefinitions = SWIFT_FIELDS[messageType];
+  parseFieldList(message, messageType) {
+    const { blocks } = typeof message === 'string' ? tokenizeFIN(message) : message;
 
-    // Extract text block (block 4) containing the message fields
-    const textBlockMatch = message.match(/\{4:(.*?)\}/s);
+    // Text block (block 4) containing the message fields
+    const textBlock = blocks['4'];
     
-    if (!textBlockMatch) {
+    if (!textBlock) {
       throw new Error('Invalid SWIFT message format: missing text block');
     }
 
-    const textBlock = textBlockMatch[1];
-
-    // Parse individual fields using regex
-    // SWIFT fields start with :tag: followed by content
-    const fieldMatches = textBlock.match(/:(\d{2}[A-Z]?):(.*?)(?=:\d{2}[A-Z]?:|$)/gs);
-
-    if (!fieldMatches) {
+    if (textBlock.fields.length === 0) {
       throw new Error('No valid fields found in message');
     }
 
-    fieldMatches.forEach(match => {
-      const fieldMatch = match.match(/:(\d{2}[A-Z]?):(.*)/s);
-      if (fieldMatch) {
-        const tag = fieldMatch[1];
-        const content = fieldMatch[2].trim();
-        
-        if (fieldDefinitions[tag]) {
-          fields[tag] = {
-            tag,
-            name: fieldDefinitions[tag],
-            content
-          };
-        }
+    if (textBlock.leadingText) {
+      throw new Error(`Invalid SWIFT message format: unexpected content in text block at offset ${textBlock.leadingText.offset}`);
+    }
+
+    // The fields embedded in an MT798 belong to the content of its 77E
+    const tokens = messageType === 'MT798' ? foldEnvelopeContents(textBlock) : textBlock.fields;
+
+    // Sequence B of an MT202 COV carries the fields of the underlying customer credit transfer
+    const coverStart = messageType === 'MT202' ? findCoverSequenceStart(tokens) : -1;
+
+    return tokens.map(({ tag, content, start, end }, index) => {
+      const inCoverSequence = coverStart !== -1 && index >= coverStart;
+      const definition = getFieldDefinition(inCoverSequence ? COVER_SEQUENCE_TYPE : messageType, tag);
+
+      // Tags missing from the dictionary are kept with a null name
+      return {
+        tag,
+        name: definition ? definition.name : null,
+        option: definition ? definition.option : splitTag(tag).option,
+        content,
+        offset: { start, end }
+      };
+    });
+  }
+
+  /**
+   * Parse SWIFT message fields keyed by tag
+   * Repeated tags keep their first occurrence; use parseFieldList() for all of them
+   * @param {string|Object} message - Raw SWIFT message or its tokenized envelope
+   * @param {string} messageType - Message type
+   * @returns {Object} Parsed fields
+   */
+  parseFields(message, messageType) {
+    return this.indexFields(this.parseFieldList(message, messageType));
+  }
+
+  /**
+   * Index an ordered field list by tag (first occurrence wins)
+   * @param {Array} fieldList - Ordered fields
+   * @returns {Object} Fields keyed by tag
+   */
+  indexFields(fieldList) {
+    const fields = {};
+
+    fieldList.forEach(field => {
+      if (!fields[field.tag]) {
+        fields[field.tag] = field;
       }
     });
 
@@ -197,7 +275,12 @@ class SWIFTParser {
     const requiredFields = this.getRequiredFields(messageType);
     
     for (const requiredField of requiredFields) {
-      if (!fields[requiredField]) {
+      // A lowercase 'a' (e.g. 50a) accepts any option of the field
+      const present = requiredField.endsWith('a')
+        ? findFieldByNumber(fields, requiredField.slice(0, -1))
+        : fields[requiredField];
+
+      if (!present) {
         throw new Error(`Missing required field: ${requiredField} for ${messageType}`);
       }
     }
@@ -206,14 +289,27 @@ class SWIFTParser {
   /**
    * Get required fields for message type
    * @param {string} messageType - Message type
-   * @returns {Array} Required field tags
+   * @returns {Array} Required field tags ('a' suffix means any option)
    */
   getRequiredFields(messageType) {
     const required = {
-      MT103: ['20', '32A', '50K', '59'],
-      MT202: ['20', '32A', '52A', '58A']
+      MT103: ['20', '32A', '50a', '59a'],
+      MT202: ['20', '21', '32A', '58a'],
+      MT940: ['20', '25a', '28C', '60a', '62a'],
+      MT942: ['20', '25a', '28C', '34F', '13D'],
+      MT700: ['27', '40A', '20', '31C', '40E', '31D', '50', '59', '32B', '41a', '49'],
+      MT701: ['27', '20'],
+      MT707: ['27', '20', '21', '23', '52a', '31C', '26E', '30', '22A'],
+      MT710: ['27', '40B', '20', '21', '31C', '40E', '31D', '52a', '50', '59', '32B', '41a', '49'],
+      MT720: ['27', '40B', '20', '21', '31C', '40E', '31D', '50', '59', '32B', '41a', '49'],
+      MT760: ['15A', '27', '22A', '15B', '20', '30', '22D', '40C', '23B', '52a', '59a', '32B', '77U'],
+      MT798: ['20', '12', '77E']
     };
 
+    if (CATEGORY_5_TYPES.includes(messageType)) {
+      return ['20C', '23G'];
+    }
+
     return required[messageType] || [];
   }
 
@@ -221,16 +317,31 @@ class SWIFTParser {
    * Create standardized message object
    * @param {Object} fields - Parsed fields
    * @param {string} messageType - Message type
+   * @param {Object} headers - Parsed header and trailer blocks
+   * @param {Array} fieldList - Ordered fields including repeated tags
    * @returns {Object} Standardized message
    */
-  createStandardizedMessage(fields, messageType) {
+  createStandardizedMessage(fields, messageType, headers = null, fieldList = Object.values(fields)) {
+    // gpi tracking fields from block 3; the UETR identifies the payment across hops
+    const gpi = extractGpiFields(headers?.userHeader);
+
     const message = {
       id: uuidv4(),
       messageType,
       transactionReference: fields['20']?.content,
+      ...gpi,
       timestamp: new Date().toISOString(),
       status: 'parsed',
-      originalFields: fields
+      direction: headers?.applicationHeader?.direction ?? null,
+      headers,
+      originalFields: fields,
+      fieldList,
+      sequences: groupSequences(messageType, fieldList),
+      warnings: [
+        ...this.findUnrecognizedTags(fieldList, messageType),
+        ...this.findInvalidIBANs(fieldList),
+        ...gpiWarnings(gpi, messageType)
+      ]
     };
 
     // Parse amount and currency from field 32A
@@ -241,69 +352,203 @@ class SWIFTParser {
       message.valueDate = amountData.valueDate;
     }
 
-    // Parse sender and receiver based on message type
+    // Parse sender and receiver based on message type, whichever option is present
     if (messageType === 'MT103') {
-      message.sender = this.parseCustomerInfo(fields['50K']?.content);
-      message.receiver = this.parseCustomerInfo(fields['59']?.content);
-      message.orderingInstitution = fields['52A']?.content;
-      message.beneficiaryInstitution = fields['57A']?.content;
+      message.parties = this.parseParties(fields, {
+        orderingCustomer: '50',
+        sendingInstitution: '51',
+        orderingInstitution: '52',
+        sendersCorrespondent: '53',
+        receiversCorrespondent: '54',
+        thirdReimbursementInstitution: '55',
+        intermediaryInstitution: '56',
+        accountWithInstitution: '57',
+        beneficiaryCustomer: '59'
+      });
+      message.sender = message.parties.orderingCustomer;
+      message.receiver = message.parties.beneficiaryCustomer;
+      message.orderingInstitution = institutionIdentifier(message.parties.orderingInstitution);
+      message.beneficiaryInstitution = institutionIdentifier(message.parties.accountWithInstitution);
+      message.timeIndications = fieldList.filter(field => field.tag === '13C').map(field => field.content);
+      message.bankOperationCode = fields['23B']?.content ?? null;
+      message.instructionCodes = fieldList.filter(field => field.tag === '23E').map(field => field.content);
+      message.transactionTypeCode = fields['26T']?.content ?? null;
+      message.exchangeRate = fields['36'] ? fields['36'].content.replace(',', '.').replace(/\.$/, '') : null;
       message.remittanceInfo = fields['70']?.content;
+      message.detailsOfCharges = fields['71A']?.content ?? null;
+      message.senderToReceiverInfo = fields['72']?.content ?? null;
+      message.regulatoryReporting = fields['77B']?.content ?? null;
+      message.envelopeContents = fields['77T']?.content ?? null;
+
+      // Instructed amount and charges share the exact decimal representation of 32A
+      message.instructedAmount = fields['33B'] ? parseCurrencyAmount(fields['33B'].content) : null;
+      message.sendersCharges = fieldList.filter(field => field.tag === '71F').map(field => parseCurrencyAmount(field.content));
+      message.receiversCharges = fields['71G'] ? parseCurrencyAmount(fields['71G'].content) : null;
     } else if (messageType === 'MT202') {
-      message.orderingInstitution = fields['52A']?.content;
-      message.beneficiaryInstitution = fields['58A']?.content;
-      message.senderToReceiverInfo = fields['72']?.content;
+      // The institutions of the cover itself are those of sequence A
+      const { sequenceA, sequenceB } = message.sequences;
+      const institutionFields = this.indexFields(sequenceA);
+
+      message.parties = this.parseParties(institutionFields, {
+        orderingInstitution: '52',
+        sendersCorrespondent: '53',
+        receiversCorrespondent: '54',
+        intermediaryInstitution: '56',
+        accountWithInstitution: '57',
+        beneficiaryInstitution: '58'
+      });
+      message.orderingInstitution = institutionIdentifier(message.parties.orderingInstitution);
+      message.beneficiaryInstitution = institutionIdentifier(message.parties.beneficiaryInstitution);
+      message.relatedReference = fields['21']?.content ?? null;
+      message.timeIndications = sequenceA.filter(field => field.tag === '13C').map(field => field.content);
+      message.senderToReceiverInfo = institutionFields['72']?.content;
+      message.cover = headers?.userHeader?.validationFlag === 'COV';
+      message.underlyingCustomerCreditTransfer = sequenceB.length > 0
+        ? this.createUnderlyingCustomerCreditTransfer(message, sequenceB, headers)
+        : null;
+
+      if (sequenceB.length > 0 && !message.cover) {
+        message.warnings.push({
+          type: 'missing_cover_flag',
+          tag: '119',
+          message: 'Sequence B is only allowed in an MT202 COV: field 119 of block 3 must be COV'
+        });
+      }
+    } else if (STATEMENT_TYPES.includes(messageType)) {
+      message.statement = parseStatement(messageType, fieldList);
+      message.currency = message.statement.currency;
+    } else if (messageType === 'MT101') {
+      message.requestForTransfer = parseRequestForTransfer(fieldList);
+    } else if (CATEGORY_5_TYPES.includes(messageType)) {
+      if (messageType === 'MT515') {
+        message.tradeConfirmation = parseTradeConfirmation(fieldList);
+      } else {
+        message.settlement = parseSettlement(messageType, fieldList);
+      }
+
+      // Category 5 messages carry their reference in 20C and their amounts in 19A
+      const { reference, amounts } = message.tradeConfirmation || message.settlement;
+      const settlementAmount = amounts.find(amount => amount.qualifier === 'SETT') || amounts[0];
+      message.transactionReference = reference;
+      message.amount = settlementAmount?.amount;
+      message.currency = settlementAmount?.currency;
+    } else if (DOCUMENTARY_CREDIT_TYPES.includes(messageType)) {
+      message.documentaryCredit = parseDocumentaryCredit(fieldList, messageType);
+      message.amount = message.documentaryCredit.amount;
+      message.currency = message.documentaryCredit.currency;
+    } else if (messageType === 'MT701') {
+      message.creditContinuation = parseCreditContinuation(fieldList);
+    } else if (messageType === 'MT707') {
+      message.amendment = parseAmendment(fieldList);
+    } else if (messageType === 'MT760') {
+      message.guarantee = parseGuarantee(fieldList);
+      message.amount = message.guarantee.undertaking.amount;
+      message.currency = message.guarantee.undertaking.currency;
+    } else if (messageType === 'MT798') {
+      message.proprietaryMessage = parseProprietaryMessage(fieldList);
+      const { embeddedMessage } = message.proprietaryMessage;
+      const details = embeddedMessage.documentaryCredit || embeddedMessage.guarantee?.undertaking;
+
+      if (details) {
+        message.amount = details.amount;
+        message.currency = details.currency;
+      }
+      message.warnings.push(...embeddedMessage.warnings);
+    }
+
+    if (this.bicDirectory) {
+      message.warnings.push(...enrichInstitutions(message, this.bicDirectory));
     }
 
     return message;
   }
 
   /**
-   * Parse amount field (32A format: YYMMDDCCCNNNNNNNNN)
-   * @param {string} content - Field content
-   * @returns {Object} Parsed amount data
+   * Read sequence B of an MT202 COV as the standardized MT103 it covers
+   * The covered MT103 has its reference in field 21 of the cover and its
+   * interbank settlement amount in 32A; both share the UETR
+   * @param {Object} cover - Standardized MT202
+   * @param {Array} sequenceB - Sequence B fields
+   * @param {Object} headers - Parsed header and trailer blocks of the cover
+   * @returns {Object} Standardized MT103
+   */
+  createUnderlyingCustomerCreditTransfer(cover, sequenceB, headers) {
+    const transfer = this.createStandardizedMessage(this.indexFields(sequenceB), 'MT103', headers, sequenceB);
+
+    return {
+      ...transfer,
+      transactionReference: cover.relatedReference,
+      amount: cover.amount,
+      currency: cover.currency,
+      valueDate: cover.valueDate
+    };
+  }
+
+  /**
+   * Parse amount field (32A format: YYMMDD + currency + 15d amount)
+   * @param {string} content - Field content (e.g. "230701USD1000,00")
+   * @returns {Object} Value date, currency and exact decimal amount string
    */
   parseAmountField(content) {
-    // Format: YYMMDDCCCNNNNNNNNN (date + currency + amount)
-    const match = content.match(/^(\d{6})([A-Z]{3})([\d,\.]+)$/);
-    
-    if (!match) {
-      throw new Error(`Invalid amount field format: ${content}`);
-    }
+    return parseDateCurrencyAmount(content);
+  }
 
-    const [, dateStr, currency, amountStr] = match;
-    
-    // Parse date (YYMMDD) - Use UTC to avoid timezone issues
-    const year = 2000 + parseInt(dateStr.substring(0, 2));
-    const month = parseInt(dateStr.substring(2, 4)) - 1; // JS months are 0-based
-    const day = parseInt(dateStr.substring(4, 6));
-    const valueDate = new Date(Date.UTC(year, month, day));
+  /**
+   * List warnings for tags that are not in the field dictionary
+   * @param {Array} fieldList - Ordered fields
+   * @param {string} messageType - Message type
+   * @returns {Array} One warning per unrecognized tag
+   */
+  findUnrecognizedTags(fieldList, messageType) {
+    const tags = [...new Set(fieldList.filter(field => field.name === null).map(field => field.tag))];
+
+    return tags.map(tag => ({
+      type: 'unrecognized_tag',
+      tag,
+      message: `Unrecognized tag ${tag} for ${messageType}`
+    }));
+  }
 
-    // Parse amount (remove commas, convert to float)
-    const amount = parseFloat(amountStr.replace(/,/g, ''));
+  /**
+   * List warnings for party fields (50a-59a) whose account line holds an invalid IBAN
+   * @param {Array} fieldList - Ordered fields
+   * @returns {Array} One warning per invalid IBAN
+   */
+  findInvalidIBANs(fieldList) {
+    const accounts = fieldList
+      .filter(field => /^5\d[A-Z]?$/.test(field.tag))
+      .map(field => [field.tag, field.content.split('\n')[0].match(/^\/(?:[CD]\/)?([^/]+)$/)?.[1]]);
 
-    return {
-      valueDate: valueDate.toISOString().split('T')[0],
-      currency,
-      amount
-    };
+    return ibanWarnings(accounts);
+  }
+
+  /**
+   * Parse typed parties for a set of party field numbers
+   * @param {Object} fields - Parsed fields
+   * @param {Object} partyNumbers - Tag numbers keyed by party role
+   * @returns {Object} Typed parties keyed by role (null when absent)
+   */
+  parseParties(fields, partyNumbers) {
+    const parties = {};
+
+    Object.entries(partyNumbers).forEach(([role, number]) => {
+      const field = findFieldByNumber(fields, number);
+      parties[role] = field ? parseParty(field.option, field.content) : null;
+    });
+
+    return parties;
   }
 
   /**
    * Parse customer information
+   * Free-format options only take the first line as account when it starts
+   * with '/'; structured option F is read through its numbered line codes
    * @param {string} content - Customer field content
+   * @param {string} option - Field option letter (e.g. 'K', 'F', '' for :59:)
    * @returns {Object} Parsed customer info
    */
-  parseCustomerInfo(content) {
-    if (!content) return null;
-
-    const lines = content.split('\n').map(line => line.trim());
-    
-    return {
-      account: lines[0] || null,
-      name: lines[1] || null,
-      address: lines.slice(2).join(', ') || null,
-      raw: content
-    };
+  parseCustomerInfo(content, option = 'K') {
+    return parseParty(option, content);
   }
 
   /**
@@ -315,8 +560,18 @@ class SWIFTParser {
     return JSON.stringify(message, null, 2);
   }
 
+  /**
+   * Convert parsed message back to a FIN message
+   * @param {Object} message - Parsed or standardized message
+   * @returns {string} FIN message with CRLF line endings
+   */
+  serialize(message) {
+    return serializeMessage(message);
+  }
+
   /**
    * Validate BIC (Bank Identifier Code) format
+   * With a BIC directory, the BIC must also be listed in it
    * @param {string} bic - BIC code
    * @returns {boolean} True if valid
    */
@@ -324,12 +579,10 @@ class SWIFTParser {
     if (!bic || typeof bic !== 'string') return false;
     
     // BIC format: 8 or 11 characters
-    // 4 letters (institution) + 2 letters (country) + 2 alphanumeric (location) + optional 3 alphanumeric (branch)
-    const upperBic = bic.toUpperCase();
-    if (upperBic.length !== 8 && upperBic.length !== 11) return false;
-    
-    const bicPattern = /^[A-Z]{4}[A-Z]{2}[0-9A-Z]{2}([0-9A-Z]{3})?$/;
-    return bicPattern.test(upperBic);
+    // 4 letters (institution) + 2 letters (ISO 3166 country) + 2 alphanumeric (location) + optional 3 alphanumeric (branch)
+    if (!isWellFormedBIC(bic)) return false;
+
+    return this.bicDirectory ? this.bicDirectory.has(bic) : true;
   }
 
   /**
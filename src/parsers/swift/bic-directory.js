@@ -0,0 +1,257 @@
+/**
+ * Offline BIC Directory
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Loads a local export of the SWIFT BIC Plus or BIC Directory files and
+ * looks institutions up by BIC. Both layouts are read from their header row,
+ * tab, semicolon or comma separated:
+ *
+ *   BIC Plus       ... BIC8, BRANCH BIC, INSTITUTION NAME, CITY, ISO COUNTRY CODE ...
+ *   BIC Directory  ... BIC CODE, BRANCH CODE, INSTITUTION NAME, CITY HEADING ...
+ *
+ * The eighth character of a BIC tells test and training BICs ('0') and
+ * passive participants ('1') apart from connected ones.
+ */
+
+import { readFileSync } from 'fs';
+import { isCountryCode } from './countries.js';
+
+const BIC_PATTERN = /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+
+/**
+ * Header names of each directory column, BIC Plus first
+ */
+const COLUMNS = {
+  bic: ['BIC', 'BIC11'],
+  bic8: ['BIC8', 'BIC CODE'],
+  branchCode: ['BRANCH BIC', 'BRANCH CODE'],
+  institutionName: ['INSTITUTION NAME'],
+  city: ['CITY', 'CITY HEADING'],
+  country: ['ISO COUNTRY CODE', 'COUNTRY CODE'],
+  subtype: ['SUBTYPE INDICATOR', 'SUBTYPE INDICATION'],
+  modification: ['MODIFICATION FLAG']
+};
+
+/**
+ * Check that a BIC is a test and training BIC (location code ending in '0')
+ * @param {string} bic - BIC8 or BIC11
+ * @returns {boolean} True for test and training BICs
+ */
+export function isTestBIC(bic) {
+  return bic.charAt(7) === '0';
+}
+
+/**
+ * Check that a BIC belongs to a passive participant (location code ending in '1')
+ * @param {string} bic - BIC8 or BIC11
+ * @returns {boolean} True for passive BICs
+ */
+export function isPassiveBIC(bic) {
+  return bic.charAt(7) === '1';
+}
+
+/**
+ * Extend a BIC8 to its head office BIC11
+ * @param {string} bic - BIC8 or BIC11
+ * @returns {string} Uppercase BIC11
+ */
+function toBIC11(bic) {
+  const upperBic = bic.toUpperCase();
+  return upperBic.length === 8 ? `${upperBic}XXX` : upperBic;
+}
+
+/**
+ * Split one delimited line, honouring double-quoted values
+ * @param {string} line - Directory line
+ * @param {string} delimiter - Column separator
+ * @returns {Array} Trimmed values
+ */
+function splitLine(line, delimiter) {
+  const values = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const character = line[i];
+
+    if (quoted) {
+      if (character === '"' && line[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        value += character;
+      }
+    } else if (character === '"') {
+      quoted = true;
+    } else if (character === delimiter) {
+      values.push(value.trim());
+      value = '';
+    } else {
+      value += character;
+    }
+  }
+
+  values.push(value.trim());
+  return values;
+}
+
+/**
+ * BIC directory loaded in memory, keyed by BIC11
+ */
+export class BICDirectory {
+  /**
+   * @param {Array} entries - Directory entries as built by fromCSV()
+   */
+  constructor(entries) {
+    this.entries = new Map(entries.map(entry => [entry.bic, entry]));
+  }
+
+  /**
+   * Load a BIC Plus or BIC Directory export
+   * @param {string} content - File content with a header row
+   * @returns {BICDirectory} Directory
+   */
+  static fromCSV(content) {
+    const lines = content.split(/\r?\n/);
+    const header = lines[0];
+    const delimiter = ['\t', ';', ','].find(candidate => header.includes(candidate)) || ',';
+    const names = splitLine(header, delimiter).map(name => name.toUpperCase().replace(/[\s_]+/g, ' '));
+    const column = key => COLUMNS[key].map(name => names.indexOf(name)).find(index => index !== -1);
+    const indexes = Object.fromEntries(Object.keys(COLUMNS).map(key => [key, column(key)]));
+
+    if (indexes.bic === undefined && indexes.bic8 === undefined) {
+      throw new Error('Invalid BIC directory: header has no BIC column');
+    }
+
+    const entries = [];
+
+    lines.slice(1).forEach((line, index) => {
+      if (line.trim() === '') return;
+
+      const values = splitLine(line, delimiter);
+      const value = key => (indexes[key] === undefined ? null : values[indexes[key]] || null);
+
+      // Deletions of a delta file are not part of the directory
+      if (value('modification') === 'D') return;
+
+      const bic = (value('bic') || `${value('bic8') || ''}${value('branchCode') || 'XXX'}`).toUpperCase();
+
+      if (!BIC_PATTERN.test(bic)) {
+        throw new Error(`Invalid BIC directory: invalid BIC ${bic} on line ${index + 2}`);
+      }
+
+      entries.push({
+        bic: toBIC11(bic),
+        institutionName: value('institutionName'),
+        city: value('city'),
+        country: value('country') || bic.substring(4, 6),
+        test: isTestBIC(bic) || /TEST/i.test(value('subtype') || ''),
+        passive: isPassiveBIC(bic)
+      });
+    });
+
+    return new BICDirectory(entries);
+  }
+
+  /**
+   * Load a BIC directory from a local file
+   * @param {string} path - Path of the BIC Plus or BIC Directory export
+   * @returns {BICDirectory} Directory
+   */
+  static fromFile(path) {
+    return BICDirectory.fromCSV(readFileSync(path, 'utf8'));
+  }
+
+  /**
+   * Number of BICs in the directory
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Look an institution up by BIC8 (head office) or BIC11
+   * @param {string} bic - BIC
+   * @returns {Object|null} Institution name, city, country and test/passive flags
+   */
+  lookup(bic) {
+    return this.entries.get(toBIC11(bic)) || null;
+  }
+
+  /**
+   * Check that a BIC is in the directory
+   * @param {string} bic - BIC
+   * @returns {boolean} True when listed
+   */
+  has(bic) {
+    return this.entries.has(toBIC11(bic));
+  }
+}
+
+/**
+ * Resolve the bicDirectory option of a parser
+ * @param {BICDirectory|string|null} source - Directory, path of a directory file, or nothing
+ * @returns {BICDirectory|null} Directory
+ */
+export function loadBICDirectory(source) {
+  if (!source) return null;
+  return typeof source === 'string' ? BICDirectory.fromFile(source) : source;
+}
+
+/**
+ * Check the pattern and country code of a BIC
+ * @param {string} bic - BIC
+ * @returns {boolean} True for a well-formed BIC with an ISO 3166 country
+ */
+export function isWellFormedBIC(bic) {
+  const upperBic = bic.toUpperCase();
+  return BIC_PATTERN.test(upperBic) && isCountryCode(upperBic.substring(4, 6));
+}
+
+/**
+ * Add the directory entry of every option A party and of the block 2
+ * addresses to a standardized message
+ * @param {Object} message - Standardized message
+ * @param {BICDirectory} directory - BIC directory
+ * @returns {Array} Warnings for BICs missing from the directory
+ */
+export function enrichInstitutions(message, directory) {
+  const unknown = new Set();
+
+  const lookup = bic => {
+    const institution = directory.lookup(bic);
+    if (!institution) unknown.add(bic);
+    return institution;
+  };
+
+  const visit = value => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      if (value.type === 'bic' && value.bic) {
+        value.institution = lookup(value.bic);
+      }
+      Object.values(value).forEach(visit);
+    }
+  };
+
+  const { headers, ...content } = message;
+  const applicationHeader = headers?.applicationHeader;
+
+  if (applicationHeader?.receiverBic) {
+    applicationHeader.receiverInstitution = lookup(applicationHeader.receiverBic);
+  }
+  if (applicationHeader?.senderBic) {
+    applicationHeader.senderInstitution = lookup(applicationHeader.senderBic);
+  }
+  visit(content);
+
+  return [...unknown].map(bic => ({
+    type: 'unknown_bic',
+    bic,
+    message: `BIC ${bic} not found in the BIC directory`
+  }));
+}
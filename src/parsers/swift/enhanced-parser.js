@@ -2,7 +2,8 @@
  * Enhanced SWIFT Message Parser
  * Open-Source Implementation (Apache 2.0 License)
  * 
- * Supports MT103, MT202, MT515, MT700, and ISO 20022 messages
+ * Supports MT103, MT202, MT101, MT515, MT540-MT548, MT700, MT701, MT707, MT710,
+ * MT720, MT760, MT798, MT940, MT942, MT950 and ISO 20022 messages
  * Multi-format parser for BaNCS XML, FIS fixed-width, Temenos JSON
  * 
  * Banking Legacy-to-Blockchain B2BaaS Platform
@@ -12,6 +13,9 @@
 import winston from 'winston';
 import { v4 as uuidv4 } from 'uuid';
 import xml2js from 'xml2js';
+import SWIFTParser from './base-parser.js';
+import { SWIFT_FIELDS } from './field-definitions.js';
+import { detectFINMessageType } from './fin-tokenizer.js';
 
 // Configure logger
 const logger = winston.createLogger({
@@ -23,115 +27,6 @@ const logger = winston.createLogger({
   defaultMeta: { service: 'enhanced-swift-parser' }
 });
 
-/**
- * Enhanced SWIFT Message Field Definitions
- * Supporting multiple message types for comprehensive use case coverage
- */
-const SWIFT_FIELDS = {
-  // Cross-border payments
-  MT103: {
-    '20': 'transaction_reference',
-    '23B': 'bank_operation_code',
-    '32A': 'value_date_currency_amount',
-    '50K': 'ordering_customer',
-    '52A': 'ordering_institution',
-    '53A': 'senders_correspondent',
-    '56A': 'intermediary_institution',
-    '57A': 'account_with_institution',
-    '59': 'beneficiary_customer',
-    '70': 'remittance_information',
-    '71A': 'details_of_charges'
-  },
-  
-  // Financial institution transfers
-  MT202: {
-    '20': 'transaction_reference',
-    '21': 'related_reference',
-    '32A': 'value_date_currency_amount',
-    '52A': 'ordering_institution',
-    '53A': 'senders_correspondent',
-    '56A': 'intermediary_institution',
-    '57A': 'account_with_institution',
-    '58A': 'beneficiary_institution',
-    '72': 'sender_to_receiver_information'
-  },
-  
-  // Securities transactions (Tokenized Assets)
-  MT515: {
-    '20C': 'reference',
-    '23G': 'function',
-    '22F': 'indicator',
-    '97A': 'safekeeping_account',
-    '35B': 'security_identification',
-    '36B': 'quantity_of_financial_instrument',
-    '69A': 'trade_date',
-    '69B': 'settlement_date',
-    '90A': 'dealing_price',
-    '19A': 'amount'
-  },
-  
-  // Trade Finance (Letters of Credit)
-  MT700: {
-    '20': 'documentary_credit_number',
-    '31C': 'date_of_issue',
-    '31D': 'date_and_place_of_expiry',
-    '32B': 'currency_amount',
-    '39A': 'percentage_credit_amount_tolerance',
-    '41A': 'available_with_by',
-    '42C': 'drafts_at',
-    '43P': 'partial_shipments',
-    '43T': 'transhipment',
-    '44A': 'loading_on_board',
-    '44B': 'for_transportation_to',
-    '44C': 'latest_date_of_shipment',
-    '45A': 'description_of_goods',
-    '46A': 'documents_required',
-    '47A': 'additional_conditions',
-    '50': 'applicant',
-    '59': 'beneficiary'
-  },
-  
-  // Proprietary Message
-  MT798: {
-    '20': 'reference',
-    '21': 'related_reference',
-    '77A': 'proprietary_message',
-    '12': 'sub_message_type',
-    '77E': 'envelope_contents',
-    '32A': 'value_date_currency_amount',
-    '50K': 'ordering_customer',
-    '59': 'beneficiary'
-  },
-  
-  // Statement Message
-  MT950: {
-    '20': 'transaction_reference',
-    '25': 'account_identification',
-    '28C': 'statement_number',
-    '60F': 'opening_balance',
-    '61': 'statement_line',
-    '62F': 'closing_balance',
-    '64': 'closing_available_balance',
-    '65': 'forward_available_balance',
-    '86': 'information_to_account_owner'
-  },
-  
-  // Request for Transfer
-  MT101: {
-    '20': 'transaction_reference',
-    '23': 'instruction_code',
-    '32A': 'value_date_currency_amount',
-    '50A': 'instructing_party',
-    '51A': 'sending_institution',
-    '52A': 'account_with_institution',
-    '53A': 'account_with_institution',
-    '54A': 'receiving_institution',
-    '59': 'beneficiary_customer',
-    '70': 'remittance_information',
-    '71A': 'details_of_charges'
-  }
-};
-
 /**
  * ISO 20022 Message Types for Modern Banking Integration
  */
@@ -198,10 +93,19 @@ class EnhancedSWIFTParser {
       ...config
     };
 
+    // FIN parsing and standardization are shared with the core SWIFT parser
+    this.swiftParser = new SWIFTParser({
+      strictValidation: this.config.strictValidation,
+      bicDirectory: this.config.bicDirectory
+    });
+
     // Parser state
     this.parseHistory = new Map();
     this.errorLog = [];
-    this.supportedMessageTypes = ['MT103', 'MT202', 'MT515', 'MT700', 'MT798', 'MT950', 'MT101'];
+    this.supportedMessageTypes = [
+      'MT103', 'MT202', 'MT515', 'MT540', 'MT541', 'MT542', 'MT543', 'MT544', 'MT545', 'MT546', 'MT547', 'MT548',
+      'MT700', 'MT701', 'MT707', 'MT710', 'MT720', 'MT760', 'MT798', 'MT940', 'MT942', 'MT950', 'MT101'
+    ];
     this.supportedISO20022Types = ['pain.001', 'pacs.008', 'pacs.009', 'camt.053', 'camt.052'];
     this.supportedAdditionalFormats = ['SEPA', 'ACH_NACHA', 'EDIFACT', 'MTS'];
     
@@ -248,8 +152,24 @@ class EnhancedSWIFTParser {
         case 'MT103':
         case 'MT202': 
         case 'MT515':
+        case 'MT540':
+        case 'MT541':
+        case 'MT542':
+        case 'MT543':
+        case 'MT544':
+        case 'MT545':
+        case 'MT546':
+        case 'MT547':
+        case 'MT548':
         case 'MT700':
+        case 'MT701':
+        case 'MT707':
+        case 'MT710':
+        case 'MT720':
+        case 'MT760':
         case 'MT798':
+        case 'MT940':
+        case 'MT942':
         case 'MT950':
         case 'MT101':
           parsedResult = await this.parseSWIFTMessage(message, detectedFormat);
@@ -352,11 +272,9 @@ class EnhancedSWIFTParser {
     }
 
     // SWIFT message detection
-    if (message.includes('{1:') && message.includes('{2:') && message.includes('{4:')) {
-      const match = message.match(/\{2:I(\d{3})/);
-      if (match) {
-        return `MT${match[1]}`;
-      }
+    const finMessageType = detectFINMessageType(message);
+    if (finMessageType) {
+      return finMessageType;
     }
 
     // ISO 20022 detection
@@ -397,21 +315,26 @@ class EnhancedSWIFTParser {
 
   /**
    * Parse SWIFT message
+   * @param {string} message - Raw FIN message
+   * @param {string} messageType - Expected message type (e.g. 'MT940')
+   * @returns {Object} Standardized message with the type-specific content of its type
    */
   async parseSWIFTMessage(message, messageType) {
-    // Stub implementation for testing
-    return {
-      messageType,
-      transactionReference: '123456789',
-      amount: 100000,
-      currency: 'USD',
-      timestamp: new Date().toISOString(),
-      parseMetadata: {
-        parseId: uuidv4(),
-        parser: 'SWIFT',
-        format: messageType
-      }
+    const actualType = this.swiftParser.extractMessageType(message);
+
+    if (actualType !== messageType) {
+      throw new Error(`Message type mismatch: expected ${messageType}, application header has ${actualType}`);
+    }
+
+    const parsedMessage = this.swiftParser.parseMessageOfType(message, messageType);
+
+    parsedMessage.parseMetadata = {
+      parseId: uuidv4(),
+      parser: 'SWIFT',
+      format: messageType
     };
+
+    return parsedMessage;
   }
 
   /**
@@ -0,0 +1,502 @@
+/**
+ * SWIFT MT Field Definitions
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Fields whose letter is part of their identity (23B, 31C, 71A...) are keyed
+ * by the full tag. Fields that come in several options (50a, 52a, 57a, 59a...)
+ * are keyed by tag number and list the option letters they accept, with ''
+ * standing for the letterless variant (e.g. plain :59:).
+ *
+ * Every field carries its official format spec (e.g. '16x', '4*35x',
+ * '6!n3!a15d'); option fields carry one spec per option letter. A '$'
+ * separates the lines of a multi-line spec.
+ */
+
+/**
+ * BIC format: institution, country, location and optional branch code
+ */
+const BIC = '4!a2!a2!c[3!c]';
+
+/**
+ * Format specs shared by the party field options
+ */
+const PARTY_FORMATS = {
+  A: `[/1!a][/34x]$${BIC}`,
+  B: '[/1!a][/34x]$[35x]',
+  C: '/34x',
+  D: '[/1!a][/34x]$4*35x',
+  F: '35x$4*35x',
+  K: '[/34x]$4*35x',
+  '': '[/34x]$4*35x'
+};
+
+/**
+ * Build the options and format specs of a party field
+ * @param {Array} options - Accepted option letters
+ * @param {Object} overrides - Format specs that differ from PARTY_FORMATS
+ * @returns {Object} Options list and format specs keyed by option
+ */
+function partyOptions(options, overrides = {}) {
+  const format = {};
+  options.forEach(option => {
+    format[option] = overrides[option] || PARTY_FORMATS[option];
+  });
+  return { options, format };
+}
+
+/**
+ * Generic fields shared by the category 5 (securities) messages
+ * Their content starts with a qualifier, e.g. :98A::TRAD//20240701, and the
+ * messages are organized into :16R:/:16S: blocks
+ */
+const CATEGORY_5_FIELDS = {
+  '16R': { name: 'start_of_block', format: '16c' },
+  '16S': { name: 'end_of_block', format: '16c' },
+  '11A': { name: 'currency', format: ':4!c//3!a' },
+  '13A': { name: 'number_identification', format: ':4!c//3!c' },
+  '17B': { name: 'flag', format: ':4!c//1!a' },
+  '19A': { name: 'amount', format: ':4!c//[N]3!a15d' },
+  '20C': { name: 'reference', format: ':4!c//16x' },
+  '22': {
+    name: 'indicator',
+    options: ['F', 'H'],
+    format: { F: ':4!c/[8c]/4!c', H: ':4!c//4!c' }
+  },
+  '23G': { name: 'function_of_the_message', format: '4!c[/4!c]' },
+  '24B': { name: 'reason_code', format: ':4!c/[8c]/4!c' },
+  '25D': { name: 'status_code', format: ':4!c/[8c]/4!c' },
+  '35B': { name: 'identification_of_the_financial_instrument', format: '[ISIN1!e12!c]$[4*35x]' },
+  '36B': { name: 'quantity_of_financial_instrument', format: ':4!c//4!c/15d' },
+  '69': {
+    name: 'period',
+    options: ['A', 'B'],
+    format: { A: ':4!c//8!n/8!n', B: ':4!c//8!n6!n/8!n6!n' }
+  },
+  '70': {
+    name: 'narrative',
+    options: ['C', 'D', 'E'],
+    format: { C: ':4!c//35x$3*35x', D: ':4!c//35x$5*35x', E: ':4!c//35x$9*35x' }
+  },
+  '90': {
+    name: 'price',
+    options: ['A', 'B'],
+    format: { A: ':4!c//4!c/[N]15d', B: ':4!c//4!c/3!a15d' }
+  },
+  '92A': { name: 'rate', format: ':4!c//[N]15d' },
+  '94B': { name: 'place', format: ':4!c/[8c]/4!c[/30x]' },
+  '95': {
+    name: 'party',
+    options: ['C', 'P', 'Q', 'R'],
+    format: { C: ':4!c//2!a', P: `:4!c//${BIC}`, Q: ':4!c//35x$3*35x', R: ':4!c/8c/34x' }
+  },
+  '97': {
+    name: 'account',
+    options: ['A', 'B'],
+    format: { A: ':4!c//35x', B: ':4!c/[8c]/4!c/35x' }
+  },
+  '98': {
+    name: 'date_time',
+    options: ['A', 'B', 'C'],
+    format: { A: ':4!c//8!n', B: ':4!c/[8c]/4!c', C: ':4!c//8!n6!n' }
+  },
+  '99A': { name: 'number_count', format: ':4!c//[N]3!n' }
+};
+
+/**
+ * Terms shared by the documentary credit messages (MT700, MT707, MT710, MT720)
+ */
+const DOCUMENTARY_CREDIT_FIELDS = {
+  '27': { name: 'sequence_of_total', format: '1!n/1!n' },
+  '23': { name: 'reference_to_pre_advice', format: '16x' },
+  '31C': { name: 'date_of_issue', format: '6!n' },
+  '40E': { name: 'applicable_rules', format: '30x[/35x]' },
+  '31D': { name: 'date_and_place_of_expiry', format: '6!n29x' },
+  '50': { name: 'applicant', format: '4*35x' },
+  '59': { name: 'beneficiary', format: '[/34x]$4*35x' },
+  '32B': { name: 'currency_amount', format: '3!a15d' },
+  '39A': { name: 'percentage_credit_amount_tolerance', format: '2n/2n' },
+  '39C': { name: 'additional_amounts_covered', format: '4*35x' },
+  '41': {
+    name: 'available_with_by',
+    options: ['A', 'D'],
+    format: { A: `${BIC}$14x`, D: '4*35x$14x' }
+  },
+  '42C': { name: 'drafts_at', format: '3*35x' },
+  '42': { name: 'drawee', options: ['A', 'D'], format: { A: PARTY_FORMATS.A, D: PARTY_FORMATS.D } },
+  '42M': { name: 'mixed_payment_details', format: '4*35x' },
+  '42P': { name: 'negotiation_deferred_payment_details', format: '4*35x' },
+  '43P': { name: 'partial_shipments', format: '11x' },
+  '43T': { name: 'transhipment', format: '11x' },
+  '44A': { name: 'loading_on_board', format: '140z' },
+  '44B': { name: 'for_transportation_to', format: '140z' },
+  '44C': { name: 'latest_date_of_shipment', format: '6!n' },
+  '44D': { name: 'shipment_period', format: '6*65z' },
+  '71D': { name: 'charges', format: '6*35z' },
+  '48': { name: 'period_for_presentation', format: '3n[/35x]' },
+  '49': { name: 'confirmation_instructions', format: '7!x' },
+  '72Z': { name: 'sender_to_receiver_information', format: '6*35z' }
+};
+
+/**
+ * Narrative terms of an issued documentary credit, continued in MT701 fields 45B, 46B and 47B
+ */
+const CREDIT_NARRATIVE_FIELDS = {
+  '45A': { name: 'description_of_goods', format: '100*65z' },
+  '46A': { name: 'documents_required', format: '100*65z' },
+  '47A': { name: 'additional_conditions', format: '100*65z' }
+};
+
+/**
+ * Field definitions per message type
+ */
+const SWIFT_FIELDS = {
+  // Cross-border payments
+  MT103: {
+    '20': { name: 'transaction_reference', format: '16x' },
+    '13C': { name: 'time_indication', format: '/8c/4!n1!x4!n' },
+    '23B': { name: 'bank_operation_code', format: '4!c' },
+    '23E': { name: 'instruction_code', format: '4!c[/30x]' },
+    '26T': { name: 'transaction_type_code', format: '3!c' },
+    '32A': { name: 'value_date_currency_amount', format: '6!n3!a15d' },
+    '33B': { name: 'currency_instructed_amount', format: '3!a15d' },
+    '36': { name: 'exchange_rate', format: '12d' },
+    '50': { name: 'ordering_customer', ...partyOptions(['A', 'F', 'K']) },
+    '51A': { name: 'sending_institution', format: PARTY_FORMATS.A },
+    '52': { name: 'ordering_institution', ...partyOptions(['A', 'D']) },
+    '53': { name: 'senders_correspondent', ...partyOptions(['A', 'B', 'D']) },
+    '54': { name: 'receivers_correspondent', ...partyOptions(['A', 'B', 'D']) },
+    '55': { name: 'third_reimbursement_institution', ...partyOptions(['A', 'B', 'D']) },
+    '56': { name: 'intermediary_institution', ...partyOptions(['A', 'C', 'D']) },
+    '57': { name: 'account_with_institution', ...partyOptions(['A', 'B', 'C', 'D']) },
+    '59': { name: 'beneficiary_customer', ...partyOptions(['', 'A', 'F'], { F: '[/34x]$4*35x' }) },
+    '70': { name: 'remittance_information', format: '4*35x' },
+    '71A': { name: 'details_of_charges', format: '3!a' },
+    '71F': { name: 'senders_charges', format: '3!a15d' },
+    '71G': { name: 'receivers_charges', format: '3!a15d' },
+    '72': { name: 'sender_to_receiver_information', format: '6*35x' },
+    '77B': { name: 'regulatory_reporting', format: '3*35x' },
+    '77T': { name: 'envelope_contents', format: '9000z' }
+  },
+
+  // Financial institution transfers
+  MT202: {
+    '20': { name: 'transaction_reference', format: '16x' },
+    '21': { name: 'related_reference', format: '16x' },
+    '13C': { name: 'time_indication', format: '/8c/4!n1!x4!n' },
+    '32A': { name: 'value_date_currency_amount', format: '6!n3!a15d' },
+    '52': { name: 'ordering_institution', ...partyOptions(['A', 'D']) },
+    '53': { name: 'senders_correspondent', ...partyOptions(['A', 'B', 'D']) },
+    '54': { name: 'receivers_correspondent', ...partyOptions(['A', 'B', 'D']) },
+    '56': { name: 'intermediary_institution', ...partyOptions(['A', 'D']) },
+    '57': { name: 'account_with_institution', ...partyOptions(['A', 'B', 'D']) },
+    '58': { name: 'beneficiary_institution', ...partyOptions(['A', 'D']) },
+    '72': { name: 'sender_to_receiver_information', format: '6*35x' }
+  },
+
+  // Securities transactions (Tokenized Assets)
+  // Client Confirmation of Purchase or Sale
+  MT515: CATEGORY_5_FIELDS,
+
+  // Settlement instructions: receive/deliver, free/against payment
+  MT540: CATEGORY_5_FIELDS,
+  MT541: CATEGORY_5_FIELDS,
+  MT542: CATEGORY_5_FIELDS,
+  MT543: CATEGORY_5_FIELDS,
+
+  // Settlement confirmations
+  MT544: CATEGORY_5_FIELDS,
+  MT545: CATEGORY_5_FIELDS,
+  MT546: CATEGORY_5_FIELDS,
+  MT547: CATEGORY_5_FIELDS,
+
+  // Settlement Status and Processing Advice
+  MT548: CATEGORY_5_FIELDS,
+
+  // Trade Finance (Letters of Credit)
+  MT700: {
+    ...DOCUMENTARY_CREDIT_FIELDS,
+    ...CREDIT_NARRATIVE_FIELDS,
+    '40A': { name: 'form_of_documentary_credit', format: '24x' },
+    '20': { name: 'documentary_credit_number', format: '16x' },
+    '51': { name: 'applicant_bank', ...partyOptions(['A', 'D']) }
+  },
+
+  // Documentary credit continuation (fields 45B, 46B and 47B of an MT700)
+  MT701: {
+    '27': { name: 'sequence_of_total', format: '1!n/1!n' },
+    '20': { name: 'documentary_credit_number', format: '16x' },
+    '45B': { name: 'description_of_goods', format: '100*65z' },
+    '46B': { name: 'documents_required', format: '100*65z' },
+    '47B': { name: 'additional_conditions', format: '100*65z' }
+  },
+
+  // Amendment to a documentary credit
+  MT707: {
+    ...DOCUMENTARY_CREDIT_FIELDS,
+    '20': { name: 'senders_reference', format: '16x' },
+    '21': { name: 'receivers_reference', format: '16x' },
+    '23': { name: 'issuing_banks_reference', format: '16x' },
+    '52': { name: 'issuing_bank', ...partyOptions(['A', 'D']) },
+    '26E': { name: 'number_of_amendment', format: '3n' },
+    '30': { name: 'date_of_amendment', format: '6!n' },
+    '22A': { name: 'purpose_of_message', format: '4!c' },
+    '23S': { name: 'cancellation_request', format: '6!a' },
+    '40A': { name: 'form_of_documentary_credit', format: '24x' },
+    '32B': { name: 'increase_of_documentary_credit_amount', format: '3!a15d' },
+    '33B': { name: 'decrease_of_documentary_credit_amount', format: '3!a15d' },
+    '45B': { name: 'description_of_goods', format: '800*65z' },
+    '46B': { name: 'documents_required', format: '800*65z' },
+    '47B': { name: 'additional_conditions', format: '800*65z' }
+  },
+
+  // Advice of a third bank's documentary credit
+  MT710: {
+    ...DOCUMENTARY_CREDIT_FIELDS,
+    ...CREDIT_NARRATIVE_FIELDS,
+    '40B': { name: 'form_of_documentary_credit', format: '24x$24x' },
+    '20': { name: 'senders_reference', format: '16x' },
+    '21': { name: 'documentary_credit_number', format: '16x' },
+    '52': { name: 'issuing_bank', ...partyOptions(['A', 'D']) }
+  },
+
+  // Transfer of a documentary credit
+  MT720: {
+    ...DOCUMENTARY_CREDIT_FIELDS,
+    ...CREDIT_NARRATIVE_FIELDS,
+    '40B': { name: 'form_of_documentary_credit', format: '24x$24x' },
+    '20': { name: 'transferring_banks_reference', format: '16x' },
+    '21': { name: 'documentary_credit_number', format: '16x' },
+    '52': { name: 'issuing_bank_of_the_original_documentary_credit', ...partyOptions(['A', 'D']) },
+    '50': { name: 'first_beneficiary', format: '4*35x' },
+    '59': { name: 'second_beneficiary', format: '[/34x]$4*35x' }
+  },
+
+  // Issue of a demand guarantee or standby letter of credit, in sequences
+  // A (general information), B (undertaking) and C (local undertaking)
+  MT760: {
+    '15A': { name: 'new_sequence', format: '' },
+    '15B': { name: 'new_sequence', format: '' },
+    '15C': { name: 'new_sequence', format: '' },
+    '27': { name: 'sequence_of_total', format: '1!n/1!n' },
+    '22A': { name: 'purpose_of_message', format: '4!c' },
+    '72Z': { name: 'sender_to_receiver_information', format: '6*35z' },
+    '23X': { name: 'file_identification', format: '4!c/65x' },
+    '20': { name: 'undertaking_number', format: '16x' },
+    '30': { name: 'date_of_issue', format: '6!n' },
+    '31C': { name: 'requested_date_of_issue', format: '6!n' },
+    '22D': { name: 'form_of_undertaking', format: '4!c' },
+    '22K': { name: 'type_of_undertaking', format: '4!c[/35x]' },
+    '40C': { name: 'applicable_rules', format: '4!a[/35x]' },
+    '23B': { name: 'expiry_type', format: '4!c' },
+    '31E': { name: 'date_of_expiry', format: '6!n' },
+    '35G': { name: 'expiry_condition_event', format: '12*65z' },
+    '50': { name: 'applicant', format: '4*35x' },
+    '51': { name: 'obligor_instructing_party', format: '4*35x' },
+    '52': { name: 'issuer', ...partyOptions(['A', 'D']) },
+    '56': { name: 'advising_bank', ...partyOptions(['A', 'D']) },
+    '23': { name: 'advising_bank_reference', format: '16x' },
+    '57': { name: 'advise_through_bank', ...partyOptions(['A', 'D']) },
+    '59': { name: 'beneficiary', ...partyOptions(['', 'A']) },
+    '32B': { name: 'undertaking_amount', format: '3!a15d' },
+    '39F': { name: 'supplementary_information_about_amount', format: '12*65z' },
+    '71D': { name: 'charges', format: '6*35z' },
+    '45C': { name: 'document_and_presentation_instructions', format: '100*65z' },
+    '45L': { name: 'underlying_transaction_details', format: '50*65z' },
+    '77U': { name: 'undertaking_terms_and_conditions', format: '150*65z' },
+    '77L': { name: 'requested_local_undertaking_terms_and_conditions', format: '150*65z' },
+    '49': { name: 'confirmation_indicator', format: '7!x' },
+    '44J': { name: 'governing_law_and_place_of_jurisdiction', format: '2!a[/65x]' }
+  },
+
+  // Proprietary Message: an envelope whose 77E carries the fields of the
+  // sub-message type given in field 12
+  MT798: {
+    '20': { name: 'transaction_reference_number', format: '16x' },
+    '12': { name: 'sub_message_type', format: '3!n' },
+    '77E': { name: 'proprietary_message', format: '73z$[9999*78z]' }
+  },
+
+  // Statement Message
+  MT950: {
+    '20': { name: 'transaction_reference', format: '16x' },
+    '25': { name: 'account_identification', format: '35x' },
+    '28C': { name: 'statement_number', format: '5n[/5n]' },
+    '60': { name: 'opening_balance', options: ['F', 'M'], format: { F: '1!a6!n3!a15d', M: '1!a6!n3!a15d' } },
+    '61': { name: 'statement_line', format: '6!n[4!n]2a[1!a]15d1!a3!c16x[//16x]$[34x]' },
+    '62': { name: 'closing_balance', options: ['F', 'M'], format: { F: '1!a6!n3!a15d', M: '1!a6!n3!a15d' } },
+    '64': { name: 'closing_available_balance', format: '1!a6!n3!a15d' },
+    '65': { name: 'forward_available_balance', format: '1!a6!n3!a15d' },
+    '86': { name: 'information_to_account_owner', format: '6*65x' }
+  },
+
+  // Customer Statement Message
+  MT940: {
+    '20': { name: 'transaction_reference', format: '16x' },
+    '21': { name: 'related_reference', format: '16x' },
+    '25': { name: 'account_identification', options: ['', 'P'], format: { '': '35x', P: `35x$${BIC}` } },
+    '28C': { name: 'statement_number', format: '5n[/5n]' },
+    '60': { name: 'opening_balance', options: ['F', 'M'], format: { F: '1!a6!n3!a15d', M: '1!a6!n3!a15d' } },
+    '61': { name: 'statement_line', format: '6!n[4!n]2a[1!a]15d1!a3!c16x[//16x]$[34x]' },
+    '86': { name: 'information_to_account_owner', format: '6*65x' },
+    '62': { name: 'closing_balance', options: ['F', 'M'], format: { F: '1!a6!n3!a15d', M: '1!a6!n3!a15d' } },
+    '64': { name: 'closing_available_balance', format: '1!a6!n3!a15d' },
+    '65': { name: 'forward_available_balance', format: '1!a6!n3!a15d' }
+  },
+
+  // Interim Transaction Report
+  MT942: {
+    '20': { name: 'transaction_reference', format: '16x' },
+    '21': { name: 'related_reference', format: '16x' },
+    '25': { name: 'account_identification', options: ['', 'P'], format: { '': '35x', P: `35x$${BIC}` } },
+    '28C': { name: 'statement_number', format: '5n[/5n]' },
+    '34F': { name: 'floor_limit_indicator', format: '3!a[1!a]15d' },
+    '13D': { name: 'date_time_indication', format: '6!n4!n1!x4!n' },
+    '61': { name: 'statement_line', format: '6!n[4!n]2a[1!a]15d1!a3!c16x[//16x]$[34x]' },
+    '86': { name: 'information_to_account_owner', format: '6*65x' },
+    '90D': { name: 'number_and_sum_of_debits', format: '5n3!a15d' },
+    '90C': { name: 'number_and_sum_of_credits', format: '5n3!a15d' }
+  },
+
+  // Request for Transfer
+  MT101: {
+    '20': { name: 'transaction_reference', format: '16x' },
+    '21R': { name: 'customer_specified_reference', format: '16x' },
+    '28D': { name: 'message_index_total', format: '5n/5n' },
+    '30': { name: 'requested_execution_date', format: '6!n' },
+    '25': { name: 'authorisation', format: '35x' },
+    '21': { name: 'transaction_reference_b', format: '16x' },
+    '21F': { name: 'fx_deal_reference', format: '16x' },
+    '23E': { name: 'instruction_code', format: '4!c[/30x]' },
+    '32B': { name: 'currency_amount', format: '3!a15d' },
+    '50': {
+      name: 'ordering_customer',
+      ...partyOptions(['C', 'F', 'G', 'H', 'L'], { C: BIC, G: `/34x$${BIC}`, H: '/34x$4*35x', L: '35x' }),
+      optionNames: { C: 'instructing_party', L: 'instructing_party' }
+    },
+    '51A': { name: 'sending_institution', format: PARTY_FORMATS.A },
+    '52': { name: 'account_servicing_institution', ...partyOptions(['A', 'C']) },
+    '56': { name: 'intermediary', ...partyOptions(['A', 'C', 'D']) },
+    '57': { name: 'account_with_institution', ...partyOptions(['A', 'C', 'D']) },
+    '59': { name: 'beneficiary_customer', ...partyOptions(['', 'A', 'F'], { F: '[/34x]$4*35x' }) },
+    '70': { name: 'remittance_information', format: '4*35x' },
+    '77B': { name: 'regulatory_reporting', format: '3*35x' },
+    '33B': { name: 'currency_original_ordered_amount', format: '3!a15d' },
+    '71A': { name: 'details_of_charges', format: '3!a' },
+    '25A': { name: 'charges_account', format: '/34x' },
+    '36': { name: 'exchange_rate', format: '12d' }
+  }
+};
+
+/**
+ * Fields that identify the page and the customer reference of an MT798 sub-message
+ */
+const TRADE_PAGE_FIELDS = {
+  '27A': { name: 'message_index_total', format: '2n/2n' },
+  '21A': { name: 'customer_reference_number', format: '16x' }
+};
+
+/**
+ * Fields of the MT798 index messages that open a corporate-to-bank trade exchange
+ */
+const TRADE_INDEX_FIELDS = {
+  ...TRADE_PAGE_FIELDS,
+  '21T': { name: 'customer_business_reference', format: '35x' },
+  '21P': { name: 'bank_reference_number', format: '16x' },
+  '13E': { name: 'message_creation_date_time', format: '8!n4!n' },
+  '29A': { name: 'customer_contact', format: '4*35x' },
+  '29B': { name: 'bank_contact', format: '4*35x' },
+  '72Z': { name: 'sender_to_receiver_information', format: '6*35z' }
+};
+
+// MT798 sub-messages, keyed as MT798<sub-message type>: the fields carried in 77E
+Object.assign(SWIFT_FIELDS, {
+  // Application for documentary credit (index)
+  'MT798<770>': {
+    ...TRADE_INDEX_FIELDS,
+    '51': { name: 'applicant_bank', ...partyOptions(['A', 'D']) }
+  },
+
+  // Notification of issuance of documentary credit (index)
+  'MT798<774>': {
+    ...TRADE_INDEX_FIELDS,
+    '20': { name: 'documentary_credit_number', format: '16x' },
+    '31C': { name: 'date_of_issue', format: '6!n' },
+    '52': { name: 'issuing_bank', ...partyOptions(['A', 'D']) }
+  },
+
+  // Application for guarantee or standby letter of credit (index)
+  'MT798<784>': {
+    ...TRADE_INDEX_FIELDS,
+    '52': { name: 'issuing_bank', ...partyOptions(['A', 'D']) }
+  },
+
+  // Details and extension of a documentary credit, details of a guarantee
+  'MT798<700>': { ...TRADE_PAGE_FIELDS, ...SWIFT_FIELDS.MT700 },
+  'MT798<701>': { ...TRADE_PAGE_FIELDS, ...SWIFT_FIELDS.MT701 },
+  'MT798<760>': { ...TRADE_PAGE_FIELDS, ...SWIFT_FIELDS.MT760 }
+});
+
+/**
+ * Dictionary key of sequence B of an MT202 COV
+ */
+export const COVER_SEQUENCE_TYPE = 'MT202<COV>';
+
+// Sequence B of an MT202 COV: the underlying customer credit transfer, with the
+// fields and options of the MT103 it covers
+SWIFT_FIELDS[COVER_SEQUENCE_TYPE] = Object.fromEntries(
+  ['50', '52', '56', '57', '59', '70', '72', '33B'].map(tag => [tag, SWIFT_FIELDS.MT103[tag]])
+);
+
+/**
+ * Split a field tag into its number and option letter
+ * @param {string} tag - Field tag (e.g. '50K', '59', '20C')
+ * @returns {Object} Tag number and option ('' when there is no letter)
+ */
+export function splitTag(tag) {
+  const match = tag.match(/^(\d{2})([A-Z]?)$/);
+
+  if (!match) {
+    throw new Error(`Invalid field tag: ${tag}`);
+  }
+
+  return { number: match[1], option: match[2] };
+}
+
+/**
+ * Resolve the definition of a tag within a message type dictionary
+ * @param {string} messageType - Message type (e.g. 'MT103')
+ * @param {string} tag - Field tag as it appears in block 4
+ * @returns {Object|null} Field name, number, option and format spec, or null when not defined
+ */
+export function getFieldDefinition(messageType, tag) {
+  const definitions = SWIFT_FIELDS[messageType];
+  if (!definitions) return null;
+
+  const { number, option } = splitTag(tag);
+
+  const exact = definitions[tag];
+  if (exact && !exact.options) {
+    return { name: exact.name, number, option, format: exact.format };
+  }
+
+  const byNumber = definitions[number];
+  if (byNumber && byNumber.options && byNumber.options.includes(option)) {
+    const name = byNumber.optionNames?.[option] || byNumber.name;
+    return { name, number, option, format: byNumber.format[option] };
+  }
+
+  return null;
+}
+
+/**
+ * Find the field present for a tag number, whichever option was used
+ * @param {Object} fields - Parsed fields keyed by tag
+ * @param {string} number - Tag number (e.g. '50')
+ * @returns {Object|null} The matching field or null
+ */
+export function findFieldByNumber(fields, number) {
+  const tag = Object.keys(fields).find(key => splitTag(key).number === number);
+  return tag ? fields[tag] : null;
+}
+
+export { SWIFT_FIELDS };
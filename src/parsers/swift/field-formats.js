@@ -0,0 +1,234 @@
+/**
+ * SWIFT Field Format Validation
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Checks block 4 field content against the format specs of the field
+ * dictionary, using the SWIFT notation:
+ *   n digits, a uppercase letters, c uppercase alphanumerics, x SWIFT X set,
+ *   z SWIFT Z set, e space, d decimal amount with a comma
+ *   16x  up to 16 characters      6!n  exactly 6 characters
+ *   4*35x  up to 4 lines of up to 35 characters
+ *   [...]  optional part          $  line separator
+ */
+
+import { getFieldDefinition } from './field-definitions.js';
+
+/**
+ * Character classes of the format notation
+ */
+const CHARSETS = {
+  n: '[0-9]',
+  a: '[A-Z]',
+  c: '[A-Z0-9]',
+  x: "[A-Za-z0-9/\\-?:().,'+ ]",
+  z: "[A-Za-z0-9/\\-?:().,'+ =!\"%&*<>;{@#_]",
+  e: ' '
+};
+
+const X_CHARACTER = new RegExp(`^${CHARSETS.x}$`);
+const Z_CHARACTER = new RegExp(`^${CHARSETS.z}$`);
+
+/**
+ * Reference fields that must not start or end with '/' or contain '//'
+ */
+const REFERENCE_FIELDS = ['20', '21'];
+
+const compiledFormats = new Map();
+
+/**
+ * Regular expression source for a 15d style amount: digits with one decimal comma
+ * @param {number} length - Maximum length, comma included
+ * @returns {string} Regular expression source
+ */
+function decimalSource(length) {
+  return `(?=[0-9,]{1,${length}}(?![0-9,]))[0-9]+,[0-9]*`;
+}
+
+/**
+ * Compile the components of a single-line spec (e.g. '6!n3!a15d')
+ * @param {string} spec - Single-line format spec
+ * @returns {Object} Regular expression source and maximum line length
+ */
+function compileComponents(spec) {
+  let source = '';
+  let maxLength = 0;
+  let i = 0;
+
+  while (i < spec.length) {
+    if (spec[i] === '[') {
+      const close = spec.indexOf(']', i);
+      const optional = compileComponents(spec.substring(i + 1, close));
+      source += `(?:${optional.source})?`;
+      maxLength += optional.maxLength;
+      i = close + 1;
+      continue;
+    }
+
+    const component = spec.substring(i).match(/^(\d+)(!?)([nacxzed])/);
+
+    if (component) {
+      const [token, length, exact, charset] = component;
+      source += charset === 'd'
+        ? decimalSource(length)
+        : `${CHARSETS[charset]}{${exact ? length : `1,${length}`}}`;
+      maxLength += Number(length);
+      i += token.length;
+    } else {
+      // Anything else is a literal, such as '/', '//', ':' or 'ISIN'
+      source += spec[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      maxLength += 1;
+      i++;
+    }
+  }
+
+  return { source, maxLength };
+}
+
+/**
+ * Compile one line of a format spec
+ * @param {string} spec - Line spec (e.g. '[/34x]', '4*35x', '4!a2!a2!c[3!c]')
+ * @returns {Object} Line pattern, how many lines it takes and their maximum length
+ */
+function compileLine(spec) {
+  const repeated = spec.match(/^(\[?)(\d+)\*(\d+)([a-z])\]?$/);
+
+  if (repeated) {
+    const [, optional, lines, length, charset] = repeated;
+    return {
+      pattern: new RegExp(`^${CHARSETS[charset]}{1,${length}}$`),
+      min: optional ? 0 : 1,
+      max: Number(lines),
+      maxLength: Number(length)
+    };
+  }
+
+  const { source, maxLength } = compileComponents(spec);
+  const pattern = new RegExp(`^${source}$`);
+
+  return { pattern, min: pattern.test('') ? 0 : 1, max: 1, maxLength };
+}
+
+/**
+ * Compile a format spec into line specs, caching the result
+ * @param {string} format - Format spec (e.g. '[/34x]$4*35x')
+ * @returns {Array} Line specs
+ */
+function compileFormat(format) {
+  if (!compiledFormats.has(format)) {
+    compiledFormats.set(format, format.split('$').map(compileLine));
+  }
+  return compiledFormats.get(format);
+}
+
+/**
+ * Check whether field lines fit a sequence of line specs
+ * @param {Array} specs - Line specs
+ * @param {Array} lines - Field lines
+ * @param {number} specIndex - Current line spec
+ * @param {number} lineIndex - Current line
+ * @returns {boolean} True if every line is consumed by the specs
+ */
+function matchLines(specs, lines, specIndex = 0, lineIndex = 0) {
+  if (specIndex === specs.length) {
+    return lineIndex === lines.length;
+  }
+
+  const spec = specs[specIndex];
+
+  for (let count = 0; count <= spec.max && lineIndex + count <= lines.length; count++) {
+    if (count > 0 && !spec.pattern.test(lines[lineIndex + count - 1])) {
+      return false;
+    }
+    if (count >= spec.min && matchLines(specs, lines, specIndex + 1, lineIndex + count)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Validate the content of one field against its format spec
+ * @param {string} tag - Field tag (e.g. '50K')
+ * @param {string} format - Format spec (e.g. '[/34x]$4*35x')
+ * @param {string} content - Field content
+ * @returns {Array} Violations with the tag and, where known, the line number
+ */
+export function validateFieldContent(tag, format, content) {
+  const lines = content.split('\n');
+  const characterPattern = format.includes('z') ? Z_CHARACTER : X_CHARACTER;
+  const violations = [];
+
+  const violation = (line, reason) => ({
+    type: 'field_format',
+    tag,
+    line,
+    message: `Field ${tag}${line ? ` line ${line}` : ''}: ${reason}`
+  });
+
+  lines.forEach((line, index) => {
+    const invalid = [...line].find(character => !characterPattern.test(character));
+    if (invalid !== undefined) {
+      violations.push(violation(index + 1, `invalid character '${invalid}'`));
+    }
+  });
+
+  const specs = compileFormat(format);
+
+  if (!matchLines(specs, lines)) {
+    const maxLines = specs.reduce((total, spec) => total + spec.max, 0);
+    const maxLength = Math.max(...specs.map(spec => spec.maxLength));
+    const shapeViolations = [];
+
+    if (lines.length > maxLines) {
+      shapeViolations.push(violation(maxLines + 1, `${lines.length} lines, at most ${maxLines} allowed`));
+    }
+
+    lines.forEach((line, index) => {
+      if (line.length > maxLength) {
+        shapeViolations.push(violation(index + 1, `${line.length} characters, at most ${maxLength} allowed`));
+      }
+    });
+
+    if (shapeViolations.length === 0 && violations.length === 0) {
+      shapeViolations.push(violation(null, `does not match format ${format}`));
+    }
+
+    violations.push(...shapeViolations);
+  }
+
+  if (REFERENCE_FIELDS.includes(tag) && (/^\/|\/$/.test(content) || content.includes('//'))) {
+    violations.push(violation(1, "must not start or end with '/' or contain '//'"));
+  }
+
+  return violations;
+}
+
+/**
+ * Validate every known field of a message against its format spec
+ * Tags missing from the dictionary are skipped; they are reported as warnings
+ * @param {string} messageType - Message type (e.g. 'MT103')
+ * @param {Array} fieldList - Ordered fields with tag and content
+ * @returns {Array} Violations in field order
+ */
+export function validateFieldFormats(messageType, fieldList) {
+  return fieldList.flatMap(field => {
+    const definition = getFieldDefinition(messageType, field.tag);
+    return definition ? validateFieldContent(field.tag, definition.format, field.content) : [];
+  });
+}
+
+/**
+ * Throw when any field of a message violates its format spec
+ * @param {string} messageType - Message type (e.g. 'MT103')
+ * @param {Array} fieldList - Ordered fields with tag and content
+ */
+export function assertFieldFormats(messageType, fieldList) {
+  const violations = validateFieldFormats(messageType, fieldList);
+
+  if (violations.length > 0) {
+    const error = new Error(`Invalid field format: ${violations.map(violation => violation.message).join('; ')}`);
+    error.violations = violations;
+    throw error;
+  }
+}
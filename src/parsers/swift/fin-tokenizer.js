@@ -0,0 +1,232 @@
+/**
+ * SWIFT FIN Envelope Tokenizer
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Single-pass, brace-aware tokenizer for the FIN envelope:
+ *   {1:...}{2:...}{3:{108:...}{121:...}}{4:\r\n:20:...\r\n-}{5:{CHK:...}}
+ *
+ * - Blocks 1 and 2 hold plain content
+ * - Blocks 3, 5 and S hold a list of {tag:value} sub-blocks
+ * - Block 4 runs until its "-}" terminator, so braces in free text are safe
+ *
+ * Every token carries exact character offsets into the original message.
+ * Anything other than whitespace outside a block is rejected.
+ */
+
+const PLAIN_BLOCKS = ['1', '2'];
+const TAGGED_BLOCKS = ['3', '5', 'S'];
+const TEXT_BLOCK = '4';
+
+const FIELD_TAG = /^:(\d{2}[A-Z]?):/;
+
+/**
+ * Build a tokenizer error pointing at an offset
+ * @param {string} reason - What went wrong
+ * @param {number} offset - Character offset in the message
+ * @returns {Error} Error with the offset attached
+ */
+function tokenError(reason, offset) {
+  const error = new Error(`Invalid SWIFT message format: ${reason} at offset ${offset}`);
+  error.offset = offset;
+  return error;
+}
+
+/**
+ * Read {tag:value} sub-blocks until the closing brace of the parent block
+ * @param {string} message - Raw message
+ * @param {number} position - Offset of the first character after "{n:"
+ * @param {string} blockId - Parent block identifier
+ * @returns {Object} Sub-block tokens and the offset of the closing brace
+ */
+function readTaggedBlock(message, position, blockId) {
+  const tags = [];
+  let i = position;
+
+  while (i < message.length && message[i] === '{') {
+    const close = message.indexOf('}', i);
+    const colon = message.indexOf(':', i);
+
+    if (close === -1) {
+      throw tokenError(`unterminated sub-block in block ${blockId}`, i);
+    }
+    if (colon === -1 || colon > close) {
+      throw tokenError(`malformed sub-block in block ${blockId}`, i);
+    }
+
+    const value = message.substring(colon + 1, close);
+    if (value.includes('{')) {
+      throw tokenError(`nested brace in block ${blockId}`, colon + 1 + value.indexOf('{'));
+    }
+
+    tags.push({
+      tag: message.substring(i + 1, colon),
+      value,
+      start: i,
+      end: close + 1
+    });
+    i = close + 1;
+  }
+
+  if (i >= message.length) {
+    throw tokenError(`unterminated block ${blockId}`, position);
+  }
+  if (message[i] !== '}') {
+    throw tokenError(`unexpected content in block ${blockId}`, i);
+  }
+
+  return { tags, close: i };
+}
+
+/**
+ * Find the end of block 4: "-}" at the start of a line, or a "-}" directly
+ * followed by whitespace, another block or the end of the message
+ * @param {string} message - Raw message
+ * @param {number} position - Offset of the first character of block 4 content
+ * @returns {Object} Offsets of the content end and of the closing brace
+ */
+function findTextBlockEnd(message, position) {
+  const lineTerminator = /\r?\n-\}/g;
+  lineTerminator.lastIndex = position;
+  const onOwnLine = lineTerminator.exec(message);
+
+  if (onOwnLine) {
+    return { contentEnd: onOwnLine.index, close: onOwnLine.index + onOwnLine[0].length - 1 };
+  }
+
+  let search = position;
+  while ((search = message.indexOf('-}', search)) !== -1) {
+    const next = message[search + 2];
+    if (next === undefined || next === '{' || /\s/.test(next)) {
+      return { contentEnd: search, close: search + 1 };
+    }
+    search += 2;
+  }
+
+  throw tokenError('unterminated block 4', position);
+}
+
+/**
+ * Split block 4 content into fields with their offsets
+ * @param {string} message - Raw message
+ * @param {number} start - Offset of the first character of block 4 content
+ * @param {number} end - Offset just after the last character of block 4 content
+ * @returns {Object} Field tokens plus any text that precedes the first field
+ */
+export function tokenizeTextBlock(message, start, end) {
+  const fields = [];
+  let leadingText = null;
+  let lineStart = start;
+
+  while (lineStart < end) {
+    let lineEnd = message.indexOf('\n', lineStart);
+    if (lineEnd === -1 || lineEnd > end) lineEnd = end;
+
+    const line = message.substring(lineStart, lineEnd).replace(/\r$/, '');
+    const tagMatch = line.match(FIELD_TAG);
+
+    if (tagMatch) {
+      fields.push({
+        tag: tagMatch[1],
+        start: lineStart,
+        contentStart: lineStart + tagMatch[0].length,
+        end: lineStart + line.length,
+        lines: [line.substring(tagMatch[0].length)]
+      });
+    } else if (fields.length > 0) {
+      const field = fields[fields.length - 1];
+      field.lines.push(line);
+      field.end = lineStart + line.length;
+    } else if (line.trim() !== '' && leadingText === null) {
+      leadingText = { text: line, offset: lineStart };
+    }
+
+    lineStart = lineEnd + 1;
+  }
+
+  return {
+    leadingText,
+    fields: fields.map(({ lines, ...field }) => ({
+      ...field,
+      content: lines.join('\n').trim()
+    }))
+  };
+}
+
+/**
+ * Tokenize a complete FIN message
+ * @param {string} message - Raw SWIFT message
+ * @returns {Object} Blocks keyed by identifier, in order of appearance
+ */
+export function tokenizeFIN(message) {
+  const blocks = {};
+  const order = [];
+  let i = 0;
+
+  while (i < message.length) {
+    if (/\s/.test(message[i])) {
+      i++;
+      continue;
+    }
+
+    if (message[i] !== '{') {
+      throw tokenError('unexpected content outside blocks', i);
+    }
+
+    const colon = message.indexOf(':', i);
+    const blockId = colon === -1 ? null : message.substring(i + 1, colon);
+    const contentStart = colon + 1;
+
+    if (blockId === null || ![...PLAIN_BLOCKS, ...TAGGED_BLOCKS, TEXT_BLOCK].includes(blockId)) {
+      throw tokenError('unknown block identifier', i);
+    }
+    if (blocks[blockId]) {
+      throw tokenError(`duplicate block ${blockId}`, i);
+    }
+
+    let block;
+
+    if (PLAIN_BLOCKS.includes(blockId)) {
+      const close = message.indexOf('}', contentStart);
+      const nested = message.indexOf('{', contentStart);
+
+      if (close === -1) {
+        throw tokenError(`unterminated block ${blockId}`, contentStart);
+      }
+      if (nested !== -1 && nested < close) {
+        throw tokenError(`nested brace in block ${blockId}`, nested);
+      }
+
+      block = { content: message.substring(contentStart, close), end: close + 1 };
+    } else if (TAGGED_BLOCKS.includes(blockId)) {
+      const { tags, close } = readTaggedBlock(message, contentStart, blockId);
+      block = { content: message.substring(contentStart, close), tags, end: close + 1 };
+    } else {
+      const { contentEnd, close } = findTextBlockEnd(message, contentStart);
+      const { fields, leadingText } = tokenizeTextBlock(message, contentStart, contentEnd);
+      block = { content: message.substring(contentStart, contentEnd), fields, leadingText, end: close + 1 };
+    }
+
+    blocks[blockId] = { id: blockId, start: i, contentStart, ...block };
+    order.push(blockId);
+    i = block.end;
+  }
+
+  return { blocks, order };
+}
+
+/**
+ * Detect the MT message type of a FIN message without throwing
+ * @param {string} message - Raw message
+ * @returns {string|null} Message type (e.g. 'MT103') or null when not a FIN message
+ */
+export function detectFINMessageType(message) {
+  try {
+    const { blocks } = tokenizeFIN(message);
+    if (!blocks['1'] || !blocks['2'] || !blocks['4']) return null;
+
+    const match = blocks['2'].content.match(/^[IO](\d{3})/);
+    return match ? `MT${match[1]}` : null;
+  } catch (error) {
+    return null;
+  }
+}
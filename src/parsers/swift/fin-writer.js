@@ -0,0 +1,282 @@
+/**
+ * SWIFT FIN Message Writer
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Serializes messages back to FIN text, the reverse of the tokenizer and
+ * header parsers:
+ *
+ *   {1:F01AAAAGRA0AXXX0000000000}{2:I103BBBBGRB0XXXXN}{3:{108:MUR1}}{4:
+ *   :20:REF1
+ *   :32A:230701USD1000,00
+ *   -}{5:{CHK:123456789ABC}}
+ *
+ * A parsed message is written from its field list, so parse -> serialize ->
+ * parse gives back the same fields and headers. MT103 and MT202 objects built
+ * by hand can be written from their standardized properties instead. Every
+ * field is checked against its format spec, and the mandatory fields of an
+ * MT103 or MT202 must be present, before anything is emitted; lines are
+ * separated with CRLF as FIN requires.
+ */
+
+import { getFieldDefinition } from './field-definitions.js';
+import { validateFieldContent } from './field-formats.js';
+import { formatAmount, formatSwiftDate } from './amounts.js';
+
+/**
+ * FIN line separator
+ */
+const CRLF = '\r\n';
+
+/**
+ * Format applied to tags missing from the field dictionary
+ */
+const UNKNOWN_FIELD_FORMAT = '100*78x';
+
+/**
+ * Format a currency/amount field (32B, 33B, 71F, 71G: 3!a15d)
+ * @param {Object} value - Currency and decimal amount
+ * @returns {string} Field content (e.g. "EUR10,00")
+ */
+function formatCurrencyAmount({ currency, amount }) {
+  return `${currency}${formatAmount(amount)}`;
+}
+
+/**
+ * Build a text field, or nothing when the value is empty
+ * @param {string} tag - Field tag
+ * @param {string|null} content - Field content
+ * @returns {Object|null} Field
+ */
+function textField(tag, content) {
+  return content ? { tag, content } : null;
+}
+
+/**
+ * Build a party field from a typed party
+ * Parsed parties keep their option and raw content; a party built by hand
+ * only needs a BIC (and an optional account) to be written as option A
+ * @param {string} number - Field number without option (e.g. '52')
+ * @param {Object|null} party - Typed party
+ * @returns {Object|null} Field
+ */
+function partyField(number, party) {
+  if (!party) return null;
+
+  if (party.raw) {
+    return { tag: `${number}${party.option || ''}`, content: party.raw };
+  }
+
+  if (party.bic) {
+    return { tag: `${number}A`, content: [party.account, party.bic].filter(Boolean).join('\n') };
+  }
+
+  throw new Error(`Cannot serialize party field ${number}a: a raw content or a BIC is required`);
+}
+
+/**
+ * Fields of a standardized message in the order of the message type
+ */
+const STANDARDIZED_FIELDS = {
+  MT103: message => [
+    textField('20', message.transactionReference),
+    ...(message.timeIndications || []).map(timeIndication => textField('13C', timeIndication)),
+    textField('23B', message.bankOperationCode),
+    ...(message.instructionCodes || []).map(instructionCode => textField('23E', instructionCode)),
+    textField('26T', message.transactionTypeCode),
+    textField('32A', message.valueDate && `${formatSwiftDate(message.valueDate)}${formatCurrencyAmount(message)}`),
+    textField('33B', message.instructedAmount && formatCurrencyAmount(message.instructedAmount)),
+    textField('36', message.exchangeRate && formatAmount(message.exchangeRate)),
+    partyField('50', message.parties?.orderingCustomer),
+    partyField('51', message.parties?.sendingInstitution),
+    partyField('52', message.parties?.orderingInstitution),
+    partyField('53', message.parties?.sendersCorrespondent),
+    partyField('54', message.parties?.receiversCorrespondent),
+    partyField('55', message.parties?.thirdReimbursementInstitution),
+    partyField('56', message.parties?.intermediaryInstitution),
+    partyField('57', message.parties?.accountWithInstitution),
+    partyField('59', message.parties?.beneficiaryCustomer),
+    textField('70', message.remittanceInfo),
+    textField('71A', message.detailsOfCharges),
+    ...(message.sendersCharges || []).map(charge => textField('71F', formatCurrencyAmount(charge))),
+    textField('71G', message.receiversCharges && formatCurrencyAmount(message.receiversCharges)),
+    textField('72', message.senderToReceiverInfo),
+    textField('77B', message.regulatoryReporting),
+    textField('77T', message.envelopeContents)
+  ],
+  MT202: message => [
+    textField('20', message.transactionReference),
+    textField('21', message.relatedReference),
+    ...(message.timeIndications || []).map(timeIndication => textField('13C', timeIndication)),
+    textField('32A', message.valueDate && `${formatSwiftDate(message.valueDate)}${formatCurrencyAmount(message)}`),
+    partyField('52', message.parties?.orderingInstitution),
+    partyField('53', message.parties?.sendersCorrespondent),
+    partyField('54', message.parties?.receiversCorrespondent),
+    partyField('56', message.parties?.intermediaryInstitution),
+    partyField('57', message.parties?.accountWithInstitution),
+    partyField('58', message.parties?.beneficiaryInstitution),
+    textField('72', message.senderToReceiverInfo)
+  ]
+};
+
+/**
+ * Mandatory fields of each message type ('a' suffix means any option)
+ */
+const MANDATORY_FIELDS = {
+  MT103: ['20', '23B', '32A', '50a', '59a', '71A'],
+  MT202: ['20', '21', '32A', '58a']
+};
+
+/**
+ * Build the block 4 fields of a standardized MT103 or MT202
+ * @param {Object} message - Standardized message
+ * @returns {Array} Ordered fields with tag and content
+ */
+export function buildFieldList(message) {
+  const build = STANDARDIZED_FIELDS[message.messageType];
+
+  if (!build) {
+    throw new Error(`Cannot build the fields of ${message.messageType} from a standardized message; provide its field list`);
+  }
+
+  return build(message).filter(Boolean);
+}
+
+/**
+ * List the mandatory fields of a message type that a field list lacks
+ * @param {string} messageType - Message type (e.g. 'MT103')
+ * @param {Array} fieldList - Ordered fields with tag and content
+ * @returns {Array} Missing tags in mandatory order (e.g. ['23B', '71A'])
+ */
+export function findMissingFields(messageType, fieldList) {
+  return (MANDATORY_FIELDS[messageType] || []).filter(mandatory => !fieldList.some(({ tag }) => (
+    mandatory.endsWith('a') ? new RegExp(`^${mandatory.slice(0, -1)}[A-Z]?$`).test(tag) : tag === mandatory
+  )));
+}
+
+/**
+ * Check every field of a message before it is written
+ * @param {string} messageType - Message type (e.g. 'MT103')
+ * @param {Array} fieldList - Ordered fields with tag and content
+ * @returns {Array} Violations in field order
+ */
+export function validateFieldList(messageType, fieldList) {
+  return fieldList.flatMap(({ tag, content }) => {
+    if (!/^\d{2}[A-Z]?$/.test(tag)) {
+      return [{ type: 'field_tag', tag, line: null, message: `Field ${tag}: invalid tag` }];
+    }
+
+    const definition = getFieldDefinition(messageType, tag);
+    const violations = validateFieldContent(tag, definition ? definition.format : UNKNOWN_FIELD_FORMAT, content);
+
+    // A continuation line starting with ':' or '-' would end the field; only
+    // the nested field list of an MT798 envelope may contain such lines
+    if (messageType !== 'MT798' || tag !== '77E') {
+      content.split('\n').forEach((line, index) => {
+        if (index > 0 && /^[:-]/.test(line)) {
+          violations.push({
+            type: 'field_format',
+            tag,
+            line: index + 1,
+            message: `Field ${tag} line ${index + 1}: must not start with '${line[0]}'`
+          });
+        }
+      });
+    }
+
+    return violations;
+  });
+}
+
+/**
+ * Serialize block 1 (basic header)
+ * @param {Object} basicHeader - Basic header subfields
+ * @returns {string} Block content (e.g. "F01AAAAGRA0AXXX0000000000")
+ */
+export function serializeBasicHeader(basicHeader) {
+  const { applicationId, serviceId, logicalTerminal, sessionNumber, sequenceNumber } = basicHeader;
+  return `${applicationId}${serviceId}${logicalTerminal}${sessionNumber}${sequenceNumber}`;
+}
+
+/**
+ * Serialize block 2 (application header) for input or output
+ * @param {Object} applicationHeader - Application header subfields
+ * @param {string} messageType - Message type (e.g. 'MT103')
+ * @returns {string} Block content (e.g. "I103BBBBGRB0XXXXN")
+ */
+export function serializeApplicationHeader(applicationHeader, messageType) {
+  const type = messageType.substring(2);
+
+  if (applicationHeader.direction === 'output') {
+    const { inputTime, mir, outputDate, outputTime, priority } = applicationHeader;
+    return `O${type}${inputTime}${mir.raw}${outputDate}${outputTime}${priority || ''}`;
+  }
+
+  const { receiverAddress, priority, deliveryMonitoring, obsolescencePeriod } = applicationHeader;
+  return `I${type}${receiverAddress}${priority || ''}${deliveryMonitoring || ''}${obsolescencePeriod || ''}`;
+}
+
+/**
+ * Serialize the {TAG:value} sub-blocks of block 3 or block 5
+ * @param {Array} tags - Tags and values in message order
+ * @returns {string} Block content (e.g. "{108:MUR1}{121:uuid}")
+ */
+export function serializeTagBlocks(tags) {
+  return tags.map(({ tag, value }) => `{${tag}:${value}}`).join('');
+}
+
+/**
+ * Serialize a field list and its headers to a FIN message
+ * @param {string} messageType - Message type (e.g. 'MT103')
+ * @param {Array} fieldList - Ordered fields with tag and content
+ * @param {Object} headers - Named header blocks as returned by parseHeaders()
+ * @returns {string} FIN message with CRLF line endings
+ */
+export function serializeFieldList(messageType, fieldList, headers) {
+  if (!headers?.basicHeader || !headers?.applicationHeader) {
+    throw new Error(`Cannot serialize ${messageType}: basic header and application header are required`);
+  }
+
+  const fields = fieldList.map(({ tag, content }) => ({ tag, content: content.replace(/\r/g, '') }));
+  const violations = validateFieldList(messageType, fields);
+
+  if (violations.length > 0) {
+    const error = new Error(`Cannot serialize ${messageType}: ${violations.map(violation => violation.message).join('; ')}`);
+    error.violations = violations;
+    throw error;
+  }
+
+  const { basicHeader, applicationHeader, userHeader, trailer } = headers;
+  const textBlock = fields
+    .map(({ tag, content }) => {
+      // The nested fields of an MT798 envelope start on the line after :77E:
+      const separator = messageType === 'MT798' && tag === '77E' ? '\n' : '';
+      return `:${tag}:${separator}${content}`.replace(/\n/g, CRLF);
+    })
+    .join(CRLF);
+
+  return [
+    `{1:${serializeBasicHeader(basicHeader)}}`,
+    `{2:${serializeApplicationHeader(applicationHeader, messageType)}}`,
+    userHeader ? `{3:${serializeTagBlocks(userHeader.tags)}}` : '',
+    `{4:${CRLF}${textBlock}${CRLF}-}`,
+    trailer ? `{5:${serializeTagBlocks(trailer.tags)}}` : ''
+  ].join('');
+}
+
+/**
+ * Serialize a parsed or standardized message to a FIN message
+ * The field list of a parsed message is written as is; without one, the
+ * fields of an MT103 or MT202 are built from its standardized properties
+ * @param {Object} message - Message with messageType, headers and fieldList
+ * @returns {string} FIN message with CRLF line endings
+ */
+export function serializeMessage(message) {
+  const fieldList = message.fieldList || buildFieldList(message);
+  const missing = findMissingFields(message.messageType, fieldList);
+
+  if (missing.length > 0) {
+    throw new Error(`Cannot serialize ${message.messageType}: mandatory fields missing: ${missing.join(', ')}`);
+  }
+
+  return serializeFieldList(message.messageType, fieldList, message.headers);
+}
@@ -0,0 +1,108 @@
+/**
+ * SWIFT gpi Tracking Fields
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Reads the block 3 fields that gpi adds to MT103 and MT202 messages:
+ * - 121: unique end-to-end transaction reference (UETR), a lowercase UUID v4
+ * - 111: service type identifier (e.g. 001 for gCCT, 002 for gCOV)
+ * - 433: sanctions screening result, /AOK/, /FPO/ or /NOK/ with optional details
+ * - 434: payment controls result, same codes as 433
+ *
+ * The UETR is kept unchanged by every bank along the chain, so it ties the
+ * hops of one payment together.
+ */
+
+const UETR_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+/**
+ * Message types on which field 121 is mandatory, gpi or not
+ */
+export const UETR_MESSAGE_TYPES = ['MT103', 'MT202'];
+
+/**
+ * Meaning of the 433/434 result codes
+ */
+const SCREENING_CODES = {
+  AOK: 'passed',
+  FPO: 'false_positive',
+  NOK: 'not_passed'
+};
+
+/**
+ * Check that a UETR is a lowercase UUID v4
+ * @param {string} uetr - Field 121 content
+ * @returns {boolean} True for a valid UETR
+ */
+export function isValidUETR(uetr) {
+  return UETR_PATTERN.test(uetr);
+}
+
+/**
+ * Parse a screening result (fields 433 and 434), e.g. /FPO/CHECKED BY OPS
+ * @param {string|null} content - Field content
+ * @returns {Object|null} Result code, its meaning and the additional information
+ */
+export function parseScreeningResult(content) {
+  if (content === null) return null;
+
+  const match = content.match(/^\/([A-Z]{3})\/(.*)$/);
+
+  return {
+    code: match ? match[1] : null,
+    result: match ? SCREENING_CODES[match[1]] ?? null : null,
+    additionalInformation: match?.[2] || null,
+    raw: content
+  };
+}
+
+/**
+ * Collect the gpi fields of a parsed user header
+ * @param {Object|null} userHeader - Block 3 as parsed by parseUserHeader()
+ * @returns {Object} UETR, service type identifier and screening results (null where absent)
+ */
+export function extractGpiFields(userHeader) {
+  return {
+    uetr: userHeader?.uetr ?? null,
+    serviceTypeIdentifier: userHeader?.serviceTypeIdentifier ?? null,
+    sanctionsScreening: parseScreeningResult(userHeader?.sanctionsScreening ?? null),
+    paymentControls: parseScreeningResult(userHeader?.paymentControls ?? null)
+  };
+}
+
+/**
+ * Warnings for a UETR that is not a UUID v4, or missing from a message type that requires one
+ * @param {Object} gpi - Fields returned by extractGpiFields()
+ * @param {string} messageType - Message type
+ * @returns {Array} Warnings
+ */
+export function gpiWarnings(gpi, messageType) {
+  if (gpi.uetr !== null && !isValidUETR(gpi.uetr)) {
+    return [{ type: 'invalid_uetr', tag: '121', message: `Field 121 ${gpi.uetr} is not a lowercase UUID v4` }];
+  }
+
+  if (gpi.uetr === null && UETR_MESSAGE_TYPES.includes(messageType)) {
+    return [{ type: 'missing_uetr', tag: '121', message: `Field 121 is mandatory on an ${messageType}` }];
+  }
+
+  return [];
+}
+
+/**
+ * Group parsed messages by UETR to trace a payment across hops, keeping
+ * the order in which the messages were given
+ * @param {Array} messages - Standardized messages
+ * @returns {Map} Messages keyed by UETR; messages without a UETR are left out
+ */
+export function groupByUETR(messages) {
+  const groups = new Map();
+
+  messages.forEach(message => {
+    const uetr = message?.uetr;
+    if (!uetr) return;
+
+    if (!groups.has(uetr)) groups.set(uetr, []);
+    groups.get(uetr).push(message);
+  });
+
+  return groups;
+}
@@ -0,0 +1,241 @@
+/**
+ * SWIFT FIN Header Parser
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Breaks the FIN envelope blocks around the text block into named subfields:
+ * - Block 1: basic header (logical terminal, session and sequence number)
+ * - Block 2: application header (message type, receiver, priority)
+ * - Block 3: user header (service identifier, MUR, validation flag, gpi fields)
+ * - Block 5: trailers (CHK, MAC, PDE, PDM)
+ */
+
+import { tokenizeFIN } from './fin-tokenizer.js';
+
+/**
+ * Block 3 tags with a well-known meaning
+ */
+const USER_HEADER_TAGS = {
+  '103': 'serviceIdentifier',
+  '108': 'messageUserReference',
+  '111': 'serviceTypeIdentifier',
+  '113': 'bankingPriority',
+  '119': 'validationFlag',
+  '121': 'uetr',
+  '433': 'sanctionsScreening',
+  '434': 'paymentControls'
+};
+
+/**
+ * Block 5 trailers with a well-known meaning
+ */
+const TRAILER_TAGS = {
+  CHK: 'checksum',
+  MAC: 'messageAuthenticationCode',
+  PDE: 'possibleDuplicateEmission',
+  PDM: 'possibleDuplicateMessage'
+};
+
+/**
+ * Split a logical terminal address into BIC and terminal code
+ * @param {string} address - 12-character LT address
+ * @returns {Object} BIC11 and terminal code
+ */
+function splitLogicalTerminal(address) {
+  return {
+    bic: address.substring(0, 8) + address.substring(9),
+    terminalCode: address.charAt(8)
+  };
+}
+
+/**
+ * Parse block 1 (basic header), e.g. F01AAAAGRA0AXXX1234123456
+ * @param {string} content - Block 1 content
+ * @returns {Object} Basic header subfields
+ */
+export function parseBasicHeader(content) {
+  const match = content.match(/^([FAL])(\d{2})([A-Z0-9]{12})(\d{4})(\d{6})$/);
+
+  if (!match) {
+    throw new Error(`Invalid basic header block: ${content}`);
+  }
+
+  const [, applicationId, serviceId, logicalTerminal, sessionNumber, sequenceNumber] = match;
+
+  return {
+    applicationId,
+    serviceId,
+    logicalTerminal,
+    ...splitLogicalTerminal(logicalTerminal),
+    sessionNumber,
+    sequenceNumber
+  };
+}
+
+/**
+ * Parse a 28-character message input/output reference (date, LT, session, sequence)
+ * @param {string} reference - MIR or MOR
+ * @returns {Object} Reference subfields
+ */
+function parseMessageReference(reference) {
+  const logicalTerminal = reference.substring(6, 18);
+
+  return {
+    date: reference.substring(0, 6),
+    logicalTerminal,
+    bic: splitLogicalTerminal(logicalTerminal).bic,
+    sessionNumber: reference.substring(18, 22),
+    sequenceNumber: reference.substring(22, 28)
+  };
+}
+
+/**
+ * Parse block 2 (application header)
+ * Input:  I103BBBBGRB0XXXXN
+ * Output: O1031200230701BANKBEBBAXXX22221234562307011200N
+ * @param {string} content - Block 2 content
+ * @returns {Object} Application header subfields
+ */
+export function parseApplicationHeader(content) {
+  const input = content.match(/^I(\d{3})([A-Z0-9]{12})([SUN])?([123])?(\d{3})?$/);
+
+  if (input) {
+    const [, messageType, receiverAddress, priority, deliveryMonitoring, obsolescencePeriod] = input;
+    const receiver = splitLogicalTerminal(receiverAddress);
+
+    return {
+      direction: 'input',
+      messageType,
+      receiverAddress,
+      receiverBic: receiver.bic,
+      priority: priority || null,
+      deliveryMonitoring: deliveryMonitoring || null,
+      obsolescencePeriod: obsolescencePeriod || null
+    };
+  }
+
+  const output = content.match(/^O(\d{3})(\d{4})(\d{6}[A-Z0-9]{12}\d{10})(\d{6})(\d{4})([SUN])?$/);
+
+  if (output) {
+    const [, messageType, inputTime, mir, outputDate, outputTime, priority] = output;
+    const reference = parseMessageReference(mir);
+
+    return {
+      direction: 'output',
+      messageType,
+      inputTime,
+      mir: { raw: mir, ...reference },
+      senderBic: reference.bic,
+      outputDate,
+      outputTime,
+      priority: priority || null
+    };
+  }
+
+  throw new Error(`Invalid application header block: ${content}`);
+}
+
+/**
+ * Parse a sequence of {TAG:value} sub-blocks
+ * The list keeps the order of the message so that it can be written back as is
+ * @param {string} content - Block content
+ * @returns {Array} Tags and values in message order
+ */
+function parseTagBlocks(content) {
+  const tags = [];
+  const pattern = /\{([A-Z0-9]{3}):([^}]*)\}/g;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    tags.push({ tag: match[1], value: match[2] });
+  }
+
+  return tags;
+}
+
+/**
+ * Find the value of a tag in a list of sub-blocks
+ * @param {Array} tags - Tags and values in message order
+ * @param {string} tag - Tag to look up
+ * @returns {string|undefined} Value of the first sub-block with that tag
+ */
+function findTagValue(tags, tag) {
+  return tags.find(entry => entry.tag === tag)?.value;
+}
+
+/**
+ * Parse block 3 (user header), e.g. {108:MUR123}{121:uuid}
+ * @param {string} content - Block 3 content
+ * @returns {Object} User header subfields plus all raw tags
+ */
+export function parseUserHeader(content) {
+  const tags = parseTagBlocks(content);
+  const userHeader = { tags };
+
+  Object.entries(USER_HEADER_TAGS).forEach(([tag, name]) => {
+    userHeader[name] = findTagValue(tags, tag) ?? null;
+  });
+
+  return userHeader;
+}
+
+/**
+ * Parse a PDE/PDM trailer value: optional time followed by a MIR or MOR
+ * @param {string} content - Trailer content (may be empty)
+ * @returns {Object} Time and message reference subfields
+ */
+function parseDuplicateTrailer(content) {
+  const match = content.match(/^(\d{4})(\d{6})([A-Z0-9]{12})(\d{4})(\d{6})$/);
+
+  if (!match) {
+    return { raw: content };
+  }
+
+  const [, time, date, logicalTerminal, sessionNumber, sequenceNumber] = match;
+  return { raw: content, time, date, logicalTerminal, sessionNumber, sequenceNumber };
+}
+
+/**
+ * Parse block 5 (trailers), e.g. {CHK:123456789ABC}{PDE:}
+ * @param {string} content - Block 5 content
+ * @returns {Object} Trailer subfields plus all raw tags
+ */
+export function parseTrailer(content) {
+  const tags = parseTagBlocks(content);
+  const trailer = { tags };
+
+  Object.entries(TRAILER_TAGS).forEach(([tag, name]) => {
+    const value = findTagValue(tags, tag);
+
+    if (value === undefined) {
+      trailer[name] = null;
+    } else {
+      trailer[name] = tag === 'PDE' || tag === 'PDM' ? parseDuplicateTrailer(value) : value;
+    }
+  });
+
+  return trailer;
+}
+
+/**
+ * Parse all header and trailer blocks of a FIN message
+ * @param {string|Object} message - Raw SWIFT message or its tokenized envelope
+ * @returns {Object} Named header blocks (null where a block is absent)
+ */
+export function parseHeaders(message) {
+  const { blocks } = typeof message === 'string' ? tokenizeFIN(message) : message;
+  const content = blockId => (blocks[blockId] ? blocks[blockId].content : null);
+
+  const basic = content('1');
+  const application = content('2');
+  const user = content('3');
+  const trailer = content('5');
+
+  return {
+    basicHeader: basic !== null ? parseBasicHeader(basic) : null,
+    applicationHeader: application !== null ? parseApplicationHeader(application) : null,
+    userHeader: user !== null ? parseUserHeader(user) : null,
+    trailer: trailer !== null ? parseTrailer(trailer) : null
+  };
+}
+
+export { USER_HEADER_TAGS, TRAILER_TAGS };
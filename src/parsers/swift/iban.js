@@ -0,0 +1,247 @@
+/**
+ * IBAN Validation
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Checks International Bank Account Numbers (ISO 13616) against the SWIFT
+ * IBAN registry: the ISO 7064 mod-97 check digits, the length of the
+ * country and the structure of its BBAN, written in the SWIFT format
+ * notation (e.g. '8!n10!n' for Germany). Where the registry locates them,
+ * the bank code, branch code and account number are read from the BBAN.
+ * A country that joins the registry after this copy of it only gets the
+ * mod-97 check.
+ */
+
+import { isCountryCode } from './countries.js';
+
+/**
+ * BBAN structure of each IBAN country, with the [start, end) positions of
+ * the bank code, branch code and account number in the BBAN
+ */
+export const IBAN_REGISTRY = {
+  AD: { bban: '4!n4!n12!c', bank: [0, 4], branch: [4, 8], account: [8, 20] },
+  AE: { bban: '3!n16!n', bank: [0, 3], account: [3, 19] },
+  AL: { bban: '8!n16!c', bank: [0, 3], branch: [3, 7], account: [8, 24] },
+  AT: { bban: '5!n11!n', bank: [0, 5], account: [5, 16] },
+  AZ: { bban: '4!a20!c', bank: [0, 4], account: [4, 24] },
+  BA: { bban: '3!n3!n8!n2!n', bank: [0, 3], branch: [3, 6], account: [6, 14] },
+  BE: { bban: '3!n7!n2!n', bank: [0, 3], account: [3, 12] },
+  BG: { bban: '4!a4!n2!n8!c', bank: [0, 4], branch: [4, 8], account: [8, 18] },
+  BH: { bban: '4!a14!c', bank: [0, 4], account: [4, 18] },
+  BI: { bban: '5!n5!n11!n2!n', bank: [0, 5], branch: [5, 10], account: [10, 21] },
+  BR: { bban: '8!n5!n10!n1!a1!c', bank: [0, 8], branch: [8, 13], account: [13, 25] },
+  BY: { bban: '4!c4!n16!c', bank: [0, 4], account: [4, 24] },
+  CH: { bban: '5!n12!c', bank: [0, 5], account: [5, 17] },
+  CR: { bban: '4!n14!n', bank: [0, 4], account: [4, 18] },
+  CY: { bban: '3!n5!n16!c', bank: [0, 3], branch: [3, 8], account: [8, 24] },
+  CZ: { bban: '4!n6!n10!n', bank: [0, 4], account: [4, 20] },
+  DE: { bban: '8!n10!n', bank: [0, 8], account: [8, 18] },
+  DJ: { bban: '5!n5!n11!n2!n', bank: [0, 5], branch: [5, 10], account: [10, 21] },
+  DK: { bban: '4!n9!n1!n', bank: [0, 4], account: [4, 14] },
+  DO: { bban: '4!c20!n', bank: [0, 4], account: [4, 24] },
+  EE: { bban: '2!n2!n11!n1!n', bank: [0, 2], account: [2, 16] },
+  EG: { bban: '4!n4!n17!n', bank: [0, 4], branch: [4, 8], account: [8, 25] },
+  ES: { bban: '4!n4!n1!n1!n10!n', bank: [0, 4], branch: [4, 8], account: [10, 20] },
+  FI: { bban: '3!n11!n', bank: [0, 3], account: [3, 14] },
+  FK: { bban: '2!a12!n', bank: [0, 2], account: [2, 14] },
+  FO: { bban: '4!n9!n1!n', bank: [0, 4], account: [4, 14] },
+  FR: { bban: '5!n5!n11!c2!n', bank: [0, 5], branch: [5, 10], account: [10, 21] },
+  GB: { bban: '4!a6!n8!n', bank: [0, 4], branch: [4, 10], account: [10, 18] },
+  GE: { bban: '2!a16!n', bank: [0, 2], account: [2, 18] },
+  GI: { bban: '4!a15!c', bank: [0, 4], account: [4, 19] },
+  GL: { bban: '4!n9!n1!n', bank: [0, 4], account: [4, 14] },
+  GR: { bban: '3!n4!n16!c', bank: [0, 3], branch: [3, 7], account: [7, 23] },
+  GT: { bban: '4!c20!c', bank: [0, 4], account: [4, 24] },
+  HN: { bban: '4!a20!n', bank: [0, 4], account: [4, 24] },
+  HR: { bban: '7!n10!n', bank: [0, 7], account: [7, 17] },
+  HU: { bban: '3!n4!n1!n15!n1!n', bank: [0, 3], branch: [3, 7], account: [8, 24] },
+  IE: { bban: '4!a6!n8!n', bank: [0, 4], branch: [4, 10], account: [10, 18] },
+  IL: { bban: '3!n3!n13!n', bank: [0, 3], branch: [3, 6], account: [6, 19] },
+  IQ: { bban: '4!a3!n12!n', bank: [0, 4], branch: [4, 7], account: [7, 19] },
+  IS: { bban: '4!n2!n6!n10!n', bank: [0, 2], branch: [2, 4], account: [6, 12] },
+  IT: { bban: '1!a5!n5!n12!c', bank: [1, 6], branch: [6, 11], account: [11, 23] },
+  JO: { bban: '4!a4!n18!c', bank: [0, 4], branch: [4, 8], account: [8, 26] },
+  KW: { bban: '4!a22!c', bank: [0, 4], account: [4, 26] },
+  KZ: { bban: '3!n13!c', bank: [0, 3], account: [3, 16] },
+  LB: { bban: '4!n20!c', bank: [0, 4], account: [4, 24] },
+  LC: { bban: '4!a24!c', bank: [0, 4], account: [4, 28] },
+  LI: { bban: '5!n12!c', bank: [0, 5], account: [5, 17] },
+  LT: { bban: '5!n11!n', bank: [0, 5], account: [5, 16] },
+  LU: { bban: '3!n13!c', bank: [0, 3], account: [3, 16] },
+  LV: { bban: '4!a13!c', bank: [0, 4], account: [4, 17] },
+  LY: { bban: '3!n3!n15!n', bank: [0, 3], branch: [3, 6], account: [6, 21] },
+  MC: { bban: '5!n5!n11!c2!n', bank: [0, 5], branch: [5, 10], account: [10, 21] },
+  MD: { bban: '2!c18!c', bank: [0, 2], account: [2, 20] },
+  ME: { bban: '3!n13!n2!n', bank: [0, 3], account: [3, 16] },
+  MK: { bban: '3!n10!c2!n', bank: [0, 3], account: [3, 13] },
+  MN: { bban: '4!n12!n', bank: [0, 4], account: [4, 16] },
+  MR: { bban: '5!n5!n11!n2!n', bank: [0, 5], branch: [5, 10], account: [10, 21] },
+  MT: { bban: '4!a5!n18!c', bank: [0, 4], branch: [4, 9], account: [9, 27] },
+  MU: { bban: '4!a2!n2!n12!n3!n3!a', bank: [0, 6], branch: [6, 8], account: [8, 20] },
+  NI: { bban: '4!a20!n', bank: [0, 4], account: [4, 24] },
+  NL: { bban: '4!a10!n', bank: [0, 4], account: [4, 14] },
+  NO: { bban: '4!n6!n1!n', bank: [0, 4], account: [4, 11] },
+  OM: { bban: '3!n16!c', bank: [0, 3], account: [3, 19] },
+  PK: { bban: '4!a16!c', bank: [0, 4], account: [4, 20] },
+  PL: { bban: '8!n16!n', bank: [0, 8], account: [8, 24] },
+  PS: { bban: '4!a21!c', bank: [0, 4], account: [4, 25] },
+  PT: { bban: '4!n4!n11!n2!n', bank: [0, 4], branch: [4, 8], account: [8, 19] },
+  QA: { bban: '4!a21!c', bank: [0, 4], account: [4, 25] },
+  RO: { bban: '4!a16!c', bank: [0, 4], account: [4, 20] },
+  RS: { bban: '3!n13!n2!n', bank: [0, 3], account: [3, 16] },
+  RU: { bban: '9!n5!n15!c', bank: [0, 9], branch: [9, 14], account: [14, 29] },
+  SA: { bban: '2!n18!c', bank: [0, 2], account: [2, 20] },
+  SC: { bban: '4!a2!n2!n16!n3!a', bank: [0, 6], branch: [6, 8], account: [8, 24] },
+  SD: { bban: '2!n12!n', bank: [0, 2], account: [2, 14] },
+  SE: { bban: '3!n16!n1!n', bank: [0, 3], account: [3, 19] },
+  SI: { bban: '5!n8!n2!n', bank: [0, 2], branch: [2, 5], account: [5, 13] },
+  SK: { bban: '4!n6!n10!n', bank: [0, 4], account: [4, 20] },
+  SM: { bban: '1!a5!n5!n12!c', bank: [1, 6], branch: [6, 11], account: [11, 23] },
+  SO: { bban: '4!n3!n12!n', bank: [0, 4], branch: [4, 7], account: [7, 19] },
+  ST: { bban: '8!n11!n2!n', bank: [0, 4], branch: [4, 8], account: [8, 19] },
+  SV: { bban: '4!a20!n', bank: [0, 4], account: [4, 24] },
+  TL: { bban: '3!n14!n2!n', bank: [0, 3], account: [3, 17] },
+  TN: { bban: '2!n3!n13!n2!n', bank: [0, 2], branch: [2, 5], account: [5, 18] },
+  TR: { bban: '5!n1!n16!c', bank: [0, 5], account: [6, 22] },
+  UA: { bban: '6!n19!c', bank: [0, 6], account: [6, 25] },
+  VA: { bban: '3!n15!n', bank: [0, 3], account: [3, 18] },
+  VG: { bban: '4!a16!n', bank: [0, 4], account: [4, 20] },
+  XK: { bban: '4!n10!n2!n', bank: [0, 2], branch: [2, 4], account: [4, 14] },
+  YE: { bban: '4!a4!n18!c', bank: [0, 4], branch: [4, 8], account: [8, 26] }
+};
+
+/**
+ * Character classes of the BBAN notation
+ */
+const BBAN_CHARSETS = {
+  n: '[0-9]',
+  a: '[A-Z]',
+  c: '[A-Z0-9]'
+};
+
+/**
+ * Shape shared by all IBANs: country code, check digits and a BBAN of 11 to 30 characters
+ */
+const IBAN_SHAPE = /^[A-Z]{2}[0-9]{2}[A-Z0-9]{11,30}$/;
+
+const compiledStructures = new Map();
+
+/**
+ * Compile a BBAN structure (e.g. '8!n10!n') into a regular expression
+ * @param {string} bban - BBAN structure
+ * @returns {Object} Regular expression and BBAN length
+ */
+function compileStructure(bban) {
+  if (!compiledStructures.has(bban)) {
+    const components = [...bban.matchAll(/(\d+)!([nac])/g)];
+    const source = components.map(([, length, type]) => `${BBAN_CHARSETS[type]}{${length}}`).join('');
+    const length = components.reduce((total, [, componentLength]) => total + Number(componentLength), 0);
+
+    compiledStructures.set(bban, { pattern: new RegExp(`^${source}$`), length });
+  }
+
+  return compiledStructures.get(bban);
+}
+
+/**
+ * Remove spaces and an IBAN prefix, and uppercase an IBAN
+ * @param {string} value - IBAN in print or electronic format
+ * @returns {string} IBAN in electronic format
+ */
+export function normalizeIBAN(value) {
+  return String(value).replace(/\s+/g, '').toUpperCase().replace(/^IBAN:?/, '');
+}
+
+/**
+ * Check whether an account identifier is meant as an IBAN: two letters and
+ * two check digits, so national account numbers are left alone
+ * @param {string} value - Account identifier
+ * @returns {boolean} True when the value has the shape of an IBAN
+ */
+export function looksLikeIBAN(value) {
+  return IBAN_SHAPE.test(normalizeIBAN(value));
+}
+
+/**
+ * Compute the ISO 7064 mod-97 remainder of an IBAN
+ * @param {string} iban - IBAN in electronic format
+ * @returns {number} Remainder; 1 for valid check digits
+ */
+export function mod97(iban) {
+  const rearranged = `${iban.substring(4)}${iban.substring(0, 4)}`;
+  const digits = rearranged.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+  return [...digits].reduce((remainder, digit) => (remainder * 10 + Number(digit)) % 97, 0);
+}
+
+/**
+ * Parse and check an IBAN against the registry
+ * @param {string} value - IBAN in print or electronic format
+ * @returns {Object} IBAN parts, bank/branch/account where the registry has them, and the errors found
+ */
+export function parseIBAN(value) {
+  const iban = normalizeIBAN(value);
+  const countryCode = iban.substring(0, 2);
+  const entry = IBAN_REGISTRY[countryCode];
+  const bban = iban.substring(4);
+  const errors = [];
+
+  if (!IBAN_SHAPE.test(iban)) {
+    errors.push('not an IBAN');
+  } else if (!isCountryCode(countryCode)) {
+    errors.push(`unknown IBAN country ${countryCode}`);
+  } else if (entry) {
+    const structure = compileStructure(entry.bban);
+
+    if (bban.length !== structure.length) {
+      errors.push(`length ${iban.length}, expected ${structure.length + 4} for ${countryCode}`);
+    } else if (!structure.pattern.test(bban)) {
+      errors.push(`BBAN does not match ${entry.bban}`);
+    }
+  }
+
+  if (errors.length === 0 && mod97(iban) !== 1) {
+    errors.push('check digits do not match');
+  }
+
+  const part = range => (entry && range && errors.length === 0 ? bban.substring(...range) : null);
+
+  return {
+    iban,
+    countryCode,
+    checkDigits: iban.substring(2, 4),
+    bban,
+    bankCode: part(entry?.bank),
+    branchCode: part(entry?.branch),
+    accountNumber: part(entry?.account),
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Check an IBAN
+ * @param {string} value - IBAN in print or electronic format
+ * @returns {boolean} True for a valid IBAN
+ */
+export function isValidIBAN(value) {
+  return parseIBAN(value).valid;
+}
+
+/**
+ * Warnings for the account identifiers of a parse result that have the
+ * shape of an IBAN but fail its checks
+ * @param {Object|Array} accounts - Account identifiers keyed by the field they come from, or [field, account] pairs
+ * @returns {Array} One warning per invalid IBAN
+ */
+export function ibanWarnings(accounts) {
+  return (Array.isArray(accounts) ? accounts : Object.entries(accounts))
+    .filter(([, account]) => typeof account === 'string' && looksLikeIBAN(account))
+    .map(([field, account]) => ({ field, ...parseIBAN(account) }))
+    .filter(result => !result.valid)
+    .map(({ field, iban, errors }) => ({
+      type: 'invalid_iban',
+      field,
+      iban,
+      message: `Invalid IBAN ${iban} in ${field}: ${errors.join(', ')}`
+    }));
+}
@@ -0,0 +1,126 @@
+/**
+ * SWIFT Message File Reader
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Splits the multi-message files exported by Alliance Access into single
+ * FIN messages:
+ *
+ *   RJE      messages separated by '$'
+ *            {1:...}{4:\r\n:20:A\r\n-}$\r\n{1:...}{4:\r\n:20:B\r\n-}
+ *   DOS-PCC  each message framed by SOH (0x01) and ETX (0x03), with the
+ *            file padded to 512-byte sectors between frames
+ *
+ * '$', SOH and ETX are outside the SWIFT X and Z character sets, so they
+ * never occur inside a message. Every message keeps the offset of its first
+ * character in the file.
+ */
+
+const SOH = '\x01';
+const ETX = '\x03';
+const RJE_SEPARATOR = '$';
+
+/**
+ * Sector padding written between DOS-PCC frames: NUL characters and any
+ * whitespace that trim() would drop
+ */
+const PADDING = /^[\s\0]*$/;
+
+/**
+ * Detect the framing of a message file
+ * @param {string} content - File content
+ * @returns {string} 'DOS_PCC' when the first message starts with SOH, otherwise 'RJE'
+ */
+export function detectFileFormat(content) {
+  return content.trimStart().startsWith(SOH) ? 'DOS_PCC' : 'RJE';
+}
+
+/**
+ * Build a message entry, leaving out the whitespace around the message
+ * @param {string} text - Message text with its surrounding whitespace
+ * @param {number} offset - Offset of the text in the file
+ * @returns {Object|null} Message and its offset, or null for blank text
+ */
+function messageEntry(text, offset) {
+  const message = text.trim();
+  return message ? { message, offset: offset + text.indexOf(message) } : null;
+}
+
+/**
+ * Split an RJE file on its '$' separators
+ * @param {string} content - File content
+ * @returns {Array} Messages with their offsets, blank entries left out
+ */
+export function splitRJE(content) {
+  const entries = [];
+  let start = 0;
+
+  content.split(RJE_SEPARATOR).forEach(text => {
+    entries.push(messageEntry(text, start));
+    start += text.length + RJE_SEPARATOR.length;
+  });
+
+  return entries.filter(Boolean);
+}
+
+/**
+ * Split a DOS-PCC file on its SOH/ETX frames
+ * Content outside the frames other than padding, and a frame without its
+ * ETX, are returned as entries with an error so the rest of the file can
+ * still be read
+ * @param {string} content - File content
+ * @returns {Array} Messages with their offsets, and an error where framing is broken
+ */
+export function splitDOSPCC(content) {
+  const entries = [];
+  let position = 0;
+
+  while (position < content.length) {
+    const soh = content.indexOf(SOH, position);
+    const gap = content.substring(position, soh === -1 ? content.length : soh);
+
+    if (!PADDING.test(gap)) {
+      const stray = messageEntry(gap, position);
+      entries.push({
+        ...stray,
+        error: `Invalid DOS-PCC file: unexpected content outside a message frame at offset ${stray.offset}`
+      });
+    }
+
+    if (soh === -1) break;
+
+    const etx = content.indexOf(ETX, soh + 1);
+    const end = etx === -1 ? content.length : etx;
+    const entry = messageEntry(content.substring(soh + 1, end), soh + 1);
+
+    if (etx === -1) {
+      entries.push({
+        ...(entry || { message: '', offset: soh + 1 }),
+        error: `Invalid DOS-PCC file: message at offset ${soh} has no ETX`
+      });
+    } else if (entry) {
+      entries.push(entry);
+    }
+
+    position = end + 1;
+  }
+
+  return entries;
+}
+
+/**
+ * Split a message file into single messages
+ * @param {string} content - File content
+ * @param {string} [format] - 'RJE' or 'DOS_PCC'; detected when omitted
+ * @returns {Object} File format and its messages with their offsets
+ */
+export function splitMessageFile(content, format = detectFileFormat(content)) {
+  if (format === 'RJE') {
+    return { format, messages: splitRJE(content) };
+  }
+
+  if (format === 'DOS_PCC') {
+    return { format, messages: splitDOSPCC(content) };
+  }
+
+  throw new Error(`Unsupported message file format: ${format}`);
+}
@@ -0,0 +1,640 @@
+/**
+ * SWIFT Network Validated Rules
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Cross-field rules (C-rules) that the SWIFT network enforces on top of
+ * field formats. Each violation carries the rule number of the message
+ * type (C1, C2...), or the field for field-level rules, and the network
+ * error code (D75, E13...) used in the SWIFT Standards MT documentation.
+ */
+
+import { splitTag } from './field-definitions.js';
+import { groupSequences } from './sequences.js';
+
+/**
+ * MT103 bank operation codes that restrict the use of other fields
+ */
+const SERVICE_LEVEL_CODES = ['SPRI', 'SSTD', 'SPAY'];
+
+/**
+ * MT103 instruction codes allowed in 23E when 23B is SPRI
+ */
+const SPRI_INSTRUCTION_CODES = ['SDVA', 'TELB', 'PHOB', 'INTC'];
+
+/**
+ * MT103 instruction codes allowed in 23E
+ */
+const MT103_INSTRUCTION_CODES = [
+  'CHQB', 'CORT', 'HOLD', 'INTC', 'PHOB', 'PHOI', 'PHON', 'REPA', 'SDVA', 'TELB', 'TELE', 'TELI'
+];
+
+/**
+ * MT103 instruction codes that may carry additional information
+ */
+const INSTRUCTION_CODES_WITH_INFORMATION = ['PHON', 'PHOB', 'PHOI', 'TELE', 'TELB', 'TELI', 'HOLD', 'REPA'];
+
+/**
+ * MT103 STP instruction codes allowed in 23E
+ */
+const STP_INSTRUCTION_CODES = ['CORT', 'INTC', 'SDVA', 'REPA'];
+
+/**
+ * Find the first field of a list with a given tag number
+ * @param {Array} fieldList - Fields
+ * @param {string} number - Tag number (e.g. '57')
+ * @returns {Object|undefined} Field, whichever option was used
+ */
+function findByNumber(fieldList, number) {
+  return fieldList.find(field => splitTag(field.tag).number === number);
+}
+
+/**
+ * Find the first field of a list with one of the given tags
+ * @param {Array} fieldList - Fields
+ * @param {Array} tags - Accepted tags
+ * @returns {Object|undefined} Field
+ */
+function findByTags(fieldList, tags) {
+  return fieldList.find(field => tags.includes(field.tag));
+}
+
+/**
+ * Check whether a party field starts with a party identifier line
+ * @param {Object} field - Party field
+ * @returns {boolean} True if the first line is an account or party identifier
+ */
+function hasPartyIdentifier(field) {
+  return field.content.startsWith('/');
+}
+
+/**
+ * Currency of an amount field (32A: date first, 32B/33B: currency first)
+ * @param {Object} field - Amount field
+ * @returns {string} ISO 4217 currency code
+ */
+function currencyOf(field) {
+  return field.tag === '32A' ? field.content.substring(6, 9) : field.content.substring(0, 3);
+}
+
+/**
+ * Check whether the amount of a currency/amount field is zero
+ * @param {Object} field - Amount field (3!a15d)
+ * @returns {boolean} True for a zero amount
+ */
+function isZeroAmount(field) {
+  return /^0*,0*$/.test(field.content.substring(3));
+}
+
+/**
+ * Check that a field appears either in sequence A or in every sequence B, never in both
+ * @param {Object} sequences - MT101 sequences
+ * @param {Function} matches - Field predicate
+ * @param {boolean} optional - Whether the field may be absent from both
+ * @returns {boolean} True when the rule is respected
+ */
+function inSequenceAOrEveryB({ sequenceA, sequenceB }, matches, optional = false) {
+  const inA = sequenceA.some(matches);
+  const inB = sequenceB.map(sequence => sequence.some(matches));
+
+  if (inA) return !inB.includes(true);
+  return !inB.includes(false) || (optional && !inB.includes(true));
+}
+
+/**
+ * Build a rule restricting the options a party field may use
+ * These are format restrictions of a message variant, which have no network error code
+ * @param {string} number - Tag number (e.g. '52')
+ * @param {Array} options - Allowed option letters
+ * @returns {Object} Rule
+ */
+function allowedOptions(number, options) {
+  return {
+    rule: `${number}a`,
+    code: null,
+    check: ({ fieldList }) => fieldList
+      .filter(field => splitTag(field.tag).number === number && !options.includes(splitTag(field.tag).option))
+      .map(field => `${field.tag} is not allowed, ${number}a must use option ${options.join(' or ')}`)
+  };
+}
+
+/**
+ * Build a C27 rule: the currency codes of the statement amount fields must share their
+ * first two characters (the country code)
+ * @param {string} rule - Rule number in the message type (e.g. 'C2')
+ * @param {RegExp} tagPattern - Tags of the amount fields
+ * @param {string} fieldNames - Field names used in the reason
+ * @returns {Object} Rule
+ */
+function sameCurrencyCountry(rule, tagPattern, fieldNames) {
+  return {
+    rule,
+    code: 'C27',
+    check: ({ fieldList }) => {
+      const currencies = new Set(fieldList
+        .filter(field => tagPattern.test(field.tag))
+        .map(field => field.content.match(/[A-Z]{3}/)?.[0].substring(0, 2)));
+      return currencies.size > 1
+        ? `the first two characters of the currency code in ${fieldNames} must be the same`
+        : null;
+    }
+  };
+}
+
+/**
+ * C24 rule of the MT940 and MT942: the 86 of a statement line directly follows its 61;
+ * only the information to the account owner, the last field of the message, stands alone
+ */
+const STATEMENT_LINE_INFORMATION = {
+  rule: 'C1',
+  code: 'C24',
+  check: ({ fieldList }) => (fieldList.some((field, index) => (
+    field.tag === '86' && index < fieldList.length - 1 && fieldList[index - 1]?.tag !== '61'
+  ))
+    ? 'field 86 must directly follow field 61 unless it is the last field of the message'
+    : null)
+};
+
+/**
+ * Rules shared by the issue (MT700), advice (MT710) and transfer (MT720) of a documentary credit
+ */
+const DOCUMENTARY_CREDIT_RULES = [
+  {
+    rule: 'C2',
+    code: 'C90',
+    check: ({ fields, fieldList }) => {
+      const draftsAt = Boolean(fields['42C']);
+      const drawee = Boolean(findByTags(fieldList, ['42A', '42D']));
+      const combinations = [draftsAt || drawee, Boolean(fields['42M']), Boolean(fields['42P'])].filter(Boolean).length;
+
+      if (draftsAt !== drawee) {
+        return 'fields 42C and 42a must both be present';
+      }
+      if (combinations > 1) {
+        return 'only one of 42C with 42a, 42M or 42P may be present';
+      }
+      return null;
+    }
+  },
+  {
+    rule: 'C3',
+    code: 'D06',
+    check: ({ fields }) => (fields['44C'] && fields['44D'] ? 'fields 44C and 44D are mutually exclusive' : null)
+  }
+];
+
+/**
+ * Network validated rules per message type
+ * A check returns null, a reason, or a list of reasons
+ */
+const NETWORK_RULES = {
+  MT103: [
+    {
+      rule: 'C1',
+      code: 'D75',
+      check: ({ fields }) => {
+        if (!fields['33B']) {
+          return fields['36'] ? 'field 36 is not allowed when 33B is absent' : null;
+        }
+        if (!fields['32A']) return null;
+        const currenciesDiffer = currencyOf(fields['33B']) !== currencyOf(fields['32A']);
+
+        if (currenciesDiffer && !fields['36']) {
+          return 'field 36 is mandatory when the currencies of 32A and 33B differ';
+        }
+        if (!currenciesDiffer && fields['36']) {
+          return 'field 36 is not allowed when the currencies of 32A and 33B are the same';
+        }
+        return null;
+      }
+    },
+    {
+      rule: 'C3',
+      code: 'E01',
+      check: ({ fields, fieldList }) => {
+        if (fields['23B']?.content !== 'SPRI') return null;
+        const invalid = fieldList.filter(field => field.tag === '23E' && !SPRI_INSTRUCTION_CODES.includes(field.content.substring(0, 4)));
+        return invalid.length > 0 ? `23E may only contain ${SPRI_INSTRUCTION_CODES.join(', ')} when 23B is SPRI` : null;
+      }
+    },
+    {
+      rule: 'C3',
+      code: 'E02',
+      check: ({ fields }) => (['SSTD', 'SPAY'].includes(fields['23B']?.content) && fields['23E']
+        ? `23E is not allowed when 23B is ${fields['23B'].content}`
+        : null)
+    },
+    {
+      rule: 'C4',
+      code: 'E03',
+      check: ({ fields }) => (SERVICE_LEVEL_CODES.includes(fields['23B']?.content) && fields['53D']
+        ? `53a must not be option D when 23B is ${fields['23B'].content}`
+        : null)
+    },
+    {
+      rule: 'C5',
+      code: 'E04',
+      check: ({ fields }) => (SERVICE_LEVEL_CODES.includes(fields['23B']?.content) && fields['53B'] && !hasPartyIdentifier(fields['53B'])
+        ? `53B must contain a party identifier when 23B is ${fields['23B'].content}`
+        : null)
+    },
+    {
+      rule: 'C6',
+      code: 'E05',
+      check: ({ fields, fieldList }) => {
+        const field = findByNumber(fieldList, '54');
+        return SERVICE_LEVEL_CODES.includes(fields['23B']?.content) && field && field.tag !== '54A'
+          ? `54a may only be option A when 23B is ${fields['23B'].content}`
+          : null;
+      }
+    },
+    {
+      rule: 'C7',
+      code: 'E06',
+      check: ({ fieldList }) => (findByNumber(fieldList, '55') && !(findByNumber(fieldList, '53') && findByNumber(fieldList, '54'))
+        ? 'fields 53a and 54a are mandatory when 55a is present'
+        : null)
+    },
+    {
+      rule: 'C8',
+      code: 'E07',
+      check: ({ fields, fieldList }) => {
+        const field = findByNumber(fieldList, '55');
+        return SERVICE_LEVEL_CODES.includes(fields['23B']?.content) && field && field.tag !== '55A'
+          ? `55a may only be option A when 23B is ${fields['23B'].content}`
+          : null;
+      }
+    },
+    {
+      rule: 'C9',
+      code: 'C81',
+      check: ({ fieldList }) => (findByNumber(fieldList, '56') && !findByNumber(fieldList, '57')
+        ? 'field 57a is mandatory when 56a is present'
+        : null)
+    },
+    {
+      rule: 'C10',
+      code: 'E16',
+      check: ({ fields, fieldList }) => (fields['23B']?.content === 'SPRI' && findByNumber(fieldList, '56')
+        ? '56a is not allowed when 23B is SPRI'
+        : null)
+    },
+    {
+      rule: 'C10',
+      code: 'E17',
+      check: ({ fields }) => (['SSTD', 'SPAY'].includes(fields['23B']?.content) && fields['56D']
+        ? `56a may only be option A or C when 23B is ${fields['23B'].content}`
+        : null)
+    },
+    {
+      rule: 'C11',
+      code: 'E09',
+      check: ({ fields, fieldList }) => {
+        if (!SERVICE_LEVEL_CODES.includes(fields['23B']?.content)) return null;
+        const field = findByNumber(fieldList, '57');
+
+        if (field?.tag === '57B') {
+          return `57a may only be option A, C or D when 23B is ${fields['23B'].content}`;
+        }
+        if (field?.tag === '57D' && !hasPartyIdentifier(field)) {
+          return `57D must contain a party identifier when 23B is ${fields['23B'].content}`;
+        }
+        return null;
+      }
+    },
+    {
+      rule: 'C12',
+      code: 'E10',
+      check: ({ fields, fieldList }) => {
+        const field = findByNumber(fieldList, '59');
+        return SERVICE_LEVEL_CODES.includes(fields['23B']?.content) && field && !hasPartyIdentifier(field)
+          ? `59a must contain an account when 23B is ${fields['23B'].content}`
+          : null;
+      }
+    },
+    {
+      rule: 'C13',
+      code: 'E18',
+      check: ({ fieldList }) => {
+        const field = findByNumber(fieldList, '59');
+        const cheque = fieldList.some(candidate => candidate.tag === '23E' && candidate.content.startsWith('CHQB'));
+        return cheque && field && hasPartyIdentifier(field)
+          ? '59a must not contain an account when 23E is CHQB'
+          : null;
+      }
+    },
+    {
+      rule: 'C14',
+      code: 'E12',
+      check: ({ fields }) => (fields['70'] && fields['77T'] ? 'fields 70 and 77T are mutually exclusive' : null)
+    },
+    {
+      rule: 'C15',
+      code: 'E13',
+      check: ({ fields }) => (fields['71A']?.content === 'OUR' && fields['71F']
+        ? '71F is not allowed when 71A is OUR'
+        : null)
+    },
+    {
+      rule: 'C15',
+      code: 'D50',
+      check: ({ fields }) => (fields['71A']?.content === 'SHA' && fields['71G']
+        ? '71G is not allowed when 71A is SHA'
+        : null)
+    },
+    {
+      rule: 'C15',
+      code: 'E15',
+      check: ({ fields }) => {
+        if (fields['71A']?.content !== 'BEN') return null;
+        if (!fields['71F']) return 'at least one 71F is mandatory when 71A is BEN';
+        if (fields['71G']) return '71G is not allowed when 71A is BEN';
+        return null;
+      }
+    },
+    {
+      rule: 'C16',
+      code: 'D51',
+      check: ({ fields }) => ((fields['71F'] || fields['71G']) && !fields['33B']
+        ? 'field 33B is mandatory when 71F or 71G is present'
+        : null)
+    },
+    {
+      rule: 'C17',
+      code: 'E44',
+      check: ({ fieldList }) => (!findByNumber(fieldList, '56') && fieldList.some(field => field.tag === '23E' && /^(TELI|PHOI)/.test(field.content))
+        ? '23E must not contain TELI or PHOI when 56a is not present'
+        : null)
+    },
+    {
+      rule: 'C18',
+      code: 'E45',
+      check: ({ fieldList }) => (!findByNumber(fieldList, '57') && fieldList.some(field => field.tag === '23E' && /^(TELE|PHON)/.test(field.content))
+        ? '23E must not contain TELE or PHON when 57a is not present'
+        : null)
+    },
+    {
+      rule: '23E',
+      code: 'T47',
+      check: ({ fieldList }) => fieldList
+        .filter(field => field.tag === '23E' && !MT103_INSTRUCTION_CODES.includes(field.content.substring(0, 4)))
+        .map(field => `invalid instruction code ${field.content.substring(0, 4)} in 23E`)
+    },
+    {
+      rule: '23E',
+      code: 'D97',
+      check: ({ fieldList }) => fieldList
+        .filter(field => field.tag === '23E' && field.content.includes('/') && !INSTRUCTION_CODES_WITH_INFORMATION.includes(field.content.substring(0, 4)))
+        .map(field => `additional information is not allowed with instruction code ${field.content.substring(0, 4)}`)
+    }
+  ],
+
+  MT202: [
+    {
+      rule: 'C1',
+      code: 'C81',
+      check: ({ sequences: { sequenceA } }) => (findByNumber(sequenceA, '56') && !findByNumber(sequenceA, '57')
+        ? 'field 57a is mandatory when 56a is present'
+        : null)
+    }
+  ],
+
+  MT101: [
+    {
+      rule: 'C1',
+      code: 'D54',
+      check: ({ sequences }) => sequences.sequenceB
+        .filter(sequence => findByTags(sequence, ['36']) && !findByTags(sequence, ['21F']))
+        .map(sequence => `field 21F is mandatory when 36 is present (transaction ${sequence[0].content})`)
+    },
+    {
+      rule: 'C2',
+      code: 'D60',
+      check: ({ sequences }) => sequences.sequenceB.map(sequence => {
+        const amount = findByTags(sequence, ['32B']);
+        const exchangeRate = findByTags(sequence, ['36']);
+
+        if (!findByTags(sequence, ['33B'])) {
+          return exchangeRate ? `field 36 is not allowed when 33B is not present (transaction ${sequence[0].content})` : null;
+        }
+        if (!amount) return null;
+
+        if (!isZeroAmount(amount) && !exchangeRate) {
+          return `field 36 is mandatory when 33B is present and 32B is not zero (transaction ${sequence[0].content})`;
+        }
+        if (isZeroAmount(amount) && exchangeRate) {
+          return `field 36 is not allowed when 32B is zero (transaction ${sequence[0].content})`;
+        }
+        return null;
+      })
+    },
+    {
+      rule: 'C3',
+      code: 'D61',
+      check: ({ sequences }) => (inSequenceAOrEveryB(sequences, field => ['50F', '50G', '50H'].includes(field.tag))
+        ? null
+        : 'ordering customer 50a (F, G or H) must be present in sequence A or in every sequence B, but not both')
+    },
+    {
+      rule: 'C4',
+      code: 'D62',
+      check: ({ sequences }) => (inSequenceAOrEveryB(sequences, field => ['50C', '50L'].includes(field.tag), true)
+        ? null
+        : 'instructing party 50a (C or L) may be present in sequence A or in every sequence B, but not both')
+    },
+    {
+      rule: 'C5',
+      code: 'D68',
+      check: ({ sequences }) => sequences.sequenceB
+        .filter(sequence => {
+          const original = findByTags(sequence, ['33B']);
+          const amount = findByTags(sequence, ['32B']);
+          return original && amount && currencyOf(original) === currencyOf(amount);
+        })
+        .map(sequence => `currencies of 32B and 33B must differ (transaction ${sequence[0].content})`)
+    },
+    {
+      rule: 'C6',
+      code: 'D64',
+      check: ({ sequences }) => (inSequenceAOrEveryB(sequences, field => splitTag(field.tag).number === '52', true)
+        ? null
+        : 'account servicing institution 52a may be present in sequence A or in every sequence B, but not both')
+    },
+    {
+      rule: 'C7',
+      code: 'D65',
+      check: ({ sequences }) => sequences.sequenceB
+        .filter(sequence => findByNumber(sequence, '56') && !findByNumber(sequence, '57'))
+        .map(sequence => `field 57a is mandatory when 56a is present (transaction ${sequence[0].content})`)
+    },
+    {
+      rule: 'C8',
+      code: 'D93',
+      check: ({ sequences }) => {
+        if (!findByTags(sequences.sequenceA, ['21R'])) return null;
+        const currencies = new Set(sequences.sequenceB.map(sequence => findByTags(sequence, ['32B'])).filter(Boolean).map(currencyOf));
+        return currencies.size > 1 ? 'all 32B currencies must be the same when 21R is present' : null;
+      }
+    }
+  ],
+
+  MT700: DOCUMENTARY_CREDIT_RULES,
+  MT710: DOCUMENTARY_CREDIT_RULES,
+  MT720: DOCUMENTARY_CREDIT_RULES,
+
+  MT940: [
+    STATEMENT_LINE_INFORMATION,
+    sameCurrencyCountry('C2', /^(60|62|64|65)/, '60a, 62a, 64 and 65')
+  ],
+
+  MT942: [
+    STATEMENT_LINE_INFORMATION,
+    sameCurrencyCountry('C2', /^(34F|90D|90C)$/, '34F, 90D and 90C'),
+    {
+      rule: 'C3',
+      code: 'C23',
+      check: ({ fieldList }) => {
+        const marks = fieldList.filter(field => field.tag === '34F').map(field => field.content.charAt(3));
+
+        if (marks.length === 1 && /[DC]/.test(marks[0])) {
+          return 'a single 34F must not have a debit/credit mark';
+        }
+        if (marks.length === 2 && (marks[0] !== 'D' || marks[1] !== 'C')) {
+          return 'the first 34F must have mark D and the second mark C';
+        }
+        return null;
+      }
+    }
+  ],
+
+  MT950: [
+    sameCurrencyCountry('C1', /^(60|62|64|65)/, '60a, 62a, 64 and 65')
+  ]
+};
+
+/**
+ * Additional rules of the message variants selected by the validation flag
+ * (block 3 field 119), applied on top of the standard rules of the type
+ */
+const VARIANT_RULES = {
+  MT103: {
+    STP: [
+      allowedOptions('50', ['A', 'F', 'K']),
+      allowedOptions('52', ['A']),
+      allowedOptions('53', ['A', 'B']),
+      allowedOptions('54', ['A']),
+      allowedOptions('55', ['A']),
+      allowedOptions('56', ['A']),
+      allowedOptions('57', ['A']),
+      {
+        rule: '23E',
+        code: 'T47',
+        check: ({ fieldList }) => fieldList
+          .filter(field => field.tag === '23E' && !STP_INSTRUCTION_CODES.includes(field.content.substring(0, 4)))
+          .map(field => `instruction code ${field.content.substring(0, 4)} is not allowed in 23E`)
+      },
+      {
+        rule: 'C3',
+        code: 'E01',
+        check: ({ fields, fieldList }) => (fields['23B']?.content === 'SPRI' &&
+          fieldList.some(field => field.tag === '23E' && !['SDVA', 'INTC'].includes(field.content.substring(0, 4)))
+          ? '23E may only contain SDVA or INTC when 23B is SPRI'
+          : null)
+      },
+      {
+        rule: '59a',
+        code: 'E10',
+        check: ({ fieldList }) => {
+          const field = findByNumber(fieldList, '59');
+          return field && !hasPartyIdentifier(field) ? '59a must always contain an account' : null;
+        }
+      }
+    ],
+    REMIT: [
+      {
+        rule: '77T',
+        code: null,
+        check: ({ fields }) => (fields['77T'] ? null : 'field 77T is mandatory')
+      },
+      {
+        rule: '70',
+        code: null,
+        check: ({ fields }) => (fields['70'] ? 'field 70 is not allowed' : null)
+      }
+    ]
+  },
+
+  MT202: {
+    COV: [
+      {
+        rule: '50a',
+        code: null,
+        check: ({ sequences: { sequenceB } }) => (sequenceB.length > 0
+          ? null
+          : 'sequence B with the ordering customer 50a is mandatory')
+      },
+      {
+        rule: '59a',
+        code: null,
+        check: ({ sequences: { sequenceB } }) => (sequenceB.length > 0 && !findByNumber(sequenceB, '59')
+          ? 'field 59a is mandatory in sequence B'
+          : null)
+      },
+      {
+        rule: 'C2',
+        code: 'C68',
+        check: ({ sequences: { sequenceB } }) => (findByNumber(sequenceB, '56') && !findByNumber(sequenceB, '57')
+          ? 'field 57a is mandatory in sequence B when 56a is present'
+          : null)
+      }
+    ]
+  }
+};
+
+/**
+ * Check a message against the network validated rules of its type
+ * @param {string} messageType - Message type (e.g. 'MT103')
+ * @param {Array} fieldList - Ordered fields with tag and content
+ * @param {string|null} validationFlag - Block 3 field 119 (e.g. 'STP', 'REMIT')
+ * @returns {Array} Violations with their rule number and error code (null for variant format restrictions)
+ */
+export function validateNetworkRules(messageType, fieldList, validationFlag = null) {
+  const variantRules = VARIANT_RULES[messageType]?.[validationFlag] || [];
+  const rules = [
+    ...(NETWORK_RULES[messageType] || []).map(rule => ({ ...rule, label: `${messageType} ${rule.rule}` })),
+    ...variantRules.map(rule => ({ ...rule, label: `${messageType} ${validationFlag} ${rule.rule}` }))
+  ];
+  const fields = {};
+
+  fieldList.forEach(field => {
+    if (!fields[field.tag]) {
+      fields[field.tag] = field;
+    }
+  });
+
+  const context = { fields, fieldList, sequences: groupSequences(messageType, fieldList) };
+
+  return rules.flatMap(({ rule, code, label, check }) => [].concat(check(context))
+    .filter(Boolean)
+    .map(reason => ({
+      type: 'network_rule',
+      rule,
+      code,
+      message: `${code ? `${code} ` : ''}(${label}): ${reason}`
+    })));
+}
+
+/**
+ * Throw when a message breaks any network validated rule of its type
+ * @param {string} messageType - Message type (e.g. 'MT103')
+ * @param {Array} fieldList - Ordered fields with tag and content
+ * @param {string|null} validationFlag - Block 3 field 119 (e.g. 'STP', 'REMIT')
+ */
+export function assertNetworkRules(messageType, fieldList, validationFlag = null) {
+  const violations = validateNetworkRules(messageType, fieldList, validationFlag);
+
+  if (violations.length > 0) {
+    const error = new Error(`Network validation failed: ${violations.map(violation => violation.message).join('; ')}`);
+    error.violations = violations;
+    throw error;
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * SWIFT Party Field Parser
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Turns the content of party fields (50a, 52a-58a, 59a) into typed parties
+ * according to the option letter the field was sent with.
+ */
+
+/**
+ * Party identifier line: [/1!a][/34x] or /34x
+ */
+const PARTY_IDENTIFIER = /^\/.*$/;
+
+/**
+ * Split field content into trimmed, non-empty lines
+ * @param {string} content - Field content
+ * @returns {Array} Lines
+ */
+function splitLines(content) {
+  return content.split('\n').map(line => line.trim()).filter(line => line !== '');
+}
+
+/**
+ * Take the optional leading party identifier line off a set of lines
+ * @param {Array} lines - Field lines
+ * @returns {Object} Account line (or null) and the remaining lines
+ */
+function takeAccount(lines) {
+  if (lines.length > 0 && PARTY_IDENTIFIER.test(lines[0])) {
+    return { account: lines[0], rest: lines.slice(1) };
+  }
+  return { account: null, rest: lines };
+}
+
+/**
+ * Option A: [/1!a][/34x] + BIC
+ */
+function parseOptionA(lines) {
+  const { account, rest } = takeAccount(lines);
+  return { type: 'bic', account, bic: rest[0] || null };
+}
+
+/**
+ * Option B: [/1!a][/34x] + [35x] location
+ */
+function parseOptionB(lines) {
+  const { account, rest } = takeAccount(lines);
+  return { type: 'location', account, location: rest[0] || null };
+}
+
+/**
+ * Option C: /34x party identifier only
+ */
+function parseOptionC(lines) {
+  return { type: 'account', account: lines[0] || null };
+}
+
+/**
+ * Option L: 35x party identifier (MT101 instructing party)
+ */
+function parseOptionL(lines) {
+  return { type: 'identifier', identifier: lines[0] || null };
+}
+
+/**
+ * Options D, K and letterless: [/34x] + 4*35x name and address
+ * Free-format lines carry no country, so only the account identifies the party
+ */
+function parseNameAndAddress(lines) {
+  const { account, rest } = takeAccount(lines);
+  const addressLines = rest.slice(1);
+
+  return {
+    type: 'name_address',
+    account,
+    name: rest[0] || null,
+    address: addressLines.join(', ') || null,
+    addressLines,
+    country: null,
+    identifiers: []
+  };
+}
+
+/**
+ * Party identifier codes of 50F whose identifier includes an issuer
+ */
+const CODES_WITH_ISSUER = ['CUST', 'DRLC', 'EMPL'];
+
+/**
+ * Parse the party identifier line of option F
+ * Either an account (/34x) or code/country/[issuer/]identifier (e.g. NIDN/DE/123456)
+ * @param {string|null} line - First line of the field
+ * @returns {Object} Account and identifiers found on the line
+ */
+function parsePartyIdentifier(line) {
+  if (!line || line.startsWith('/')) {
+    return { account: line, identifiers: [] };
+  }
+
+  const match = line.match(/^([A-Z]{4})\/([A-Z]{2})\/(.+)$/);
+  if (!match) {
+    return { account: null, identifiers: [] };
+  }
+
+  const [, type, country, value] = match;
+  const issuerMatch = CODES_WITH_ISSUER.includes(type) ? value.match(/^([^/]+)\/(.+)$/) : null;
+
+  return {
+    account: null,
+    identifiers: [issuerMatch
+      ? { type, country, issuer: issuerMatch[1], value: issuerMatch[2] }
+      : { type, country, issuer: null, value }]
+  };
+}
+
+/**
+ * Format a YYYYMMDD date of birth as an ISO date
+ * @param {string} text - Date in YYYYMMDD format
+ * @returns {string} Date in YYYY-MM-DD format, or the text as sent when malformed
+ */
+function parseBirthDate(text) {
+  const match = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : text;
+}
+
+/**
+ * Split a country/text line (e.g. "DE/BERLIN")
+ * @param {string} text - Line text after the line code
+ * @returns {Object} Country code and remaining text
+ */
+function splitCountry(text) {
+  const match = text.match(/^([A-Z]{2})(?:\/(.*))?$/);
+  return match ? { country: match[1], text: match[2] || null } : { country: null, text };
+}
+
+/**
+ * Option F: party identifier + numbered lines
+ *   1/ name, 2/ address line, 3/ country and town, 4/ date of birth,
+ *   5/ place of birth, 6/ customer identification, 7/ national identity number,
+ *   8/ continuation of the preceding identifier
+ */
+function parseOptionF(lines) {
+  const [partyIdentifier = null, ...details] = lines;
+  const { account, identifiers } = parsePartyIdentifier(partyIdentifier);
+
+  const party = {
+    type: 'structured',
+    partyIdentifier,
+    account,
+    name: null,
+    address: null,
+    addressLines: [],
+    country: null,
+    town: null,
+    dateOfBirth: null,
+    placeOfBirth: null,
+    identifiers,
+    lines: details.map(line => {
+      const match = line.match(/^(\d)\/(.*)$/);
+      return match ? { code: match[1], text: match[2] } : { code: null, text: line };
+    })
+  };
+
+  let previous = null;
+
+  party.lines.forEach(({ code, text }) => {
+    if (code === '1') {
+      party.name = party.name ? `${party.name} ${text}` : text;
+    } else if (code === '2') {
+      party.addressLines.push(text);
+    } else if (code === '3' && previous === '3') {
+      party.town = party.town ? `${party.town} ${text}` : text;
+    } else if (code === '3') {
+      const { country, text: town } = splitCountry(text);
+      party.country = country;
+      party.town = town;
+    } else if (code === '4') {
+      party.dateOfBirth = parseBirthDate(text);
+    } else if (code === '5') {
+      const { country, text: town } = splitCountry(text);
+      party.placeOfBirth = { country, town };
+    } else if (code === '6') {
+      const [country, issuer = null, ...value] = text.split('/');
+      party.identifiers.push({ type: 'customer_identification', country, issuer, value: value.join('/') || null });
+    } else if (code === '7') {
+      const { country, text: value } = splitCountry(text);
+      party.identifiers.push({ type: 'national_identity_number', country, issuer: null, value });
+    } else if (code === '8' && ['6', '7', '8'].includes(previous)) {
+      const identifier = party.identifiers[party.identifiers.length - 1];
+      identifier.value = `${identifier.value || ''}${text}`;
+    }
+    previous = code;
+  });
+
+  party.address = party.addressLines.join(', ') || null;
+  return party;
+}
+
+const OPTION_PARSERS = {
+  A: parseOptionA,
+  B: parseOptionB,
+  C: parseOptionC,
+  D: parseNameAndAddress,
+  F: parseOptionF,
+  // MT101 ordering customer: /34x account with a BIC (G) or a name and address (H)
+  G: parseOptionA,
+  H: parseNameAndAddress,
+  K: parseNameAndAddress,
+  L: parseOptionL,
+  '': parseNameAndAddress
+};
+
+/**
+ * Parse party field content according to its option letter
+ * Options without a parser (e.g. 57E) keep their raw content with type
+ * 'unsupported'; the parser reports their tag as unrecognized
+ * @param {string} option - Option letter ('' for letterless fields such as :59:)
+ * @param {string} content - Field content
+ * @returns {Object|null} Typed party or null when there is no content
+ */
+export function parseParty(option, content) {
+  if (!content) return null;
+
+  const parseOption = OPTION_PARSERS[option];
+  if (!parseOption) {
+    return { option, type: 'unsupported', account: null, raw: content };
+  }
+
+  return {
+    option,
+    ...parseOption(splitLines(content)),
+    raw: content
+  };
+}
+
+/**
+ * Identifier used in the standardized message for an institution party
+ * @param {Object|null} party - Typed party
+ * @returns {string|null} BIC for option A, otherwise the first meaningful line
+ */
+export function institutionIdentifier(party) {
+  if (!party) return null;
+  return party.bic || party.location || party.name || party.account || null;
+}
@@ -0,0 +1,203 @@
+/**
+ * SWIFT Proprietary Message Parsing (MT798)
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * An MT798 is an envelope for the corporate-to-bank trade finance exchange:
+ * :20: carries the transaction reference, :12: the sub-message type (770,
+ * 774, 700...) and :77E: the sub-message itself as a nested field list:
+ *
+ *   :20:FAREF001
+ *   :12:770
+ *   :77E:
+ *   :27A:1/1
+ *   :21A:CUSTREF001
+ *
+ * The fields after :77E: belong to its content, so the envelope is folded back
+ * into three fields before the embedded fields are tokenized on their own and
+ * read with the dictionary of their sub-message type (MT798<770>...). Offsets
+ * of embedded fields are relative to the start of the 77E content.
+ */
+
+import { tokenizeTextBlock } from './fin-tokenizer.js';
+import { getFieldDefinition, splitTag, SWIFT_FIELDS } from './field-definitions.js';
+import { parseParty } from './parties.js';
+import { parseDocumentaryCredit, parseCreditContinuation, parseGuarantee, parseSequenceOfTotal } from './trade-finance.js';
+
+/**
+ * Sub-message types with a field dictionary
+ */
+export const SUB_MESSAGE_TYPES = {
+  700: 'Documentary Credit Details',
+  701: 'Documentary Credit Extension',
+  760: 'Guarantee / Standby Letter of Credit Details',
+  770: 'Application for Documentary Credit',
+  774: 'Notification of Issuance of Documentary Credit',
+  784: 'Application for Guarantee / Standby Letter of Credit'
+};
+
+/**
+ * Build the dictionary key of a sub-message type
+ * @param {string} subMessageType - Sub-message type from field 12 (e.g. '770')
+ * @returns {string} Message type used for field definitions (e.g. 'MT798<770>')
+ */
+export function embeddedMessageType(subMessageType) {
+  return `MT798<${subMessageType}>`;
+}
+
+/**
+ * Fold the fields that follow :77E: back into its content
+ * @param {Object} textBlock - Tokenized block 4 with its content and field tokens
+ * @returns {Array} Field tokens of the envelope
+ */
+export function foldEnvelopeContents(textBlock) {
+  const { fields, content, contentStart } = textBlock;
+  const index = fields.findIndex(field => field.tag === '77E');
+
+  if (index === -1 || index === fields.length - 1) {
+    return fields;
+  }
+
+  const envelopeField = fields[index];
+  const last = fields[fields.length - 1];
+  const contents = content.substring(envelopeField.contentStart - contentStart, last.end - contentStart);
+
+  return [
+    ...fields.slice(0, index),
+    { ...envelopeField, end: last.end, content: contents.replace(/\r/g, '').trim() }
+  ];
+}
+
+/**
+ * Tokenize the fields embedded in the 77E of an MT798
+ * @param {Array} fieldList - Ordered envelope fields
+ * @returns {Object} Embedded message type and its ordered fields
+ */
+export function parseEmbeddedFieldList(fieldList) {
+  const content = tag => fieldList.find(field => field.tag === tag)?.content ?? null;
+  const messageType = embeddedMessageType(content('12'));
+  const contents = content('77E') || '';
+  const { fields, leadingText } = tokenizeTextBlock(contents, 0, contents.length);
+
+  if (leadingText) {
+    throw new Error(`Invalid MT798 envelope: unexpected content in field 77E at offset ${leadingText.offset}`);
+  }
+
+  return {
+    messageType,
+    fieldList: fields.map(({ tag, content: fieldContent, start, end }) => {
+      const definition = getFieldDefinition(messageType, tag);
+
+      return {
+        tag,
+        name: definition ? definition.name : null,
+        option: definition ? definition.option : splitTag(tag).option,
+        content: fieldContent,
+        offset: { start, end }
+      };
+    })
+  };
+}
+
+/**
+ * Parse a message creation date and time (13E: 8!n4!n)
+ * @param {string} content - Field content (e.g. "202307011530")
+ * @returns {string} ISO 8601 local date-time
+ */
+function parseCreationDateTime(content) {
+  const match = content.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (!match) {
+    throw new Error(`Invalid creation date and time format: ${content}`);
+  }
+
+  const [, year, month, day, hour, minute] = match;
+  return `${year}-${month}-${day}T${hour}:${minute}:00`;
+}
+
+/**
+ * Parse the references and contacts of an index sub-message (770, 774, 784)
+ * @param {Array} fieldList - Embedded fields
+ * @returns {Object} Index details
+ */
+function parseIndex(fieldList) {
+  const content = tag => fieldList.find(field => field.tag === tag)?.content ?? null;
+  const optional = (value, parse) => (value ? parse(value) : null);
+  const partyField = number => fieldList.find(field => splitTag(field.tag).number === number);
+  const bank = partyField('51') || partyField('52');
+
+  return {
+    customerBusinessReference: content('21T'),
+    bankReference: content('21P'),
+    creationDateTime: optional(content('13E'), parseCreationDateTime),
+    customerContact: content('29A'),
+    bankContact: content('29B'),
+    documentaryCreditNumber: content('20'),
+    bank: bank ? parseParty(bank.option, bank.content) : null,
+    instructions: optional(content('72Z'), value => value.split('\n'))
+  };
+}
+
+/**
+ * Standardized content of each sub-message type
+ */
+const SUB_MESSAGE_PARSERS = {
+  700: fieldList => ({ documentaryCredit: parseDocumentaryCredit(fieldList, 'MT700') }),
+  701: fieldList => ({ creditContinuation: parseCreditContinuation(fieldList) }),
+  760: fieldList => ({ guarantee: parseGuarantee(fieldList) }),
+  770: fieldList => ({ index: parseIndex(fieldList) }),
+  774: fieldList => ({ index: parseIndex(fieldList) }),
+  784: fieldList => ({ index: parseIndex(fieldList) })
+};
+
+/**
+ * Warnings for an embedded message: an unknown sub-message type, or tags
+ * missing from the dictionary of a known one
+ * @param {string} subMessageType - Sub-message type
+ * @param {Object} embedded - Embedded message type and fields
+ * @returns {Array} Warnings
+ */
+function embeddedWarnings(subMessageType, embedded) {
+  if (!SWIFT_FIELDS[embedded.messageType]) {
+    return [{
+      type: 'unrecognized_sub_message',
+      subMessageType,
+      message: `Unrecognized MT798 sub-message type ${subMessageType}`
+    }];
+  }
+
+  const tags = [...new Set(embedded.fieldList.filter(field => field.name === null).map(field => field.tag))];
+
+  return tags.map(tag => ({
+    type: 'unrecognized_tag',
+    tag,
+    message: `Unrecognized tag ${tag} for ${embedded.messageType}`
+  }));
+}
+
+/**
+ * Build the standardized envelope and embedded sub-message of an MT798
+ * @param {Array} fieldList - Ordered envelope fields (20, 12, 77E)
+ * @returns {Object} Envelope details and the parsed embedded message
+ */
+export function parseProprietaryMessage(fieldList) {
+  const content = tag => fieldList.find(field => field.tag === tag)?.content ?? null;
+  const subMessageType = content('12');
+  const embedded = parseEmbeddedFieldList(fieldList);
+  const embeddedContent = tag => embedded.fieldList.find(field => field.tag === tag)?.content ?? null;
+  const parse = SUB_MESSAGE_PARSERS[subMessageType];
+  const page = embeddedContent('27A');
+
+  return {
+    reference: content('20'),
+    subMessageType,
+    subMessageName: SUB_MESSAGE_TYPES[subMessageType] || null,
+    contents: content('77E'),
+    embeddedMessage: {
+      messageType: embedded.messageType,
+      page: page ? parseSequenceOfTotal(page) : null,
+      customerReference: embeddedContent('21A'),
+      fieldList: embedded.fieldList,
+      warnings: embeddedWarnings(subMessageType, embedded),
+      ...(parse ? parse(embedded.fieldList) : {})
+    }
+  };
+}
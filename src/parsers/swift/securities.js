@@ -0,0 +1,331 @@
+/**
+ * SWIFT Securities Message Parsing
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Decomposes category 5 messages (MT515, MT540-MT548). Their fields are
+ * generic: the content starts with a qualifier giving the meaning of the field
+ * and an optional data source scheme before the value:
+ *   :4!c//value   (e.g. :98A::TRAD//20240701)
+ *   :4!c/8c/value (e.g. :22F::SETR/ABCD/TRAD)
+ * The fields are organized into :16R:/:16S: blocks, grouped by sequences.js.
+ */
+
+import { parseAmount } from './amounts.js';
+import { groupSequences } from './sequences.js';
+
+/**
+ * Qualifier, optional data source scheme and value of a category 5 field
+ */
+const QUALIFIED_FIELD = /^:([A-Z0-9]{4})\/([A-Z0-9]{0,8})\/([\s\S]*)$/;
+
+/**
+ * Settlement messages by direction and payment type; 544-547 confirm 540-543
+ */
+const SETTLEMENT_TYPES = {
+  MT540: { direction: 'receive', payment: 'free', confirmation: false },
+  MT541: { direction: 'receive', payment: 'against_payment', confirmation: false },
+  MT542: { direction: 'deliver', payment: 'free', confirmation: false },
+  MT543: { direction: 'deliver', payment: 'against_payment', confirmation: false },
+  MT544: { direction: 'receive', payment: 'free', confirmation: true },
+  MT545: { direction: 'receive', payment: 'against_payment', confirmation: true },
+  MT546: { direction: 'deliver', payment: 'free', confirmation: true },
+  MT547: { direction: 'deliver', payment: 'against_payment', confirmation: true },
+  MT548: { direction: null, payment: null, confirmation: false }
+};
+
+/**
+ * Split a category 5 field into qualifier, data source scheme and value
+ * @param {Object} field - Field with tag and content
+ * @returns {Object} Qualifier, data source scheme (null when absent) and value
+ */
+export function splitQualifiedField(field) {
+  const match = field.content.match(QUALIFIED_FIELD);
+
+  if (!match) {
+    throw new Error(`Invalid qualified field format: ${field.tag} ${field.content}`);
+  }
+
+  const [, qualifier, dataSourceScheme, value] = match;
+  return { qualifier, dataSourceScheme: dataSourceScheme || null, value };
+}
+
+/**
+ * Convert a SWIFT decimal (comma separator, optional N sign) into a decimal string
+ * @param {string} value - SWIFT decimal (e.g. "101,5", "100," or "N0,25")
+ * @returns {string} Decimal string (e.g. "101.5", "100" or "-0.25")
+ */
+function toDecimal(value) {
+  const sign = value.startsWith('N') ? '-' : '';
+  return sign + value.replace(/^N/, '').replace(',', '.').replace(/\.$/, '');
+}
+
+/**
+ * Format a YYYYMMDD date as YYYY-MM-DD
+ * @param {string} date - Date in YYYYMMDD format
+ * @returns {string} ISO 8601 date
+ */
+function formatDate(date) {
+  return `${date.substring(0, 4)}-${date.substring(4, 6)}-${date.substring(6, 8)}`;
+}
+
+/**
+ * Format a YYYYMMDD date, with an optional HHMMSS time, as ISO 8601
+ * @param {string} value - Date and time (e.g. "20230701" or "20230701120000")
+ * @returns {string} ISO 8601 date or local date-time
+ */
+function formatDateTime(value) {
+  if (value.length === 8) return formatDate(value);
+  return `${formatDate(value)}T${value.substring(8, 10)}:${value.substring(10, 12)}:${value.substring(12, 14)}`;
+}
+
+/**
+ * Parse the value of a period field (69A: 8!n/8!n, 69B: with times)
+ * @param {string} value - Field value after the qualifier
+ * @returns {Object} Start and end
+ */
+function parsePeriodValue(value) {
+  const [start, end] = value.split('/');
+  return { start: formatDateTime(start), end: end ? formatDateTime(end) : null };
+}
+
+/**
+ * Parse the value of a price field (90A: 4!c/[N]15d, 90B: 4!c/3!a15d)
+ * @param {string} value - Field value after the qualifier
+ * @param {Object} field - Price field
+ * @returns {Object} Price type code, currency (option B only) and price
+ */
+function parsePriceValue(value, field) {
+  const [priceType, price] = value.split('/');
+  const currency = field.tag === '90B' ? price.substring(0, 3) : null;
+
+  return { priceType, currency, price: toDecimal(currency ? price.substring(3) : price) };
+}
+
+/**
+ * Parse the value of an amount field (19A: [N]3!a15d)
+ * @param {string} value - Field value after the qualifier
+ * @returns {Object} Sign, currency and amount scaled to the currency
+ */
+function parseAmountValue(value) {
+  const match = value.match(/^(N?)([A-Z]{3})([\d,]+)$/);
+
+  if (!match) {
+    throw new Error(`Invalid qualified amount field format: ${value}`);
+  }
+
+  const [, sign, currency, amount] = match;
+  return { negative: sign === 'N', currency, amount: parseAmount(amount, currency) };
+}
+
+/**
+ * Code value of indicator, status and reason fields (22F, 22H, 24B, 25D, 98B)
+ */
+const codeValue = value => ({ code: value });
+
+/**
+ * Multi-line narrative and name and address values (70a, 95Q)
+ */
+const linesOf = value => value.split('\n').map(line => line.trim()).join(' ');
+
+/**
+ * Value parsers of the generic fields, keyed by tag
+ */
+const GENERIC_VALUE_PARSERS = {
+  '11A': value => ({ currency: value }),
+  '13A': value => ({ number: value }),
+  '17B': value => ({ flag: value === 'Y' }),
+  '19A': parseAmountValue,
+  '20C': value => ({ reference: value }),
+  '22F': codeValue,
+  '22H': codeValue,
+  '24B': codeValue,
+  '25D': codeValue,
+  '36B': value => {
+    const [quantityType, quantity] = value.split('/');
+    return { quantityType, quantity: toDecimal(quantity) };
+  },
+  '69A': parsePeriodValue,
+  '69B': parsePeriodValue,
+  '70C': value => ({ narrative: linesOf(value) }),
+  '70D': value => ({ narrative: linesOf(value) }),
+  '70E': value => ({ narrative: linesOf(value) }),
+  '90A': parsePriceValue,
+  '90B': parsePriceValue,
+  '92A': value => ({ rate: toDecimal(value) }),
+  '94B': value => {
+    const [code, ...narrative] = value.split('/');
+    return { code, narrative: narrative.join('/') || null };
+  },
+  '95C': value => ({ country: value }),
+  '95P': value => ({ bic: value }),
+  '95Q': value => ({ nameAndAddress: linesOf(value) }),
+  '95R': value => ({ proprietaryCode: value }),
+  '97A': value => ({ account: value }),
+  '97B': value => {
+    const [accountType, ...account] = value.split('/');
+    return { accountType, account: account.join('/') };
+  },
+  '98A': value => ({ date: formatDate(value) }),
+  '98B': codeValue,
+  '98C': value => ({ date: formatDateTime(value) }),
+  '99A': value => ({ number: Number(value.replace(/^N/, '-')) })
+};
+
+/**
+ * Parse a generic category 5 field into its qualifier, data source scheme and typed value
+ * Tags without a value parser keep their raw value
+ * @param {Object} field - Field with tag and content
+ * @returns {Object} Tag, qualifier, data source scheme and the subfields of the value
+ */
+export function parseGenericField(field) {
+  const { qualifier, dataSourceScheme, value } = splitQualifiedField(field);
+  const parseValue = GENERIC_VALUE_PARSERS[field.tag];
+
+  return { tag: field.tag, qualifier, dataSourceScheme, ...(parseValue ? parseValue(value, field) : { value }) };
+}
+
+/**
+ * Parse a security identification (35B: [ISIN1!e12!c]$[4*35x])
+ * @param {Object} field - Security field
+ * @returns {Object} ISIN (or null) and description
+ */
+export function parseSecurity(field) {
+  const lines = field.content.split('\n');
+  const isin = lines[0].match(/^ISIN ([A-Z0-9]{12})$/);
+  const description = (isin ? lines.slice(1) : lines).map(line => line.trim()).join(' ');
+
+  return { isin: isin ? isin[1] : null, description: description || null };
+}
+
+/**
+ * Find every block with a name below a block, at any depth, in message order
+ * @param {Object} block - Block tree node with its fields and child blocks
+ * @param {string} name - Block name (e.g. 'SETPRTY')
+ * @returns {Array} Matching blocks
+ */
+export function findBlocks(block, name) {
+  return block.blocks.flatMap(child => [...(child.name === name ? [child] : []), ...findBlocks(child, name)]);
+}
+
+/**
+ * List the fields of a block and of all blocks below it, in message order
+ * @param {Object} block - Block tree node
+ * @returns {Array} Fields
+ */
+function allFields(block) {
+  return [...block.fields, ...block.blocks.flatMap(allFields)];
+}
+
+/**
+ * Parse every generic field with a tag number, whichever option it uses
+ * @param {Array} fields - Fields to search
+ * @param {string} number - Tag number (e.g. '98')
+ * @returns {Array} Parsed generic fields
+ */
+function genericFields(fields, number) {
+  return fields.filter(field => field.tag.startsWith(number)).map(parseGenericField);
+}
+
+/**
+ * Find the first generic field with a tag number and one of the qualifiers
+ * @param {Array} fields - Fields to search
+ * @param {string} number - Tag number
+ * @param {Array} qualifiers - Accepted qualifiers, most specific first
+ * @returns {Object|null} Parsed generic field
+ */
+function qualifiedField(fields, number, qualifiers) {
+  const candidates = genericFields(fields, number);
+
+  for (const qualifier of qualifiers) {
+    const match = candidates.find(field => field.qualifier === qualifier);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Date of a 98a field, or its date code for option B
+ * @param {Object|null} field - Parsed date field
+ * @returns {string|null} ISO 8601 date, date-time or code
+ */
+function dateOf(field) {
+  return field ? field.date ?? field.code : null;
+}
+
+/**
+ * Details shared by the category 5 messages: general information, linkages,
+ * financial instrument, quantities, accounts and amounts
+ * @param {Object} tree - Block tree of the message
+ * @returns {Object} Common securities details
+ */
+function parseCommonDetails(tree) {
+  const fields = allFields(tree);
+  const general = findBlocks(tree, 'GENL')[0] || tree;
+  const security = fields.find(field => field.tag === '35B');
+  const [fn, subfunction = null] = (general.fields.find(field => field.tag === '23G')?.content || '').split('/');
+
+  return {
+    reference: qualifiedField(general.fields, '20', ['SEME'])?.reference ?? null,
+    function: fn || null,
+    subfunction,
+    preparationDate: dateOf(qualifiedField(general.fields, '98', ['PREP'])),
+    linkages: findBlocks(tree, 'LINK').flatMap(link => genericFields(link.fields, '20'))
+      .map(({ qualifier, reference }) => ({ qualifier, reference })),
+    indicators: genericFields(fields, '22'),
+    tradeDate: dateOf(qualifiedField(fields, '98', ['TRAD'])),
+    settlementDate: dateOf(qualifiedField(fields, '98', ['SETT'])),
+    security: security ? parseSecurity(security) : null,
+    quantities: genericFields(fields, '36'),
+    safekeepingAccount: qualifiedField(fields, '97', ['SAFE'])?.account ?? null,
+    amounts: genericFields(fields, '19')
+  };
+}
+
+/**
+ * Build the standardized content of an MT515 client confirmation of purchase or sale
+ * @param {Array} fieldList - Ordered fields
+ * @returns {Object} Common securities details with the deal price, parties and periods
+ */
+export function parseTradeConfirmation(fieldList) {
+  const tree = groupSequences('MT515', fieldList);
+  const fields = allFields(tree);
+
+  return {
+    ...parseCommonDetails(tree),
+    dealPrice: qualifiedField(fields, '90', ['DEAL']),
+    confirmationParties: genericFields(fields, '95'),
+    periods: genericFields(fields, '69'),
+    blocks: tree.blocks
+  };
+}
+
+/**
+ * Build the standardized content of a settlement instruction, confirmation or
+ * status advice (MT540-MT548)
+ * @param {string} messageType - Message type (e.g. 'MT541')
+ * @param {Array} fieldList - Ordered fields
+ * @returns {Object} Common securities details with the settlement parties and statuses
+ */
+export function parseSettlement(messageType, fieldList) {
+  const tree = groupSequences(messageType, fieldList);
+  const fields = allFields(tree);
+
+  return {
+    ...SETTLEMENT_TYPES[messageType],
+    ...parseCommonDetails(tree),
+    effectiveSettlementDate: dateOf(qualifiedField(fields, '98', ['ESET'])),
+    settlementParties: findBlocks(tree, 'SETPRTY').map(block => ({
+      party: genericFields(block.fields, '95')[0] || null,
+      account: genericFields(block.fields, '97')[0] || null,
+      processingReference: qualifiedField(block.fields, '20', ['PROC'])?.reference ?? null
+    })),
+    statuses: findBlocks(tree, 'STAT').map(block => ({
+      status: genericFields(block.fields, '25')[0] || null,
+      reasons: findBlocks(block, 'REAS').map(reason => ({
+        reason: genericFields(reason.fields, '24')[0] || null,
+        narrative: qualifiedField(reason.fields, '70', ['REAS'])?.narrative ?? null
+      }))
+    })),
+    blocks: tree.blocks
+  };
+}
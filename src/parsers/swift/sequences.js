@@ -0,0 +1,203 @@
+/**
+ * SWIFT Sequence Grouping
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Groups an ordered block 4 field list into the sequences defined for the
+ * message type, so repeating fields keep their context:
+ * - MT101: sequence A plus one sequence B per transaction (each starts at :21:)
+ * - MT940/MT942/MT950: statement lines (:61:) with their :86: information
+ * - Category 5 (MT515, MT540-MT548): nested blocks opened by :16R: and closed
+ *   by :16S: with the same block name (e.g. GENL, TRADDET, SETDET)
+ * - MT760: sequences A, B and C, each opened by an empty :15A:, :15B: or :15C:
+ * - MT202: sequence A, plus the sequence B of an MT202 COV with the underlying
+ *   customer credit transfer (it starts at the ordering customer :50a:)
+ */
+
+/**
+ * Message types whose body is a list of statement lines
+ */
+export const STATEMENT_TYPES = ['MT940', 'MT942', 'MT950'];
+
+/**
+ * Securities message types organized into :16R:/:16S: blocks
+ */
+export const CATEGORY_5_TYPES = [
+  'MT515', 'MT540', 'MT541', 'MT542', 'MT543', 'MT544', 'MT545', 'MT546', 'MT547', 'MT548'
+];
+
+/**
+ * Build an invalid block structure error pointing at the offending field
+ * @param {Object} field - Field where the structure breaks
+ * @param {string} reason - What is wrong
+ * @returns {Error} Error with the field offset attached when known
+ */
+function blockStructureError(field, reason) {
+  const error = new Error(`Invalid block structure: ${reason}`);
+  error.offset = field.offset?.start ?? null;
+  return error;
+}
+
+/**
+ * Group MT101 fields into sequence A and repeating sequence B
+ * @param {Array} fieldList - Ordered fields
+ * @returns {Object} Sequence A fields and an array of sequence B field lists
+ */
+function groupRequestForTransfer(fieldList) {
+  const sequenceA = [];
+  const sequenceB = [];
+
+  fieldList.forEach(field => {
+    if (field.tag === '21') {
+      sequenceB.push([field]);
+    } else if (sequenceB.length > 0) {
+      sequenceB[sequenceB.length - 1].push(field);
+    } else {
+      sequenceA.push(field);
+    }
+  });
+
+  return { sequenceA, sequenceB };
+}
+
+/**
+ * Find where sequence B of an MT202 COV starts: at its ordering customer 50a,
+ * the one field that sequence A never has
+ * @param {Array} fieldList - Ordered fields or field tokens with a tag
+ * @returns {number} Index of the first sequence B field, -1 without sequence B
+ */
+export function findCoverSequenceStart(fieldList) {
+  return fieldList.findIndex(field => /^50[A-Z]?$/.test(field.tag));
+}
+
+/**
+ * Group MT202 fields into sequence A and, for an MT202 COV, sequence B
+ * @param {Array} fieldList - Ordered fields
+ * @returns {Object} Sequence A and sequence B fields (empty without sequence B)
+ */
+function groupCover(fieldList) {
+  const start = findCoverSequenceStart(fieldList);
+
+  if (start === -1) {
+    return { sequenceA: fieldList, sequenceB: [] };
+  }
+
+  return { sequenceA: fieldList.slice(0, start), sequenceB: fieldList.slice(start) };
+}
+
+/**
+ * Group statement fields into header, statement lines and footer
+ * @param {Array} fieldList - Ordered fields
+ * @returns {Object} Header fields, statement lines with their :86:, footer fields
+ */
+function groupStatement(fieldList) {
+  const header = [];
+  const statementLines = [];
+  const footer = [];
+  let previous = null;
+
+  fieldList.forEach(field => {
+    if (field.tag === '61' && footer.length === 0) {
+      statementLines.push({ statementLine: field, information: null });
+    } else if (field.tag === '86' && previous?.tag === '61') {
+      statementLines[statementLines.length - 1].information = field;
+    } else if (statementLines.length > 0) {
+      footer.push(field);
+    } else {
+      header.push(field);
+    }
+    previous = field;
+  });
+
+  return { header, statementLines, footer };
+}
+
+/**
+ * Group MT760 fields into the sequences opened by their :15a: markers
+ * The markers themselves are not kept among the fields; fields before any
+ * marker belong to sequence A
+ * @param {Array} fieldList - Ordered fields
+ * @returns {Object} General information, undertaking and local undertaking fields
+ */
+function groupGuarantee(fieldList) {
+  const sequences = { sequenceA: [], sequenceB: [], sequenceC: [] };
+  let current = sequences.sequenceA;
+
+  fieldList.forEach(field => {
+    const marker = field.tag.match(/^15([ABC])$/);
+
+    if (marker) {
+      current = sequences[`sequence${marker[1]}`];
+    } else {
+      current.push(field);
+    }
+  });
+
+  return sequences;
+}
+
+/**
+ * Group category 5 fields into the tree of their :16R:/:16S: blocks
+ * The block markers themselves are not kept among the fields
+ * @param {Array} fieldList - Ordered fields
+ * @returns {Object} Root with the fields outside any block and the top-level blocks
+ */
+function groupBlocks(fieldList) {
+  const root = { name: null, fields: [], blocks: [] };
+  const open = [root];
+
+  fieldList.forEach(field => {
+    const current = open[open.length - 1];
+
+    if (field.tag === '16R') {
+      const block = { name: field.content, fields: [], blocks: [] };
+      current.blocks.push(block);
+      open.push(block);
+    } else if (field.tag === '16S') {
+      if (current === root) {
+        throw blockStructureError(field, `:16S:${field.content} closes a block that was not opened`);
+      }
+      if (field.content !== current.name) {
+        throw blockStructureError(field, `:16S:${field.content} closes :16R:${current.name}`);
+      }
+      open.pop();
+    } else {
+      current.fields.push(field);
+    }
+  });
+
+  if (open.length > 1) {
+    throw blockStructureError(fieldList[fieldList.length - 1], `:16R:${open[open.length - 1].name} is not closed`);
+  }
+
+  return root;
+}
+
+/**
+ * Group an ordered field list into the sequences of its message type
+ * @param {string} messageType - Message type (e.g. 'MT101')
+ * @param {Array} fieldList - Ordered fields as they appear in block 4
+ * @returns {Object|null} Sequences, or null for types without sequences
+ */
+export function groupSequences(messageType, fieldList) {
+  if (messageType === 'MT101') {
+    return groupRequestForTransfer(fieldList);
+  }
+
+  if (STATEMENT_TYPES.includes(messageType)) {
+    return groupStatement(fieldList);
+  }
+
+  if (CATEGORY_5_TYPES.includes(messageType)) {
+    return groupBlocks(fieldList);
+  }
+
+  if (messageType === 'MT760') {
+    return groupGuarantee(fieldList);
+  }
+
+  if (messageType === 'MT202') {
+    return groupCover(fieldList);
+  }
+
+  return null;
+}
@@ -0,0 +1,319 @@
+/**
+ * SWIFT Statement Parsing
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Decomposes statement fields (MT940, MT942, MT950) into their subfields:
+ * - :61: statement lines: dates, debit/credit mark, funds code, amount,
+ *   transaction type, references and supplementary details
+ * - :86: information to account owner, in the common structured conventions:
+ *   ?00-?63 subfields (purpose text in ?20-?29) or /CODE/ pairs (/EREF/, /REMI/)
+ * - :60a:/:62a:/:64:/:65: balances: mark, date, currency and amount
+ * - MT942 floor limits (:34F:), date/time indication (:13D:) and totals (:90D:/:90C:)
+ */
+
+import { parseAmount, parseBalance, parseSwiftDate } from './amounts.js';
+import { groupSequences } from './sequences.js';
+
+/**
+ * :61: first line: 6!n[4!n]2a[1!a]15d1!a3!c16x[//16x]
+ */
+const STATEMENT_LINE = /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d[\d,]{0,14})([A-Z])([A-Z0-9]{3})(.*)$/;
+
+/**
+ * :86: subfield convention: a 3-digit transaction code followed by ?NN subfields
+ */
+const SUBFIELD_INFORMATION = /^(\d{3})?\?\d{2}/;
+
+/**
+ * ?NN subfields that carry the purpose text
+ */
+const PURPOSE_SUBFIELDS = ['20', '21', '22', '23', '24', '25', '26', '27', '28', '29', '60', '61', '62', '63'];
+
+/**
+ * Keywords of SEPA purpose text (e.g. EREF+REF1SVWZ+INVOICE 1)
+ */
+const PURPOSE_KEYWORDS = /(EREF|KREF|MREF|CRED|DEBT|COAM|OAMT|SVWZ|ABWA|ABWE)\+/g;
+
+/**
+ * :86: /CODE/ convention (e.g. /EREF/REF1/REMI/USTD//INVOICE 1)
+ */
+const INFORMATION_CODES = /\/(EREF|KREF|MREF|CREF|IREF|PREF|REMI|PURP|ORDP|BENM|ULTC|ULTD|NAME|ADDR|IBAN|BIC|CSID|MARF|RTRN|SVCL|TRCD|ISDT|OCMT|CHGS|EXCH)\//g;
+
+/**
+ * Remittance information type prefix of /REMI/ (unstructured or structured)
+ */
+const REMITTANCE_TYPE = /^(USTD|STRD)\/\/?/;
+
+/**
+ * :34F: floor limit: 3!a[1!a]15d
+ */
+const FLOOR_LIMIT = /^([A-Z]{3})([DC])?(\d[\d,]*)$/;
+
+/**
+ * :90D:/:90C: number and sum of entries: 5n3!a15d
+ */
+const ENTRY_TOTAL = /^(\d{1,5})([A-Z]{3})(\d[\d,]*)$/;
+
+/**
+ * Resolve the year of a MMDD entry date from the value date it belongs to
+ * Entries booked around the turn of the year may fall in the adjacent year
+ * @param {string} valueDate - Value date in YYYY-MM-DD format
+ * @param {string} entryDate - Entry date in MMDD format
+ * @returns {string} Entry date in YYYY-MM-DD format
+ */
+function resolveEntryDate(valueDate, entryDate) {
+  const valueYear = Number(valueDate.substring(0, 4));
+  const valueMonth = Number(valueDate.substring(5, 7));
+  const entryMonth = Number(entryDate.substring(0, 2));
+
+  let year = valueYear;
+  if (entryMonth - valueMonth > 6) year--;
+  if (valueMonth - entryMonth > 6) year++;
+
+  return `${year}-${entryDate.substring(0, 2)}-${entryDate.substring(2, 4)}`;
+}
+
+/**
+ * Parse a statement line (:61:)
+ * @param {string} content - Field content
+ * @param {string|null} currency - Account currency from the balances, used to scale the amount
+ * @returns {Object} Statement line subfields
+ */
+export function parseStatementLine(content, currency = null) {
+  const [firstLine, ...supplementary] = content.split('\n');
+  const match = firstLine.trim().match(STATEMENT_LINE);
+
+  if (!match) {
+    throw new Error(`Invalid statement line format: ${content}`);
+  }
+
+  const [, valueDate, entryDate, mark, fundsCode, amount, transactionType, identificationCode, references] = match;
+  const [customerReference, bankReference = null] = references.split('//');
+  const parsedValueDate = parseSwiftDate(valueDate);
+
+  return {
+    valueDate: parsedValueDate,
+    entryDate: entryDate ? resolveEntryDate(parsedValueDate, entryDate) : null,
+    mark,
+    // A reversal of credit (RC) is a debit entry, a reversal of debit (RD) a credit entry
+    debit: mark === 'D' || mark === 'RC',
+    reversal: mark.startsWith('R'),
+    fundsCode: fundsCode || null,
+    amount: currency ? parseAmount(amount, currency) : amount.replace(',', '.').replace(/\.$/, ''),
+    transactionType: `${transactionType}${identificationCode}`,
+    customerReference: customerReference || null,
+    bankReference,
+    supplementaryDetails: supplementary.map(line => line.trim()).join(' ') || null
+  };
+}
+
+/**
+ * Split text on keywords, keeping the value that follows each keyword
+ * A keyword that occurs twice keeps its last value
+ * @param {string} text - Text containing keywords
+ * @param {RegExp} pattern - Global pattern whose first group is the keyword
+ * @returns {Object} Values keyed by keyword
+ */
+function splitKeywords(text, pattern) {
+  const matches = [...text.matchAll(pattern)];
+
+  return Object.fromEntries(matches.map((match, index) => {
+    const end = index + 1 < matches.length ? matches[index + 1].index : text.length;
+    return [match[1], text.substring(match.index + match[0].length, end).trim()];
+  }));
+}
+
+/**
+ * Parse :86: content in the ?NN subfield convention
+ * @param {string} text - Field content with its line breaks removed
+ * @returns {Object} Transaction code, subfields, purpose keywords and counterparty
+ */
+function parseInformationSubfields(text) {
+  const [transactionCode, ...parts] = text.split(/\?(?=\d{2})/);
+  const subfields = {};
+
+  parts.forEach(part => {
+    const key = part.substring(0, 2);
+    subfields[key] = (subfields[key] || '') + part.substring(2);
+  });
+
+  const purpose = PURPOSE_SUBFIELDS.map(key => subfields[key] || '').join('');
+  const codes = splitKeywords(purpose, PURPOSE_KEYWORDS);
+  const name = [subfields['32'], subfields['33']].filter(Boolean).join('');
+
+  return {
+    format: 'subfields',
+    transactionCode: transactionCode || null,
+    postingText: subfields['00'] || null,
+    subfields,
+    codes,
+    endToEndReference: codes.EREF || null,
+    remittanceInformation: codes.SVWZ || (Object.keys(codes).length === 0 && purpose) || null,
+    counterparty: {
+      bankCode: subfields['30'] || null,
+      account: subfields['31'] || null,
+      name: name || null
+    }
+  };
+}
+
+/**
+ * Parse :86: content in the /CODE/ convention
+ * @param {string} text - Field content with its line breaks removed
+ * @returns {Object} Codes, references and counterparty
+ */
+function parseInformationCodes(text) {
+  const codes = splitKeywords(text, INFORMATION_CODES);
+
+  return {
+    format: 'codes',
+    transactionCode: null,
+    postingText: null,
+    subfields: null,
+    codes,
+    endToEndReference: codes.EREF || null,
+    remittanceInformation: codes.REMI?.replace(REMITTANCE_TYPE, '') || null,
+    counterparty: {
+      bankCode: codes.BIC || null,
+      account: codes.IBAN || null,
+      name: codes.NAME || null
+    }
+  };
+}
+
+/**
+ * Parse an information to account owner field (:86:)
+ * Structured content is recognised by its convention; anything else is free text
+ * @param {string} content - Field content
+ * @returns {Object} Raw content, convention and the details it carries
+ */
+export function parseInformation(content) {
+  const text = content.replace(/\n/g, '');
+
+  if (SUBFIELD_INFORMATION.test(text)) {
+    return { raw: content, ...parseInformationSubfields(text) };
+  }
+
+  if (text.search(INFORMATION_CODES) === 0) {
+    return { raw: content, ...parseInformationCodes(text) };
+  }
+
+  return {
+    raw: content,
+    format: 'text',
+    transactionCode: null,
+    postingText: null,
+    subfields: null,
+    codes: {},
+    endToEndReference: null,
+    remittanceInformation: content.split('\n').map(line => line.trim()).join(' '),
+    counterparty: null
+  };
+}
+
+/**
+ * Parse an MT942 floor limit indicator (:34F:)
+ * @param {string} content - Field content
+ * @returns {Object} Currency, debit/credit mark (null when it applies to both) and amount
+ */
+export function parseFloorLimit(content) {
+  const match = content.match(FLOOR_LIMIT);
+
+  if (!match) {
+    throw new Error(`Invalid floor limit format: ${content}`);
+  }
+
+  const [, currency, mark, amount] = match;
+  return { currency, mark: mark || null, amount: parseAmount(amount, currency) };
+}
+
+/**
+ * Parse an MT942 number and sum of entries (:90D:/:90C:)
+ * @param {string} content - Field content
+ * @returns {Object} Number of entries, currency and total amount
+ */
+export function parseEntryTotal(content) {
+  const match = content.match(ENTRY_TOTAL);
+
+  if (!match) {
+    throw new Error(`Invalid entry total format: ${content}`);
+  }
+
+  const [, count, currency, amount] = match;
+  return { count: Number(count), currency, amount: parseAmount(amount, currency) };
+}
+
+/**
+ * Parse a date/time indication (:13D:) into an ISO 8601 timestamp with its UTC offset
+ * @param {string} content - Field content (YYMMDDHHMM followed by +HHMM or -HHMM)
+ * @returns {string} ISO 8601 timestamp
+ */
+export function parseDateTimeIndication(content) {
+  const match = content.match(/^(\d{6})(\d{2})(\d{2})([+-])(\d{2})(\d{2})$/);
+
+  if (!match) {
+    throw new Error(`Invalid date/time indication format: ${content}`);
+  }
+
+  const [, date, hour, minute, sign, offsetHour, offsetMinute] = match;
+  return `${parseSwiftDate(date)}T${hour}:${minute}:00${sign}${offsetHour}:${offsetMinute}`;
+}
+
+/**
+ * Parse a balance field (60F/60M/62F/62M/64/65)
+ * @param {Object} field - Balance field with tag and content
+ * @returns {Object} Mark, date, currency, amount and whether the balance is intermediate
+ */
+export function parseBalanceField(field) {
+  return {
+    ...parseBalance(field.content),
+    debit: field.content.startsWith('D'),
+    intermediate: field.tag.endsWith('M')
+  };
+}
+
+/**
+ * Build the standardized statement of a statement message
+ * @param {string} messageType - Message type (MT940, MT942 or MT950)
+ * @param {Array} fieldList - Ordered fields
+ * @returns {Object} Account, balances and statement lines with their :86: information
+ */
+export function parseStatement(messageType, fieldList) {
+  const { header, statementLines, footer } = groupSequences(messageType, fieldList);
+  const find = pattern => fieldList.find(field => pattern.test(field.tag));
+
+  const opening = find(/^60[FM]$/);
+  const closing = find(/^62[FM]$/);
+  const closingAvailable = find(/^64$/);
+  const dateTime = find(/^13D$/);
+  const debits = find(/^90D$/);
+  const credits = find(/^90C$/);
+  const openingBalance = opening ? parseBalanceField(opening) : null;
+  const closingBalance = closing ? parseBalanceField(closing) : null;
+  const floorLimits = fieldList.filter(field => field.tag === '34F').map(field => parseFloorLimit(field.content));
+  const currency = openingBalance?.currency || closingBalance?.currency || floorLimits[0]?.currency || null;
+  const [statementNumber, sequenceNumber = null] = (find(/^28C$/)?.content || '').split('/');
+  // An :86: that does not follow a statement line is information about the whole statement
+  const information = [...header, ...footer].find(field => field.tag === '86');
+
+  return {
+    transactionReference: find(/^20$/)?.content || null,
+    accountIdentification: find(/^25/)?.content || null,
+    statementNumber: statementNumber || null,
+    sequenceNumber,
+    currency,
+    openingBalance,
+    closingBalance,
+    closingAvailableBalance: closingAvailable ? parseBalanceField(closingAvailable) : null,
+    forwardAvailableBalances: fieldList.filter(field => field.tag === '65').map(parseBalanceField),
+    floorLimits,
+    dateTimeIndication: dateTime ? parseDateTimeIndication(dateTime.content) : null,
+    debitEntries: debits ? parseEntryTotal(debits.content) : null,
+    creditEntries: credits ? parseEntryTotal(credits.content) : null,
+    statementLines: statementLines.map(line => ({
+      ...parseStatementLine(line.statementLine.content, currency),
+      information: line.information ? parseInformation(line.information.content) : null
+    })),
+    information: information ? parseInformation(information.content) : null
+  };
+}
@@ -0,0 +1,341 @@
+/**
+ * SWIFT Trade Finance Parsing
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Builds the standardized content of the trade finance messages:
+ * - MT700 issue, MT710 advice and MT720 transfer of a documentary credit:
+ *   credit number and dates, amount and tolerance, availability, drafts,
+ *   shipment terms, goods, documents and the parties to the credit
+ * - MT701 continuation of the narrative terms of an MT700
+ * - MT707 amendment of a documentary credit
+ * - MT760 demand guarantee or standby letter of credit
+ *
+ * Long narrative fields (45a, 46a, 47a, 77U...) are kept as arrays of lines.
+ */
+
+import { parseSwiftDate, parseCurrencyAmount } from './amounts.js';
+import { splitTag } from './field-definitions.js';
+import { parseParty } from './parties.js';
+import { groupSequences } from './sequences.js';
+
+/**
+ * Documentary credit message types and the tag holding their credit number
+ */
+const CREDIT_NUMBER_TAGS = {
+  MT700: '20',
+  MT710: '21',
+  MT720: '21'
+};
+
+export const DOCUMENTARY_CREDIT_TYPES = Object.keys(CREDIT_NUMBER_TAGS);
+
+/**
+ * Codes that open a change in the narrative fields of an MT707
+ */
+const AMENDMENT_ACTIONS = ['ADD', 'DELETE', 'REPALL'];
+
+/**
+ * Build the field accessors shared by the trade finance parsers
+ * @param {Array} fieldList - Ordered fields
+ * @returns {Object} Content, line and party lookups by tag
+ */
+function fieldReader(fieldList) {
+  const content = tag => fieldList.find(field => field.tag === tag)?.content ?? null;
+  const optional = (value, parse) => (value ? parse(value) : null);
+
+  return {
+    content,
+    optional,
+    lines: tag => optional(content(tag), value => value.split('\n')),
+    party: number => {
+      const field = fieldList.find(candidate => splitTag(candidate.tag).number === number);
+      return field ? parseParty(splitTag(field.tag).option, field.content) : null;
+    }
+  };
+}
+
+/**
+ * Parse sequence of total (27: 1!n/1!n)
+ * @param {string} content - Field content (e.g. "1/2")
+ * @returns {Object} Message number and total number of messages
+ */
+export function parseSequenceOfTotal(content) {
+  const [index, total] = content.split('/').map(Number);
+  return { index, total };
+}
+
+/**
+ * Parse date and place of expiry (31D: 6!n29x)
+ * @param {string} content - Field content (e.g. "231231LONDON")
+ * @returns {Object} Expiry date and place
+ */
+export function parseExpiry(content) {
+  return { date: parseSwiftDate(content.substring(0, 6)), place: content.substring(6).trim() || null };
+}
+
+/**
+ * Parse percentage credit amount tolerance (39A: 2n/2n)
+ * @param {string} content - Field content (e.g. "10/5")
+ * @returns {Object} Plus and minus tolerance in percent
+ */
+export function parseTolerance(content) {
+  const [plus, minus] = content.split('/').map(Number);
+  return { plus, minus };
+}
+
+/**
+ * Parse applicable rules (40E: 30x[/35x], 40C: 4!a[/35x])
+ * @param {string} content - Field content (e.g. "UCP LATEST VERSION", "OTHR/LOCAL RULES")
+ * @returns {Object} Rules code and narrative
+ */
+export function parseApplicableRules(content) {
+  const separator = content.indexOf('/');
+
+  return separator === -1
+    ? { rules: content, narrative: null }
+    : { rules: content.substring(0, separator), narrative: content.substring(separator + 1) };
+}
+
+/**
+ * Parse period for presentation in days (48: 3n[/35x])
+ * @param {string} content - Field content (e.g. "21/FROM THE DATE OF SHIPMENT")
+ * @returns {Object} Number of days and narrative
+ */
+export function parsePresentationPeriod(content) {
+  const [days, ...narrative] = content.split('/');
+  return { days: Number(days), narrative: narrative.join('/') || null };
+}
+
+/**
+ * Parse available with ... by ... (41A: BIC$14x, 41D: 4*35x$14x)
+ * @param {Object} field - Availability field
+ * @returns {Object} Option, institution (BIC or name) and how the credit is available
+ */
+export function parseAvailability(field) {
+  const lines = field.content.split('\n').map(line => line.trim());
+  const by = lines.length > 1 ? lines.pop() : null;
+
+  return { option: splitTag(field.tag).option, institution: lines.join(' '), by };
+}
+
+/**
+ * Parse an amended narrative field of an MT707 (45B, 46B, 47B)
+ * Each change starts with /ADD/, /DELETE/ or /REPALL/ and runs until the next one
+ * @param {string} content - Field content
+ * @returns {Array} Changes with their action (null before the first code) and lines
+ */
+export function parseNarrativeAmendment(content) {
+  const changes = [];
+
+  content.split('\n').forEach(line => {
+    const code = line.match(/^\/([A-Z]+)\//);
+
+    if (code && AMENDMENT_ACTIONS.includes(code[1])) {
+      changes.push({ action: code[1], lines: [line.substring(code[0].length)] });
+    } else if (changes.length > 0) {
+      changes[changes.length - 1].lines.push(line);
+    } else {
+      changes.push({ action: null, lines: [line] });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Build the standardized documentary credit of an MT700, MT710 or MT720
+ * @param {Array} fieldList - Ordered fields
+ * @param {string} messageType - Message type
+ * @returns {Object} Documentary credit terms and parties
+ */
+export function parseDocumentaryCredit(fieldList, messageType = 'MT700') {
+  const { content, optional, lines, party } = fieldReader(fieldList);
+  const find = pattern => fieldList.find(field => pattern.test(field.tag));
+
+  const availability = find(/^41[AD]$/);
+  const drawee = find(/^42[AD]$/);
+  const amount = optional(content('32B'), parseCurrencyAmount);
+  const [form = null, confirmation = null] = lines('40A') || lines('40B') || [];
+  // A transfer names the first beneficiary in field 50 and the second beneficiary in 59
+  const transfer = messageType === 'MT720';
+  const party50 = optional(content('50'), value => parseParty('', value));
+
+  return {
+    number: content(CREDIT_NUMBER_TAGS[messageType]),
+    senderReference: messageType === 'MT700' ? null : content('20'),
+    sequenceOfTotal: optional(content('27'), parseSequenceOfTotal),
+    formOfCredit: form,
+    adviceConfirmation: confirmation,
+    preAdviceReference: content('23'),
+    dateOfIssue: optional(content('31C'), parseSwiftDate),
+    applicableRules: optional(content('40E'), parseApplicableRules),
+    expiry: optional(content('31D'), parseExpiry),
+    issuingBank: party('52'),
+    applicantBank: party('51'),
+    currency: amount?.currency ?? null,
+    amount: amount?.amount ?? null,
+    tolerance: optional(content('39A'), parseTolerance),
+    additionalAmountsCovered: lines('39C'),
+    availableWith: availability ? parseAvailability(availability) : null,
+    draftsAt: content('42C'),
+    drawee: drawee ? parseParty(splitTag(drawee.tag).option, drawee.content) : null,
+    mixedPaymentDetails: content('42M'),
+    deferredPaymentDetails: content('42P'),
+    partialShipments: content('43P'),
+    transhipment: content('43T'),
+    loadingOnBoard: content('44A'),
+    transportationTo: content('44B'),
+    latestDateOfShipment: optional(content('44C'), parseSwiftDate),
+    shipmentPeriod: content('44D'),
+    descriptionOfGoods: lines('45A'),
+    documentsRequired: lines('46A'),
+    additionalConditions: lines('47A'),
+    charges: lines('71D'),
+    periodForPresentation: optional(content('48'), parsePresentationPeriod),
+    confirmationInstructions: content('49'),
+    senderToReceiverInformation: lines('72Z'),
+    applicant: transfer ? null : party50,
+    firstBeneficiary: transfer ? party50 : null,
+    beneficiary: optional(content('59'), value => parseParty('', value))
+  };
+}
+
+/**
+ * Build the standardized continuation of an MT701
+ * @param {Array} fieldList - Ordered fields
+ * @returns {Object} Credit number, position in the series and continued narratives
+ */
+export function parseCreditContinuation(fieldList) {
+  const { content, optional, lines } = fieldReader(fieldList);
+
+  return {
+    number: content('20'),
+    sequenceOfTotal: optional(content('27'), parseSequenceOfTotal),
+    descriptionOfGoods: lines('45B'),
+    documentsRequired: lines('46B'),
+    additionalConditions: lines('47B')
+  };
+}
+
+/**
+ * Append the narratives of MT701 continuations to their documentary credit
+ * Continuations are applied in the order of their sequence of total
+ * @param {Object} credit - Documentary credit from parseDocumentaryCredit()
+ * @param {Array} continuations - Continuations from parseCreditContinuation()
+ * @returns {Object} Documentary credit with the complete narratives
+ */
+export function appendContinuations(credit, continuations) {
+  const narratives = ['descriptionOfGoods', 'documentsRequired', 'additionalConditions'];
+  const combined = { ...credit };
+
+  const ordered = [...continuations].sort((a, b) => (a.sequenceOfTotal?.index ?? 0) - (b.sequenceOfTotal?.index ?? 0));
+
+  ordered.forEach(continuation => {
+    if (continuation.number !== credit.number) {
+      throw new Error(`Continuation ${continuation.number} does not belong to documentary credit ${credit.number}`);
+    }
+
+    narratives.forEach(narrative => {
+      if (continuation[narrative]) {
+        combined[narrative] = [...(combined[narrative] || []), ...continuation[narrative]];
+      }
+    });
+  });
+
+  return combined;
+}
+
+/**
+ * Build the standardized amendment of an MT707
+ * @param {Array} fieldList - Ordered fields
+ * @returns {Object} Amendment references, amended terms and narrative changes
+ */
+export function parseAmendment(fieldList) {
+  const { content, optional, lines, party } = fieldReader(fieldList);
+
+  return {
+    senderReference: content('20'),
+    receiverReference: content('21'),
+    issuingBankReference: content('23'),
+    sequenceOfTotal: optional(content('27'), parseSequenceOfTotal),
+    issuingBank: party('52'),
+    dateOfIssue: optional(content('31C'), parseSwiftDate),
+    amendmentNumber: optional(content('26E'), Number),
+    dateOfAmendment: optional(content('30'), parseSwiftDate),
+    purpose: content('22A'),
+    cancellationRequested: content('23S') !== null,
+    formOfCredit: content('40A'),
+    applicableRules: optional(content('40E'), parseApplicableRules),
+    expiry: optional(content('31D'), parseExpiry),
+    increase: optional(content('32B'), parseCurrencyAmount),
+    decrease: optional(content('33B'), parseCurrencyAmount),
+    tolerance: optional(content('39A'), parseTolerance),
+    latestDateOfShipment: optional(content('44C'), parseSwiftDate),
+    descriptionOfGoods: optional(content('45B'), parseNarrativeAmendment),
+    documentsRequired: optional(content('46B'), parseNarrativeAmendment),
+    additionalConditions: optional(content('47B'), parseNarrativeAmendment),
+    charges: lines('71D'),
+    senderToReceiverInformation: lines('72Z'),
+    applicant: optional(content('50'), value => parseParty('', value)),
+    beneficiary: optional(content('59'), value => parseParty('', value))
+  };
+}
+
+/**
+ * Parse the undertaking of MT760 sequence B or the local undertaking of sequence C
+ * @param {Array} fieldList - Fields of the sequence
+ * @returns {Object} Undertaking terms and parties
+ */
+function parseUndertaking(fieldList) {
+  const { content, optional, lines, party } = fieldReader(fieldList);
+  const amount = optional(content('32B'), parseCurrencyAmount);
+  const governingLaw = optional(content('44J'), parseApplicableRules);
+
+  return {
+    number: content('20'),
+    dateOfIssue: optional(content('30'), parseSwiftDate),
+    requestedDateOfIssue: optional(content('31C'), parseSwiftDate),
+    form: content('22D'),
+    type: content('22K'),
+    applicableRules: optional(content('40C'), parseApplicableRules),
+    expiryType: content('23B'),
+    expiryDate: optional(content('31E'), parseSwiftDate),
+    expiryCondition: lines('35G'),
+    applicant: optional(content('50'), value => parseParty('', value)),
+    obligor: optional(content('51'), value => parseParty('', value)),
+    issuer: party('52'),
+    advisingBank: party('56'),
+    advisingBankReference: content('23'),
+    adviseThroughBank: party('57'),
+    beneficiary: party('59'),
+    currency: amount?.currency ?? null,
+    amount: amount?.amount ?? null,
+    amountInformation: lines('39F'),
+    charges: lines('71D'),
+    presentationInstructions: lines('45C'),
+    underlyingTransaction: lines('45L'),
+    termsAndConditions: lines('77U') || lines('77L'),
+    confirmationIndicator: content('49'),
+    governingLaw: governingLaw && { country: governingLaw.rules, jurisdiction: governingLaw.narrative }
+  };
+}
+
+/**
+ * Build the standardized guarantee of an MT760
+ * @param {Array} fieldList - Ordered fields
+ * @returns {Object} General information, undertaking and local undertaking (null when absent)
+ */
+export function parseGuarantee(fieldList) {
+  const { sequenceA, sequenceB, sequenceC } = groupSequences('MT760', fieldList);
+  const { content, optional, lines } = fieldReader(sequenceA);
+  const fileIdentification = optional(content('23X'), value => value.split('/'));
+
+  return {
+    sequenceOfTotal: optional(content('27'), parseSequenceOfTotal),
+    purpose: content('22A'),
+    fileIdentification: fileIdentification && { type: fileIdentification[0], name: fileIdentification.slice(1).join('/') },
+    senderToReceiverInformation: lines('72Z'),
+    undertaking: parseUndertaking(sequenceB),
+    localUndertaking: sequenceC.length > 0 ? parseUndertaking(sequenceC) : null
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * SWIFT Request for Transfer Parsing
+ * Open-Source Implementation (Apache 2.0 License)
+ *
+ * Builds the standardized content of an MT101: the sequence A fields that apply
+ * to the whole request and one transaction per sequence B. The ordering party
+ * fields (50a instructing party, 50a ordering customer, 52a) are given either
+ * once in sequence A or in every transaction, so each transaction resolves them
+ * from its own fields first.
+ */
+
+import { parseSwiftDate, parseCurrencyAmount } from './amounts.js';
+import { splitTag } from './field-definitions.js';
+import { parseParty } from './parties.js';
+import { groupSequences } from './sequences.js';
+
+/**
+ * 50a options that identify the instructing party rather than the ordering customer
+ */
+const INSTRUCTING_PARTY_OPTIONS = ['C', 'L'];
+
+/**
+ * Find the first field with a tag number, optionally limited to some options
+ * @param {Array} fieldList - Ordered fields
+ * @param {string} number - Tag number (e.g. '50')
+ * @param {Function} acceptsOption - Option predicate
+ * @returns {Object|undefined} Matching field
+ */
+function findByNumber(fieldList, number, acceptsOption = () => true) {
+  return fieldList.find(field => {
+    const tag = splitTag(field.tag);
+    return tag.number === number && acceptsOption(tag.option);
+  });
+}
+
+/**
+ * Parse a party field of an MT101
+ * Option C of 50a carries a BIC here, not an account
+ * @param {Object|undefined} field - Party field
+ * @returns {Object|null} Typed party
+ */
+function partyOf(field) {
+  if (!field) return null;
+  if (field.tag === '50C') {
+    return { ...parseParty('A', field.content), option: 'C' };
+  }
+  return parseParty(field.option, field.content);
+}
+
+/**
+ * Resolve a party from the transaction first, then from sequence A
+ * @param {Array} transaction - Sequence B fields
+ * @param {Array} sequenceA - Sequence A fields
+ * @param {string} number - Tag number
+ * @param {Function} acceptsOption - Option predicate
+ * @returns {Object|null} Typed party
+ */
+function resolveParty(transaction, sequenceA, number, acceptsOption) {
+  return partyOf(findByNumber(transaction, number, acceptsOption) || findByNumber(sequenceA, number, acceptsOption));
+}
+
+/**
+ * Parse one sequence B transaction
+ * @param {Array} transaction - Sequence B fields
+ * @param {Array} sequenceA - Sequence A fields
+ * @returns {Object} Standardized transaction
+ */
+function parseTransaction(transaction, sequenceA) {
+  const content = tag => transaction.find(field => field.tag === tag)?.content ?? null;
+  const isInstructingParty = option => INSTRUCTING_PARTY_OPTIONS.includes(option);
+  const amount = content('32B') ? parseCurrencyAmount(content('32B')) : { currency: null, amount: null };
+  const exchangeRate = content('36');
+
+  return {
+    reference: content('21'),
+    fxDealReference: content('21F'),
+    instructionCodes: transaction.filter(field => field.tag === '23E').map(field => field.content),
+    currency: amount.currency,
+    amount: amount.amount,
+    instructingParty: resolveParty(transaction, sequenceA, '50', isInstructingParty),
+    orderingCustomer: resolveParty(transaction, sequenceA, '50', option => !isInstructingParty(option)),
+    accountServicingInstitution: resolveParty(transaction, sequenceA, '52'),
+    intermediary: partyOf(findByNumber(transaction, '56')),
+    accountWithInstitution: partyOf(findByNumber(transaction, '57')),
+    beneficiary: partyOf(findByNumber(transaction, '59')),
+    remittanceInformation: content('70'),
+    regulatoryReporting: content('77B'),
+    originalOrderedAmount: content('33B') ? parseCurrencyAmount(content('33B')) : null,
+    detailsOfCharges: content('71A'),
+    chargesAccount: content('25A'),
+    exchangeRate: exchangeRate ? exchangeRate.replace(',', '.').replace(/\.$/, '') : null
+  };
+}
+
+/**
+ * Build the standardized request of an MT101
+ * @param {Array} fieldList - Ordered fields
+ * @returns {Object} Sequence A details and the transactions of sequence B
+ */
+export function parseRequestForTransfer(fieldList) {
+  const { sequenceA, sequenceB } = groupSequences('MT101', fieldList);
+  const content = tag => sequenceA.find(field => field.tag === tag)?.content ?? null;
+  const [index = null, total = null] = (content('28D') || '').split('/').filter(Boolean).map(Number);
+  const executionDate = content('30');
+
+  return {
+    customerReference: content('21R'),
+    messageIndex: index,
+    messageTotal: total,
+    requestedExecutionDate: executionDate ? parseSwiftDate(executionDate) : null,
+    authorisation: content('25'),
+    fxDealReference: content('21F'),
+    sendingInstitution: partyOf(findByNumber(sequenceA, '51')),
+    transactions: sequenceB.map(transaction => parseTransaction(transaction, sequenceA))
+  };
+}
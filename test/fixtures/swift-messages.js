@@ -53,7 +53,7 @@ export const COBOL_SAMPLE = `
 export const EXPECTED_MT103_PARSED = {
   messageType: 'MT103',
   transactionReference: '123456789',
-  amount: 100000,
+  amount: '1000.00',
   currency: 'USD',
   valueDate: '2023-07-01',
   sender: {
@@ -69,4 +69,451 @@ export const EXPECTED_MT103_PARSED = {
   orderingInstitution: 'AAAAGRA0',
   beneficiaryInstitution: 'BBBBGRB0',
   remittanceInfo: 'INVOICE PAYMENT REF 12345'
-};
\ No newline at end of file
+};
+export const MT103_FULL_ENVELOPE = `{1:F01AAAAGRA0AXXX1234123456}{2:I103BBBBGRB0XXXXU3003}{3:{103:TGT}{108:MUR20230701}{113:ROMF}{119:STP}{121:eb6305c9-1f7f-49de-aed0-16487c27b42d}}{4:
+:20:123456789
+:23B:CRED
+:32A:230701USD1000,00
+:50K:/12345678
+    SENDER BANK NAME
+    SENDER ADDRESS
+:52A:AAAAGRA0
+:57A:BBBBGRB0
+:59:/98765432
+    BENEFICIARY NAME
+    BENEFICIARY ADDRESS
+:70:INVOICE PAYMENT REF 12345
+:71A:OUR
+-}{5:{MAC:00000000}{CHK:123456789ABC}{PDE:1348120811BANKFRPPAXXX2222123456}}`;
+
+export const GPI_MT103 = `{1:F01AAAAGRA0AXXX1234123456}{2:I103BBBBGRB0XXXXN}{3:{111:001}{121:eb6305c9-1f7f-49de-aed0-16487c27b42d}{433:/FPO/CLEARED BY COMPLIANCE}{434:/AOK/}}{4:
+:20:GPI2023070100001
+:23B:CRED
+:32A:230701USD1000,00
+:50K:/12345678
+    SENDER BANK NAME
+:57A:BBBBGRB0
+:59:/98765432
+    BENEFICIARY NAME
+:71A:SHA
+-}`;
+
+export const MT103_CBPR = `{1:F01AAAAGRA0AXXX1234123456}{2:I103BBBBGRB0XXXXN}{3:{111:001}{121:eb6305c9-1f7f-49de-aed0-16487c27b42d}}{4:
+:20:CBPR202307011
+:13C:/CLSTIME/0915+0100
+:13C:/SNDTIME/0800+0200
+:23B:CRED
+:23E:SDVA
+:23E:PHOB/+30 210 1234567
+:26T:K90
+:32A:230701USD1100,00
+:33B:EUR1000,00
+:36:1,1
+:50F:/DE89370400440532013000
+1/JOHN SMITH
+3/DE/BERLIN
+4/19800101
+5/DE/HAMBURG
+:52A:/D/998877
+AAAAGRA0
+:53A:CCCCUS33
+:56C://FW021000018
+:57A:BBBBGRB0
+:59A:/GB29NWBK60161331926819
+NWBKGB2L
+:70:/ROC/INV20230701/INVOICE 12345
+:71A:SHA
+:71F:EUR10,00
+:72:/INS/DDDDDEFF
+/ACC/CREDIT IMMEDIATELY
+/INT/PLEASE ADVISE BENEFICIARY
+//BY PHONE
+/REC/RECEIVER INFO
+:77B:/ORDERRES/DE//MEILAAN 1
+-}`;
+
+export const MT202_COV = `{1:F01AAAAGRA0AXXX1234123456}{2:I202BBBBGRB0XXXXN}{3:{119:COV}{121:eb6305c9-1f7f-49de-aed0-16487c27b42d}}{4:
+:20:COV2023070100001
+:21:CUST20230701001
+:32A:230701USD5000,00
+:52A:AAAAGRA0
+:56A:DDDDUS33
+:57A:CCCCUS33
+:58A:EEEEUS33
+:50K:/DE89370400440532013000
+JOHN SMITH
+1 MAIN STREET BERLIN
+:52A:FFFFDEFF
+:57A:EEEEUS33
+:59:/123456789
+JANE DOE
+NEW YORK
+:70:/INV/2023-001
+:72:/INS/FFFFDEFF
+:33B:EUR4600,00
+-}`;
+
+export const MT103_OUTPUT = `{1:F01BBBBGRB0AXXX5678654321}{2:O1031200230701AAAAGRA0AXXX22221234562307011205N}{4:
+:20:123456789
+:23B:CRED
+:32A:230701USD1000,00
+:50K:/12345678
+    SENDER BANK NAME
+:59:/98765432
+    BENEFICIARY NAME
+:71A:SHA
+-}`;
+
+export const MT103_PARTY_OPTIONS = `{1:F01AAAAGRA0AXXX1234123456}{2:I103BBBBGRB0XXXXN}{4:
+:20:OPT123
+:23B:CRED
+:32A:230701EUR2500,00
+:50F:/DE89370400440532013000
+1/JOHN SMITH
+2/1 MAIN STREET
+3/DE/BERLIN
+:52D:ORDERING BANK
+FRANKFURT
+:53B:LONDON
+:57D:BENEFICIARY BANK
+LONDON
+:59A:/GB29NWBK60161331926819
+NWBKGB2L
+:71A:SHA
+-}`;
+
+export const VALID_MT950 = `{1:F01AAAAGRA0AXXX1234123456}{2:I950BBBBGRB0XXXXN}{4:
+:20:STMT230701
+:25:12345678901
+:28C:102/1
+:60F:C230630USD10000,00
+:61:2307010701D500,00NTRFREF001//BANKREF001
+:86:PAYMENT TO SUPPLIER
+:61:2307010701C1200,50NTRFREF002//BANKREF002
+:86:INCOMING WIRE
+:61:2307010701D25,00NCHGNONREF
+:62F:C230701USD10675,50
+:64:C230701USD10675,50
+-}`;
+
+export const VALID_MT940 = `{1:F01AAAAGRA0AXXX1234123456}{2:I940BBBBGRB0XXXXN}{4:
+:20:STMT940230701
+:25:DE89370400440532013000
+:28C:15/1
+:60F:C230630EUR25000,00
+:61:2307010701D1500,00NDDTREF1//BANKREF1
+:86:105?00SEPA LASTSCHRIFT?10931?20EREF+E2E-REF-1
+?21SVWZ+RENT JULY 2023?22 FLAT 4?30COBADEFFXXX
+?31DE44500105175407324931?32LANDLORD GMBH
+:61:2307010701C2500,00NTRFREF2//BANKREF2
+:86:/EREF/E2E-REF-2/REMI/USTD//INVOICE 4711
+/NAME/ACME TRADING/IBAN/NL91ABNA0417164300
+:61:2307010701D12,50NCHGNONREF
+:86:ACCOUNT
+MAINTENANCE FEE
+:62F:C230701EUR25987,50
+:64:C230701EUR25987,50
+:86:STATEMENT FOR JULY
+-}`;
+
+export const VALID_MT942 = `{1:F01AAAAGRA0AXXX1234123456}{2:I942BBBBGRB0XXXXN}{4:
+:20:INTRA230701
+:25P:DE89370400440532013000
+AAAAGRA0
+:28C:16/3
+:34F:EURD100,00
+:34F:EURC500,00
+:13D:2307011230+0200
+:61:2307010701C750,00NTRFREF3//BANKREF3
+:86:/EREF/E2E-REF-3/REMI/INVOICE 4712
+:61:2307010701D200,00NTRFREF4
+:90D:1EUR200,00
+:90C:1EUR750,00
+-}`;
+
+export const VALID_MT515 = `{1:F01AAAAGRA0AXXX1234123456}{2:I515BBBBGRB0XXXXN}{4:
+:16R:GENL
+:20C::SEME//CONF230701
+:23G:NEWM
+:98C::PREP//20230701173000
+:16R:LINK
+:20C::RELA//ORDER42
+:16S:LINK
+:16S:GENL
+:16R:CONFDET
+:98A::TRAD//20230701
+:98A::SETT//20230705
+:90B::DEAL//ACTU/USD190,5
+:22F::TRTR//TRAD
+:22H::BUSE//BUYI
+:16R:CONFPRTY
+:95P::BUYR//CCCCUS33
+:97A::SAFE//123456789
+:16S:CONFPRTY
+:36B::CONF//UNIT/100,
+:35B:ISIN US0378331005
+APPLE INC
+:16S:CONFDET
+:16R:SETDET
+:22F::SETR//TRAD
+:16R:AMT
+:19A::SETT//USD19050,
+:16S:AMT
+:16S:SETDET
+-}`;
+
+export const VALID_MT541 = `{1:F01AAAAGRA0AXXX1234123456}{2:I541BBBBGRB0XXXXN}{4:
+:16R:GENL
+:20C::SEME//SETTLE001
+:23G:NEWM
+:16S:GENL
+:16R:TRADDET
+:98A::TRAD//20240701
+:98A::SETT//20240703
+:35B:ISIN DE0005140008
+DEUTSCHE BANK AG
+:16S:TRADDET
+:16R:FIAC
+:36B::SETT//UNIT/2500,
+:97A::SAFE//SAFE-7788
+:16S:FIAC
+:16R:SETDET
+:22F::SETR//TRAD
+:16R:SETPRTY
+:95P::DEAG//DDDDDEFF
+:16S:SETPRTY
+:16R:SETPRTY
+:95R::SELL/DEKU/12345
+:97A::SAFE//998877
+:20C::PROC//SELLREF1
+:16S:SETPRTY
+:16R:SETPRTY
+:95P::PSET//DAKVDEFF
+:16S:SETPRTY
+:16R:AMT
+:19A::SETT//EUR31250,
+:16S:AMT
+:16S:SETDET
+-}`;
+
+export const VALID_MT548 = `{1:F01AAAAGRA0AXXX1234123456}{2:I548BBBBGRB0XXXXN}{4:
+:16R:GENL
+:20C::SEME//STATUS001
+:23G:INST
+:16R:LINK
+:20C::RELA//SETTLE001
+:16S:LINK
+:16R:STAT
+:25D::MTCH//NMAT
+:16R:REAS
+:24B::NMAT//DDAT
+:70D::REAS//SETTLEMENT DATE
+DIFFERS FROM COUNTERPARTY
+:16S:REAS
+:16S:STAT
+:16S:GENL
+:16R:SETTRAN
+:35B:ISIN DE0005140008
+:36B::SETT//UNIT/2500,
+:97A::SAFE//SAFE-7788
+:22F::SETR//TRAD
+:98A::SETT//20240703
+:16S:SETTRAN
+-}`;
+
+export const VALID_MT700 = `{1:F01AAAAGRA0AXXX1234123456}{2:I700BBBBGRB0XXXXN}{4:
+:27:1/2
+:40A:IRREVOCABLE
+:20:LC230701
+:31C:230701
+:40E:UCP LATEST VERSION
+:31D:231231LONDON
+:50:APPLICANT TRADING SA
+ATHENS
+:59:/GB29NWBK60161331926819
+BENEFICIARY LTD
+LONDON
+:32B:USD50000,00
+:39A:10/5
+:41A:BBBBGRB0
+BY NEGOTIATION
+:42C:AT SIGHT
+:42A:BBBBGRB0
+:43P:ALLOWED
+:43T:NOT ALLOWED
+:44A:PIRAEUS
+:44B:LONDON
+:44C:231130
+:45A:1000 UNITS OF OLIVE OIL
+:46A:COMMERCIAL INVOICE IN 3 COPIES
+:47A:ALL DOCUMENTS IN ENGLISH
+:71D:ALL BANKING CHARGES OUTSIDE
+GREECE ARE FOR BENEFICIARY
+:48:21/FROM THE DATE OF SHIPMENT
+:49:WITHOUT
+-}`;
+
+export const VALID_MT701 = `{1:F01AAAAGRA0AXXX1234123456}{2:I701BBBBGRB0XXXXN}{4:
+:27:2/2
+:20:LC230701
+:45B:PACKED IN 5 LITRE TINS
+:46B:+PACKING LIST IN 2 COPIES
++CERTIFICATE OF ORIGIN
+-}`;
+
+export const VALID_MT707 = `{1:F01AAAAGRA0AXXX1234123456}{2:I707BBBBGRB0XXXXN}{4:
+:27:1/1
+:20:AMD230801
+:21:NONREF
+:23:LC230701
+:52A:AAAAGRA0
+:31C:230701
+:26E:1
+:30:230801
+:22A:ISCO
+:31D:240131LONDON
+:32B:USD5000,00
+:44C:231231
+:46B:/ADD/+INSURANCE POLICY
+COVERING ALL RISKS
+/DELETE/+CERTIFICATE OF ORIGIN
+-}`;
+
+export const VALID_MT710 = `{1:F01BBBBGRB0AXXX1234123456}{2:I710CCCCGB2LXXXXN}{4:
+:27:1/1
+:40B:IRREVOCABLE
+WITHOUT OUR CONFIRMATION
+:20:ADV230702
+:21:LC230701
+:31C:230701
+:40E:UCP LATEST VERSION
+:31D:231231LONDON
+:52A:AAAAGRA0
+:50:APPLICANT TRADING SA
+ATHENS
+:59:BENEFICIARY LTD
+LONDON
+:32B:USD50000,00
+:41D:ANY BANK
+BY NEGOTIATION
+:42C:AT SIGHT
+:42A:AAAAGRA0
+:45A:1000 UNITS OF OLIVE OIL
+:49:WITHOUT
+-}`;
+
+export const VALID_MT720 = `{1:F01CCCCGB2LAXXX1234123456}{2:I720DDDDDEFFXXXXN}{4:
+:27:1/1
+:40B:IRREVOCABLE TRANSFERABLE
+WITHOUT OUR CONFIRMATION
+:20:TRF230710
+:21:LC230701
+:31C:230710
+:40E:UCP LATEST VERSION
+:31D:231215FRANKFURT
+:52A:AAAAGRA0
+:50:BENEFICIARY LTD
+LONDON
+:59:SECOND BENEFICIARY GMBH
+FRANKFURT
+:32B:USD45000,00
+:41D:ANY BANK
+BY NEGOTIATION
+:42C:AT SIGHT
+:42A:CCCCGB2L
+:49:WITHOUT
+-}`;
+
+export const VALID_MT760 = `{1:F01AAAAGRA0AXXX1234123456}{2:I760BBBBGRB0XXXXN}{4:
+:15A:
+:27:1/1
+:22A:ISSU
+:15B:
+:20:GTEE230701
+:30:230701
+:22D:DGAR
+:40C:URDG
+:23B:FIXD
+:31E:241231
+:50:APPLICANT TRADING SA
+ATHENS
+:52A:AAAAGRA0
+:59:/GB29NWBK60161331926819
+BENEFICIARY LTD
+:32B:EUR100000,00
+:71D:ALL CHARGES FOR APPLICANT
+:77U:WE HEREBY IRREVOCABLY UNDERTAKE TO PAY
+ANY AMOUNT UP TO THE GUARANTEE AMOUNT
+:44J:GB/LONDON
+-}`;
+
+export const VALID_MT798 = `{1:F01AAAAGRA0AXXX1234123456}{2:I798BBBBGRB0XXXXN}{4:
+:20:FAREF001
+:12:770
+:77E:
+:27A:1/2
+:21A:CUSTREF001
+:21T:PO-2023-0701
+:13E:202307011530
+:29A:JOHN SMITH
++30 210 1234567
+:51A:BBBBGRB0
+-}`;
+
+export const VALID_MT798_DETAILS = `{1:F01AAAAGRA0AXXX1234123456}{2:I798BBBBGRB0XXXXN}{4:
+:20:FAREF002
+:12:700
+:77E:
+:27A:2/2
+:21A:CUSTREF001
+:40A:IRREVOCABLE
+:20:LC230701
+:31C:230701
+:40E:UCP LATEST VERSION
+:31D:231231LONDON
+:50:APPLICANT TRADING SA
+ATHENS
+:59:BENEFICIARY LTD
+LONDON
+:32B:USD50000,00
+:41D:ANY BANK
+BY NEGOTIATION
+:45A:1000 UNITS OF OLIVE OIL
++PACKED IN TINS
+:49:WITHOUT
+-}`;
+
+export const VALID_MT101 = `{1:F01AAAAGRA0AXXX1234123456}{2:I101BBBBGRB0XXXXN}{4:
+:20:MT101REF001
+:28D:1/1
+:50H:/12345678
+ORDERING CORP
+:30:230701
+:21:TXN001
+:32B:USD1000,00
+:59:/98765432
+BENEFICIARY ONE
+:71A:SHA
+:21:TXN002
+:32B:EUR2000,00
+:59:/11223344
+BENEFICIARY TWO
+:71A:SHA
+-}`;
+
+export const MT103_EXTRA_TAGS = `{1:F01AAAAGRA0AXXX1234123456}{2:I103BBBBGRB0XXXXN}{4:
+:20:EXTRA123
+:13C:/SNDTIME/1249+0200
+:23B:CRED
+:32A:230701EUR1000,00
+:33B:USD1100,00
+:36:0,9090909
+:99X:UNDOCUMENTED
+:50K:/12345678
+SENDER NAME
+:59:/98765432
+BENEFICIARY NAME
+:71A:SHA
+:71F:EUR10,00
+:77B:/ORDERRES/DE//REGULATORY
+-}`;
@@ -203,10 +203,11 @@ describe('End-to-End Integration Tests', () => {
       const result = parser.parse(VALID_MT103);
       
       expect(typeof result.transactionReference).toBe('string');
-      expect(typeof result.amount).toBe('number');
+      expect(typeof result.amount).toBe('string');
+      expect(result.amount).toMatch(/^\d+\.\d{2}$/);
       expect(typeof result.currency).toBe('string');
       expect(typeof result.valueDate).toBe('string');
-      expect(result.amount).toBeGreaterThan(0);
+      expect(Number(result.amount)).toBeGreaterThan(0);
       expect(result.currency).toMatch(/^[A-Z]{3}$/);
     });
 
@@ -273,7 +274,7 @@ describe('End-to-End Integration Tests', () => {
       
       // Step 4: Extract key financial data
       const totalAmount = parseResults.reduce((sum, result) => {
-        return sum + (result.amount || 0);
+        return sum + Number(result.amount || 0);
       }, 0);
       
       expect(totalAmount).toBeGreaterThan(0);
@@ -238,6 +238,15 @@ describe('Banking Format Parsers', () => {
       expect(result.transaction.currency).toBe('EUR');
     });
 
+    test('should flag invalid IBANs in the parse warnings', () => {
+      const result = parser.parseJSON(JSON.stringify(TEMENOS_JSON_SAMPLE));
+
+      expect(result.warnings).toEqual([
+        expect.objectContaining({ type: 'invalid_iban', field: 'debitAccount.number', message: expect.stringContaining('check digits do not match') }),
+        expect.objectContaining({ type: 'invalid_iban', field: 'creditAccount.number', message: expect.stringContaining('expected 27 for FR') })
+      ]);
+    });
+
     test('should parse Temenos XML format', () => {
       const result = parser.parseXML(TEMENOS_XML_SAMPLE);
       
@@ -298,10 +307,31 @@ describe('Banking Format Parsers', () => {
       expect(result.messageType).toBe('pacs.008');
       expect(result.groupHeader.messageId).toBe('ISO123456789');
       expect(result.groupHeader.numberOfTransactions).toBe(1);
-      expect(result.creditTransferTransactionInformation.instructedAmount.amount).toBe(4500.00);
+      expect(result.creditTransferTransactionInformation.instructedAmount.amount).toBe('4500.00');
       expect(result.creditTransferTransactionInformation.instructedAmount.currency).toBe('EUR');
     });
 
+    test('should flag invalid debtor and creditor IBANs', () => {
+      const result = parser.parsePacs008(ISO20022_PACS008_SAMPLE);
+
+      expect(result.warnings.map(warning => warning.field)).toEqual(['debtorAccount.iban', 'creditorAccount.iban']);
+    });
+
+    test('should check the IBANs of the document', () => {
+      const valid = ISO20022_PACS008_SAMPLE
+        .replace('DE89123456789012345678', 'DE89370400440532013000')
+        .replace('FR1234567890123456789012', 'FR1420041010050500013M02606');
+      const transaction = valid.match(/<CdtTrfTxInf>[\s\S]*<\/CdtTrfTxInf>/)[0];
+      const batch = valid.replace(transaction, `${transaction}${transaction.replace('FR1420041010050500013M02606', 'FR1420041010050500013M02607')}`);
+
+      expect(parser.parsePacs008(valid).warnings).toEqual([]);
+      expect(parser.parsePacs008(batch).warnings).toEqual([expect.objectContaining({
+        type: 'invalid_iban',
+        field: 'creditTransferTransactionInformation[1].creditorAccount.iban',
+        iban: 'FR1420041010050500013M02607'
+      })]);
+    });
+
     test('should validate ISO20022 XML structure', () => {
       expect(() => parser.parsePacs008('<invalid>xml</invalid>')).toThrow();
     });
@@ -328,6 +358,66 @@ describe('Banking Format Parsers', () => {
       expect(() => parser.parsePacs008(invalidNamespace)).toThrow();
     });
 
+    test('should read the elements of the document', () => {
+      const message = ISO20022_PACS008_SAMPLE
+        .replace('<SttlmMtd>CLRG</SttlmMtd>', '<SttlmInf><SttlmMtd>INDA</SttlmMtd></SttlmInf>')
+        .replace('<InstdAmt Ccy="EUR">4500.00</InstdAmt>', '<InstdAmt Ccy="USD">4900.50</InstdAmt><XchgRate>0.9183</XchgRate>')
+        .replace('<Nm>Sender Corporation</Nm>', '<Nm>Sender Corporation</Nm><Id><OrgId><LEI>529900T8BM49AURSDO55</LEI></OrgId></Id>')
+        .replace('<Nm>Receiver Limited</Nm>', '<Id><OrgId><AnyBIC>RECVFRPP</AnyBIC></OrgId></Id>');
+      const result = parser.parsePacs008(message);
+
+      expect(result.groupHeader.settlementMethod).toBe('INDA');
+      expect(result.creditTransferTransactionInformation).toMatchObject({
+        instructedAmount: { amount: '4900.50', currency: 'USD' },
+        exchangeRate: '0.9183',
+        debtor: { name: 'Sender Corporation', identification: { OrgId: { LEI: '529900T8BM49AURSDO55' } } },
+        creditor: { bic: 'RECVFRPP' }
+      });
+    });
+
+    test('should keep several transactions as an array', () => {
+      const transaction = ISO20022_PACS008_SAMPLE.match(/<CdtTrfTxInf>[\s\S]*<\/CdtTrfTxInf>/)[0];
+      const result = parser.parsePacs008(ISO20022_PACS008_SAMPLE.replace(transaction, `${transaction}${transaction}`));
+
+      expect(result.creditTransferTransactionInformation).toHaveLength(2);
+    });
+
+    test('should read the namespace bound to the prefix of the document', () => {
+      const prefixed = ISO20022_PACS008_SAMPLE
+        .replace(/<(\/?)(?=[A-Z])/g, '<$1ns:')
+        .replace(' xmlns=', ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:ns=');
+      const result = parser.parsePacs008(prefixed);
+
+      expect(prefixed).toContain('<ns:Document xmlns:xsi=');
+      expect(result.groupHeader.messageId).toBe('ISO123456789');
+      expect(result.creditTransferTransactionInformation.instructedAmount).toEqual({ amount: '4500.00', currency: 'EUR' });
+    });
+
+    test('should find the document inside an envelope with the business application header', () => {
+      const document = ISO20022_PACS008_SAMPLE.replace(/^<\?xml.*\?>\n/, '');
+      const envelope = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<Envelope xmlns="urn:swift:xsd:envelope" xmlns:doc="urn:iso:std:iso:20022:tech:xsd:pacs.008.001.08">',
+        '<AppHdr xmlns="urn:iso:std:iso:20022:tech:xsd:head.001.001.02"><MsgDefIdr>pacs.008.001.08</MsgDefIdr></AppHdr>',
+        document.replace(' xmlns="urn:iso:std:iso:20022:tech:xsd:pacs.008.001.10"', '').replace(/<(\/?)Document/g, '<$1doc:Document'),
+        '</Envelope>'
+      ].join('\n');
+      const result = parser.parsePacs008(envelope);
+
+      expect(result.groupHeader.messageId).toBe('ISO123456789');
+      expect(() => parser.parsePacs008(envelope.replace(/<\/?doc:Document[^>]*>/g, '')))
+        .toThrow('Invalid ISO 20022: not a pacs.008 message (namespace none)');
+    });
+
+    test('should reject a document that is not a pacs.008', () => {
+      expect(() => parser.parsePacs008(ISO20022_PACS008_SAMPLE.replace(' xmlns="urn:iso:std:iso:20022:tech:xsd:pacs.008.001.10"', '')))
+        .toThrow('ISO 20022 pacs.008 parsing failed: Invalid ISO 20022: not a pacs.008 message (namespace none)');
+      expect(() => parser.parsePacs008(ISO20022_PACS008_SAMPLE.replace(/<CdtTrfTxInf>[\s\S]*<\/CdtTrfTxInf>/, '')))
+        .toThrow('Invalid ISO 20022: FIToFICstmrCdtTrf requires a GrpHdr and a CdtTrfTxInf');
+      expect(() => parser.parsePacs008(ISO20022_PACS008_SAMPLE.replace('</Document>', '')))
+        .toThrow('ISO 20022 pacs.008 parsing failed: Unclosed root tag');
+    });
+
     test('should parse other ISO20022 message types', () => {
       expect(() => parser.parsePacs009('pacs.009 test')).toThrow();
       expect(() => parser.parseCamt053('camt.053 test')).toThrow();
@@ -6,7 +6,23 @@ import { describe, test, expect, beforeEach } from '@jest/globals';
 import EnhancedSWIFTParser from '../../src/parsers/swift/enhanced-parser.js';
 import { 
   VALID_MT103,
-  VALID_MT202 
+  VALID_MT202,
+  VALID_MT515,
+  VALID_MT541,
+  VALID_MT548,
+  VALID_MT700,
+  VALID_MT701,
+  VALID_MT707,
+  VALID_MT710,
+  VALID_MT720,
+  VALID_MT760,
+  VALID_MT798,
+  VALID_MT798_DETAILS,
+  VALID_MT940,
+  VALID_MT942,
+  VALID_MT950,
+  VALID_MT101,
+  MT103_OUTPUT
 } from '../fixtures/swift-messages.js';
 import {
   BANCS_XML_SAMPLE,
@@ -68,6 +84,11 @@ describe('EnhancedSWIFTParser', () => {
       expect(format).toBe('MT202');
     });
 
+    test('should detect output-direction MT103 format', () => {
+      const format = parser.detectMessageFormat(MT103_OUTPUT);
+      expect(format).toBe('MT103');
+    });
+
     test('should detect ISO20022 format', () => {
       const format = parser.detectMessageFormat(ISO20022_PACS008_SAMPLE);
       expect(format).toBe('ISO20022');
@@ -153,11 +174,40 @@ describe('EnhancedSWIFTParser', () => {
     });
 
     test('should parse all supported SWIFT message types', async () => {
-      const messageTypes = ['MT103', 'MT202', 'MT515', 'MT700', 'MT798', 'MT950', 'MT101'];
-      
-      for (const messageType of messageTypes) {
-        const result = await parser.parseMessage(VALID_MT103, messageType);
+      const messages = {
+        MT103: VALID_MT103,
+        MT202: VALID_MT202,
+        MT515: VALID_MT515,
+        MT540: VALID_MT541.replace('{2:I541', '{2:I540'),
+        MT541: VALID_MT541,
+        MT542: VALID_MT541.replace('{2:I541', '{2:I542'),
+        MT543: VALID_MT541.replace('{2:I541', '{2:I543'),
+        MT544: VALID_MT541.replace('{2:I541', '{2:I544'),
+        MT545: VALID_MT541.replace('{2:I541', '{2:I545'),
+        MT546: VALID_MT541.replace('{2:I541', '{2:I546'),
+        MT547: VALID_MT541.replace('{2:I541', '{2:I547'),
+        MT548: VALID_MT548,
+        MT700: VALID_MT700,
+        MT701: VALID_MT701,
+        MT707: VALID_MT707,
+        MT710: VALID_MT710,
+        MT720: VALID_MT720,
+        MT760: VALID_MT760,
+        MT798: VALID_MT798,
+        MT940: VALID_MT940,
+        MT942: VALID_MT942,
+        MT950: VALID_MT950,
+        MT101: VALID_MT101
+      };
+
+      expect(Object.keys(messages).sort()).toEqual([...parser.supportedMessageTypes].sort());
+
+      for (const [messageType, message] of Object.entries(messages)) {
+        const result = await parser.parseMessage(message, messageType);
         expect(result.messageType).toBe(messageType);
+        expect(result.warnings).toEqual(['MT103', 'MT202'].includes(messageType)
+          ? [{ type: 'missing_uetr', tag: '121', message: `Field 121 is mandatory on an ${messageType}` }]
+          : []);
       }
     });
 
@@ -196,6 +246,118 @@ describe('EnhancedSWIFTParser', () => {
       expect(result.currency).toBeDefined();
     });
 
+    test('should extract the fields of the message instead of fixed values', async () => {
+      const result = await parser.parseSWIFTMessage(VALID_MT103, 'MT103');
+
+      expect(result.transactionReference).toBe('123456789');
+      expect(result.amount).toBe('1000.00');
+      expect(result.currency).toBe('USD');
+      expect(result.parties.orderingCustomer.name).toBe('SENDER BANK NAME');
+      expect(result.parseMetadata).toMatchObject({ parser: 'SWIFT', format: 'MT103' });
+    });
+
+    test('should reject a message of another type than expected', async () => {
+      await expect(parser.parseSWIFTMessage(VALID_MT202, 'MT103'))
+        .rejects.toThrow('Message type mismatch: expected MT103, application header has MT202');
+    });
+
+    test('should build the securities trade of an MT515', async () => {
+      const result = await parser.parseSWIFTMessage(VALID_MT515, 'MT515');
+
+      expect(result).toMatchObject({ transactionReference: 'CONF230701', amount: '19050.00', currency: 'USD' });
+      expect(result.tradeConfirmation.security).toEqual({ isin: 'US0378331005', description: 'APPLE INC' });
+    });
+
+    test('should build the settlement of an MT541 and the statuses of an MT548', async () => {
+      const instruction = await parser.parseSWIFTMessage(VALID_MT541, 'MT541');
+      const advice = await parser.parseSWIFTMessage(VALID_MT548, 'MT548');
+
+      expect(instruction).toMatchObject({ transactionReference: 'SETTLE001', amount: '31250.00', currency: 'EUR' });
+      expect(instruction.settlement.settlementParties).toHaveLength(3);
+      expect(advice.settlement.statuses[0].status.code).toBe('NMAT');
+    });
+
+    test('should reject unbalanced securities blocks', async () => {
+      await expect(parser.parseSWIFTMessage(VALID_MT541.replace(':16S:FIAC', ':16S:TRADDET'), 'MT541'))
+        .rejects.toThrow('Invalid block structure: :16S:TRADDET closes :16R:FIAC');
+    });
+
+    test('should build the documentary credit of an MT700', async () => {
+      const result = await parser.parseSWIFTMessage(VALID_MT700, 'MT700');
+
+      expect(result).toMatchObject({ transactionReference: 'LC230701', amount: '50000.00', currency: 'USD' });
+      expect(result.documentaryCredit.expiry).toEqual({ date: '2023-12-31', place: 'LONDON' });
+    });
+
+    test('should build the continuation, amendment and guarantee of MT701, MT707 and MT760', async () => {
+      const continuation = await parser.parseSWIFTMessage(VALID_MT701, 'MT701');
+      const amendment = await parser.parseSWIFTMessage(VALID_MT707, 'MT707');
+      const guarantee = await parser.parseSWIFTMessage(VALID_MT760, 'MT760');
+
+      expect(continuation.creditContinuation.descriptionOfGoods).toEqual(['PACKED IN 5 LITRE TINS']);
+      expect(amendment).toMatchObject({ transactionReference: 'AMD230801', amendment: { amendmentNumber: 1 } });
+      expect(guarantee).toMatchObject({ transactionReference: 'GTEE230701', amount: '100000.00', currency: 'EUR' });
+      expect(guarantee.guarantee.undertaking.form).toBe('DGAR');
+    });
+
+    test('should require the mandatory fields of a guarantee', async () => {
+      await expect(parser.parseSWIFTMessage(VALID_MT760.replace(':77U:', ':77L:'), 'MT760'))
+        .rejects.toThrow('Missing required field: 77U for MT760');
+    });
+
+    test('should unwrap the envelope and sub-message of an MT798', async () => {
+      const result = await parser.parseSWIFTMessage(VALID_MT798, 'MT798');
+
+      expect(result.fieldList.map(field => field.tag)).toEqual(['20', '12', '77E']);
+      expect(result).toMatchObject({
+        transactionReference: 'FAREF001',
+        warnings: [],
+        proprietaryMessage: {
+          reference: 'FAREF001',
+          subMessageType: '770',
+          subMessageName: 'Application for Documentary Credit',
+          embeddedMessage: {
+            messageType: 'MT798<770>',
+            page: { index: 1, total: 2 },
+            customerReference: 'CUSTREF001',
+            index: { customerBusinessReference: 'PO-2023-0701', bank: { bic: 'BBBBGRB0' } }
+          }
+        }
+      });
+    });
+
+    test('should parse the documentary credit embedded in an MT798 details message', async () => {
+      const result = await parser.parseSWIFTMessage(VALID_MT798_DETAILS, 'MT798');
+
+      expect(result).toMatchObject({ transactionReference: 'FAREF002', amount: '50000.00', currency: 'USD' });
+      expect(result.proprietaryMessage.embeddedMessage.documentaryCredit).toMatchObject({
+        number: 'LC230701',
+        descriptionOfGoods: ['1000 UNITS OF OLIVE OIL', '+PACKED IN TINS']
+      });
+    });
+
+    test('should validate the embedded fields against the sub-message dictionary', async () => {
+      await expect(parser.parseSWIFTMessage(VALID_MT798.replace(':27A:1/2', ':27A:1-2'), 'MT798'))
+        .rejects.toThrow('Invalid field format: Field 27A: does not match format 2n/2n');
+    });
+
+    test('should build the statements of MT940, MT942 and MT950', async () => {
+      const mt940 = await parser.parseSWIFTMessage(VALID_MT940, 'MT940');
+      const mt942 = await parser.parseSWIFTMessage(VALID_MT942, 'MT942');
+      const mt950 = await parser.parseSWIFTMessage(VALID_MT950, 'MT950');
+
+      expect(mt940.statement.statementLines).toHaveLength(3);
+      expect(mt942.statement.floorLimits).toHaveLength(2);
+      expect(mt950.statement.closingBalance.amount).toBe('10675.50');
+    });
+
+    test('should build the transactions of an MT101', async () => {
+      const result = await parser.parseSWIFTMessage(VALID_MT101, 'MT101');
+
+      expect(result.requestForTransfer.transactions.map(transaction => transaction.amount))
+        .toEqual(['1000.00', '2000.00']);
+    });
+
     test('should parse SWIFT MT202 message', async () => {
       const result = await parser.parseSWIFTMessage(VALID_MT202, 'MT202');
       
@@ -208,6 +370,33 @@ describe('EnhancedSWIFTParser', () => {
       await expect(parser.parseSWIFTMessage('invalid', 'MT103'))
         .rejects.toThrow();
     });
+
+    test('should reject field format violations in strict mode', async () => {
+      const message = VALID_MT103.replace(':71A:OUR', ':71A:OU1');
+
+      await expect(parser.parseSWIFTMessage(message, 'MT103'))
+        .rejects.toThrow('Invalid field format: Field 71A: does not match format 3!a');
+    });
+
+    test('should apply the variant rules of the validation flag', async () => {
+      const message = VALID_MT103.replace('{4:', '{3:{119:STP}}{4:').replace(':57A:BBBBGRB0', ':57D:BENEFICIARY BANK');
+
+      await expect(parser.parseSWIFTMessage(message, 'MT103'))
+        .rejects.toThrow('(MT103 STP 57a): 57D is not allowed, 57a must use option A');
+    });
+
+    test('should skip field format validation when strict validation is disabled', async () => {
+      const lenient = new EnhancedSWIFTParser({ strictValidation: false });
+      const result = await lenient.parseSWIFTMessage(VALID_MT103.replace(':71A:OUR', ':71A:OU1'), 'MT103');
+
+      expect(result.messageType).toBe('MT103');
+      expect(result.originalFields['71A'].content).toBe('OU1');
+    });
+
+    test('should reject messages without a text block', async () => {
+      await expect(parser.parseSWIFTMessage('{1:F01AAAAGRA0AXXX1234123456}{2:I103BBBBGRB0XXXXN}', 'MT103'))
+        .rejects.toThrow('Invalid SWIFT message format: missing text block');
+    });
   });
 
   describe('parseISO20022() method', () => {
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for the SWIFT FIN envelope tokenizer
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  tokenizeFIN,
+  tokenizeTextBlock,
+  detectFINMessageType
+} from '../../src/parsers/swift/fin-tokenizer.js';
+import { VALID_MT103, MT103_FULL_ENVELOPE } from '../fixtures/swift-messages.js';
+
+const HEADERS = '{1:F01AAAAGRA0AXXX1234123456}{2:I103BBBBGRB0XXXXN}';
+
+describe('FIN tokenizer', () => {
+  describe('tokenizeFIN()', () => {
+    test('should split a message into blocks in order', () => {
+      const { blocks, order } = tokenizeFIN(MT103_FULL_ENVELOPE);
+
+      expect(order).toEqual(['1', '2', '3', '4', '5']);
+      expect(blocks['1'].content).toBe('F01AAAAGRA0AXXX1234123456');
+      expect(blocks['2'].content).toBe('I103BBBBGRB0XXXXU3003');
+    });
+
+    test('should report exact block offsets', () => {
+      const { blocks } = tokenizeFIN(VALID_MT103);
+
+      expect(blocks['1'].start).toBe(0);
+      expect(blocks['1'].contentStart).toBe(3);
+      expect(blocks['1'].end).toBe(29);
+      expect(blocks['2'].start).toBe(29);
+      expect(VALID_MT103.substring(blocks['4'].start, blocks['4'].end).endsWith('-}')).toBe(true);
+    });
+
+    test('should tokenize nested block 3 and block 5 sub-blocks', () => {
+      const { blocks } = tokenizeFIN(MT103_FULL_ENVELOPE);
+
+      expect(blocks['3'].tags.map(tag => tag.tag)).toEqual(['103', '108', '113', '119', '121']);
+      expect(blocks['5'].tags).toHaveLength(3);
+      const pde = blocks['5'].tags[2];
+      expect(MT103_FULL_ENVELOPE.substring(pde.start, pde.end)).toBe('{PDE:1348120811BANKFRPPAXXX2222123456}');
+    });
+
+    test('should keep braces inside free-text fields', () => {
+      const message = `${HEADERS}{4:\r\n:20:REF\r\n:70:INVOICE {A} PAID}\r\n-}{5:{CHK:123456789ABC}}`;
+      const { blocks } = tokenizeFIN(message);
+
+      expect(blocks['4'].fields.map(field => field.content)).toEqual(['REF', 'INVOICE {A} PAID}']);
+      expect(blocks['5'].tags[0].value).toBe('123456789ABC');
+    });
+
+    test('should report field offsets and join continuation lines', () => {
+      const message = `${HEADERS}{4:\n:20:REF\n:50K:/123\nNAME\n-}`;
+      const { blocks } = tokenizeFIN(message);
+      const field = blocks['4'].fields[1];
+
+      expect(field.tag).toBe('50K');
+      expect(field.content).toBe('/123\nNAME');
+      expect(message.substring(field.start, field.end)).toBe(':50K:/123\nNAME');
+      expect(field.contentStart).toBe(field.start + 5);
+    });
+
+    test('should accept a text block terminated on the same line', () => {
+      const { blocks } = tokenizeFIN(`${HEADERS}{4::20:123-}`);
+      expect(blocks['4'].fields[0].content).toBe('123');
+    });
+
+    test('should accept a terminator followed by whitespace', () => {
+      const { blocks } = tokenizeFIN(`${HEADERS}{4::20:12-}3-} `);
+      expect(blocks['4'].fields[0].content).toBe('12-}3');
+    });
+
+    test('should allow whitespace between blocks and at the end', () => {
+      expect(tokenizeFIN(`${HEADERS}\r\n{4::20:1-}\n`).order).toEqual(['1', '2', '4']);
+    });
+
+    test('should record text before the first field', () => {
+      const { blocks } = tokenizeFIN(`${HEADERS}{4:invalid-}`);
+
+      expect(blocks['4'].fields).toEqual([]);
+      expect(blocks['4'].leadingText).toEqual({ text: 'invalid', offset: 53 });
+    });
+
+    test('should reject trailing garbage', () => {
+      expect(() => tokenizeFIN(`${VALID_MT103}garbage`))
+        .toThrow(`Invalid SWIFT message format: unexpected content outside blocks at offset ${VALID_MT103.length}`);
+    });
+
+    test('should attach the offset to errors', () => {
+      try {
+        tokenizeFIN('x');
+      } catch (error) {
+        expect(error.offset).toBe(0);
+      }
+      expect.assertions(1);
+    });
+
+    test('should reject unknown and duplicate blocks', () => {
+      expect(() => tokenizeFIN('{7:X}')).toThrow('unknown block identifier at offset 0');
+      expect(() => tokenizeFIN('{1')).toThrow('unknown block identifier at offset 0');
+      expect(() => tokenizeFIN('{1:A}{1:B}')).toThrow('duplicate block 1 at offset 5');
+    });
+
+    test('should reject malformed plain blocks', () => {
+      expect(() => tokenizeFIN('{1:F01')).toThrow('unterminated block 1 at offset 3');
+      expect(() => tokenizeFIN('{2:I{103}')).toThrow('nested brace in block 2 at offset 4');
+    });
+
+    test('should reject malformed tagged blocks', () => {
+      expect(() => tokenizeFIN('{3:{108:ABC')).toThrow('unterminated sub-block in block 3 at offset 3');
+      expect(() => tokenizeFIN('{3:{108}}')).toThrow('malformed sub-block in block 3 at offset 3');
+      expect(() => tokenizeFIN('{3:{108:A{B}}}')).toThrow('nested brace in block 3 at offset 9');
+      expect(() => tokenizeFIN('{3:{108:A}')).toThrow('unterminated block 3 at offset 3');
+      expect(() => tokenizeFIN('{5:X}')).toThrow('unexpected content in block 5 at offset 3');
+    });
+
+    test('should reject an unterminated text block', () => {
+      expect(() => tokenizeFIN(`${HEADERS}{4:\n:20:REF`)).toThrow('unterminated block 4 at offset 53');
+    });
+  });
+
+  describe('tokenizeTextBlock()', () => {
+    test('should tokenize a slice of a larger string', () => {
+      const text = 'XX\n:20:A\n:21:B\nYY';
+      const { fields } = tokenizeTextBlock(text, 3, 14);
+
+      expect(fields.map(field => [field.tag, field.content])).toEqual([['20', 'A'], ['21', 'B']]);
+    });
+  });
+
+  describe('detectFINMessageType()', () => {
+    test('should detect input and output message types', () => {
+      expect(detectFINMessageType(VALID_MT103)).toBe('MT103');
+      expect(detectFINMessageType('{1:F01AAAAGRA0AXXX1234123456}{2:O9401200230701BANKBEBBAXXX22221234562307011205N}{4::20:1-}'))
+        .toBe('MT940');
+    });
+
+    test('should return null when blocks are missing or malformed', () => {
+      expect(detectFINMessageType('{1:F01AAAAGRA0AXXX1234123456}{4::20:1-}')).toBeNull();
+      expect(detectFINMessageType('{1:F01AAAAGRA0AXXX1234123456}{2:X103}{4::20:1-}')).toBeNull();
+      expect(detectFINMessageType(`${VALID_MT103}garbage`)).toBeNull();
+    });
+  });
+});
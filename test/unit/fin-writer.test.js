@@ -0,0 +1,298 @@
+/**
+ * Unit tests for the SWIFT FIN message writer
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  buildFieldList,
+  validateFieldList,
+  serializeBasicHeader,
+  serializeApplicationHeader,
+  serializeTagBlocks,
+  serializeFieldList,
+  serializeMessage,
+  findMissingFields
+} from '../../src/parsers/swift/fin-writer.js';
+import SWIFTParser from '../../src/parsers/swift/base-parser.js';
+import { parseHeaders } from '../../src/parsers/swift/headers.js';
+import {
+  VALID_MT103,
+  VALID_MT202,
+  VALID_MT798_DETAILS,
+  MT103_CBPR,
+  MT202_COV,
+  MT103_FULL_ENVELOPE,
+  MT103_OUTPUT
+} from '../fixtures/swift-messages.js';
+
+const parser = new SWIFTParser();
+const parse = raw => parser.parseMessageOfType(raw, parser.extractMessageType(raw));
+
+// Drop the text offsets of the fields grouped into sequences, however deeply nested
+const withoutOffsets = value => {
+  if (Array.isArray(value)) return value.map(withoutOffsets);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).filter(([key]) => key !== 'offset').map(([key, child]) => [key, withoutOffsets(child)]));
+};
+
+// Identity, parse time and text offsets change with every parse
+const comparable = ({ id, timestamp, fieldList, originalFields, ...message }) => ({
+  ...message,
+  fieldList: fieldList.map(({ offset, ...field }) => field),
+  sequences: withoutOffsets(message.sequences),
+  ...(message.underlyingCustomerCreditTransfer ? { underlyingCustomerCreditTransfer: comparable(message.underlyingCustomerCreditTransfer) } : {})
+});
+
+const HEADERS = parseHeaders('{1:F01AAAAGRA0AXXX0000000000}{2:I103BBBBGRB0XXXXN}{4::20:X\n-}');
+
+describe('FIN writer', () => {
+  describe('header serializers', () => {
+    test('should write input and output headers back to their block content', () => {
+      const output = parseHeaders(MT103_OUTPUT);
+
+      expect(serializeBasicHeader(output.basicHeader)).toBe('F01BBBBGRB0AXXX5678654321');
+      expect(serializeApplicationHeader(output.applicationHeader, 'MT103'))
+        .toBe('O1031200230701AAAAGRA0AXXX22221234562307011205N');
+      expect(serializeApplicationHeader(parseHeaders(MT103_FULL_ENVELOPE).applicationHeader, 'MT103'))
+        .toBe('I103BBBBGRB0XXXXU3003');
+      expect(serializeApplicationHeader({ ...output.applicationHeader, priority: null }, 'MT103'))
+        .toBe('O1031200230701AAAAGRA0AXXX22221234562307011205');
+      expect(serializeApplicationHeader({ ...HEADERS.applicationHeader, priority: null }, 'MT202'))
+        .toBe('I202BBBBGRB0XXXX');
+    });
+
+    test('should write tag blocks in order', () => {
+      expect(serializeTagBlocks([{ tag: '119', value: 'STP' }, { tag: '108', value: 'MUR1' }])).toBe('{119:STP}{108:MUR1}');
+    });
+  });
+
+  describe('serializeFieldList()', () => {
+    test('should write blocks 1 to 5 with CRLF line endings', () => {
+      const fin = serializeFieldList('MT103', [
+        { tag: '20', content: 'REF1' },
+        { tag: '50K', content: '/123\nJOHN DOE' }
+      ], parseHeaders(MT103_FULL_ENVELOPE));
+
+      expect(fin).toBe([
+        '{1:F01AAAAGRA0AXXX1234123456}{2:I103BBBBGRB0XXXXU3003}',
+        '{3:{103:TGT}{108:MUR20230701}{113:ROMF}{119:STP}{121:eb6305c9-1f7f-49de-aed0-16487c27b42d}}',
+        '{4:\r\n:20:REF1\r\n:50K:/123\r\nJOHN DOE\r\n-}',
+        '{5:{MAC:00000000}{CHK:123456789ABC}{PDE:1348120811BANKFRPPAXXX2222123456}}'
+      ].join(''));
+    });
+
+    test('should leave out absent user header and trailer blocks', () => {
+      expect(serializeFieldList('MT103', [{ tag: '20', content: 'REF1' }], HEADERS))
+        .toBe('{1:F01AAAAGRA0AXXX0000000000}{2:I103BBBBGRB0XXXXN}{4:\r\n:20:REF1\r\n-}');
+    });
+
+    test('should drop carriage returns from field content', () => {
+      expect(serializeFieldList('MT103', [{ tag: '70', content: 'LINE ONE\r\nLINE TWO' }], HEADERS))
+        .toContain(':70:LINE ONE\r\nLINE TWO\r\n-}');
+    });
+
+    test('should require the basic and application headers', () => {
+      expect(() => serializeFieldList('MT103', [{ tag: '20', content: 'REF1' }], null))
+        .toThrow('Cannot serialize MT103: basic header and application header are required');
+      expect(() => serializeFieldList('MT103', [], { basicHeader: HEADERS.basicHeader }))
+        .toThrow('Cannot serialize MT103: basic header and application header are required');
+    });
+
+    test('should reject content outside the charset or line length of the field', () => {
+      let error;
+      try {
+        serializeFieldList('MT103', [
+          { tag: '20', content: 'REF_1' },
+          { tag: '70', content: 'X'.repeat(36) }
+        ], HEADERS);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.message).toBe(
+        "Cannot serialize MT103: Field 20 line 1: invalid character '_'; Field 70 line 1: 36 characters, at most 35 allowed"
+      );
+      expect(error.violations).toHaveLength(2);
+    });
+  });
+
+  describe('validateFieldList()', () => {
+    test('should reject invalid tags and lines that would end a field', () => {
+      expect(validateFieldList('MT103', [
+        { tag: '2', content: 'REF1' },
+        { tag: '70', content: 'LINE ONE\n:20:FAKE' },
+        { tag: '72', content: '/ACC/ONE\n-' }
+      ]).map(violation => violation.message)).toEqual([
+        'Field 2: invalid tag',
+        "Field 70 line 2: must not start with ':'",
+        "Field 72 line 2: must not start with '-'"
+      ]);
+    });
+
+    test('should check tags missing from the dictionary against free text', () => {
+      expect(validateFieldList('MT103', [{ tag: '99Z', content: 'FREE TEXT' }])).toEqual([]);
+      expect(validateFieldList('MT103', [{ tag: '99Z', content: 'X'.repeat(79) }])[0].message)
+        .toBe('Field 99Z line 1: 79 characters, at most 78 allowed');
+    });
+
+    test('should allow the nested fields of an MT798 envelope', () => {
+      expect(validateFieldList('MT798', [{ tag: '77E', content: ':27A:1/1\n:21A:REF' }])).toEqual([]);
+    });
+  });
+
+  describe('buildFieldList()', () => {
+    test('should build an MT103 from its standardized properties', () => {
+      expect(buildFieldList({
+        messageType: 'MT103',
+        transactionReference: 'REF1',
+        timeIndications: ['/SNDTIME/0800+0200'],
+        bankOperationCode: 'CRED',
+        instructionCodes: ['SDVA', 'PHOB/+30 210 1234567'],
+        transactionTypeCode: 'K90',
+        valueDate: '2023-07-01',
+        currency: 'EUR',
+        amount: '1000.50',
+        instructedAmount: { currency: 'EUR', amount: '1010.50' },
+        exchangeRate: '1.0099',
+        parties: {
+          orderingCustomer: { option: 'K', raw: '/123\nJOHN DOE' },
+          sendingInstitution: { bic: 'DDDDDEFF' },
+          orderingInstitution: { bic: 'AAAAGRA0' },
+          receiversCorrespondent: { option: 'B', raw: 'LONDON' },
+          thirdReimbursementInstitution: { bic: 'EEEEGB2L' },
+          beneficiaryCustomer: { account: '/456', bic: 'CCCCUS33' }
+        },
+        remittanceInfo: 'INVOICE 1',
+        detailsOfCharges: 'SHA',
+        sendersCharges: [{ currency: 'EUR', amount: '10.00' }],
+        receiversCharges: { currency: 'EUR', amount: '5' },
+        senderToReceiverInfo: '/ACC/CREDIT IMMEDIATELY',
+        regulatoryReporting: '/ORDERRES/DE//REGULATORY',
+        envelopeContents: 'ENVELOPE'
+      })).toEqual([
+        { tag: '20', content: 'REF1' },
+        { tag: '13C', content: '/SNDTIME/0800+0200' },
+        { tag: '23B', content: 'CRED' },
+        { tag: '23E', content: 'SDVA' },
+        { tag: '23E', content: 'PHOB/+30 210 1234567' },
+        { tag: '26T', content: 'K90' },
+        { tag: '32A', content: '230701EUR1000,50' },
+        { tag: '33B', content: 'EUR1010,50' },
+        { tag: '36', content: '1,0099' },
+        { tag: '50K', content: '/123\nJOHN DOE' },
+        { tag: '51A', content: 'DDDDDEFF' },
+        { tag: '52A', content: 'AAAAGRA0' },
+        { tag: '54B', content: 'LONDON' },
+        { tag: '55A', content: 'EEEEGB2L' },
+        { tag: '59A', content: '/456\nCCCCUS33' },
+        { tag: '70', content: 'INVOICE 1' },
+        { tag: '71A', content: 'SHA' },
+        { tag: '71F', content: 'EUR10,00' },
+        { tag: '71G', content: 'EUR5,' },
+        { tag: '72', content: '/ACC/CREDIT IMMEDIATELY' },
+        { tag: '77B', content: '/ORDERRES/DE//REGULATORY' },
+        { tag: '77T', content: 'ENVELOPE' }
+      ]);
+    });
+
+    test('should build an MT202 and skip absent properties', () => {
+      expect(buildFieldList({
+        messageType: 'MT202',
+        transactionReference: 'REF2',
+        relatedReference: 'REL2',
+        timeIndications: ['/CLSTIME/0915+0100'],
+        valueDate: '2023-07-01',
+        currency: 'JPY',
+        amount: '5000',
+        parties: {
+          receiversCorrespondent: { bic: 'DDDDJPJT' },
+          beneficiaryInstitution: { option: '', raw: 'BANK NAME' }
+        }
+      })).toEqual([
+        { tag: '20', content: 'REF2' },
+        { tag: '21', content: 'REL2' },
+        { tag: '13C', content: '/CLSTIME/0915+0100' },
+        { tag: '32A', content: '230701JPY5000,' },
+        { tag: '54A', content: 'DDDDJPJT' },
+        { tag: '58', content: 'BANK NAME' }
+      ]);
+      expect(buildFieldList({ messageType: 'MT103' })).toEqual([]);
+    });
+
+    test('should reject parties without raw content or a BIC', () => {
+      expect(() => buildFieldList({ messageType: 'MT202', parties: { orderingInstitution: { name: 'BANK' } } }))
+        .toThrow('Cannot serialize party field 52a: a raw content or a BIC is required');
+    });
+
+    test('should reject message types without standardized fields', () => {
+      expect(() => buildFieldList({ messageType: 'MT940' }))
+        .toThrow('Cannot build the fields of MT940 from a standardized message; provide its field list');
+    });
+  });
+
+  describe('findMissingFields()', () => {
+    test('should list the mandatory fields a field list lacks, accepting any option of a party', () => {
+      expect(findMissingFields('MT103', [
+        { tag: '20', content: 'REF1' },
+        { tag: '32A', content: '230701EUR1000,' },
+        { tag: '50F', content: '/123\n1/JOHN DOE' },
+        { tag: '59', content: 'JANE DOE' }
+      ])).toEqual(['23B', '71A']);
+      expect(findMissingFields('MT202', [{ tag: '20', content: 'REF2' }])).toEqual(['21', '32A', '58a']);
+      expect(findMissingFields('MT940', [])).toEqual([]);
+    });
+  });
+
+  describe('serializeMessage()', () => {
+    test.each([
+      ['MT103', VALID_MT103],
+      ['MT202', VALID_MT202],
+      ['MT202 COV', MT202_COV],
+      ['MT103 with user header and trailer', MT103_FULL_ENVELOPE],
+      ['MT103 output', MT103_OUTPUT],
+      ['MT798', VALID_MT798_DETAILS]
+    ])('should round-trip %s through parse and serialize', (name, raw) => {
+      const message = parse(raw);
+      const fin = serializeMessage(message);
+      const reparsed = parse(fin);
+
+      expect(comparable(reparsed)).toEqual(comparable(message));
+      expect(serializeMessage(reparsed)).toBe(fin);
+    });
+
+    test('should keep block 3 and block 5 tags in message order', () => {
+      const raw = VALID_MT103
+        .replace('{4:', '{3:{113:ROMF}{108:MUR1}{121:eb6305c9-1f7f-49de-aed0-16487c27b42d}}{4:')
+        .concat('{5:{PDE:}{CHK:123456789ABC}}');
+      const fin = serializeMessage(parse(raw));
+
+      expect(fin).toContain('{3:{113:ROMF}{108:MUR1}{121:eb6305c9-1f7f-49de-aed0-16487c27b42d}}');
+      expect(fin).toContain('{5:{PDE:}{CHK:123456789ABC}}');
+    });
+
+    test('should reject a message without its mandatory fields', () => {
+      const { fieldList, ...standardized } = parse(VALID_MT103);
+
+      expect(() => serializeMessage({ ...standardized, bankOperationCode: null, detailsOfCharges: null }))
+        .toThrow('Cannot serialize MT103: mandatory fields missing: 23B, 71A');
+      expect(() => serializeMessage({ ...standardized, fieldList: fieldList.filter(field => field.tag !== '59') }))
+        .toThrow('Cannot serialize MT103: mandatory fields missing: 59a');
+    });
+
+    test('should start the nested fields of an MT798 on the line after 77E', () => {
+      expect(serializeMessage(parse(VALID_MT798_DETAILS))).toContain(':77E:\r\n:27A:2/2\r\n');
+    });
+
+    test.each([
+      ['MT103', VALID_MT103],
+      ['MT103 with optional fields', MT103_CBPR],
+      ['MT202', VALID_MT202]
+    ])('should serialize a standardized %s built without a field list', (name, raw) => {
+      const { fieldList, ...standardized } = parse(raw);
+      const reparsed = parse(serializeMessage(standardized));
+
+      expect(reparsed.fieldList.map(({ tag, content }) => ({ tag, content })))
+        .toEqual(fieldList.map(({ tag, content }) => ({ tag, content })));
+    });
+  });
+});
@@ -4,7 +4,26 @@
 
 import { describe, test, expect, beforeEach } from '@jest/globals';
 import SwiftParserOSS from '../../src/index.js';
-import { VALID_MT103, VALID_MT202, COBOL_SAMPLE } from '../fixtures/swift-messages.js';
+import {
+  VALID_MT103,
+  VALID_MT202,
+  MT103_OUTPUT,
+  COBOL_SAMPLE,
+  VALID_MT101,
+  VALID_MT515,
+  VALID_MT541,
+  VALID_MT548,
+  VALID_MT700,
+  VALID_MT701,
+  VALID_MT707,
+  VALID_MT710,
+  VALID_MT720,
+  VALID_MT760,
+  VALID_MT798,
+  VALID_MT940,
+  VALID_MT942,
+  VALID_MT950
+} from '../fixtures/swift-messages.js';
 import { 
   BANCS_JSON_SAMPLE, 
   FIS_JSON_SAMPLE, 
@@ -36,6 +55,14 @@ describe('SwiftParserOSS', () => {
       expect(customParser.config.strictValidation).toBe(false);
     });
 
+    test('should pass strict validation to the SWIFT parsers', () => {
+      const customParser = new SwiftParserOSS({ strictValidation: false });
+
+      expect(parser.swift.config.strictValidation).toBe(true);
+      expect(customParser.swift.config.strictValidation).toBe(false);
+      expect(customParser.enhanced.config.strictValidation).toBe(false);
+    });
+
     test('should initialize all parsers', () => {
       expect(parser.swift).toBeDefined();
       expect(parser.enhanced).toBeDefined();
@@ -65,6 +92,40 @@ describe('SwiftParserOSS', () => {
       expect(result.amount).toBeDefined();
     });
 
+    test.each([
+      ['MT101', VALID_MT101],
+      ['MT515', VALID_MT515],
+      ['MT540', VALID_MT541.replace('{2:I541', '{2:I540')],
+      ['MT541', VALID_MT541],
+      ['MT542', VALID_MT541.replace('{2:I541', '{2:I542')],
+      ['MT543', VALID_MT541.replace('{2:I541', '{2:I543')],
+      ['MT544', VALID_MT541.replace('{2:I541', '{2:I544')],
+      ['MT545', VALID_MT541.replace('{2:I541', '{2:I545')],
+      ['MT546', VALID_MT541.replace('{2:I541', '{2:I546')],
+      ['MT547', VALID_MT541.replace('{2:I541', '{2:I547')],
+      ['MT548', VALID_MT548],
+      ['MT700', VALID_MT700],
+      ['MT701', VALID_MT701],
+      ['MT707', VALID_MT707],
+      ['MT710', VALID_MT710],
+      ['MT720', VALID_MT720],
+      ['MT760', VALID_MT760],
+      ['MT798', VALID_MT798],
+      ['MT940', VALID_MT940],
+      ['MT942', VALID_MT942],
+      ['MT950', VALID_MT950]
+    ])('should parse %s message', (messageType, message) => {
+      const result = parser.parse(message);
+
+      expect(result.messageType).toBe(messageType);
+      expect(result.fieldList.length).toBeGreaterThan(0);
+    });
+
+    test('should reject MT types without a parser', () => {
+      expect(() => parser.parse(VALID_MT103.replace('{2:I103', '{2:I199')))
+        .toThrow('Unsupported message type: MT199');
+    });
+
     test('should parse ISO20022 message', () => {
       const result = parser.parse(ISO20022_PACS008_SAMPLE);
       
@@ -196,6 +257,11 @@ describe('SwiftParserOSS', () => {
       expect(format).toBe('MT202');
     });
 
+    test('should detect output-direction MT103 format', () => {
+      const format = parser.detectFormat(MT103_OUTPUT);
+      expect(format).toBe('MT103');
+    });
+
     test('should detect ISO20022 format', () => {
       const format = parser.detectFormat(ISO20022_PACS008_SAMPLE);
       expect(format).toBe('ISO20022');
@@ -302,6 +368,15 @@ describe('SwiftParserOSS', () => {
     });
   });
 
+  describe('serialize() method', () => {
+    test('should convert parsed SWIFT message back to FIN text', () => {
+      const fin = parser.serialize(parser.parse(VALID_MT103));
+
+      expect(fin.startsWith('{1:F01AAAAGRA0AXXX1234123456}{2:I103BBBBGRB0XXXXN}{4:\r\n:20:123456789\r\n')).toBe(true);
+      expect(parser.parse(fin).transactionReference).toBe('123456789');
+    });
+  });
+
   describe('Enterprise features', () => {
     test('should throw error for COBOL transpilation', () => {
       expect(() => parser.transpileCOBOL(COBOL_SAMPLE))
@@ -361,6 +436,41 @@ describe('SwiftParserOSS', () => {
     });
   });
 
+  describe('parseFile() method', () => {
+    test('should parse every message of an RJE file', () => {
+      const file = parser.parseFile(`${VALID_MT103}\r\n$${VALID_MT202}`);
+
+      expect(file).toMatchObject({ format: 'RJE', parsed: 2, failed: 0 });
+      expect(file.messages.map(message => message.result.messageType)).toEqual(['MT103', 'MT202']);
+      expect(file.messages[1]).toMatchObject({ index: 1, offset: VALID_MT103.length + 3, error: null });
+    });
+
+    test('should report bad messages of a DOS-PCC file without stopping', () => {
+      const file = parser.parseFile(`\x01${VALID_MT103}\x03\x01{1:BROKEN}\x03JUNK\x01${VALID_MT202}\x03`);
+
+      expect(file).toMatchObject({ format: 'DOS_PCC', parsed: 2, failed: 2 });
+      expect(file.messages.map(message => message.error === null)).toEqual([true, false, false, true]);
+      expect(file.messages[2]).toEqual({
+        index: 2,
+        offset: VALID_MT103.length + 14,
+        result: null,
+        error: `Invalid DOS-PCC file: unexpected content outside a message frame at offset ${VALID_MT103.length + 14}`
+      });
+      expect(file.messages[3].result.messageType).toBe('MT202');
+    });
+
+    test('should parse a file of statements, documentary credits and settlements', () => {
+      const file = parser.parseFile([VALID_MT940, VALID_MT700, VALID_MT541].map(message => `\x01${message}\x03`).join(''));
+
+      expect(file).toMatchObject({ format: 'DOS_PCC', parsed: 3, failed: 0 });
+      expect(file.messages.map(message => message.result.messageType)).toEqual(['MT940', 'MT700', 'MT541']);
+    });
+
+    test('should reject content that is not a string', () => {
+      expect(() => parser.parseFile(null)).toThrow('Invalid input: file content must be a string');
+    });
+  });
+
   describe('Performance metrics', () => {
     test('should track parsing metrics', () => {
       const initialMetrics = parser.getMetrics();
@@ -0,0 +1,337 @@
+/**
+ * Unit tests for the MT103 to pacs.008 translator
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import xml2js from 'xml2js';
+import SWIFTParser from '../../src/parsers/swift/base-parser.js';
+import { translateMT103ToPacs008 } from '../../src/parsers/iso20022/mt103-to-pacs008.js';
+import { translateMT103ToPacs008 as exportedTranslate } from '../../src/index.js';
+import { MT103_CBPR, GPI_MT103, VALID_MT103, VALID_MT202, MT103_OUTPUT } from '../fixtures/swift-messages.js';
+
+const CREATION = { creationDateTime: new Date('2023-07-01T08:00:00Z') };
+const UETR_BLOCK = '{3:{121:eb6305c9-1f7f-49de-aed0-16487c27b42d}}';
+
+const parser = new SWIFTParser();
+const lenientParser = new SWIFTParser({ strictValidation: false });
+
+/**
+ * Parse a generated XML document into plain objects
+ */
+function readXML(xml) {
+  return xml2js.parseStringPromise(xml, { explicitArray: false });
+}
+
+/**
+ * Translate an MT103 and return its credit transfer transaction and group header
+ */
+async function translate(raw, mtParser = parser) {
+  const result = translateMT103ToPacs008(mtParser.parse(raw), CREATION);
+  const { Document } = await readXML(result.document);
+
+  return { result, ...Document.FIToFICstmrCdtTrf };
+}
+
+/**
+ * Replace the text block of an MT103 with other fields
+ */
+function withFields(fields) {
+  return `{1:F01AAAAGRA0AXXX1234123456}{2:I103BBBBGRB0XXXXN}${UETR_BLOCK}{4:
+:20:REF1
+:23B:CRED
+:32A:230701USD1000,00
+${fields}
+:71A:SHA
+-}`;
+}
+
+describe('translateMT103ToPacs008()', () => {
+  test('should build a Business Application Header', async () => {
+    const { businessApplicationHeader, messageType } = translateMT103ToPacs008(parser.parse(MT103_CBPR), CREATION);
+    const { AppHdr } = await readXML(businessApplicationHeader);
+
+    expect(messageType).toBe('pacs.008.001.08');
+    expect(AppHdr).toMatchObject({
+      $: { xmlns: 'urn:iso:std:iso:20022:tech:xsd:head.001.001.02' },
+      Fr: { FIId: { FinInstnId: { BICFI: 'AAAAGRA0XXX' } } },
+      To: { FIId: { FinInstnId: { BICFI: 'BBBBGRB0XXX' } } },
+      BizMsgIdr: 'CBPR202307011',
+      MsgDefIdr: 'pacs.008.001.08',
+      BizSvc: 'swift.cbprplus.02',
+      CreDt: '2023-07-01T08:00:00+00:00'
+    });
+  });
+
+  test('should map the group header, references, amounts and charges', async () => {
+    const { result, GrpHdr, CdtTrfTxInf } = await translate(MT103_CBPR);
+
+    expect(result.unmapped).toEqual([]);
+    expect(GrpHdr).toEqual({
+      MsgId: 'CBPR202307011',
+      CreDtTm: '2023-07-01T08:00:00+00:00',
+      NbOfTxs: '1',
+      SttlmInf: { SttlmMtd: 'COVE', InstgRmbrsmntAgt: { FinInstnId: { BICFI: 'CCCCUS33' } } }
+    });
+    expect(CdtTrfTxInf.PmtId).toEqual({
+      InstrId: 'CBPR202307011',
+      EndToEndId: 'INV20230701',
+      UETR: 'eb6305c9-1f7f-49de-aed0-16487c27b42d'
+    });
+    expect(CdtTrfTxInf.PmtTpInf).toEqual({ SvcLvl: [{ Cd: 'G001' }, { Cd: 'SDVA' }] });
+    expect(CdtTrfTxInf.IntrBkSttlmAmt).toEqual({ _: '1100.00', $: { Ccy: 'USD' } });
+    expect(CdtTrfTxInf.IntrBkSttlmDt).toBe('2023-07-01');
+    expect(CdtTrfTxInf.SttlmTmIndctn).toEqual({ DbtDtTm: '2023-07-01T08:00:00+02:00' });
+    expect(CdtTrfTxInf.SttlmTmReq).toEqual({ CLSTm: '09:15:00+01:00' });
+    expect(CdtTrfTxInf.InstdAmt).toEqual({ _: '1000.00', $: { Ccy: 'EUR' } });
+    expect(CdtTrfTxInf.XchgRate).toBe('1.1');
+    expect(CdtTrfTxInf.ChrgBr).toBe('SHAR');
+    expect(CdtTrfTxInf.ChrgsInf).toEqual({
+      Amt: { _: '10.00', $: { Ccy: 'EUR' } },
+      Agt: { FinInstnId: { BICFI: 'AAAAGRA0XXX' } }
+    });
+    expect(CdtTrfTxInf.Purp).toEqual({ Prtry: 'K90' });
+    expect(CdtTrfTxInf.RgltryRptg).toEqual({ DbtCdtRptgInd: 'DEBT', Dtls: { Ctry: 'DE', Inf: 'MEILAAN 1' } });
+    expect(CdtTrfTxInf.RmtInf).toEqual({ Ustrd: '/ROC/INV20230701/INVOICE 12345' });
+  });
+
+  test('should map parties and agents by field option', async () => {
+    const { CdtTrfTxInf } = await translate(MT103_CBPR);
+
+    expect(CdtTrfTxInf.Dbtr).toEqual({
+      Nm: 'JOHN SMITH',
+      PstlAdr: { TwnNm: 'BERLIN', Ctry: 'DE' },
+      Id: { PrvtId: { DtAndPlcOfBirth: { BirthDt: '1980-01-01', CityOfBirth: 'HAMBURG', CtryOfBirth: 'DE' } } }
+    });
+    expect(CdtTrfTxInf.DbtrAcct).toEqual({ Id: { IBAN: 'DE89370400440532013000' } });
+    expect(CdtTrfTxInf.DbtrAgt).toEqual({ FinInstnId: { BICFI: 'AAAAGRA0' } });
+    expect(CdtTrfTxInf.DbtrAgtAcct).toEqual({ Id: { Othr: { Id: '998877' } } });
+    expect(CdtTrfTxInf.InstgAgt).toEqual({ FinInstnId: { BICFI: 'AAAAGRA0XXX' } });
+    expect(CdtTrfTxInf.InstdAgt).toEqual({ FinInstnId: { BICFI: 'BBBBGRB0XXX' } });
+    expect(CdtTrfTxInf.IntrmyAgt1).toEqual({
+      FinInstnId: { ClrSysMmbId: { ClrSysId: { Cd: 'USABA' }, MmbId: '021000018' } }
+    });
+    expect(CdtTrfTxInf.CdtrAgt).toEqual({ FinInstnId: { BICFI: 'BBBBGRB0' } });
+    expect(CdtTrfTxInf.Cdtr).toEqual({ Id: { OrgId: { AnyBIC: 'NWBKGB2L' } } });
+    expect(CdtTrfTxInf.CdtrAcct).toEqual({ Id: { IBAN: 'GB29NWBK60161331926819' } });
+  });
+
+  test('should map 23E and 72 codewords to agent instructions', async () => {
+    const { CdtTrfTxInf } = await translate(MT103_CBPR);
+
+    expect(CdtTrfTxInf.PrvsInstgAgt1).toEqual({ FinInstnId: { BICFI: 'DDDDDEFF' } });
+    expect(CdtTrfTxInf.InstrForCdtrAgt).toEqual([
+      { Cd: 'PHOB', InstrInf: '+30 210 1234567' },
+      { InstrInf: 'CREDIT IMMEDIATELY' }
+    ]);
+    expect(CdtTrfTxInf.InstrForNxtAgt).toEqual([
+      { InstrInf: '/INT/PLEASE ADVISE BENEFICIARY BY PHONE' },
+      { InstrInf: '/REC/RECEIVER INFO' }
+    ]);
+  });
+
+  test('should map name and address parties and default the agents to sender and receiver', async () => {
+    const { GrpHdr, CdtTrfTxInf } = await translate(GPI_MT103);
+
+    expect(GrpHdr.SttlmInf).toEqual({ SttlmMtd: 'INDA' });
+    expect(CdtTrfTxInf.PmtId.EndToEndId).toBe('NOTPROVIDED');
+    expect(CdtTrfTxInf.PmtTpInf).toEqual({ SvcLvl: { Cd: 'G001' } });
+    expect(CdtTrfTxInf.Dbtr).toEqual({ Nm: 'SENDER BANK NAME' });
+    expect(CdtTrfTxInf.DbtrAcct).toEqual({ Id: { Othr: { Id: '12345678' } } });
+    expect(CdtTrfTxInf.DbtrAgt).toEqual({ FinInstnId: { BICFI: 'AAAAGRA0XXX' } });
+    expect(CdtTrfTxInf.Cdtr).toEqual({ Nm: 'BENEFICIARY NAME' });
+    expect(CdtTrfTxInf.RmtInf).toBeUndefined();
+    expect(CdtTrfTxInf.InstrForNxtAgt).toBeUndefined();
+  });
+
+  test('should map option D and option B institutions, 53B settlement accounts and 71G', async () => {
+    const { result, GrpHdr, CdtTrfTxInf } = await translate(withFields([
+      ':50K:/12345678',
+      'JOHN DOE',
+      '1 MAIN STREET',
+      ':52D://SC123456',
+      'ORDERING BANK',
+      'LONDON',
+      ':53B:/55667788',
+      ':56A:/998877',
+      'DDDDDEFF',
+      ':57B:/112233',
+      'PARIS',
+      ':59F:/GB29NWBK60161331926819',
+      '1/JANE DOE',
+      '2/2 HIGH STREET',
+      '3/GB/LONDON',
+      '6/GB/ISSUER/CUST123',
+      ':71G:USD5,00'
+    ].join('\n')), lenientParser);
+
+    expect(GrpHdr.SttlmInf).toEqual({ SttlmMtd: 'INDA', SttlmAcct: { Id: { Othr: { Id: '55667788' } } } });
+    expect(CdtTrfTxInf.Dbtr).toEqual({ Nm: 'JOHN DOE', PstlAdr: { AdrLine: '1 MAIN STREET' } });
+    expect(CdtTrfTxInf.DbtrAgt).toEqual({
+      FinInstnId: {
+        ClrSysMmbId: { ClrSysId: { Cd: 'GBDSC' }, MmbId: '123456' },
+        Nm: 'ORDERING BANK',
+        PstlAdr: { AdrLine: 'LONDON' }
+      }
+    });
+    expect(CdtTrfTxInf.IntrmyAgt1).toEqual({ FinInstnId: { BICFI: 'DDDDDEFF' } });
+    expect(CdtTrfTxInf.IntrmyAgt1Acct).toEqual({ Id: { Othr: { Id: '998877' } } });
+    expect(CdtTrfTxInf.CdtrAgt).toEqual({ FinInstnId: { BICFI: 'BBBBGRB0XXX' } });
+    expect(CdtTrfTxInf.CdtrAgtAcct).toBeUndefined();
+    expect(CdtTrfTxInf.Cdtr).toEqual({
+      Nm: 'JANE DOE',
+      PstlAdr: { Ctry: 'GB', AdrLine: ['2 HIGH STREET', 'LONDON'] },
+      Id: { PrvtId: { Othr: { Id: 'CUST123', SchmeNm: { Cd: 'CUST' }, Issr: 'GB/ISSUER' } } }
+    });
+    expect(CdtTrfTxInf.ChrgsInf).toEqual({
+      Amt: { _: '5.00', $: { Ccy: 'USD' } },
+      Agt: { FinInstnId: { BICFI: 'BBBBGRB0XXX' } }
+    });
+    expect(result.unmapped).toEqual([
+      { tag: '57B', content: 'PARIS', reason: 'party location has no pacs.008 element' },
+      { tag: '57B', content: '/112233', reason: 'account of an unidentified institution' }
+    ]);
+  });
+
+  test('should map receiver and third reimbursement agents', async () => {
+    const { GrpHdr } = await translate(withFields([
+      ':50K:/12345678',
+      'JOHN DOE',
+      ':53D:/C/44556677',
+      'CORRESPONDENT BANK',
+      ':54A:/66778899',
+      'CCCCUS33',
+      ':55A:EEEEUS33',
+      ':57A:BBBBGRB0',
+      ':59:/98765432',
+      'JANE DOE'
+    ].join('\n')), lenientParser);
+
+    expect(GrpHdr.SttlmInf).toEqual({
+      SttlmMtd: 'COVE',
+      InstgRmbrsmntAgt: { FinInstnId: { Nm: 'CORRESPONDENT BANK' } },
+      InstgRmbrsmntAgtAcct: { Id: { Othr: { Id: '44556677' } } },
+      InstdRmbrsmntAgt: { FinInstnId: { BICFI: 'CCCCUS33' } },
+      InstdRmbrsmntAgtAcct: { Id: { Othr: { Id: '66778899' } } },
+      ThrdRmbrsmntAgt: { FinInstnId: { BICFI: 'EEEEUS33' } }
+    });
+  });
+
+  test('should list instruction codes, clearing codes and fields that have no pacs.008 element', async () => {
+    const { result, CdtTrfTxInf } = await translate(withFields([
+      ':13C:/RNCTIME/1200+0000',
+      ':13C:/TILTIME/1300+0000',
+      ':13C:/FROTIME/0700+0000',
+      ':13C:/REJTIME/1400+0000',
+      ':23E:INTC',
+      ':23E:CHQB',
+      ':23E:PHOI/+30 210 7654321',
+      ':23E:TELE/+30 210 1111111',
+      ':23E:REPA/REF123',
+      ':50F:NIDN/DE/123456',
+      '1/JOHN DOE',
+      '3/DE/BERLIN',
+      ':51A:AAAAGRA0',
+      ':56C://XX123',
+      ':57A:BBBBGRB0',
+      ':59:/98765432',
+      'JANE DOE',
+      ':70:INVOICE 12345',
+      ':72:/INS/NOT A BIC',
+      'FREE TEXT',
+      '/ACC/ONE',
+      '/ACC/TWO',
+      ':77B:/BENEFRES/BE//PLACE DE LA GARE 1',
+      'RESIDENCE BE'
+    ].join('\n')).replace(':23B:CRED', ':23B:SPRI'), lenientParser);
+
+    expect(CdtTrfTxInf.SttlmTmIndctn).toEqual({ CdtDtTm: '2023-07-01T12:00:00+00:00' });
+    expect(CdtTrfTxInf.SttlmTmReq).toEqual({ TillTm: '13:00:00+00:00', FrTm: '07:00:00+00:00', RjctTm: '14:00:00+00:00' });
+    expect(CdtTrfTxInf.PmtTpInf).toEqual({ CtgyPurp: { Cd: 'INTC' } });
+    expect(CdtTrfTxInf.PmtId.EndToEndId).toBe('NOTPROVIDED');
+    expect(CdtTrfTxInf.Dbtr).toEqual({
+      Nm: 'JOHN DOE',
+      PstlAdr: { TwnNm: 'BERLIN', Ctry: 'DE' },
+      Id: { PrvtId: { Othr: { Id: '123456', SchmeNm: { Cd: 'NIDN' }, Issr: 'DE' } } }
+    });
+    expect(CdtTrfTxInf.DbtrAcct).toBeUndefined();
+    expect(CdtTrfTxInf.IntrmyAgt1).toBeUndefined();
+    expect(CdtTrfTxInf.InstrForCdtrAgt).toEqual([{ Cd: 'CHQB' }, { InstrInf: 'ONE' }]);
+    expect(CdtTrfTxInf.InstrForNxtAgt).toEqual([
+      { Cd: 'PHOA', InstrInf: '+30 210 7654321' },
+      { InstrInf: '/TELE/+30 210 1111111' },
+      { InstrInf: '/INS/NOT A BIC' },
+      { InstrInf: 'FREE TEXT' }
+    ]);
+    expect(CdtTrfTxInf.RgltryRptg).toEqual([
+      { DbtCdtRptgInd: 'CRED', Dtls: { Ctry: 'BE', Inf: 'PLACE DE LA GARE 1' } },
+      { Dtls: { Inf: 'RESIDENCE BE' } }
+    ]);
+    expect(result.unmapped).toEqual([
+      { tag: '51A', content: 'AAAAGRA0', reason: 'no pacs.008 element' },
+      { tag: '23B', content: 'SPRI', reason: 'bank operation code has no CBPR+ equivalent' },
+      { tag: '56C', content: '//XX123', reason: 'unknown clearing system code' },
+      { tag: '23E', content: 'REPA/REF123', reason: 'instruction code REPA has no CBPR+ equivalent' },
+      { tag: '72', content: 'TWO', reason: 'more than 2 instructions for the creditor agent' }
+    ]);
+  });
+
+  test('should keep at most 6 instructions for the next agent', async () => {
+    const { result, CdtTrfTxInf } = await translate(withFields([
+      ':23E:PHON',
+      ':23E:TELI',
+      ':50A:AAAAGRA0',
+      ':59:/98765432',
+      'JANE DOE',
+      ':72:/INT/1',
+      '/INT/2',
+      '/INT/3',
+      '/INT/4',
+      '/INT/5',
+      '/INT/6'
+    ].join('\n')), lenientParser);
+
+    expect(CdtTrfTxInf.Dbtr).toEqual({ Id: { OrgId: { AnyBIC: 'AAAAGRA0' } } });
+    expect(CdtTrfTxInf.InstrForNxtAgt.slice(0, 2)).toEqual([{ InstrInf: '/PHON/' }, { Cd: 'TELA' }]);
+    expect(CdtTrfTxInf.InstrForNxtAgt).toHaveLength(6);
+    expect(result.unmapped).toEqual([
+      { tag: '72', content: '/INT/5', reason: 'more than 6 instructions for the next agent' },
+      { tag: '72', content: '/INT/6', reason: 'more than 6 instructions for the next agent' }
+    ]);
+  });
+
+  test('should list an institution sent with an unsupported option', async () => {
+    const { result, CdtTrfTxInf } = await translate(withFields([
+      ':50K:JOHN SMITH',
+      ':56E:NEW YORK',
+      ':57A:CCCCUS33',
+      ':59:/98765432',
+      'JANE DOE'
+    ].join('\n')), lenientParser);
+
+    expect(CdtTrfTxInf.IntrmyAgt1).toBeUndefined();
+    expect(result.unmapped).toEqual([{ tag: '56E', content: 'NEW YORK', reason: 'unsupported party option' }]);
+  });
+
+  test('should translate an output message and stamp the current time by default', async () => {
+    const message = parser.parse(MT103_OUTPUT.replace('{4:', `${UETR_BLOCK}{4:`));
+    const { businessApplicationHeader } = translateMT103ToPacs008(message);
+    const { AppHdr } = await readXML(businessApplicationHeader);
+
+    expect(AppHdr.Fr.FIId.FinInstnId.BICFI).toBe('AAAAGRA0XXX');
+    expect(AppHdr.To.FIId.FinInstnId.BICFI).toBe('BBBBGRB0XXX');
+    expect(AppHdr.CreDt).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\+00:00$/);
+  });
+
+  test('should reject messages it cannot translate', () => {
+    expect(() => translateMT103ToPacs008(parser.parse(VALID_MT202)))
+      .toThrow('Cannot translate MT202 to pacs.008: only MT103 is supported');
+    expect(() => translateMT103ToPacs008(parser.parse(VALID_MT103)))
+      .toThrow('Cannot translate MT103 to pacs.008: CBPR+ requires a UETR (block 3 field 121)');
+    expect(() => translateMT103ToPacs008({ ...parser.parse(GPI_MT103), headers: null }))
+      .toThrow('Cannot translate MT103 to pacs.008: basic header and application header are required');
+  });
+
+  test('should be exported from the main entry point', () => {
+    expect(exportedTranslate).toBe(translateMT103ToPacs008);
+  });
+});
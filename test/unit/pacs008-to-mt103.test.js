@@ -0,0 +1,542 @@
+/**
+ * Unit tests for the pacs.008 to MT103 translator
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import ISO20022Parser from '../../src/parsers/iso20022/pacs008-parser.js';
+import SWIFTParser from '../../src/parsers/swift/base-parser.js';
+import { translatePacs008ToMT103 } from '../../src/parsers/iso20022/pacs008-to-mt103.js';
+import { translateMT103ToPacs008 } from '../../src/parsers/iso20022/mt103-to-pacs008.js';
+import { translatePacs008ToMT103 as exportedTranslate } from '../../src/index.js';
+import { ISO20022_PACS008_SAMPLE } from '../fixtures/banking-messages.js';
+import { MT103_CBPR } from '../fixtures/swift-messages.js';
+
+const UETR = 'eb6305c9-1f7f-49de-aed0-16487c27b42d';
+const TRANSACTION = 'creditTransferTransactionInformation';
+
+/**
+ * Build a parsed pacs.008 with one transaction
+ */
+function pacs008(transaction = {}, groupHeader = {}) {
+  return {
+    messageType: 'pacs.008',
+    groupHeader: {
+      messageId: 'MSG1',
+      interbankSettlementDate: '2023-07-01',
+      totalInterbankSettlementAmount: { amount: 1000, currency: 'USD' },
+      ...groupHeader
+    },
+    creditTransferTransactionInformation: {
+      paymentIdentification: { instructionId: 'REF1', endToEndId: 'NOTPROVIDED' },
+      chargeBearerCode: 'SHAR',
+      debtor: { name: 'JOHN SMITH' },
+      debtorAgent: { bic: 'AAAAGRA0' },
+      creditorAgent: { bic: 'BBBBGRB0' },
+      creditor: { name: 'JANE DOE' },
+      ...transaction
+    }
+  };
+}
+
+/**
+ * Translate a parsed pacs.008 and check that the MT103 passes strict validation
+ */
+function translate(message, options) {
+  const result = translatePacs008ToMT103(message, options);
+
+  expect(() => new SWIFTParser().parse(result.fin)).not.toThrow();
+  return result;
+}
+
+/**
+ * Content of a field of the translated MT103
+ */
+function field(result, tag) {
+  return result.fieldList.find(item => item.tag === tag)?.content;
+}
+
+describe('translatePacs008ToMT103()', () => {
+  test('should translate a pacs.008 parsed by ISO20022Parser', () => {
+    const message = new ISO20022Parser().parsePacs008(ISO20022_PACS008_SAMPLE);
+    const result = translate(message);
+
+    expect(result.messageType).toBe('MT103');
+    expect(result.fin).toBe([
+      '{1:F01DEUTDEFFAXXX0000000000}{2:I103BNPAFRPPXXXXN}{4:',
+      ':20:INSTR001',
+      ':23B:CRED',
+      ':32A:240701EUR4500,00',
+      ':33B:EUR4500,00',
+      ':50K:/DE89123456789012345678',
+      'Sender Corporation',
+      ':59:/FR1234567890123456789012',
+      'Receiver Limited',
+      ':70:/ROC/E2E001',
+      'Invoice payment ISO20022',
+      ':71A:SHA',
+      '-}'
+    ].join('\r\n'));
+    expect(result.report).toEqual([
+      { element: 'groupHeader.settlementMethod', field: null, action: 'dropped', original: 'CLRG', value: null },
+      {
+        element: `${TRANSACTION}.paymentIdentification.transactionId`,
+        field: null,
+        action: 'dropped',
+        original: 'TXN001',
+        value: null
+      },
+      { element: `${TRANSACTION}.chargeBearerCode`, field: '71A', action: 'converted', original: 'SLEV', value: 'SHA' }
+    ]);
+  });
+
+  test('should translate a CBPR+ pacs.008 read from its XML document', () => {
+    const { document } = translateMT103ToPacs008(new SWIFTParser().parse(MT103_CBPR));
+    const result = translate(new ISO20022Parser().parsePacs008(document));
+
+    expect(result.fin).toBe([
+      `{1:F01AAAAGRA0AXXX0000000000}{2:I103BBBBGRB0XXXXN}{3:{121:${UETR}}}{4:`,
+      ':20:CBPR202307011',
+      ':23B:CRED',
+      ':32A:230701USD1100,00',
+      ':33B:EUR1000,00',
+      ':36:1,1',
+      ':50F:/DE89370400440532013000',
+      '1/JOHN SMITH',
+      '3/DE/BERLIN',
+      ':56C://FW021000018',
+      ':57A:BBBBGRB0',
+      ':59A:/GB29NWBK60161331926819',
+      'NWBKGB2L',
+      ':70:/ROC/INV20230701/INVOICE 12345',
+      ':71A:SHA',
+      ':71F:EUR10,00',
+      ':72:/ACC/PHOB +30 210 1234567',
+      '/ACC/CREDIT IMMEDIATELY',
+      '/INT/PLEASE ADVISE BENEFICIARY BY P',
+      '//HONE',
+      '/REC/RECEIVER INFO',
+      '-}'
+    ].join('\r\n'));
+    expect(result.report.map(entry => entry.element)).toEqual([
+      `${TRANSACTION}.paymentTypeInformation`,
+      `${TRANSACTION}.settlementTimeIndication`,
+      `${TRANSACTION}.settlementTimeRequest`,
+      `${TRANSACTION}.previousInstructingAgent1`,
+      `${TRANSACTION}.debtorAgentAccount`,
+      `${TRANSACTION}.purpose`,
+      `${TRANSACTION}.regulatoryReporting`,
+      `${TRANSACTION}.debtor.identification`
+    ]);
+  });
+
+  test('should keep the decimal text of amounts and exchange rates', () => {
+    const message = new ISO20022Parser().parsePacs008(ISO20022_PACS008_SAMPLE
+      .replace('<InstdAmt Ccy="EUR">4500.00</InstdAmt>', '<InstdAmt Ccy="USD">4900.50</InstdAmt><XchgRate>0.0000001</XchgRate>'));
+    const result = translate(message);
+
+    expect(field(result, '33B')).toBe('USD4900,50');
+    expect(field(result, '36')).toBe('0,0000001');
+  });
+
+  test('should produce an MT103 that passes strict validation', () => {
+    const { fin } = translate(pacs008({
+      paymentIdentification: { instructionId: 'REF1', endToEndId: 'E2E-1', uetr: UETR },
+      interbankSettlementAmount: { amount: '1000.5', currency: 'USD' },
+      interbankSettlementDate: '2023-07-03',
+      instructedAmount: { amount: '900', currency: 'EUR' },
+      exchangeRate: '1.1117'
+    }));
+    const parsed = new SWIFTParser().parse(fin);
+
+    expect(parsed).toMatchObject({
+      messageType: 'MT103',
+      transactionReference: 'REF1',
+      amount: '1000.50',
+      currency: 'USD',
+      valueDate: '2023-07-03',
+      uetr: UETR
+    });
+    expect(parsed.headers.basicHeader.bic).toBe('AAAAGRA0XXX');
+    expect(parsed.fieldList.find(item => item.tag === '36').content).toBe('1,1117');
+  });
+
+  describe('headers and agents', () => {
+    test('should take the sender and receiver from the options', () => {
+      const result = translate(pacs008(), { senderBic: 'CCCCGRC0XXX', receiverBic: 'DDDDUS33NYC' });
+
+      expect(result.headers.basicHeader.logicalTerminal).toBe('CCCCGRC0AXXX');
+      expect(result.headers.applicationHeader.receiverAddress).toBe('DDDDUS33XNYC');
+      expect(field(result, '52A')).toBe('AAAAGRA0');
+      expect(field(result, '57A')).toBe('BBBBGRB0');
+    });
+
+    test('should prefer the instructing and instructed agents over the debtor and creditor agents', () => {
+      const result = translate(pacs008({
+        instructingAgent: { bic: 'AAAAGRA0XXX' },
+        instructedAgent: { bic: 'CCCCGRC0' }
+      }));
+
+      expect(result.headers.basicHeader.logicalTerminal).toBe('AAAAGRA0AXXX');
+      expect(field(result, '52A')).toBeUndefined();
+      expect(field(result, '57A')).toBe('BBBBGRB0');
+    });
+
+    test('should keep the creditor agent that is the receiver when an intermediary is given', () => {
+      const result = translate(pacs008({ intermediaryAgent1: { bic: 'CCCCUS33' } }));
+
+      expect(field(result, '56A')).toBe('CCCCUS33');
+      expect(field(result, '57A')).toBe('BBBBGRB0');
+    });
+
+    test('should translate clearing codes, names and addresses of agents', () => {
+      const result = translate(pacs008({
+        debtorAgent: { clearingSystemMemberId: { code: 'GBDSC', memberId: '123456' }, name: 'LONDON BANK' },
+        intermediaryAgent1: { clearingSystemMemberId: { code: 'USABA', memberId: '026009593' } },
+        creditorAgent: { name: 'CITY BANK', postalAddress: { addressLines: 'NAIROBI' } }
+      }), { senderBic: 'AAAAGRA0', receiverBic: 'BBBBGRB0' });
+
+      expect(field(result, '52D')).toBe('//SC123456\nLONDON BANK');
+      expect(field(result, '56C')).toBe('//FW026009593');
+      expect(field(result, '57D')).toBe('CITY BANK\nNAIROBI');
+    });
+
+    test('should drop a clearing code without an MT equivalent', () => {
+      const result = translate(pacs008({
+        creditorAgent: { bic: 'CCCCGRC0', clearingSystemMemberId: { code: 'XXXXX', memberId: '1' } }
+      }), { receiverBic: 'BBBBGRB0' });
+
+      expect(field(result, '57A')).toBe('CCCCGRC0');
+      expect(result.report).toContainEqual(expect.objectContaining({
+        element: `${TRANSACTION}.creditorAgent.clearingSystemMemberId`,
+        action: 'dropped'
+      }));
+    });
+  });
+
+  describe('parties', () => {
+    test('should translate a BIC into option A', () => {
+      const result = translate(pacs008({
+        debtor: { bic: 'CORPGB22' },
+        creditor: { bic: 'CORPFRPP' },
+        creditorAccount: { id: '12345' }
+      }));
+
+      expect(field(result, '50A')).toBe('CORPGB22');
+      expect(field(result, '59A')).toBe('/12345\nCORPFRPP');
+    });
+
+    test('should translate a structured address into option F', () => {
+      const result = translate(pacs008({
+        debtor: {
+          name: 'JOHN SMITH',
+          postalAddress: { streetName: 'MAIN STREET', buildingNumber: '1', postCode: '10115', townName: 'BERLIN', country: 'DE' }
+        },
+        debtorAccount: { iban: 'DE89370400440532013000' },
+        creditor: { name: 'JANE DOE', postalAddress: { townName: 'PARIS', country: 'FR' } },
+        creditorAccount: { iban: 'FR1420041010050500013M02606' }
+      }));
+
+      expect(field(result, '50F')).toBe('/DE89370400440532013000\n1/JOHN SMITH\n2/MAIN STREET 1\n3/DE/10115 BERLIN');
+      expect(field(result, '59F')).toBe('/FR1420041010050500013M02606\n1/JANE DOE\n3/FR/PARIS');
+    });
+
+    test('should write a structured address without an account as name and address lines', () => {
+      const result = translate(pacs008({
+        debtor: { name: 'JOHN SMITH', postalAddress: { streetName: 'MAIN STREET', townName: 'BERLIN', country: 'DE' } }
+      }));
+
+      expect(field(result, '50K')).toBe('JOHN SMITH\nMAIN STREET\nBERLIN\nDE');
+    });
+
+    test('should cut a long name and mark it with a +', () => {
+      const name = 'INTERNATIONAL TRADING AND SHIPPING CORPORATION';
+      const result = translate(pacs008({ debtor: { name } }));
+
+      expect(field(result, '50K')).toBe('INTERNATIONAL TRADING AND SHIPPING+');
+      expect(result.report).toContainEqual({
+        element: `${TRANSACTION}.debtor.name`,
+        field: '50K',
+        action: 'truncated',
+        original: name,
+        value: 'INTERNATIONAL TRADING AND SHIPPING+'
+      });
+    });
+
+    test('should count the line number when cutting option F lines', () => {
+      const result = translate(pacs008({
+        debtor: { name: 'INTERNATIONAL TRADING AND SHIPPING CORPORATION', postalAddress: { townName: 'BERLIN', country: 'DE' } },
+        debtorAccount: { iban: 'DE89370400440532013000' }
+      }));
+
+      expect(field(result, '50F').split('\n')[1]).toBe('1/INTERNATIONAL TRADING AND SHIPPI+');
+    });
+
+    test('should drop the address lines that do not fit and mark the last line kept', () => {
+      const result = translate(pacs008({
+        creditor: {
+          name: 'JANE DOE',
+          postalAddress: { addressLines: ['FLAT 2', '10 HIGH STREET', 'LONDON', 'SW1A 1AA'] }
+        }
+      }));
+
+      expect(field(result, '59')).toBe('JANE DOE\nFLAT 2\n10 HIGH STREET\nLONDON+');
+      expect(result.report).toEqual([{
+        element: `${TRANSACTION}.creditor.postalAddress.addressLines[3]`,
+        field: '59',
+        action: 'dropped',
+        original: 'SW1A 1AA',
+        value: null
+      }]);
+    });
+
+    test('should report the character replaced by the marker of the last line kept', () => {
+      const line = 'UNIT 12 RIVERSIDE BUSINESS PARK EAS';
+      const result = translate(pacs008({
+        debtor: { name: 'JOHN SMITH', postalAddress: { addressLines: ['FLAT 3', 'MAIN STREET', line, 'BERLIN'] } }
+      }));
+
+      expect(field(result, '50K').split('\n')[3]).toBe('UNIT 12 RIVERSIDE BUSINESS PARK EA+');
+      expect(result.report).toEqual([
+        {
+          element: `${TRANSACTION}.debtor.postalAddress.addressLines[2]`,
+          field: '50K',
+          action: 'truncated',
+          original: line,
+          value: 'UNIT 12 RIVERSIDE BUSINESS PARK EA+'
+        },
+        {
+          element: `${TRANSACTION}.debtor.postalAddress.addressLines[3]`,
+          field: '50K',
+          action: 'dropped',
+          original: 'BERLIN',
+          value: null
+        }
+      ]);
+    });
+
+    test('should replace characters outside the SWIFT X set', () => {
+      const result = translate(pacs008({ creditor: { name: 'Müller & Söhne GmbH' } }));
+
+      expect(field(result, '59')).toBe('Muller . Sohne GmbH');
+      expect(result.report).toContainEqual({
+        element: `${TRANSACTION}.creditor.name`,
+        field: '59',
+        action: 'converted',
+        original: 'Müller & Söhne GmbH',
+        value: 'Muller . Sohne GmbH'
+      });
+    });
+
+    test('should report party elements and transaction elements without an MT103 field', () => {
+      const result = translate(pacs008({
+        debtor: { name: 'JOHN SMITH', identification: { lei: '529900T8BM49AURSDO55' } },
+        ultimateCreditor: { name: 'JANE DOE SENIOR' },
+        purpose: null
+      }));
+
+      expect(result.report.map(entry => entry.element)).toEqual([
+        `${TRANSACTION}.ultimateCreditor`,
+        `${TRANSACTION}.debtor.identification`
+      ]);
+    });
+  });
+
+  describe('references', () => {
+    test('should cut a long instruction id to 16 characters', () => {
+      const result = translate(pacs008({ paymentIdentification: { instructionId: 'INSTRUCTION-2023-0001' } }));
+
+      expect(field(result, '20')).toBe('INSTRUCTION-202+');
+      expect(result.report).toContainEqual(expect.objectContaining({ field: '20', action: 'truncated' }));
+    });
+
+    test('should remove slashes that field 20 does not allow', () => {
+      const result = translate(pacs008({ paymentIdentification: { instructionId: '/REF//1/' } }));
+
+      expect(field(result, '20')).toBe('REF/1');
+      expect(result.report).toContainEqual(expect.objectContaining({ field: '20', action: 'converted', value: 'REF/1' }));
+    });
+
+    test('should fall back to the message id without an instruction id', () => {
+      const result = translate(pacs008({ paymentIdentification: undefined }));
+
+      expect(field(result, '20')).toBe('MSG1');
+      expect(field(result, '70')).toBeUndefined();
+    });
+  });
+
+  describe('remittance information', () => {
+    test('should wrap the text into 35-character lines after the end-to-end id', () => {
+      const result = translate(pacs008({
+        paymentIdentification: { instructionId: 'REF1', endToEndId: 'E2E-1' },
+        remittanceInformation: { unstructured: ['INVOICES 2023-001 2023-002 2023-003 AND 2023-004', 'ORDER 77'] }
+      }));
+
+      expect(field(result, '70')).toBe('/ROC/E2E-1\nINVOICES 2023-001 2023-002 2023-003\n AND 2023-004\nORDER 77');
+    });
+
+    test('should not repeat an end-to-end id that starts the text', () => {
+      const result = translate(pacs008({
+        paymentIdentification: { instructionId: 'REF1', endToEndId: 'E2E-1' },
+        remittanceInformation: { unstructured: '/ROC/E2E-1/INVOICE 1' }
+      }));
+
+      expect(field(result, '70')).toBe('/ROC/E2E-1/INVOICE 1');
+    });
+
+    test('should cut the text after four lines', () => {
+      const text = 'A'.repeat(150);
+      const result = translate(pacs008({
+        remittanceInformation: { unstructured: text, structured: [{ referredDocumentNumber: 'INV-1' }] }
+      }));
+
+      expect(field(result, '70').split('\n')).toEqual(['A'.repeat(35), 'A'.repeat(35), 'A'.repeat(35), `${'A'.repeat(34)}+`]);
+      expect(result.report).toEqual([
+        {
+          element: `${TRANSACTION}.remittanceInformation.structured`,
+          field: null,
+          action: 'dropped',
+          original: [{ referredDocumentNumber: 'INV-1' }],
+          value: null
+        },
+        {
+          element: `${TRANSACTION}.remittanceInformation.unstructured`,
+          field: '70',
+          action: 'truncated',
+          original: text,
+          value: 'A\nAAAAAAAAAA'
+        }
+      ]);
+    });
+  });
+
+  describe('charges', () => {
+    test('should report SLEV sent as SHA', () => {
+      const result = translate(pacs008({ chargeBearerCode: 'SLEV' }));
+
+      expect(field(result, '71A')).toBe('SHA');
+      expect(result.report).toEqual([
+        { element: `${TRANSACTION}.chargeBearerCode`, field: '71A', action: 'converted', original: 'SLEV', value: 'SHA' }
+      ]);
+    });
+
+    test('should require a charge bearer with a 71A code', () => {
+      expect(() => translatePacs008ToMT103(pacs008({ chargeBearerCode: undefined })))
+        .toThrow('Cannot translate pacs.008 to MT103: the charge bearer (ChrgBr) is required for field 71A');
+      expect(() => translatePacs008ToMT103(pacs008({ chargeBearerCode: 'XXXX' })))
+        .toThrow('Cannot translate pacs.008 to MT103: charge bearer XXXX has no field 71A code');
+    });
+
+    const charges = [
+      { amount: { amount: '10', currency: 'USD' }, agent: { bic: 'AAAAGRA0' } },
+      { amount: { amount: '5.5', currency: 'USD' }, agent: { bic: 'BBBBGRB0' } }
+    ];
+
+    test('should write the charges taken as 71F', () => {
+      const result = translate(pacs008({ chargeBearerCode: 'CRED', chargesInformation: charges }));
+
+      expect(field(result, '71A')).toBe('BEN');
+      expect(result.fieldList.filter(item => item.tag === '71F').map(item => item.content)).toEqual(['USD10,', 'USD5,5']);
+    });
+
+    test('should write a zero 71F for a BEN payment without charges', () => {
+      const result = translate(pacs008({ chargeBearerCode: 'CRED' }));
+
+      expect(result.fieldList.filter(item => item.tag === '71F').map(item => item.content)).toEqual(['USD0,']);
+    });
+
+    test('should repeat 32A in 33B when charges are written without an instructed amount', () => {
+      const result = translate(pacs008({ chargesInformation: charges }));
+
+      expect(result.fieldList.map(item => item.tag).slice(0, 4)).toEqual(['20', '23B', '32A', '33B']);
+      expect(field(result, '33B')).toBe('USD1000,');
+      expect(field(result, '71F')).toBe('USD10,');
+    });
+
+    test('should keep the instructed amount in 33B', () => {
+      const result = translate(pacs008({
+        chargesInformation: charges,
+        instructedAmount: { amount: '1015.5', currency: 'USD' }
+      }));
+
+      expect(result.fieldList.filter(item => item.tag === '33B').map(item => item.content)).toEqual(['USD1015,5']);
+    });
+
+    test.each([
+      ['SHAR', 'SHA'],
+      ['CRED', 'BEN'],
+      ['DEBT', 'OUR']
+    ])('should write the fields that %s without charges information needs', (chargeBearerCode, detailsOfCharges) => {
+      const result = translate(pacs008({ chargeBearerCode }));
+
+      expect(field(result, '71A')).toBe(detailsOfCharges);
+    });
+
+    test('should write the receiver charges of an OUR payment as 71G', () => {
+      const result = translate(pacs008({ chargeBearerCode: 'DEBT', chargesInformation: charges }));
+
+      expect(field(result, '71A')).toBe('OUR');
+      expect(field(result, '71G')).toBe('USD10,');
+      expect(result.report).toEqual([
+        { element: `${TRANSACTION}.chargesInformation[1]`, field: '71G', action: 'dropped', original: charges[1], value: null }
+      ]);
+    });
+  });
+
+  describe('instructions', () => {
+    test('should write the instructions to field 72 with continuation lines', () => {
+      const result = translate(pacs008({
+        instructionForCreditorAgent: { code: 'PHOB', instructionInformation: '0044 20 7946 0000' },
+        instructionForNextAgent: [{ instructionInformation: 'PLEASE ADVISE BENEFICIARY BEFORE CREDIT' }]
+      }));
+
+      expect(field(result, '72')).toBe('/ACC/PHOB 0044 20 7946 0000\n/INT/PLEASE ADVISE BENEFICIARY BEFO\n//RE CREDIT');
+    });
+
+    test('should keep the codeword of an instruction for the next agent', () => {
+      const result = translate(pacs008({ instructionForNextAgent: { instructionInformation: '/REC/RECEIVER INFO' } }));
+
+      expect(field(result, '72')).toBe('/REC/RECEIVER INFO');
+    });
+
+    test('should cut the instructions after six lines', () => {
+      const instructions = Array.from({ length: 7 }, (_, index) => ({ instructionInformation: `INSTRUCTION ${index + 1}` }));
+      const result = translate(pacs008({ instructionForNextAgent: instructions }));
+      const lines = field(result, '72').split('\n');
+
+      expect(lines).toHaveLength(6);
+      expect(lines[5]).toBe('/INT/INSTRUCTION 6+');
+      expect(result.report).toEqual([expect.objectContaining({
+        element: `${TRANSACTION}.instructionForNextAgent`,
+        field: '72',
+        action: 'truncated',
+        value: '/INT/INSTRUCTION 7'
+      })]);
+    });
+  });
+
+  describe('errors', () => {
+    test('should reject other message types', () => {
+      expect(() => translatePacs008ToMT103({ messageType: 'pacs.009' }))
+        .toThrow('Cannot translate pacs.009 to MT103: only pacs.008 is supported');
+    });
+
+    test('should reject a pacs.008 with several transactions', () => {
+      const message = pacs008();
+      message.creditTransferTransactionInformation = [message.creditTransferTransactionInformation, message.creditTransferTransactionInformation];
+
+      expect(() => translatePacs008ToMT103(message))
+        .toThrow('Cannot translate pacs.008 to MT103: one transaction is required, found 2');
+      expect(() => translatePacs008ToMT103({ messageType: 'pacs.008' }))
+        .toThrow('found 0');
+    });
+
+    test('should require the sender and receiver BICs', () => {
+      expect(() => translatePacs008ToMT103(pacs008({ creditorAgent: undefined })))
+        .toThrow('Cannot translate pacs.008 to MT103: the sender and receiver BICs are required');
+    });
+  });
+
+  test('should be exported from the main entry point', () => {
+    expect(exportedTranslate).toBe(translatePacs008ToMT103);
+  });
+});
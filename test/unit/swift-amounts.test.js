@@ -0,0 +1,151 @@
+/**
+ * Unit tests for SWIFT amount handling
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  getMinorUnits,
+  parseAmount,
+  toMinorUnits,
+  formatAmount,
+  parseSwiftDate,
+  formatSwiftDate,
+  parseDateCurrencyAmount,
+  parseCurrencyAmount,
+  parseBalance,
+  parseQualifiedAmount
+} from '../../src/parsers/swift/amounts.js';
+
+describe('SWIFT amounts', () => {
+  describe('getMinorUnits()', () => {
+    test('should return ISO 4217 minor units', () => {
+      expect(getMinorUnits('USD')).toBe(2);
+      expect(getMinorUnits('JPY')).toBe(0);
+      expect(getMinorUnits('KWD')).toBe(3);
+      expect(getMinorUnits('CLF')).toBe(4);
+    });
+
+    test('should return null for unknown currencies', () => {
+      expect(getMinorUnits('ABC')).toBeNull();
+    });
+  });
+
+  describe('parseAmount()', () => {
+    test('should use the comma as decimal separator', () => {
+      expect(parseAmount('1000,00', 'USD')).toBe('1000.00');
+      expect(parseAmount('1000,5', 'EUR')).toBe('1000.50');
+      expect(parseAmount('1000,', 'GBP')).toBe('1000.00');
+      expect(parseAmount('0,01', 'USD')).toBe('0.01');
+    });
+
+    test('should keep precision on large amounts', () => {
+      expect(parseAmount('12345678901,23', 'USD')).toBe('12345678901.23');
+    });
+
+    test('should drop leading zeros', () => {
+      expect(parseAmount('000100,', 'USD')).toBe('100.00');
+      expect(parseAmount('0,', 'USD')).toBe('0.00');
+    });
+
+    test('should scale to the currency minor units', () => {
+      expect(parseAmount('5000,', 'JPY')).toBe('5000');
+      expect(parseAmount('5000,000', 'JPY')).toBe('5000');
+      expect(parseAmount('1,234', 'KWD')).toBe('1.234');
+    });
+
+    test('should reject decimals the currency does not have', () => {
+      expect(() => parseAmount('5000,5', 'JPY'))
+        .toThrow('Invalid amount 5000,5 for JPY: at most 0 decimal places allowed');
+      expect(() => parseAmount('10,005', 'USD')).toThrow('at most 2 decimal places allowed');
+    });
+
+    test('should reject amounts without a decimal comma or with a dot', () => {
+      expect(() => parseAmount('1000', 'USD')).toThrow('Invalid SWIFT amount: 1000');
+      expect(() => parseAmount('1000.00', 'USD')).toThrow('Invalid SWIFT amount: 1000.00');
+      expect(() => parseAmount(',50', 'USD')).toThrow('Invalid SWIFT amount: ,50');
+    });
+
+    test('should reject amounts longer than 15 characters', () => {
+      expect(() => parseAmount('1234567890123,45', 'USD')).toThrow('Invalid SWIFT amount');
+    });
+
+    test('should reject unknown currencies', () => {
+      expect(() => parseAmount('1,', 'ABC')).toThrow('Unknown currency code: ABC');
+    });
+  });
+
+  describe('toMinorUnits()', () => {
+    test('should convert decimal strings to BigInt minor units', () => {
+      expect(toMinorUnits('1000.50', 'USD')).toBe(100050n);
+      expect(toMinorUnits('5000', 'JPY')).toBe(5000n);
+      expect(toMinorUnits('1.234', 'KWD')).toBe(1234n);
+    });
+  });
+
+  describe('formatAmount()', () => {
+    test('should write decimal strings with a decimal comma', () => {
+      expect(formatAmount('1000.50')).toBe('1000,50');
+      expect(formatAmount('5000')).toBe('5000,');
+    });
+
+    test('should reject values that are not decimal strings', () => {
+      expect(() => formatAmount('1,000.50')).toThrow('Invalid decimal amount: 1,000.50');
+    });
+  });
+
+  describe('parseSwiftDate()', () => {
+    test('should convert YYMMDD to an ISO date', () => {
+      expect(parseSwiftDate('230701')).toBe('2023-07-01');
+    });
+  });
+
+  describe('formatSwiftDate()', () => {
+    test('should convert an ISO date to YYMMDD', () => {
+      expect(formatSwiftDate('2023-07-01')).toBe('230701');
+    });
+
+    test('should reject values that are not ISO dates', () => {
+      expect(() => formatSwiftDate('01/07/2023')).toThrow('Invalid ISO date: 01/07/2023');
+    });
+  });
+
+  describe('field parsers', () => {
+    test('should parse 32A', () => {
+      expect(parseDateCurrencyAmount('230701USD1000,00')).toEqual({
+        valueDate: '2023-07-01',
+        currency: 'USD',
+        amount: '1000.00'
+      });
+    });
+
+    test('should parse 32B, 33B and 71F', () => {
+      expect(parseCurrencyAmount('EUR10,')).toEqual({ currency: 'EUR', amount: '10.00' });
+      expect(() => parseCurrencyAmount('EUR')).toThrow('Invalid currency amount field format: EUR');
+    });
+
+    test('should parse balances', () => {
+      expect(parseBalance('C230630USD10000,00')).toEqual({
+        mark: 'C',
+        date: '2023-06-30',
+        currency: 'USD',
+        amount: '10000.00'
+      });
+      expect(() => parseBalance('X230630USD1,')).toThrow('Invalid balance field format: X230630USD1,');
+    });
+
+    test('should parse 19A qualified amounts', () => {
+      expect(parseQualifiedAmount(':SETT//USD1000,')).toEqual({
+        qualifier: 'SETT',
+        negative: false,
+        currency: 'USD',
+        amount: '1000.00'
+      });
+      expect(parseQualifiedAmount(':DEAL//NJPY500,').negative).toBe(true);
+      expect(() => parseQualifiedAmount('SETT//USD1,')).toThrow('Invalid qualified amount field format');
+    });
+
+    test('should reject a malformed 32A', () => {
+      expect(() => parseDateCurrencyAmount('2307USD1,')).toThrow('Invalid amount field format: 2307USD1,');
+    });
+  });
+});
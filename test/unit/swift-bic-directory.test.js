@@ -0,0 +1,200 @@
+/**
+ * Unit tests for the offline BIC directory
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  BICDirectory,
+  isTestBIC,
+  isPassiveBIC,
+  isWellFormedBIC,
+  loadBICDirectory,
+  enrichInstitutions
+} from '../../src/parsers/swift/bic-directory.js';
+import { COUNTRY_CODES, isCountryCode } from '../../src/parsers/swift/countries.js';
+import SWIFTParser from '../../src/parsers/swift/base-parser.js';
+import { VALID_MT103, VALID_MT202, MT103_OUTPUT } from '../fixtures/swift-messages.js';
+
+const BIC_PLUS = [
+  'MODIFICATION FLAG\tRECORD KEY\tBIC8\tBRANCH BIC\tINSTITUTION NAME\tCITY\tISO COUNTRY CODE\tSUBTYPE INDICATOR',
+  'A\tBI0001\tAAAAGRA0\tXXX\tALPHA BANK TEST\tATHENS\tGR\tSUPE',
+  'A\tBI0002\tBBBBGRB0\tXXX\tBETA BANK\tPIRAEUS\tGR\tBANK',
+  'A\tBI0003\tBBBBGRB0\t100\tBETA BANK BRANCH\tPATRAS\tGR\tBANK',
+  'D\tBI0004\tDDDDGRD0\tXXX\tDELETED BANK\tATHENS\tGR\tBANK',
+  '',
+  'A\tBI0005\tEEEEDEE1\tXXX\tEPSILON BANK\tFRANKFURT\tDE\tBANK'
+].join('\r\n');
+
+const BIC_DIRECTORY = [
+  '"TAG";"BIC CODE";"BRANCH CODE";"INSTITUTION NAME";"CITY HEADING";"SUBTYPE INDICATION"',
+  '"BI";"DEUTDEFF";"500";"DEUTSCHE BANK ""AG""";"FRANKFURT AM MAIN";"BANK"',
+  '"BI";"TESTDEF1";"";"TEST INSTITUTION";"BERLIN";"TEST & TRAINING"'
+].join('\n');
+
+describe('BIC directory', () => {
+  describe('countries', () => {
+    test('should know the ISO 3166 codes and Kosovo', () => {
+      expect(isCountryCode('GR')).toBe(true);
+      expect(isCountryCode('XK')).toBe(true);
+      expect(isCountryCode('ZZ')).toBe(false);
+      expect(COUNTRY_CODES.size).toBe(250);
+    });
+  });
+
+  describe('BIC checks', () => {
+    test('should tell test and passive BICs from their location code', () => {
+      expect(isTestBIC('AAAAGRA0')).toBe(true);
+      expect(isPassiveBIC('EEEEDEE1XXX')).toBe(true);
+      expect(isTestBIC('DEUTDEFF')).toBe(false);
+      expect(isPassiveBIC('DEUTDEFF')).toBe(false);
+    });
+
+    test('should require an ISO 3166 country', () => {
+      expect(isWellFormedBIC('deutdeff500')).toBe(true);
+      expect(isWellFormedBIC('ABCDZZ12')).toBe(false);
+      expect(isWellFormedBIC('ABCD1234')).toBe(false);
+    });
+  });
+
+  describe('BICDirectory.fromCSV()', () => {
+    test('should read the BIC Plus layout', () => {
+      const directory = BICDirectory.fromCSV(BIC_PLUS);
+
+      expect(directory.size).toBe(4);
+      expect(directory.lookup('AAAAGRA0')).toEqual({
+        bic: 'AAAAGRA0XXX',
+        institutionName: 'ALPHA BANK TEST',
+        city: 'ATHENS',
+        country: 'GR',
+        test: true,
+        passive: false
+      });
+      expect(directory.lookup('bbbbgrb0100')).toMatchObject({ institutionName: 'BETA BANK BRANCH', city: 'PATRAS' });
+      expect(directory.lookup('EEEEDEE1')).toMatchObject({ test: false, passive: true });
+      expect(directory.lookup('DDDDGRD0')).toBeNull();
+    });
+
+    test('should read the BIC Directory layout', () => {
+      const directory = BICDirectory.fromCSV(BIC_DIRECTORY);
+
+      expect(directory.lookup('DEUTDEFF500')).toEqual({
+        bic: 'DEUTDEFF500',
+        institutionName: 'DEUTSCHE BANK "AG"',
+        city: 'FRANKFURT AM MAIN',
+        country: 'DE',
+        test: false,
+        passive: false
+      });
+      expect(directory.lookup('TESTDEF1')).toMatchObject({ test: true, passive: true });
+      expect(directory.has('DEUTDEFF500')).toBe(true);
+      expect(directory.has('DEUTDEFF')).toBe(false);
+    });
+
+    test('should read comma separated files with a BIC11 column', () => {
+      const directory = BICDirectory.fromCSV('BIC,INSTITUTION NAME\nCCCCUS33XXX,GAMMA BANK');
+
+      expect(directory.lookup('CCCCUS33')).toEqual({
+        bic: 'CCCCUS33XXX',
+        institutionName: 'GAMMA BANK',
+        city: null,
+        country: 'US',
+        test: false,
+        passive: false
+      });
+      expect(BICDirectory.fromCSV('BIC').size).toBe(0);
+    });
+
+    test('should reject files without a BIC column or with invalid BICs', () => {
+      expect(() => BICDirectory.fromCSV('NAME,CITY\nBANK,ATHENS'))
+        .toThrow('Invalid BIC directory: header has no BIC column');
+      expect(() => BICDirectory.fromCSV('BIC\nAAAAGRA0XXX\nNOT A BIC'))
+        .toThrow('Invalid BIC directory: invalid BIC NOT A BIC on line 3');
+      expect(() => BICDirectory.fromCSV('BIC8,INSTITUTION NAME\n,NO CODE BANK'))
+        .toThrow('Invalid BIC directory: invalid BIC XXX on line 2');
+    });
+  });
+
+  describe('loading from a file', () => {
+    let directoryPath;
+    let filePath;
+
+    beforeAll(() => {
+      directoryPath = mkdtempSync(join(tmpdir(), 'bic-directory-'));
+      filePath = join(directoryPath, 'bicplus.txt');
+      writeFileSync(filePath, BIC_PLUS);
+    });
+
+    afterAll(() => {
+      rmSync(directoryPath, { recursive: true, force: true });
+    });
+
+    test('should load a directory from a path or keep a loaded one', () => {
+      const directory = BICDirectory.fromFile(filePath);
+
+      expect(directory.size).toBe(4);
+      expect(loadBICDirectory(filePath).lookup('BBBBGRB0').institutionName).toBe('BETA BANK');
+      expect(loadBICDirectory(directory)).toBe(directory);
+      expect(loadBICDirectory(undefined)).toBeNull();
+    });
+
+    test('should enrich a parser configured with the file path', () => {
+      const parser = new SWIFTParser({ bicDirectory: filePath });
+
+      expect(parser.parse(VALID_MT103).parties.orderingInstitution.institution.institutionName).toBe('ALPHA BANK TEST');
+    });
+  });
+
+  describe('enrichInstitutions()', () => {
+    const directory = BICDirectory.fromCSV(BIC_PLUS);
+    const parser = new SWIFTParser({ bicDirectory: directory });
+
+    test('should enrich option A parties and the block 2 receiver', () => {
+      const message = parser.parse(VALID_MT103);
+
+      expect(message.parties.orderingInstitution.institution).toMatchObject({ institutionName: 'ALPHA BANK TEST', test: true });
+      expect(message.parties.accountWithInstitution.institution).toMatchObject({ institutionName: 'BETA BANK', city: 'PIRAEUS' });
+      expect(message.parties.orderingCustomer.institution).toBeUndefined();
+      expect(message.headers.applicationHeader.receiverInstitution).toMatchObject({ bic: 'BBBBGRB0XXX' });
+      expect(message.warnings).toEqual([
+        { type: 'missing_uetr', tag: '121', message: 'Field 121 is mandatory on an MT103' }
+      ]);
+    });
+
+    test('should enrich the block 2 sender of an output message', () => {
+      const message = parser.parse(MT103_OUTPUT);
+
+      expect(message.headers.applicationHeader.senderInstitution).toMatchObject({ institutionName: 'ALPHA BANK TEST' });
+    });
+
+    test('should warn once about each BIC missing from the directory', () => {
+      const message = parser.parse(VALID_MT202);
+
+      expect(message.parties.beneficiaryInstitution.institution).toBeNull();
+      expect(message.warnings).toEqual([
+        { type: 'missing_uetr', tag: '121', message: 'Field 121 is mandatory on an MT202' },
+        { type: 'unknown_bic', bic: 'CCCCUSD0', message: 'BIC CCCCUSD0 not found in the BIC directory' }
+      ]);
+    });
+
+    test('should enrich nested parties and skip a message without headers', () => {
+      const message = { headers: null, documentaryCredit: { parties: [{ type: 'bic', bic: 'BBBBGRB0100' }, { type: 'bic', bic: null }] } };
+
+      expect(enrichInstitutions(message, directory)).toEqual([]);
+      expect(message.documentaryCredit.parties[0].institution.institutionName).toBe('BETA BANK BRANCH');
+      expect(message.documentaryCredit.parties[1].institution).toBeUndefined();
+    });
+  });
+
+  describe('validateBIC() with a directory', () => {
+    test('should only accept listed BICs', () => {
+      const parser = new SWIFTParser({ bicDirectory: BICDirectory.fromCSV(BIC_DIRECTORY) });
+
+      expect(parser.validateBIC('DEUTDEFF500')).toBe(true);
+      expect(parser.validateBIC('COBADEFF')).toBe(false);
+      expect(new SWIFTParser().validateBIC('ABCDZZ12')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for SWIFT field definitions
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  SWIFT_FIELDS,
+  splitTag,
+  getFieldDefinition,
+  findFieldByNumber,
+  COVER_SEQUENCE_TYPE
+} from '../../src/parsers/swift/field-definitions.js';
+
+describe('SWIFT field definitions', () => {
+  describe('splitTag()', () => {
+    test('should split a tag with an option letter', () => {
+      expect(splitTag('50K')).toEqual({ number: '50', option: 'K' });
+    });
+
+    test('should split a letterless tag', () => {
+      expect(splitTag('59')).toEqual({ number: '59', option: '' });
+    });
+
+    test('should reject a malformed tag', () => {
+      expect(() => splitTag('5K')).toThrow('Invalid field tag: 5K');
+    });
+  });
+
+  describe('getFieldDefinition()', () => {
+    test('should resolve a fixed-letter tag', () => {
+      expect(getFieldDefinition('MT103', '23B')).toEqual({
+        name: 'bank_operation_code',
+        number: '23',
+        option: 'B',
+        format: '4!c'
+      });
+    });
+
+    test('should resolve every allowed option of a party field', () => {
+      SWIFT_FIELDS.MT103['57'].options.forEach(option => {
+        expect(getFieldDefinition('MT103', `57${option}`).name).toBe('account_with_institution');
+      });
+    });
+
+    test('should resolve the letterless option', () => {
+      expect(getFieldDefinition('MT103', '59')).toEqual({
+        name: 'beneficiary_customer',
+        number: '59',
+        option: '',
+        format: '[/34x]$4*35x'
+      });
+    });
+
+    test('should resolve per-option format specs', () => {
+      expect(getFieldDefinition('MT103', '50F').format).toBe('35x$4*35x');
+      expect(getFieldDefinition('MT103', '59F').format).toBe('[/34x]$4*35x');
+      expect(getFieldDefinition('MT101', '50C').format).toBe('4!a2!a2!c[3!c]');
+    });
+
+    test('should define a format spec for every field and option', () => {
+      Object.values(SWIFT_FIELDS).forEach(definitions => {
+        Object.values(definitions).forEach(definition => {
+          if (definition.options) {
+            definition.options.forEach(option => expect(typeof definition.format[option]).toBe('string'));
+          } else {
+            expect(typeof definition.format).toBe('string');
+          }
+        });
+      });
+    });
+
+    test('should apply per-option names', () => {
+      expect(getFieldDefinition('MT101', '50L').name).toBe('instructing_party');
+      expect(getFieldDefinition('MT101', '50H').name).toBe('ordering_customer');
+    });
+
+    test('should resolve sequence B of an MT202 COV with the MT103 fields', () => {
+      expect(getFieldDefinition(COVER_SEQUENCE_TYPE, '56C')).toEqual({ name: 'intermediary_institution', number: '56', option: 'C', format: '/34x' });
+      expect(getFieldDefinition(COVER_SEQUENCE_TYPE, '50K').name).toBe('ordering_customer');
+      expect(getFieldDefinition(COVER_SEQUENCE_TYPE, '58A')).toBeNull();
+      expect(getFieldDefinition('MT202', '56C')).toBeNull();
+    });
+
+    test('should return null for an option that is not allowed', () => {
+      expect(getFieldDefinition('MT103', '57E')).toBeNull();
+    });
+
+    test('should return null for an unknown tag', () => {
+      expect(getFieldDefinition('MT103', '99')).toBeNull();
+    });
+
+    test('should return null for an unknown message type', () => {
+      expect(getFieldDefinition('MT999', '20')).toBeNull();
+    });
+  });
+
+  describe('findFieldByNumber()', () => {
+    test('should find a field whichever option it uses', () => {
+      const fields = { '20': { tag: '20' }, '50F': { tag: '50F' } };
+      expect(findFieldByNumber(fields, '50')).toEqual({ tag: '50F' });
+    });
+
+    test('should return null when no option is present', () => {
+      expect(findFieldByNumber({ '20': { tag: '20' } }, '50')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for SWIFT field format validation
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  validateFieldContent,
+  validateFieldFormats,
+  assertFieldFormats
+} from '../../src/parsers/swift/field-formats.js';
+
+const messages = violations => violations.map(violation => violation.message);
+
+describe('SWIFT field format validation', () => {
+  describe('validateFieldContent()', () => {
+    test('should accept content that matches its format', () => {
+      expect(validateFieldContent('32A', '6!n3!a15d', '230701USD1000,00')).toEqual([]);
+      expect(validateFieldContent('13C', '/8c/4!n1!x4!n', '/SNDTIME/1249+0200')).toEqual([]);
+      expect(validateFieldContent('19A', ':4!c//[N]3!a15d', ':SETT//NUSD1000,')).toEqual([]);
+      expect(validateFieldContent('35B', '[ISIN1!e12!c]$[4*35x]', 'ISIN US0378331005\nAPPLE INC')).toEqual([]);
+    });
+
+    test('should handle optional leading lines', () => {
+      expect(validateFieldContent('52A', '[/1!a][/34x]$4!a2!a2!c[3!c]', 'AAAAGRA0')).toEqual([]);
+      expect(validateFieldContent('52A', '[/1!a][/34x]$4!a2!a2!c[3!c]', '/D/12345\nAAAAGRA0XXX')).toEqual([]);
+      expect(validateFieldContent('59', '[/34x]$4*35x', 'NAME\nSTREET')).toEqual([]);
+    });
+
+    test('should validate statement lines', () => {
+      const format = '6!n[4!n]2a[1!a]15d1!a3!c16x[//16x]$[34x]';
+
+      expect(validateFieldContent('61', format, '2307010701D500,00NTRFREF001//BANKREF001')).toEqual([]);
+      expect(validateFieldContent('61', format, '230701RC25,00NCHGNONREF\nSUPPLEMENTARY')).toEqual([]);
+    });
+
+    test('should report characters outside the X character set', () => {
+      const violations = validateFieldContent('70', '4*35x', 'INVOICE 1\nPAYMENT #2');
+
+      expect(violations).toEqual([{
+        type: 'field_format',
+        tag: '70',
+        line: 2,
+        message: "Field 70 line 2: invalid character '#'"
+      }]);
+    });
+
+    test('should allow the Z character set where the format uses it', () => {
+      expect(validateFieldContent('45A', '100*65z', 'GOODS @ 100% = OK')).toEqual([]);
+    });
+
+    test('should report lines that are too long', () => {
+      const violations = validateFieldContent('50K', '[/34x]$4*35x', `/12345678\n${'A'.repeat(40)}`);
+
+      expect(messages(violations)).toEqual(['Field 50K line 2: 40 characters, at most 35 allowed']);
+    });
+
+    test('should report too many lines', () => {
+      const content = ['/1', 'A', 'B', 'C', 'D', 'E'].join('\n');
+
+      expect(messages(validateFieldContent('50K', '[/34x]$4*35x', content)))
+        .toEqual(['Field 50K line 6: 6 lines, at most 5 allowed']);
+    });
+
+    test('should report content that does not match the format', () => {
+      expect(messages(validateFieldContent('32A', '6!n3!a15d', '230701USD1000.00')))
+        .toEqual(['Field 32A: does not match format 6!n3!a15d']);
+      expect(messages(validateFieldContent('33B', '3!a15d', 'USD1000')))
+        .toEqual(['Field 33B: does not match format 3!a15d']);
+    });
+
+    test('should reject amounts longer than their decimal length', () => {
+      expect(validateFieldContent('36', '12d', '1234567890,12')).toHaveLength(1);
+    });
+
+    test('should not add a format mismatch on top of a charset violation', () => {
+      expect(messages(validateFieldContent('71A', '3!a', 'OU#')))
+        .toEqual(["Field 71A line 1: invalid character '#'"]);
+    });
+
+    test('should reject references that start or end with a slash or contain a double slash', () => {
+      ['/REF', 'REF/', 'RE//F'].forEach(reference => {
+        expect(messages(validateFieldContent('20', '16x', reference)))
+          .toEqual(["Field 20 line 1: must not start or end with '/' or contain '//'"]);
+      });
+      expect(validateFieldContent('20', '16x', 'REF/1')).toEqual([]);
+    });
+  });
+
+  describe('validateFieldFormats()', () => {
+    test('should validate known fields and skip unknown tags', () => {
+      const fieldList = [
+        { tag: '20', content: 'REF1' },
+        { tag: '99X', content: 'ANYTHING ###' },
+        { tag: '71A', content: 'OU1' }
+      ];
+
+      expect(messages(validateFieldFormats('MT103', fieldList)))
+        .toEqual(['Field 71A: does not match format 3!a']);
+    });
+
+    test('should use the format of the option that was sent', () => {
+      expect(validateFieldFormats('MT103', [{ tag: '57A', content: 'NOT A BIC' }])).toHaveLength(1);
+      expect(validateFieldFormats('MT103', [{ tag: '57D', content: 'NOT A BIC' }])).toEqual([]);
+    });
+  });
+
+  describe('assertFieldFormats()', () => {
+    test('should pass valid fields', () => {
+      expect(() => assertFieldFormats('MT103', [{ tag: '20', content: 'REF1' }])).not.toThrow();
+    });
+
+    test('should throw with every violation attached', () => {
+      const fieldList = [
+        { tag: '20', content: 'REFERENCE-TOO-LONG' },
+        { tag: '71A', content: 'OU1' }
+      ];
+
+      try {
+        assertFieldFormats('MT103', fieldList);
+        throw new Error('Expected assertFieldFormats to throw');
+      } catch (error) {
+        expect(error.message).toBe(
+          'Invalid field format: Field 20 line 1: 18 characters, at most 16 allowed; ' +
+          'Field 71A: does not match format 3!a'
+        );
+        expect(error.violations).toHaveLength(2);
+      }
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for the SWIFT gpi tracking fields
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  isValidUETR,
+  parseScreeningResult,
+  extractGpiFields,
+  gpiWarnings,
+  groupByUETR
+} from '../../src/parsers/swift/gpi.js';
+import { parseUserHeader } from '../../src/parsers/swift/headers.js';
+import SWIFTParser from '../../src/parsers/swift/base-parser.js';
+import { groupByUETR as exportedGroupByUETR } from '../../src/index.js';
+import { GPI_MT103, VALID_MT103, VALID_MT202 } from '../fixtures/swift-messages.js';
+
+const UETR = 'eb6305c9-1f7f-49de-aed0-16487c27b42d';
+
+describe('SWIFT gpi', () => {
+  describe('isValidUETR()', () => {
+    test('should accept lowercase UUID v4 only', () => {
+      expect(isValidUETR(UETR)).toBe(true);
+      expect(isValidUETR(UETR.toUpperCase())).toBe(false);
+      expect(isValidUETR('eb6305c9-1f7f-19de-aed0-16487c27b42d')).toBe(false);
+      expect(isValidUETR('eb6305c9-1f7f-49de-ced0-16487c27b42d')).toBe(false);
+      expect(isValidUETR('NOTAUETR')).toBe(false);
+    });
+  });
+
+  describe('parseScreeningResult()', () => {
+    test('should read the result code and additional information', () => {
+      expect(parseScreeningResult('/FPO/CLEARED BY COMPLIANCE')).toEqual({
+        code: 'FPO',
+        result: 'false_positive',
+        additionalInformation: 'CLEARED BY COMPLIANCE',
+        raw: '/FPO/CLEARED BY COMPLIANCE'
+      });
+      expect(parseScreeningResult('/NOK/')).toMatchObject({ code: 'NOK', result: 'not_passed', additionalInformation: null });
+    });
+
+    test('should keep unknown or malformed content raw', () => {
+      expect(parseScreeningResult('/XYZ/')).toMatchObject({ code: 'XYZ', result: null });
+      expect(parseScreeningResult('AOK')).toEqual({ code: null, result: null, additionalInformation: null, raw: 'AOK' });
+      expect(parseScreeningResult(null)).toBeNull();
+    });
+  });
+
+  describe('extractGpiFields()', () => {
+    test('should collect the gpi fields of block 3', () => {
+      const userHeader = parseUserHeader(`{111:001}{121:${UETR}}{433:/AOK/}`);
+
+      expect(extractGpiFields(userHeader)).toEqual({
+        uetr: UETR,
+        serviceTypeIdentifier: '001',
+        sanctionsScreening: { code: 'AOK', result: 'passed', additionalInformation: null, raw: '/AOK/' },
+        paymentControls: null
+      });
+    });
+
+    test('should default every field to null without a block 3', () => {
+      expect(extractGpiFields(null)).toEqual({
+        uetr: null,
+        serviceTypeIdentifier: null,
+        sanctionsScreening: null,
+        paymentControls: null
+      });
+    });
+  });
+
+  describe('gpiWarnings()', () => {
+    test('should flag a UETR that is not a UUID v4', () => {
+      expect(gpiWarnings({ uetr: 'ABC', serviceTypeIdentifier: null }, 'MT103')).toEqual([
+        { type: 'invalid_uetr', tag: '121', message: 'Field 121 ABC is not a lowercase UUID v4' }
+      ]);
+    });
+
+    test('should flag any MT103 or MT202 without a UETR', () => {
+      expect(gpiWarnings({ uetr: null, serviceTypeIdentifier: '001' }, 'MT202')).toEqual([
+        { type: 'missing_uetr', tag: '121', message: 'Field 121 is mandatory on an MT202' }
+      ]);
+      expect(gpiWarnings({ uetr: null, serviceTypeIdentifier: null }, 'MT103')).toEqual([
+        { type: 'missing_uetr', tag: '121', message: 'Field 121 is mandatory on an MT103' }
+      ]);
+      expect(gpiWarnings({ uetr: null, serviceTypeIdentifier: '001' }, 'MT940')).toEqual([]);
+    });
+  });
+
+  describe('standardized message', () => {
+    const parser = new SWIFTParser();
+
+    test('should expose the UETR and the screening results', () => {
+      const result = parser.parse(GPI_MT103);
+
+      expect(result.uetr).toBe(UETR);
+      expect(result.serviceTypeIdentifier).toBe('001');
+      expect(result.sanctionsScreening).toMatchObject({ code: 'FPO', additionalInformation: 'CLEARED BY COMPLIANCE' });
+      expect(result.paymentControls).toMatchObject({ code: 'AOK', result: 'passed' });
+      expect(result.id).not.toBe(UETR);
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should leave the gpi fields empty without a block 3', () => {
+      expect(parser.parse(VALID_MT103)).toMatchObject({ uetr: null, serviceTypeIdentifier: null, sanctionsScreening: null });
+    });
+
+    test('should warn about an invalid UETR', () => {
+      const result = parser.parse(GPI_MT103.replace(UETR, UETR.toUpperCase()));
+
+      expect(result.uetr).toBe(UETR.toUpperCase());
+      expect(result.warnings).toEqual([expect.objectContaining({ type: 'invalid_uetr', tag: '121' })]);
+    });
+  });
+
+  describe('groupByUETR()', () => {
+    const parser = new SWIFTParser();
+
+    test('should group the hops of a payment and leave out messages without a UETR', () => {
+      const otherUetr = '1b4e28ba-2fa1-41d2-883f-0016d3cca427';
+      const firstHop = parser.parse(GPI_MT103);
+      const cover = parser.parse(VALID_MT202.replace('{4:', `{3:{121:${UETR}}}{4:`));
+      const secondHop = parser.parse(GPI_MT103.replace(':20:GPI2023070100001', ':20:GPI2023070100002'));
+      const other = parser.parse(GPI_MT103.replace(UETR, otherUetr));
+
+      const groups = groupByUETR([firstHop, parser.parse(VALID_MT103), cover, other, secondHop, null]);
+
+      expect([...groups.keys()]).toEqual([UETR, otherUetr]);
+      expect(groups.get(UETR).map(message => message.transactionReference))
+        .toEqual(['GPI2023070100001', '202123456789', 'GPI2023070100002']);
+      expect(groups.get(otherUetr)).toEqual([other]);
+    });
+
+    test('should be exported from the main entry point', () => {
+      expect(exportedGroupByUETR).toBe(groupByUETR);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for SWIFT FIN header parsing
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseBasicHeader,
+  parseApplicationHeader,
+  parseUserHeader,
+  parseTrailer,
+  parseHeaders
+} from '../../src/parsers/swift/headers.js';
+import { tokenizeFIN } from '../../src/parsers/swift/fin-tokenizer.js';
+import { VALID_MT103, MT103_FULL_ENVELOPE } from '../fixtures/swift-messages.js';
+
+describe('SWIFT header parsing', () => {
+  describe('parseBasicHeader()', () => {
+    test('should split block 1 into named subfields', () => {
+      expect(parseBasicHeader('F01AAAAGRA0AXXX1234123456')).toEqual({
+        applicationId: 'F',
+        serviceId: '01',
+        logicalTerminal: 'AAAAGRA0AXXX',
+        bic: 'AAAAGRA0XXX',
+        terminalCode: 'A',
+        sessionNumber: '1234',
+        sequenceNumber: '123456'
+      });
+    });
+
+    test('should reject a malformed basic header', () => {
+      expect(() => parseBasicHeader('F01AAAA')).toThrow('Invalid basic header block: F01AAAA');
+    });
+  });
+
+  describe('parseApplicationHeader()', () => {
+    test('should parse an input header with priority only', () => {
+      expect(parseApplicationHeader('I103BBBBGRB0XXXXN')).toEqual({
+        direction: 'input',
+        messageType: '103',
+        receiverAddress: 'BBBBGRB0XXXX',
+        receiverBic: 'BBBBGRB0XXX',
+        priority: 'N',
+        deliveryMonitoring: null,
+        obsolescencePeriod: null
+      });
+    });
+
+    test('should default optional input subfields to null', () => {
+      const header = parseApplicationHeader('I202BBBBGRB0XXXX');
+      expect(header.priority).toBeNull();
+      expect(header.deliveryMonitoring).toBeNull();
+    });
+
+    test('should parse delivery monitoring and obsolescence period', () => {
+      const header = parseApplicationHeader('I103BBBBGRB0XXXXU3003');
+      expect(header.priority).toBe('U');
+      expect(header.deliveryMonitoring).toBe('3');
+      expect(header.obsolescencePeriod).toBe('003');
+    });
+
+    test('should parse an output header with its MIR', () => {
+      expect(parseApplicationHeader('O1031200230701BANKBEBBAXXX22221234562307011205N')).toEqual({
+        direction: 'output',
+        messageType: '103',
+        inputTime: '1200',
+        mir: {
+          raw: '230701BANKBEBBAXXX2222123456',
+          date: '230701',
+          logicalTerminal: 'BANKBEBBAXXX',
+          bic: 'BANKBEBBXXX',
+          sessionNumber: '2222',
+          sequenceNumber: '123456'
+        },
+        senderBic: 'BANKBEBBXXX',
+        outputDate: '230701',
+        outputTime: '1205',
+        priority: 'N'
+      });
+    });
+
+    test('should parse an output header without priority', () => {
+      const header = parseApplicationHeader('O2021200230701BANKBEBBAXXX22221234562307011205');
+      expect(header.messageType).toBe('202');
+      expect(header.priority).toBeNull();
+    });
+
+    test('should reject a malformed application header', () => {
+      expect(() => parseApplicationHeader('X103')).toThrow('Invalid application header block: X103');
+    });
+  });
+
+  describe('parseUserHeader()', () => {
+    test('should name the well-known block 3 tags', () => {
+      const header = parseUserHeader('{103:TGT}{108:MUR1}{113:ROMF}{119:STP}{121:eb6305c9-1f7f-49de-aed0-16487c27b42d}');
+
+      expect(header.serviceIdentifier).toBe('TGT');
+      expect(header.messageUserReference).toBe('MUR1');
+      expect(header.bankingPriority).toBe('ROMF');
+      expect(header.validationFlag).toBe('STP');
+      expect(header.uetr).toBe('eb6305c9-1f7f-49de-aed0-16487c27b42d');
+    });
+
+    test('should name the gpi service type and screening tags', () => {
+      const header = parseUserHeader('{111:001}{433:/AOK/}{434:/FPO/}');
+
+      expect(header.serviceTypeIdentifier).toBe('001');
+      expect(header.sanctionsScreening).toBe('/AOK/');
+      expect(header.paymentControls).toBe('/FPO/');
+    });
+
+    test('should keep other tags and default missing ones to null', () => {
+      const header = parseUserHeader('{111:001}');
+
+      expect(header.tags).toEqual([{ tag: '111', value: '001' }]);
+      expect(header.uetr).toBeNull();
+      expect(header.validationFlag).toBeNull();
+    });
+  });
+
+  describe('parseTrailer()', () => {
+    test('should parse CHK, MAC and a PDE with a MIR', () => {
+      const trailer = parseTrailer('{MAC:00000000}{CHK:123456789ABC}{PDE:1348120811BANKFRPPAXXX2222123456}');
+
+      expect(trailer.checksum).toBe('123456789ABC');
+      expect(trailer.messageAuthenticationCode).toBe('00000000');
+      expect(trailer.possibleDuplicateEmission).toEqual({
+        raw: '1348120811BANKFRPPAXXX2222123456',
+        time: '1348',
+        date: '120811',
+        logicalTerminal: 'BANKFRPPAXXX',
+        sessionNumber: '2222',
+        sequenceNumber: '123456'
+      });
+      expect(trailer.possibleDuplicateMessage).toBeNull();
+    });
+
+    test('should keep an empty PDM trailer', () => {
+      const trailer = parseTrailer('{PDM:}');
+
+      expect(trailer.possibleDuplicateMessage).toEqual({ raw: '' });
+      expect(trailer.checksum).toBeNull();
+    });
+  });
+
+  describe('parseHeaders()', () => {
+    test('should parse every header block of a full envelope', () => {
+      const headers = parseHeaders(MT103_FULL_ENVELOPE);
+
+      expect(headers.basicHeader.logicalTerminal).toBe('AAAAGRA0AXXX');
+      expect(headers.applicationHeader.receiverBic).toBe('BBBBGRB0XXX');
+      expect(headers.userHeader.validationFlag).toBe('STP');
+      expect(headers.trailer.checksum).toBe('123456789ABC');
+    });
+
+    test('should return null for blocks that are absent', () => {
+      const headers = parseHeaders(VALID_MT103);
+
+      expect(headers.basicHeader).not.toBeNull();
+      expect(headers.userHeader).toBeNull();
+      expect(headers.trailer).toBeNull();
+    });
+
+    test('should return null for a missing basic header', () => {
+      const headers = parseHeaders('{2:I103BBBBGRB0XXXXN}{4::20:REF-}');
+
+      expect(headers.basicHeader).toBeNull();
+      expect(headers.applicationHeader.messageType).toBe('103');
+      expect(parseHeaders('{1:F01AAAAGRA0AXXX1234123456}').applicationHeader).toBeNull();
+    });
+
+    test('should accept an already tokenized envelope', () => {
+      const headers = parseHeaders(tokenizeFIN(MT103_FULL_ENVELOPE));
+
+      expect(headers.userHeader.uetr).toBe('eb6305c9-1f7f-49de-aed0-16487c27b42d');
+      expect(headers.trailer.possibleDuplicateEmission.sessionNumber).toBe('2222');
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for IBAN validation
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  IBAN_REGISTRY,
+  normalizeIBAN,
+  looksLikeIBAN,
+  mod97,
+  parseIBAN,
+  isValidIBAN,
+  ibanWarnings
+} from '../../src/parsers/swift/iban.js';
+
+describe('IBAN', () => {
+  describe('IBAN_REGISTRY', () => {
+    test('should describe BBANs whose parts fit in them', () => {
+      Object.values(IBAN_REGISTRY).forEach(({ bban, bank, branch = [0, 0], account }) => {
+        const length = [...bban.matchAll(/(\d+)!/g)].reduce((total, [, part]) => total + Number(part), 0);
+
+        expect(Math.max(bank[1], branch[1], account[1])).toBeLessThanOrEqual(length);
+      });
+    });
+  });
+
+  describe('normalizeIBAN()', () => {
+    test('should turn the print format into the electronic format', () => {
+      expect(normalizeIBAN('IBAN de89 3704 0044 0532 0130 00')).toBe('DE89370400440532013000');
+      expect(normalizeIBAN('IBAN:GB29NWBK60161331926819')).toBe('GB29NWBK60161331926819');
+    });
+  });
+
+  describe('looksLikeIBAN()', () => {
+    test('should leave national account numbers alone', () => {
+      expect(looksLikeIBAN('FR1234567890123456789012')).toBe(true);
+      expect(looksLikeIBAN('ACC987654321')).toBe(false);
+      expect(looksLikeIBAN('12345678')).toBe(false);
+      expect(looksLikeIBAN('DE89')).toBe(false);
+    });
+  });
+
+  describe('mod97()', () => {
+    test('should compute the ISO 7064 remainder', () => {
+      expect(mod97('GB29NWBK60161331926819')).toBe(1);
+      expect(mod97('GB28NWBK60161331926819')).not.toBe(1);
+    });
+  });
+
+  describe('parseIBAN()', () => {
+    test('should extract the bank, branch and account of a valid IBAN', () => {
+      expect(parseIBAN('GB29 NWBK 6016 1331 9268 19')).toEqual({
+        iban: 'GB29NWBK60161331926819',
+        countryCode: 'GB',
+        checkDigits: '29',
+        bban: 'NWBK60161331926819',
+        bankCode: 'NWBK',
+        branchCode: '601613',
+        accountNumber: '31926819',
+        valid: true,
+        errors: []
+      });
+      expect(parseIBAN('DE89370400440532013000')).toMatchObject({
+        bankCode: '37040044',
+        branchCode: null,
+        accountNumber: '0532013000'
+      });
+      expect(parseIBAN('IT60X0542811101000000123456')).toMatchObject({
+        bankCode: '05428',
+        branchCode: '11101',
+        accountNumber: '000000123456'
+      });
+    });
+
+    test('should report the length, structure and check digits', () => {
+      expect(parseIBAN('FR1234567890123456789012').errors).toEqual(['length 24, expected 27 for FR']);
+      expect(parseIBAN('GB29NWBK6016133192681X').errors).toEqual(['BBAN does not match 4!a6!n8!n']);
+      expect(parseIBAN('DE89123456789012345678')).toMatchObject({
+        valid: false,
+        bankCode: null,
+        errors: ['check digits do not match']
+      });
+    });
+
+    test.each([
+      ['BI4210000100010000332045181', '10000'],
+      ['DJ2100010000000154000100186', '00010'],
+      ['FK88SC123456789012', 'SC'],
+      ['HN88CABF00000000000250005469', 'CABF'],
+      ['LY83002048000020100120361', '002'],
+      ['MN121234123456789123', '1234'],
+      ['NI45BAPR00000013000003558124', 'BAPR'],
+      ['OM810180000001299123456', '018'],
+      ['RU0304452522540817810538091310419', '044525225'],
+      ['SD2129010501234001', '29'],
+      ['SO211000001001000100141', '1000'],
+      ['YE15CBYE0001018861234567891234', 'CBYE']
+    ])('should check %s against the registry', (iban, bankCode) => {
+      expect(parseIBAN(iban)).toMatchObject({ valid: true, bankCode });
+    });
+
+    test('should only check the digits of a country missing from the registry', () => {
+      expect(parseIBAN('US8412345678901234')).toMatchObject({ valid: true, bankCode: null, accountNumber: null });
+      expect(parseIBAN('US8512345678901234').errors).toEqual(['check digits do not match']);
+    });
+
+    test('should reject unknown countries and values that are not IBANs', () => {
+      expect(parseIBAN('ZZ12345678901234').errors).toEqual(['unknown IBAN country ZZ']);
+      expect(parseIBAN('12345678')).toMatchObject({ valid: false, errors: ['not an IBAN'] });
+    });
+  });
+
+  describe('isValidIBAN()', () => {
+    test('should accept valid IBANs only', () => {
+      expect(isValidIBAN('NL91ABNA0417164300')).toBe(true);
+      expect(isValidIBAN('NL91ABNA0417164301')).toBe(false);
+    });
+  });
+
+  describe('ibanWarnings()', () => {
+    test('should flag invalid IBANs and skip other account identifiers', () => {
+      expect(ibanWarnings({
+        debitAccount: 'DE89370400440532013000',
+        creditAccount: 'FR1234567890123456789012',
+        accountNumber: 'ACC987654321',
+        missing: undefined
+      })).toEqual([{
+        type: 'invalid_iban',
+        field: 'creditAccount',
+        iban: 'FR1234567890123456789012',
+        message: 'Invalid IBAN FR1234567890123456789012 in creditAccount: length 24, expected 27 for FR'
+      }]);
+    });
+
+    test('should accept repeated fields as pairs', () => {
+      expect(ibanWarnings([['59', 'DE89123456789012345678'], ['59', 'DE89123456789012345679']]).map(warning => warning.field))
+        .toEqual(['59', '59']);
+    });
+  });
+});
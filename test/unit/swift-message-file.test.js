@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the SWIFT message file reader
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  detectFileFormat,
+  splitRJE,
+  splitDOSPCC,
+  splitMessageFile
+} from '../../src/parsers/swift/message-file.js';
+import { VALID_MT103, VALID_MT202 } from '../fixtures/swift-messages.js';
+
+// A DOS-PCC frame padded with spaces to a 512-byte sector
+const sector = message => `\x01${message}\x03`.padEnd(512, ' ');
+
+describe('SWIFT message files', () => {
+  describe('detectFileFormat()', () => {
+    test('should detect DOS-PCC framing from the first SOH', () => {
+      expect(detectFileFormat(sector(VALID_MT103))).toBe('DOS_PCC');
+      expect(detectFileFormat(`\r\n${sector(VALID_MT103)}`)).toBe('DOS_PCC');
+      expect(detectFileFormat(`${VALID_MT103}$${VALID_MT202}`)).toBe('RJE');
+    });
+  });
+
+  describe('splitRJE()', () => {
+    test('should split on $ and keep the offset of each message', () => {
+      const content = `${VALID_MT103}\r\n$\r\n${VALID_MT202}\r\n$`;
+
+      expect(splitRJE(content)).toEqual([
+        { message: VALID_MT103, offset: 0 },
+        { message: VALID_MT202, offset: VALID_MT103.length + 5 }
+      ]);
+    });
+
+    test('should read a single message without separators', () => {
+      expect(splitRJE(VALID_MT103)).toEqual([{ message: VALID_MT103, offset: 0 }]);
+      expect(splitRJE('  \r\n')).toEqual([]);
+    });
+  });
+
+  describe('splitDOSPCC()', () => {
+    test('should read the messages of padded sectors', () => {
+      const content = sector(VALID_MT103) + sector(VALID_MT202);
+
+      expect(splitDOSPCC(content)).toEqual([
+        { message: VALID_MT103, offset: 1 },
+        { message: VALID_MT202, offset: 513 }
+      ]);
+    });
+
+    test('should skip empty frames and padding with NUL characters', () => {
+      expect(splitDOSPCC(`\x01 \x03\0\0${sector(VALID_MT202)}`)).toEqual([
+        { message: VALID_MT202, offset: 6 }
+      ]);
+    });
+
+    test('should skip padding with any whitespace', () => {
+      expect(splitDOSPCC(`${sector(VALID_MT103)}\f\v\u00a0${sector(VALID_MT202)}`)).toEqual([
+        { message: VALID_MT103, offset: 1 },
+        { message: VALID_MT202, offset: 516 }
+      ]);
+    });
+
+    test('should report content outside the frames and keep reading', () => {
+      expect(splitDOSPCC(`${sector(VALID_MT103)}GARBAGE${sector(VALID_MT202)}`)).toEqual([
+        { message: VALID_MT103, offset: 1 },
+        {
+          message: 'GARBAGE',
+          offset: 512,
+          error: 'Invalid DOS-PCC file: unexpected content outside a message frame at offset 512'
+        },
+        { message: VALID_MT202, offset: 520 }
+      ]);
+      expect(splitDOSPCC(`${sector(VALID_MT103)}TAIL`)[1]).toEqual({
+        message: 'TAIL',
+        offset: 512,
+        error: 'Invalid DOS-PCC file: unexpected content outside a message frame at offset 512'
+      });
+    });
+
+    test('should report a frame without its ETX', () => {
+      expect(splitDOSPCC(`${sector(VALID_MT103)}\x01${VALID_MT202}`)[1]).toEqual({
+        message: VALID_MT202,
+        offset: 513,
+        error: 'Invalid DOS-PCC file: message at offset 512 has no ETX'
+      });
+      expect(splitDOSPCC('\x01  ')).toEqual([
+        { message: '', offset: 1, error: 'Invalid DOS-PCC file: message at offset 0 has no ETX' }
+      ]);
+    });
+  });
+
+  describe('splitMessageFile()', () => {
+    test('should split with the detected or given format', () => {
+      expect(splitMessageFile(sector(VALID_MT103))).toEqual({
+        format: 'DOS_PCC',
+        messages: [{ message: VALID_MT103, offset: 1 }]
+      });
+      expect(splitMessageFile(VALID_MT103, 'RJE').messages).toHaveLength(1);
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => splitMessageFile(VALID_MT103, 'CSV')).toThrow('Unsupported message file format: CSV');
+    });
+  });
+});
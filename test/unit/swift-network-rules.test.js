@@ -0,0 +1,382 @@
+/**
+ * Unit tests for SWIFT network validated rules
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { validateNetworkRules, assertNetworkRules } from '../../src/parsers/swift/network-rules.js';
+
+/**
+ * Build a field list from [tag, content] pairs
+ */
+const fieldsOf = (...pairs) => pairs.map(([tag, content]) => ({ tag, content }));
+
+const codes = (messageType, fieldList, validationFlag) => validateNetworkRules(messageType, fieldList, validationFlag)
+  .map(violation => violation.code);
+
+const MT103_BASE = [
+  ['20', 'REF1'],
+  ['23B', 'CRED'],
+  ['32A', '230701EUR1000,00'],
+  ['50K', '/12345678\nORDERING CUSTOMER'],
+  ['59', '/98765432\nBENEFICIARY']
+];
+
+const mt103 = (...extra) => fieldsOf(...MT103_BASE, ...extra);
+
+const withOperationCode = (code, ...extra) => fieldsOf(
+  ...MT103_BASE.map(([tag, content]) => [tag, tag === '23B' ? code : content]),
+  ...extra
+);
+
+describe('SWIFT network validated rules', () => {
+  describe('MT103', () => {
+    test('should accept a message that follows every rule', () => {
+      expect(validateNetworkRules('MT103', mt103(['71A', 'SHA']))).toEqual([]);
+    });
+
+    test('C1 (D75): 36 is mandatory when 33B and 32A currencies differ', () => {
+      expect(codes('MT103', mt103(['33B', 'USD1100,00']))).toEqual(['D75']);
+      expect(codes('MT103', mt103(['33B', 'USD1100,00'], ['36', '0,9090909']))).toEqual([]);
+      expect(codes('MT103', mt103(['33B', 'EUR1000,00'], ['36', '1,']))).toEqual(['D75']);
+      expect(codes('MT103', mt103(['33B', 'EUR1000,00']))).toEqual([]);
+    });
+
+    test('C1 (D75): 36 is not allowed without 33B', () => {
+      expect(codes('MT103', mt103(['36', '0,9090909']))).toEqual(['D75']);
+      expect(codes('MT103', mt103())).toEqual([]);
+      expect(codes('MT103', fieldsOf(['20', 'REF1'], ['33B', 'USD1,'], ['36', '1,']))).not.toContain('D75');
+    });
+
+    test('C3 (E01, E02): 23E codes depend on 23B', () => {
+      expect(codes('MT103', withOperationCode('SPRI', ['23E', 'SDVA']))).toEqual([]);
+      expect(codes('MT103', withOperationCode('SPRI', ['23E', 'HOLD']))).toEqual(['E01']);
+      expect(codes('MT103', withOperationCode('SSTD', ['23E', 'SDVA']))).toEqual(['E02']);
+      expect(codes('MT103', withOperationCode('SPAY', ['23E', 'SDVA']))).toEqual(['E02']);
+    });
+
+    test('C4 to C8 (E03, E04, E05, E06, E07): correspondent options with a service level', () => {
+      expect(codes('MT103', withOperationCode('SPRI', ['53D', 'CORRESPONDENT']))).toEqual(['E03']);
+      expect(codes('MT103', withOperationCode('SPRI', ['53B', 'LONDON']))).toEqual(['E04']);
+      expect(codes('MT103', withOperationCode('SPRI', ['53B', '/12345\nLONDON']))).toEqual([]);
+      expect(codes('MT103', withOperationCode('SSTD', ['54B', 'LONDON']))).toEqual(['E05']);
+      expect(codes('MT103', mt103(['55A', 'CCCCGB2L']))).toEqual(['E06']);
+      expect(codes('MT103', withOperationCode('SPAY', ['53A', 'AAAAGB2L'], ['54A', 'BBBBGB2L'], ['55D', 'THIRD BANK'])))
+        .toEqual(['E07']);
+    });
+
+    test('C9 (C81): 56a is present only if 57a is present', () => {
+      expect(codes('MT103', mt103(['56A', 'CCCCGB2L']))).toEqual(['C81']);
+      expect(codes('MT103', mt103(['56A', 'CCCCGB2L'], ['57A', 'DDDDGB2L']))).toEqual([]);
+    });
+
+    test('C10 (E16, E17): intermediary with a service level', () => {
+      expect(codes('MT103', withOperationCode('SPRI', ['56A', 'CCCCGB2L'], ['57A', 'DDDDGB2L']))).toEqual(['E16']);
+      expect(codes('MT103', withOperationCode('SSTD', ['56D', 'INTERMEDIARY'], ['57A', 'DDDDGB2L']))).toEqual(['E17']);
+      expect(codes('MT103', withOperationCode('SSTD', ['56C', '/12345'], ['57A', 'DDDDGB2L']))).toEqual([]);
+    });
+
+    test('C11 (E09): account with institution with a service level', () => {
+      expect(codes('MT103', withOperationCode('SPRI', ['57B', 'LONDON']))).toEqual(['E09']);
+      expect(codes('MT103', withOperationCode('SPRI', ['57D', 'BANK\nLONDON']))).toEqual(['E09']);
+      expect(codes('MT103', withOperationCode('SPRI', ['57D', '/12345\nBANK']))).toEqual([]);
+    });
+
+    test('C12 (E10): beneficiary account is mandatory with a service level', () => {
+      const fieldList = withOperationCode('SSTD').map(field => (field.tag === '59' ? { tag: '59', content: 'BENEFICIARY' } : field));
+      expect(codes('MT103', fieldList)).toEqual(['E10']);
+    });
+
+    test('C13 (E18): no beneficiary account with CHQB', () => {
+      expect(codes('MT103', mt103(['23E', 'CHQB']))).toEqual(['E18']);
+    });
+
+    test('C14 (E12): 70 and 77T are mutually exclusive', () => {
+      expect(codes('MT103', mt103(['70', 'INVOICE'], ['77T', 'ENVELOPE']))).toEqual(['E12']);
+    });
+
+    test('C15 (E13, D50, E15): charges depend on 71A', () => {
+      expect(codes('MT103', mt103(['33B', 'EUR1000,00'], ['71A', 'OUR'], ['71F', 'EUR10,00']))).toEqual(['E13']);
+      expect(codes('MT103', mt103(['33B', 'EUR1000,00'], ['71A', 'OUR'], ['71G', 'EUR10,00']))).toEqual([]);
+      expect(codes('MT103', mt103(['33B', 'EUR1000,00'], ['71A', 'SHA'], ['71G', 'EUR10,00']))).toEqual(['D50']);
+      expect(codes('MT103', mt103(['71A', 'BEN']))).toEqual(['E15']);
+      expect(codes('MT103', mt103(['33B', 'EUR1000,00'], ['71A', 'BEN'], ['71F', 'EUR10,00']))).toEqual([]);
+      expect(codes('MT103', mt103(['33B', 'EUR1000,00'], ['71A', 'BEN'], ['71F', 'EUR10,00'], ['71G', 'EUR1,00'])))
+        .toEqual(['E15']);
+    });
+
+    test('C16 (D51): 33B is mandatory with 71F or 71G', () => {
+      expect(codes('MT103', mt103(['71A', 'SHA'], ['71F', 'EUR10,00']))).toEqual(['D51']);
+    });
+
+    test('C17 and C18 (E44, E45): phone and telecom instructions need their institution', () => {
+      expect(codes('MT103', mt103(['23E', 'TELI'], ['57A', 'DDDDGB2L']))).toEqual(['E44']);
+      expect(codes('MT103', mt103(['23E', 'PHON']))).toEqual(['E45']);
+    });
+
+    test('23E (T47, D97): instruction codes and additional information', () => {
+      expect(codes('MT103', mt103(['23E', 'XXXX']))).toEqual(['T47']);
+      expect(codes('MT103', mt103(['23E', 'SDVA/TODAY']))).toEqual(['D97']);
+      expect(codes('MT103', mt103(['23E', 'HOLD/AT COUNTER']))).toEqual([]);
+    });
+
+    test('should report each violation with its rule, code and message', () => {
+      expect(validateNetworkRules('MT103', mt103(['56A', 'CCCCGB2L']))).toEqual([{
+        type: 'network_rule',
+        rule: 'C9',
+        code: 'C81',
+        message: 'C81 (MT103 C9): field 57a is mandatory when 56a is present'
+      }]);
+    });
+  });
+
+  describe('MT103 STP', () => {
+    test('should accept an STP message with BIC institutions', () => {
+      expect(validateNetworkRules('MT103', mt103(['52A', 'AAAAGB2L'], ['57A', 'BBBBGB2L']), 'STP')).toEqual([]);
+    });
+
+    test('should forbid option D parties and require BICs in 52a, 56a and 57a', () => {
+      const fieldList = mt103(['52D', 'ORDERING BANK'], ['56C', '/12345'], ['57D', '/1\nBANK']);
+
+      expect(validateNetworkRules('MT103', fieldList, 'STP').map(violation => violation.message)).toEqual([
+        '(MT103 STP 52a): 52D is not allowed, 52a must use option A',
+        '(MT103 STP 56a): 56C is not allowed, 56a must use option A',
+        '(MT103 STP 57a): 57D is not allowed, 57a must use option A'
+      ]);
+    });
+
+    test('should restrict the other party options', () => {
+      const fieldList = fieldsOf(
+        ['20', 'REF1'], ['23B', 'CRED'], ['32A', '230701EUR1000,00'], ['50F', '/1\n1/NAME'],
+        ['53D', 'CORRESPONDENT'], ['54B', 'LONDON'], ['55D', 'THIRD'], ['59', '/98765432\nBENEFICIARY']
+      );
+
+      expect(validateNetworkRules('MT103', fieldList, 'STP').map(violation => violation.rule))
+        .toEqual(['53a', '54a', '55a']);
+    });
+
+    test('should apply the STP instruction codes on top of the standard rules', () => {
+      expect(codes('MT103', mt103(['23E', 'HOLD']), 'STP')).toEqual(['T47']);
+      expect(codes('MT103', withOperationCode('SPRI', ['23E', 'SDVA']), 'STP')).toEqual([]);
+      expect(codes('MT103', withOperationCode('SPRI', ['23E', 'CORT']), 'STP')).toEqual(['E01', 'E01']);
+      expect(codes('MT103', mt103(['56A', 'CCCCGB2L']), 'STP')).toEqual(['C81']);
+    });
+
+    test('should always require the beneficiary account', () => {
+      const fieldList = mt103().map(field => (field.tag === '59' ? { tag: '59', content: 'BENEFICIARY' } : field));
+
+      expect(codes('MT103', fieldList, 'STP')).toEqual(['E10']);
+      expect(codes('MT103', fieldList)).toEqual([]);
+    });
+  });
+
+  describe('MT103 REMIT', () => {
+    test('should require 77T and forbid 70', () => {
+      expect(validateNetworkRules('MT103', mt103(['70', 'INVOICE']), 'REMIT').map(violation => violation.message)).toEqual([
+        '(MT103 REMIT 77T): field 77T is mandatory',
+        '(MT103 REMIT 70): field 70 is not allowed'
+      ]);
+      expect(validateNetworkRules('MT103', mt103(['77T', 'ENVELOPE']), 'REMIT')).toEqual([]);
+    });
+
+    test('should ignore unknown validation flags', () => {
+      expect(validateNetworkRules('MT103', mt103(['70', 'INVOICE']), 'COV')).toEqual([]);
+      expect(validateNetworkRules('MT202', fieldsOf(['20', 'REF']), 'STP')).toEqual([]);
+    });
+  });
+
+  describe('MT202', () => {
+    test('C1 (C81): 56a is present only if 57a is present', () => {
+      const base = [['20', 'REF'], ['21', 'REL'], ['32A', '230701USD1,'], ['58A', 'CCCCUSD0']];
+
+      expect(codes('MT202', fieldsOf(...base, ['56A', 'AAAAGB2L']))).toEqual(['C81']);
+      expect(codes('MT202', fieldsOf(...base, ['56A', 'AAAAGB2L'], ['57A', 'BBBBGB2L']))).toEqual([]);
+      expect(codes('MT202', fieldsOf(...base, ['50K', 'JOHN SMITH'], ['56A', 'AAAAGB2L']))).toEqual([]);
+    });
+  });
+
+  describe('MT202 COV', () => {
+    const base = [['20', 'REF'], ['21', 'REL'], ['32A', '230701USD1,'], ['58A', 'CCCCUSD0']];
+
+    test('should require sequence B with 50a and 59a', () => {
+      expect(validateNetworkRules('MT202', fieldsOf(...base), 'COV').map(violation => violation.message)).toEqual([
+        '(MT202 COV 50a): sequence B with the ordering customer 50a is mandatory'
+      ]);
+      expect(validateNetworkRules('MT202', fieldsOf(...base, ['50K', 'JOHN SMITH']), 'COV').map(violation => violation.message))
+        .toEqual(['(MT202 COV 59a): field 59a is mandatory in sequence B']);
+      expect(codes('MT202', fieldsOf(...base, ['50K', 'JOHN SMITH'], ['59', 'JANE DOE']), 'COV')).toEqual([]);
+    });
+
+    test('C2 (C68): 56a is present in sequence B only if 57a is present in sequence B', () => {
+      const cover = (...sequenceB) => fieldsOf(...base, ['57A', 'BBBBGB2L'], ['50K', 'JOHN SMITH'], ...sequenceB, ['59', 'JANE DOE']);
+
+      expect(codes('MT202', cover(['56A', 'AAAAGB2L']), 'COV')).toEqual(['C68']);
+      expect(codes('MT202', cover(['56A', 'AAAAGB2L'], ['57A', 'BBBBGB2L']), 'COV')).toEqual([]);
+    });
+  });
+
+  describe('MT101', () => {
+    const header = [['20', 'REF'], ['28D', '1/1'], ['30', '230701']];
+    const transaction = (reference, ...extra) => [['21', reference], ['32B', 'USD100,'], ['59', '/1\nBENEFICIARY'], ...extra];
+
+    test('should accept the ordering customer in sequence A', () => {
+      expect(codes('MT101', fieldsOf(...header, ['50H', '/1\nORDERING'], ...transaction('T1')))).toEqual([]);
+    });
+
+    test('C1 (D54): 21F is mandatory with 36', () => {
+      const fieldList = fieldsOf(...header, ['50H', '/1\nORDERING'],
+        ...transaction('T1', ['33B', 'EUR90,'], ['36', '1,1']));
+      expect(codes('MT101', fieldList)).toEqual(['D54']);
+    });
+
+    test('C2 (D60): 36 depends on 33B and the 32B amount', () => {
+      const missingRate = fieldsOf(...header, ['50H', '/1\nORDERING'], ['21F', 'FX1'], ...transaction('T1', ['33B', 'EUR90,']));
+      const zeroAmount = fieldsOf(...header, ['50H', '/1\nORDERING'],
+        ['21', 'T1'], ['21F', 'FX1'], ['32B', 'USD0,'], ['33B', 'EUR90,'], ['36', '1,1'], ['59', '/1\nB']);
+
+      const rateWithoutOriginal = fieldsOf(...header, ['50H', '/1\nORDERING'], ...transaction('T1', ['21F', 'FX1'], ['36', '1,1']));
+
+      expect(codes('MT101', missingRate)).toEqual(['D60']);
+      expect(codes('MT101', zeroAmount)).toEqual(['D60']);
+      expect(codes('MT101', rateWithoutOriginal)).toEqual(['D60']);
+      expect(codes('MT101', fieldsOf(...header, ['50H', '/1\nORDERING'], ['21', 'T1'], ['33B', 'EUR90,'], ['59', '/1\nB'])))
+        .not.toContain('D60');
+    });
+
+    test('C3 (D61): ordering customer in sequence A or in every sequence B', () => {
+      const inBoth = fieldsOf(...header, ['50H', '/1\nORDERING'], ...transaction('T1', ['50H', '/2\nOTHER']));
+      const inSome = fieldsOf(...header, ...transaction('T1', ['50H', '/2\nOTHER']), ...transaction('T2'));
+      const inEvery = fieldsOf(...header, ...transaction('T1', ['50H', '/2\nA']), ...transaction('T2', ['50F', '/3\n1/B']));
+
+      expect(codes('MT101', inBoth)).toEqual(['D61']);
+      expect(codes('MT101', inSome)).toEqual(['D61']);
+      expect(codes('MT101', inEvery)).toEqual([]);
+    });
+
+    test('C4 and C6 (D62, D64): optional parties in sequence A or every sequence B', () => {
+      const base = [...header, ['50H', '/1\nORDERING']];
+
+      expect(codes('MT101', fieldsOf(...base, ['50L', 'PARTY'], ...transaction('T1', ['50C', 'AAAAGB2L']))))
+        .toEqual(['D62']);
+      expect(codes('MT101', fieldsOf(...base, ...transaction('T1', ['52A', 'AAAAGB2L']), ...transaction('T2'))))
+        .toEqual(['D64']);
+      expect(codes('MT101', fieldsOf(...base, ...transaction('T1', ['52A', 'AAAAGB2L']), ...transaction('T2', ['52C', '/1']))))
+        .toEqual([]);
+    });
+
+    test('C5 (D68): 33B currency must differ from 32B', () => {
+      const fieldList = fieldsOf(...header, ['50H', '/1\nORDERING'], ...transaction('T1', ['33B', 'USD100,']));
+      expect(codes('MT101', fieldList)).toContain('D68');
+    });
+
+    test('C7 (D65): 56a is present only if 57a is present', () => {
+      const fieldList = fieldsOf(...header, ['50H', '/1\nORDERING'], ...transaction('T1', ['56A', 'AAAAGB2L']));
+      expect(codes('MT101', fieldList)).toEqual(['D65']);
+    });
+
+    test('C8 (D93): one currency per message with 21R', () => {
+      const base = [['20', 'REF'], ['21R', 'CUSTREF'], ['28D', '1/1'], ['50H', '/1\nORDERING'], ['30', '230701']];
+      const mixed = fieldsOf(...base, ...transaction('T1'), ['21', 'T2'], ['32B', 'EUR5,'], ['59', '/1\nB']);
+
+      expect(codes('MT101', mixed)).toEqual(['D93']);
+      expect(codes('MT101', fieldsOf(...base, ...transaction('T1'), ...transaction('T2')))).toEqual([]);
+    });
+  });
+
+  describe('MT700', () => {
+    const base = [['20', 'LC1'], ['31C', '230701'], ['32B', 'USD1000,']];
+
+    test('C3 (D06): 44C and 44D are mutually exclusive', () => {
+      expect(codes('MT700', fieldsOf(...base, ['44C', '230801'], ['44D', 'AUGUST 2023']))).toEqual(['D06']);
+    });
+
+    test('C2 (C90): drafts and payment details combinations', () => {
+      expect(codes('MT700', fieldsOf(...base, ['42C', 'AT SIGHT'], ['42A', 'AAAAGB2L']))).toEqual([]);
+      expect(codes('MT700', fieldsOf(...base, ['42C', 'AT SIGHT']))).toEqual(['C90']);
+      expect(codes('MT700', fieldsOf(...base, ['42M', 'MIXED']))).toEqual([]);
+      expect(codes('MT700', fieldsOf(...base, ['42M', 'MIXED'], ['42P', 'DEFERRED']))).toEqual(['C90']);
+    });
+
+    test('should apply the same rules to advices and transfers', () => {
+      expect(codes('MT710', fieldsOf(...base, ['44C', '230801'], ['44D', 'AUGUST 2023']))).toEqual(['D06']);
+      expect(codes('MT720', fieldsOf(...base, ['42C', 'AT SIGHT']))).toEqual(['C90']);
+    });
+  });
+
+  describe('MT940', () => {
+    const header = [['20', 'S1'], ['25', '123'], ['28C', '1/1']];
+
+    test('C1 (C24): field 86 directly follows field 61', () => {
+      const opening = ['60F', 'C230630EUR1,'];
+      const line = ['61', '2307010701C500,NTRFREF1'];
+      const closing = ['62F', 'C230701EUR501,'];
+
+      expect(codes('MT940', fieldsOf(...header, opening, line, ['86', 'LINE 1'], line, closing, ['86', 'OWNER']))).toEqual([]);
+      expect(codes('MT940', fieldsOf(...header, opening, ['86', 'NO LINE'], line, closing))).toEqual(['C24']);
+      expect(codes('MT940', fieldsOf(...header, opening, line, ['86', 'LINE 1'], ['86', 'AGAIN'], closing))).toEqual(['C24']);
+      expect(codes('MT940', fieldsOf(...header, opening, line, closing, ['86', 'OWNER'], ['64', 'C230701EUR501,'])))
+        .toEqual(['C24']);
+    });
+
+    test('C2 (C27): balances share the first two characters of their currency', () => {
+      expect(codes('MT940', fieldsOf(...header, ['60F', 'C230630EUR1,'], ['62F', 'C230701EUR1,'], ['64', 'C230701EUR1,'])))
+        .toEqual([]);
+      expect(codes('MT940', fieldsOf(...header, ['60F', 'C230630EUR1,'], ['65', 'C230702USD1,']))).toEqual(['C27']);
+    });
+  });
+
+  describe('MT942', () => {
+    const header = [['20', 'S1'], ['25', '123'], ['28C', '1/1']];
+
+    test('C1 (C24): field 86 directly follows field 61', () => {
+      const start = [...header, ['34F', 'EUR0,'], ['13D', '2307011200+0100']];
+      const line = ['61', '2307010701C500,NTRFREF1'];
+      const total = ['90C', '1EUR500,'];
+
+      expect(codes('MT942', fieldsOf(...start, line, ['86', 'LINE'], total, ['86', 'OWNER']))).toEqual([]);
+      expect(codes('MT942', fieldsOf(...start, ['86', 'OWNER']))).toEqual([]);
+      expect(codes('MT942', fieldsOf(...start, line, ['86', 'LINE'], ['86', 'AGAIN'], total))).toEqual(['C24']);
+    });
+
+    test('C2 (C27): floor limits and totals share the first two characters of their currency', () => {
+      expect(codes('MT942', fieldsOf(...header, ['34F', 'EUR0,'], ['90D', '1EUR5,'], ['90C', '2EUR7,']))).toEqual([]);
+      expect(codes('MT942', fieldsOf(...header, ['34F', 'EUR0,'], ['90C', '2USD7,']))).toEqual(['C27']);
+      expect(codes('MT942', fieldsOf(...header, ['34F', 'EUR0,'], ['90C', '27,']))).toEqual(['C27']);
+    });
+
+    test('C3 (C23): debit/credit marks of the floor limits', () => {
+      expect(codes('MT942', fieldsOf(...header, ['34F', 'EURD100,'], ['34F', 'EURC500,']))).toEqual([]);
+      expect(codes('MT942', fieldsOf(...header, ['34F', 'EURC100,'], ['34F', 'EURD500,']))).toEqual(['C23']);
+      expect(codes('MT942', fieldsOf(...header, ['34F', 'EURD100,']))).toEqual(['C23']);
+    });
+  });
+
+  describe('MT950', () => {
+    test('C1 (C27): balances share the first two characters of their currency', () => {
+      const balances = fieldsOf(['20', 'S1'], ['25', '123'], ['28C', '1/1'], ['60F', 'C230630USD1,'], ['62F', 'C230701USN1,']);
+      const mismatch = fieldsOf(['20', 'S1'], ['25', '123'], ['28C', '1/1'], ['60F', 'C230630USD1,'], ['62F', 'C230701EUR1,']);
+
+      expect(codes('MT950', balances)).toEqual([]);
+      expect(codes('MT950', mismatch)).toEqual(['C27']);
+    });
+  });
+
+  test('should return no violations for types without rules', () => {
+    expect(validateNetworkRules('MT515', fieldsOf(['20C', ':SEME//REF']))).toEqual([]);
+  });
+
+  describe('assertNetworkRules()', () => {
+    test('should pass a valid message', () => {
+      expect(() => assertNetworkRules('MT103', mt103())).not.toThrow();
+    });
+
+    test('should throw with the violations attached', () => {
+      try {
+        assertNetworkRules('MT103', mt103(['56A', 'CCCCGB2L']));
+        throw new Error('Expected assertNetworkRules to throw');
+      } catch (error) {
+        expect(error.message).toBe('Network validation failed: C81 (MT103 C9): field 57a is mandatory when 56a is present');
+        expect(error.violations).toHaveLength(1);
+      }
+    });
+  });
+});
@@ -7,6 +7,15 @@ import SWIFTParser from '../../src/parsers/swift/base-parser.js';
 import { 
   VALID_MT103, 
   VALID_MT202, 
+  MT202_COV,
+  MT103_FULL_ENVELOPE,
+  MT103_OUTPUT,
+  MT103_PARTY_OPTIONS,
+  MT103_EXTRA_TAGS,
+  VALID_MT940,
+  VALID_MT942,
+  VALID_MT950,
+  VALID_MT548,
   INVALID_SWIFT_MISSING_HEADER, 
   INVALID_SWIFT_MISSING_REQUIRED_FIELDS 
 } from '../fixtures/swift-messages.js';
@@ -26,6 +35,66 @@ describe('SWIFTParser', () => {
     test('should initialize logger', () => {
       expect(parser).toBeDefined();
     });
+
+    test('should enable strict validation by default', () => {
+      expect(parser.config.strictValidation).toBe(true);
+      expect(new SWIFTParser({ strictValidation: false }).config.strictValidation).toBe(false);
+    });
+  });
+
+  describe('Strict validation', () => {
+    const OVERLONG_MT103 = VALID_MT103.replace(':20:123456789', ':20:REFERENCE-TOO-LONG-FOR-16X');
+
+    test('should reject field content that violates its format spec', () => {
+      expect(() => parser.parse(OVERLONG_MT103))
+        .toThrow('Invalid field format: Field 20 line 1: 26 characters, at most 16 allowed');
+    });
+
+    test('should report every violation with its tag and line number', () => {
+      const message = VALID_MT103
+        .replace(':20:123456789', ':20:/REF//1')
+        .replace('    SENDER ADDRESS', '    SENDER ADDRESS ' + 'X'.repeat(30));
+
+      try {
+        parser.parse(message);
+        throw new Error('Expected parse to fail');
+      } catch (error) {
+        expect(error.violations).toEqual([
+          expect.objectContaining({ tag: '20', line: 1 }),
+          expect.objectContaining({ tag: '50K', line: 3 })
+        ]);
+      }
+    });
+
+    test('should reject messages that break network validated rules', () => {
+      const message = VALID_MT103.replace(':71A:OUR', ':71A:BEN');
+
+      expect(() => parser.parse(message))
+        .toThrow('Network validation failed: E15 (MT103 C15): at least one 71F is mandatory when 71A is BEN');
+    });
+
+    test('should apply the STP rules when block 3 carries {119:STP}', () => {
+      expect(parser.parse(MT103_FULL_ENVELOPE).headers.userHeader.validationFlag).toBe('STP');
+
+      const message = MT103_FULL_ENVELOPE.replace(':52A:AAAAGRA0', ':52D:ORDERING BANK');
+      expect(() => parser.parse(message))
+        .toThrow('Network validation failed: (MT103 STP 52a): 52D is not allowed, 52a must use option A');
+      expect(() => parser.parse(message.replace('{119:STP}', ''))).not.toThrow();
+    });
+
+    test('should apply the REMIT rules when block 3 carries {119:REMIT}', () => {
+      const message = MT103_FULL_ENVELOPE.replace('{119:STP}', '{119:REMIT}');
+
+      expect(() => parser.parse(message)).toThrow('(MT103 REMIT 77T): field 77T is mandatory');
+      expect(() => parser.parse(message.replace(':70:INVOICE PAYMENT REF 12345', ':77T:/NARR/REMITTANCE DATA')))
+        .not.toThrow();
+    });
+
+    test('should skip format validation when strict validation is disabled', () => {
+      const lenient = new SWIFTParser({ strictValidation: false });
+
+      expect(lenient.parse(OVERLONG_MT103).transactionReference).toBe('REFERENCE-TOO-LONG-FOR-16X');
+    });
   });
 
   describe('parse() method', () => {
@@ -35,7 +104,7 @@ describe('SWIFTParser', () => {
       expect(result).toBeDefined();
       expect(result.messageType).toBe('MT103');
       expect(result.transactionReference).toBe('123456789');
-      expect(result.amount).toBe(100000);
+      expect(result.amount).toBe('1000.00');
       expect(result.currency).toBe('USD');
       expect(result.valueDate).toBe('2023-07-01');
       expect(result.sender.account).toBe('/12345678');
@@ -50,12 +119,134 @@ describe('SWIFTParser', () => {
       expect(result).toBeDefined();
       expect(result.messageType).toBe('MT202');
       expect(result.transactionReference).toBe('202123456789');
-      expect(result.amount).toBe(500000);
+      expect(result.amount).toBe('5000.00');
       expect(result.currency).toBe('USD');
       expect(result.orderingInstitution).toBe('AAAAGRA0');
       expect(result.beneficiaryInstitution).toBe('CCCCUSD0');
     });
 
+    test('should parse the time indications and receiver\'s correspondent of an MT202', () => {
+      const result = parser.parse(VALID_MT202
+        .replace(':32A:', ':13C:/CLSTIME/0915+0100\n:32A:')
+        .replace(':57A:', ':54A:DDDDUS33\n:57A:'));
+
+      expect(result.timeIndications).toEqual(['/CLSTIME/0915+0100']);
+      expect(result.parties.receiversCorrespondent).toMatchObject({ bic: 'DDDDUS33' });
+    });
+
+    test('should expose header and trailer blocks', () => {
+      const result = parser.parse(MT103_FULL_ENVELOPE);
+
+      expect(result.headers.basicHeader.sessionNumber).toBe('1234');
+      expect(result.headers.applicationHeader.messageType).toBe('103');
+      expect(result.headers.userHeader.messageUserReference).toBe('MUR20230701');
+      expect(result.headers.trailer.messageAuthenticationCode).toBe('00000000');
+    });
+
+    test('should parse an output-direction MT103', () => {
+      const result = parser.parse(MT103_OUTPUT);
+
+      expect(result.messageType).toBe('MT103');
+      expect(result.direction).toBe('output');
+      expect(result.headers.applicationHeader.senderBic).toBe('AAAAGRA0XXX');
+      expect(result.headers.applicationHeader.mir.sequenceNumber).toBe('123456');
+    });
+
+    test('should flag input-direction messages', () => {
+      expect(parser.parse(VALID_MT103).direction).toBe('input');
+    });
+
+    test('should resolve parties sent with other field options', () => {
+      const result = parser.parse(MT103_PARTY_OPTIONS);
+
+      expect(result.sender).toMatchObject({ option: 'F', type: 'structured', partyIdentifier: '/DE89370400440532013000' });
+      expect(result.sender).toMatchObject({ name: 'JOHN SMITH', addressLines: ['1 MAIN STREET'], country: 'DE', town: 'BERLIN' });
+      expect(result.receiver).toMatchObject({ option: 'A', type: 'bic', account: '/GB29NWBK60161331926819', bic: 'NWBKGB2L' });
+      expect(result.parties.orderingInstitution).toMatchObject({ option: 'D', name: 'ORDERING BANK' });
+      expect(result.parties.accountWithInstitution).toMatchObject({ option: 'D', name: 'BENEFICIARY BANK' });
+      expect(result.parties.sendersCorrespondent).toMatchObject({ option: 'B', location: 'LONDON' });
+      expect(result.orderingInstitution).toBe('ORDERING BANK');
+      expect(result.beneficiaryInstitution).toBe('BENEFICIARY BANK');
+    });
+
+    test('should keep a party sent with an unsupported option and warn about it', () => {
+      const result = parser.parse(MT103_PARTY_OPTIONS.replace(':57D:BENEFICIARY BANK', ':57E:BENEFICIARY BANK'));
+
+      expect(result.parties.accountWithInstitution).toEqual({
+        option: 'E',
+        type: 'unsupported',
+        account: null,
+        raw: 'BENEFICIARY BANK\nLONDON'
+      });
+      expect(result.warnings).toEqual([
+        { type: 'unrecognized_tag', tag: '57E', message: 'Unrecognized tag 57E for MT103' },
+        { type: 'missing_uetr', tag: '121', message: 'Field 121 is mandatory on an MT103' }
+      ]);
+    });
+
+    test('should keep standard MT103 tags beyond the mandatory ones', () => {
+      const result = parser.parse(MT103_EXTRA_TAGS);
+
+      expect(result.originalFields['33B'].name).toBe('currency_instructed_amount');
+      expect(result.originalFields['36'].content).toBe('0,9090909');
+      expect(result.originalFields['71F'].name).toBe('senders_charges');
+      expect(result.originalFields['77B'].name).toBe('regulatory_reporting');
+      expect(result.originalFields['13C'].name).toBe('time_indication');
+    });
+
+    test('should parse instructed amount and charges as exact decimals', () => {
+      const result = parser.parse(MT103_EXTRA_TAGS);
+
+      expect(result.instructedAmount).toEqual({ currency: 'USD', amount: '1100.00' });
+      expect(result.sendersCharges).toEqual([{ currency: 'EUR', amount: '10.00' }]);
+      expect(result.receiversCharges).toBeNull();
+    });
+
+    test('should parse the optional MT103 fields into standardized properties', () => {
+      const result = parser.parse(MT103_EXTRA_TAGS);
+
+      expect(result).toMatchObject({
+        timeIndications: ['/SNDTIME/1249+0200'],
+        instructionCodes: [],
+        transactionTypeCode: null,
+        exchangeRate: '0.9090909',
+        senderToReceiverInfo: null,
+        regulatoryReporting: '/ORDERRES/DE//REGULATORY',
+        envelopeContents: null
+      });
+      expect(result.parties).toMatchObject({
+        sendingInstitution: null,
+        receiversCorrespondent: null,
+        thirdReimbursementInstitution: null
+      });
+    });
+
+    test('should parse receiver charges', () => {
+      const message = MT103_EXTRA_TAGS.replace(':71A:SHA\n:71F:EUR10,00', ':71A:OUR\n:71G:EUR5,');
+      const result = parser.parse(message);
+
+      expect(result.receiversCharges).toEqual({ currency: 'EUR', amount: '5.00' });
+    });
+
+    test('should keep unrecognized tags and warn about them', () => {
+      const result = parser.parse(MT103_EXTRA_TAGS);
+
+      expect(result.originalFields['99X']).toMatchObject({ tag: '99X', name: null, option: 'X', content: 'UNDOCUMENTED' });
+      expect(result.warnings).toEqual([
+        { type: 'unrecognized_tag', tag: '99X', message: 'Unrecognized tag 99X for MT103' },
+        { type: 'missing_uetr', tag: '121', message: 'Field 121 is mandatory on an MT103' }
+      ]);
+    });
+
+    test('should report no warnings when every tag is known and the UETR is given', () => {
+      const withUETR = VALID_MT103.replace('{4:', '{3:{121:eb6305c9-1f7f-49de-aed0-16487c27b42d}}{4:');
+
+      expect(parser.parse(withUETR).warnings).toEqual([]);
+      expect(parser.parse(VALID_MT103).warnings).toEqual([
+        { type: 'missing_uetr', tag: '121', message: 'Field 121 is mandatory on an MT103' }
+      ]);
+    });
+
     test('should throw error for null message', () => {
       expect(() => parser.parse(null)).toThrow('Invalid message format: message must be a non-empty string');
     });
@@ -93,6 +284,15 @@ describe('SWIFTParser', () => {
       expect(messageType).toBe('MT202');
     });
 
+    test('should extract message type from an output header', () => {
+      expect(parser.extractMessageType(MT103_OUTPUT)).toBe('MT103');
+    });
+
+    test('should throw error when block 2 is missing', () => {
+      expect(() => parser.extractMessageType('{1:F01AAAAGRA0AXXX1234123456}{4::20:1-}'))
+        .toThrow('Invalid SWIFT message format: missing application header');
+    });
+
     test('should throw error for invalid header format', () => {
       expect(() => parser.extractMessageType('invalid message')).toThrow('Invalid SWIFT message format: missing application header');
     });
@@ -107,6 +307,8 @@ describe('SWIFTParser', () => {
       expect(fields['32A']).toBeDefined();
       expect(fields['50K']).toBeDefined();
       expect(fields['59']).toBeDefined();
+      expect(fields['50K'].option).toBe('K');
+      expect(fields['59'].option).toBe('');
     });
 
     test('should throw error for message without text block', () => {
@@ -114,18 +316,103 @@ describe('SWIFTParser', () => {
       expect(() => parser.parseFields(invalidMessage, 'MT103')).toThrow('Invalid SWIFT message format: missing text block');
     });
 
+    test('should reject text before the first field', () => {
+      const invalidMessage = '{1:F01AAAAGRA0AXXX1234123456}{2:I103BBBBGRB0XXXXN}{4:\njunk\n:20:REF\n-}';
+      expect(() => parser.parseFields(invalidMessage, 'MT103'))
+        .toThrow('Invalid SWIFT message format: unexpected content in text block at offset 54');
+    });
+
+    test('should record field offsets in the original message', () => {
+      const fieldList = parser.parseFieldList(VALID_MT103, 'MT103');
+      const { start, end } = fieldList[0].offset;
+
+      expect(VALID_MT103.substring(start, end)).toBe(':20:123456789');
+    });
+
+    test('should not include the block 4 terminator in the last field', () => {
+      const fields = parser.parseFields(VALID_MT103, 'MT103');
+      expect(fields['71A'].content).toBe('OUR');
+    });
+
     test('should throw error for message without valid fields', () => {
       const invalidMessage = '{1:F01AAAAGRA0AXXX1234123456}{2:I103BBBBGRB0XXXXN}{4:invalid-}';
       expect(() => parser.parseFields(invalidMessage, 'MT103')).toThrow('No valid fields found in message');
     });
   });
 
+  describe('findUnrecognizedTags() method', () => {
+    test('should list each unrecognized tag once', () => {
+      const fieldList = [
+        { tag: '20', name: 'transaction_reference' },
+        { tag: '98', name: null },
+        { tag: '98', name: null }
+      ];
+
+      expect(parser.findUnrecognizedTags(fieldList, 'MT202').map(warning => warning.tag)).toEqual(['98']);
+    });
+  });
+
+  describe('findInvalidIBANs() method', () => {
+    test('should check the account line of party fields', () => {
+      const fieldList = [
+        { tag: '50K', content: '/DE89123456789012345678\nJOHN DOE' },
+        { tag: '52A', content: '/D/GB29NWBK60161331926819\nAAAAGRA0' },
+        { tag: '57A', content: 'BBBBGRB0' },
+        { tag: '59', content: '/12345678\nJANE DOE' },
+        { tag: '70', content: '/DE89123456789012345678' }
+      ];
+
+      expect(parser.findInvalidIBANs(fieldList)).toEqual([{
+        type: 'invalid_iban',
+        field: '50K',
+        iban: 'DE89123456789012345678',
+        message: 'Invalid IBAN DE89123456789012345678 in 50K: check digits do not match'
+      }]);
+    });
+
+    test('should flag invalid IBANs in the parse warnings', () => {
+      const result = parser.parse(MT103_PARTY_OPTIONS.replace('/GB29NWBK60161331926819', '/GB29NWBK60161331926818'));
+
+      expect(result.warnings).toEqual([
+        expect.objectContaining({ type: 'invalid_iban', field: '59A' }),
+        expect.objectContaining({ type: 'missing_uetr' })
+      ]);
+    });
+  });
+
   describe('validateRequiredFields() method', () => {
     test('should pass validation for MT103 with all required fields', () => {
       const fields = parser.parseFields(VALID_MT103, 'MT103');
       expect(() => parser.validateRequiredFields(fields, 'MT103')).not.toThrow();
     });
 
+    test('should accept any option of a required party field', () => {
+      const fields = parser.parseFields(MT103_PARTY_OPTIONS, 'MT103');
+      expect(() => parser.validateRequiredFields(fields, 'MT103')).not.toThrow();
+    });
+
+    test('should require the balances of an MT940 and the floor limit of an MT942', () => {
+      const mt940 = parser.indexFields(parser.parseFieldList(VALID_MT940, 'MT940'));
+      const mt942 = parser.indexFields(parser.parseFieldList(VALID_MT942, 'MT942'));
+      const { '62F': closing, ...withoutClosing } = mt940;
+      const { '13D': dateTime, ...withoutDateTime } = mt942;
+
+      expect(closing).toBeDefined();
+      expect(dateTime).toBeDefined();
+      expect(() => parser.validateRequiredFields(mt940, 'MT940')).not.toThrow();
+      expect(() => parser.validateRequiredFields(mt942, 'MT942')).not.toThrow();
+      expect(() => parser.validateRequiredFields(withoutClosing, 'MT940')).toThrow('Missing required field: 62a for MT940');
+      expect(() => parser.validateRequiredFields(withoutDateTime, 'MT942')).toThrow('Missing required field: 13D for MT942');
+    });
+
+    test('should require the related reference of an MT202 but not its ordering institution', () => {
+      const withoutOrderingInstitution = VALID_MT202.replace(':52A:AAAAGRA0\n', '');
+      const withoutRelatedReference = VALID_MT202.replace(':21:REL987654321\n', '');
+
+      expect(parser.parse(withoutOrderingInstitution).orderingInstitution).toBeNull();
+      expect(() => parser.parse(withoutRelatedReference)).toThrow('Missing required field: 21 for MT202');
+    });
+
     test('should fail validation for MT103 missing required field', () => {
       const fields = { '20': { content: '123' } }; // Missing other required fields
       expect(() => parser.validateRequiredFields(fields, 'MT103')).toThrow(/Missing required field/);
@@ -134,20 +421,24 @@ describe('SWIFTParser', () => {
 
   describe('parseAmountField() method', () => {
     test('should parse valid amount field', () => {
-      const result = parser.parseAmountField('230701USD100000');
+      const result = parser.parseAmountField('230701USD100000,');
       
       expect(result.valueDate).toBe('2023-07-01');
       expect(result.currency).toBe('USD');
-      expect(result.amount).toBe(100000);
+      expect(result.amount).toBe('100000.00');
     });
 
-    test('should parse amount with commas', () => {
-      const result = parser.parseAmountField('230701EUR10000.50');
+    test('should treat the comma as the decimal separator', () => {
+      const result = parser.parseAmountField('230701EUR10000,5');
       
-      expect(result.amount).toBe(10000.5);
+      expect(result.amount).toBe('10000.50');
       expect(result.currency).toBe('EUR');
     });
 
+    test('should reject a dot as decimal separator', () => {
+      expect(() => parser.parseAmountField('230701EUR10000.50')).toThrow('Invalid amount field format: 230701EUR10000.50');
+    });
+
     test('should throw error for invalid amount format', () => {
       expect(() => parser.parseAmountField('invalid')).toThrow('Invalid amount field format: invalid');
     });
@@ -173,6 +464,20 @@ describe('SWIFTParser', () => {
       expect(result.account).toBe('/12345678');
       expect(result.name).toBeNull();
     });
+
+    test('should not read the name as an account when there is no account line', () => {
+      const result = parser.parseCustomerInfo('CUSTOMER NAME\nADDRESS LINE 1\nADDRESS LINE 2');
+
+      expect(result.account).toBeNull();
+      expect(result.name).toBe('CUSTOMER NAME');
+      expect(result.addressLines).toEqual(['ADDRESS LINE 1', 'ADDRESS LINE 2']);
+    });
+
+    test('should parse structured option F', () => {
+      const result = parser.parseCustomerInfo('/12345678\n1/CUSTOMER NAME\n2/MAIN STREET 1\n3/US/NEW YORK', 'F');
+
+      expect(result).toMatchObject({ account: '/12345678', name: 'CUSTOMER NAME', country: 'US', town: 'NEW YORK' });
+    });
   });
 
   describe('validateBIC() method', () => {
@@ -232,6 +537,28 @@ describe('SWIFTParser', () => {
     });
   });
 
+  describe('serialize() method', () => {
+    test('should convert parsed message back to FIN text', () => {
+      const result = parser.parse(VALID_MT202);
+      const fin = parser.serialize(result);
+
+      expect(fin.endsWith('\r\n:72:/BNF/BENEFICIARY DETAILS\r\n-}')).toBe(true);
+      expect(parser.parse(fin)).toMatchObject({
+        transactionReference: '202123456789',
+        relatedReference: 'REL987654321',
+        amount: '5000.00'
+      });
+    });
+
+    test('should keep the bank operation code, charges and related reference', () => {
+      const fields = { 20: { tag: '20', content: 'REF1' } };
+
+      expect(parser.parse(VALID_MT103)).toMatchObject({ bankOperationCode: 'CRED', detailsOfCharges: 'OUR' });
+      expect(parser.createStandardizedMessage(fields, 'MT103')).toMatchObject({ bankOperationCode: null, detailsOfCharges: null });
+      expect(parser.createStandardizedMessage(fields, 'MT202').relatedReference).toBeNull();
+    });
+  });
+
   describe('createStandardizedMessage() method', () => {
     test('should create message with UUID', () => {
       const fields = parser.parseFields(VALID_MT103, 'MT103');
@@ -256,17 +583,176 @@ describe('SWIFTParser', () => {
       
       expect(message.status).toBe('parsed');
     });
+
+    test('should include the parsed statement for MT950', () => {
+      const fieldList = parser.parseFieldList(VALID_MT950, 'MT950');
+      const message = parser.createStandardizedMessage(parser.indexFields(fieldList), 'MT950', null, fieldList);
+
+      expect(message.currency).toBe('USD');
+      expect(message.statement.openingBalance.amount).toBe('10000.00');
+      expect(message.statement.statementLines).toHaveLength(3);
+      expect(message.statement.statementLines[1]).toMatchObject({
+        mark: 'C',
+        amount: '1200.50',
+        information: { format: 'text', remittanceInformation: 'INCOMING WIRE' }
+      });
+    });
+
+    test('should take the MT515 amount from the settlement amount, else the first amount', () => {
+      const standardize = fieldList => parser.createStandardizedMessage(parser.indexFields(fieldList), 'MT515', null, fieldList);
+      const fieldList = [
+        { tag: '20C', name: 'reference', option: '', content: ':SEME//REF1' },
+        { tag: '19A', name: 'amount', option: '', content: ':ACRU//EUR5,' },
+        { tag: '19A', name: 'amount', option: '', content: ':SETT//EUR100,' }
+      ];
+
+      expect(standardize(fieldList)).toMatchObject({ transactionReference: 'REF1', amount: '100.00', currency: 'EUR' });
+      expect(standardize(fieldList.slice(0, 2))).toMatchObject({ amount: '5.00', currency: 'EUR' });
+      expect(standardize(fieldList.slice(0, 1)).amount).toBeUndefined();
+    });
+
+    test('should include the settlement of the MT540-MT548 family', () => {
+      const fieldList = parser.parseFieldList(VALID_MT548, 'MT548');
+      const message = parser.createStandardizedMessage(parser.indexFields(fieldList), 'MT548', null, fieldList);
+
+      expect(message).toMatchObject({ transactionReference: 'STATUS001', warnings: [] });
+      expect(message.amount).toBeUndefined();
+      expect(message.settlement.statuses).toHaveLength(1);
+      expect(message.tradeConfirmation).toBeUndefined();
+    });
+
+    test('should require a reference and function for category 5 messages', () => {
+      expect(parser.getRequiredFields('MT543')).toEqual(['20C', '23G']);
+    });
+
+    test('should only add the common properties for types without specific content', () => {
+      const fieldList = [{ tag: '20', name: null, option: '', content: 'REF1' }];
+      const message = parser.createStandardizedMessage(parser.indexFields(fieldList), 'MT199', null, fieldList);
+
+      expect(message.transactionReference).toBe('REF1');
+      expect(message.parties).toBeUndefined();
+      expect(message.warnings).toEqual([{ type: 'unrecognized_tag', tag: '20', message: 'Unrecognized tag 20 for MT199' }]);
+    });
+
+    test('should include the parsed statement for MT940', () => {
+      const fieldList = parser.parseFieldList(VALID_MT940, 'MT940');
+      const message = parser.createStandardizedMessage(parser.indexFields(fieldList), 'MT940', null, fieldList);
+
+      expect(message.currency).toBe('EUR');
+      expect(message.warnings).toEqual([]);
+      expect(message.statement.closingBalance.amount).toBe('25987.50');
+      expect(message.statement.statementLines.map(line => line.information.endToEndReference))
+        .toEqual(['E2E-REF-1', 'E2E-REF-2', null]);
+      expect(message.statement.information.remittanceInformation).toBe('STATEMENT FOR JULY');
+    });
+
+    test('should include the floor limits and totals for MT942', () => {
+      const fieldList = parser.parseFieldList(VALID_MT942, 'MT942');
+      const message = parser.createStandardizedMessage(parser.indexFields(fieldList), 'MT942', null, fieldList);
+
+      expect(message.currency).toBe('EUR');
+      expect(message.warnings).toEqual([]);
+      expect(message.statement).toMatchObject({
+        accountIdentification: 'DE89370400440532013000\nAAAAGRA0',
+        dateTimeIndication: '2023-07-01T12:30:00+02:00',
+        debitEntries: { count: 1, currency: 'EUR', amount: '200.00' },
+        creditEntries: { count: 1, currency: 'EUR', amount: '750.00' }
+      });
+      expect(message.statement.floorLimits.map(limit => limit.mark)).toEqual(['D', 'C']);
+      expect(message.statement.statementLines).toHaveLength(2);
+    });
+  });
+
+  describe('MT202 COV', () => {
+    const UETR = 'eb6305c9-1f7f-49de-aed0-16487c27b42d';
+
+    test('should keep the institutions of the cover in sequence A', () => {
+      const result = parser.parse(MT202_COV);
+
+      expect(result.cover).toBe(true);
+      expect(result.sequences.sequenceA.map(field => field.tag)).toEqual(['20', '21', '32A', '52A', '56A', '57A', '58A']);
+      expect(result.orderingInstitution).toBe('AAAAGRA0');
+      expect(result.beneficiaryInstitution).toBe('EEEEUS33');
+      expect(result.parties.accountWithInstitution.bic).toBe('CCCCUS33');
+      expect(result.senderToReceiverInfo).toBeUndefined();
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should read sequence B as the standardized MT103 it covers', () => {
+      const { underlyingCustomerCreditTransfer: transfer } = parser.parse(MT202_COV);
+
+      expect(transfer).toMatchObject({
+        messageType: 'MT103',
+        transactionReference: 'CUST20230701001',
+        uetr: UETR,
+        amount: '5000.00',
+        currency: 'USD',
+        valueDate: '2023-07-01',
+        orderingInstitution: 'FFFFDEFF',
+        beneficiaryInstitution: 'EEEEUS33',
+        remittanceInfo: '/INV/2023-001',
+        instructedAmount: { currency: 'EUR', amount: '4600.00' },
+        warnings: []
+      });
+      expect(transfer.sender).toMatchObject({ account: '/DE89370400440532013000', name: 'JOHN SMITH' });
+      expect(transfer.receiver).toMatchObject({ account: '/123456789', name: 'JANE DOE' });
+      expect(transfer.parties.intermediaryInstitution).toBeNull();
+      expect(transfer.fieldList.map(field => [field.tag, field.name])).toEqual([
+        ['50K', 'ordering_customer'],
+        ['52A', 'ordering_institution'],
+        ['57A', 'account_with_institution'],
+        ['59', 'beneficiary_customer'],
+        ['70', 'remittance_information'],
+        ['72', 'sender_to_receiver_information'],
+        ['33B', 'currency_instructed_amount']
+      ]);
+    });
+
+    test('should leave a plain MT202 without an underlying customer credit transfer', () => {
+      const result = parser.parse(VALID_MT202);
+
+      expect(result.cover).toBe(false);
+      expect(result.sequences.sequenceB).toEqual([]);
+      expect(result.underlyingCustomerCreditTransfer).toBeNull();
+      expect(result.senderToReceiverInfo).toBe('/BNF/BENEFICIARY DETAILS');
+    });
+
+    test('should check sequence B against the MT103 field formats', () => {
+      const message = MT202_COV.replace(':70:/INV/2023-001', ':70:1\n2\n3\n4\n5');
+
+      expect(() => parser.parse(message)).toThrow('Invalid field format: Field 70 line 5: 5 lines, at most 4 allowed');
+    });
+
+    test('should apply the COV network rules', () => {
+      const withoutBeneficiary = MT202_COV.replace(':59:/123456789\nJANE DOE\nNEW YORK\n', '');
+
+      expect(() => parser.parse(withoutBeneficiary)).toThrow('(MT202 COV 59a): field 59a is mandatory in sequence B');
+      expect(() => parser.parse(VALID_MT202.replace('{4:', '{3:{119:COV}}{4:')))
+        .toThrow('(MT202 COV 50a): sequence B with the ordering customer 50a is mandatory');
+    });
+
+    test('should warn about sequence B without the COV validation flag', () => {
+      const result = parser.parse(MT202_COV.replace('{119:COV}', ''));
+
+      expect(result.cover).toBe(false);
+      expect(result.underlyingCustomerCreditTransfer.transactionReference).toBe('CUST20230701001');
+      expect(result.warnings).toEqual([{
+        type: 'missing_cover_flag',
+        tag: '119',
+        message: 'Sequence B is only allowed in an MT202 COV: field 119 of block 3 must be COV'
+      }]);
+    });
   });
 
   describe('getRequiredFields() method', () => {
     test('should return required fields for MT103', () => {
       const required = parser.getRequiredFields('MT103');
-      expect(required).toEqual(['20', '32A', '50K', '59']);
+      expect(required).toEqual(['20', '32A', '50a', '59a']);
     });
 
     test('should return required fields for MT202', () => {
       const required = parser.getRequiredFields('MT202');
-      expect(required).toEqual(['20', '32A', '52A', '58A']);
+      expect(required).toEqual(['20', '21', '32A', '58a']);
     });
 
     test('should return empty array for unknown message type', () => {
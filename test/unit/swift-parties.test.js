@@ -0,0 +1,179 @@
+/**
+ * Unit tests for SWIFT party field parsing
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { parseParty, institutionIdentifier } from '../../src/parsers/swift/parties.js';
+
+describe('SWIFT party parsing', () => {
+  describe('parseParty()', () => {
+    test('should parse option A into a BIC', () => {
+      expect(parseParty('A', 'AAAAGRA0')).toEqual({
+        option: 'A',
+        type: 'bic',
+        account: null,
+        bic: 'AAAAGRA0',
+        raw: 'AAAAGRA0'
+      });
+    });
+
+    test('should parse option A with a party identifier', () => {
+      const party = parseParty('A', '/C/12345\nAAAAGRA0XXX');
+      expect(party.account).toBe('/C/12345');
+      expect(party.bic).toBe('AAAAGRA0XXX');
+    });
+
+    test('should parse option B into a location', () => {
+      expect(parseParty('B', '/12345\nLONDON')).toMatchObject({ type: 'location', account: '/12345', location: 'LONDON' });
+    });
+
+    test('should parse option B without location', () => {
+      expect(parseParty('B', '/12345').location).toBeNull();
+    });
+
+    test('should parse option C into an account', () => {
+      expect(parseParty('C', '/CP1234')).toMatchObject({ type: 'account', account: '/CP1234' });
+    });
+
+    test('should parse option D into name and address', () => {
+      expect(parseParty('D', '/12345\nBANK NAME\nSTREET 1\nCITY')).toMatchObject({
+        type: 'name_address',
+        account: '/12345',
+        name: 'BANK NAME',
+        address: 'STREET 1, CITY'
+      });
+    });
+
+    test('should parse option K without an account line', () => {
+      expect(parseParty('K', 'JOHN SMITH')).toMatchObject({ account: null, name: 'JOHN SMITH', address: null });
+    });
+
+    test('should return free-format address lines without a country', () => {
+      expect(parseParty('K', '/12345\nJOHN SMITH\n1 MAIN STREET\nLONDON')).toMatchObject({
+        addressLines: ['1 MAIN STREET', 'LONDON'],
+        country: null,
+        identifiers: []
+      });
+    });
+
+    test('should parse option D without a name', () => {
+      expect(parseParty('D', '/12345').name).toBeNull();
+    });
+
+    test('should parse option A without a BIC line', () => {
+      expect(parseParty('A', '/12345').bic).toBeNull();
+    });
+
+    test('should parse option F into numbered lines', () => {
+      expect(parseParty('F', '/DE89370400440532013000\n1/JOHN SMITH\nFREE TEXT')).toMatchObject({
+        type: 'structured',
+        partyIdentifier: '/DE89370400440532013000',
+        lines: [{ code: '1', text: 'JOHN SMITH' }, { code: null, text: 'FREE TEXT' }]
+      });
+    });
+
+    test('should parse the numbered lines of option F into party details', () => {
+      const content = [
+        '/DE89370400440532013000',
+        '1/JOHN',
+        '1/SMITH',
+        '2/1 MAIN STREET',
+        '2/APARTMENT 4',
+        '3/DE/BERLIN',
+        '3/MITTE',
+        '4/19700131',
+        '5/DE/HAMBURG'
+      ].join('\n');
+
+      expect(parseParty('F', content)).toMatchObject({
+        account: '/DE89370400440532013000',
+        name: 'JOHN SMITH',
+        address: '1 MAIN STREET, APARTMENT 4',
+        addressLines: ['1 MAIN STREET', 'APARTMENT 4'],
+        country: 'DE',
+        town: 'BERLIN MITTE',
+        dateOfBirth: '1970-01-31',
+        placeOfBirth: { country: 'DE', town: 'HAMBURG' },
+        identifiers: []
+      });
+    });
+
+    test('should parse customer and national identifiers of option F', () => {
+      const content = ['/12345', '1/JOHN SMITH', '6/DE/BANKX/CUST', '8/001', '7/DE/L01X00T47', '8/11'].join('\n');
+
+      expect(parseParty('F', content).identifiers).toEqual([
+        { type: 'customer_identification', country: 'DE', issuer: 'BANKX', value: 'CUST001' },
+        { type: 'national_identity_number', country: 'DE', issuer: null, value: 'L01X00T4711' }
+      ]);
+    });
+
+    test('should read a coded party identifier of option F', () => {
+      expect(parseParty('F', 'NIDN/DE/121231234342\n1/JOHN SMITH').identifiers).toEqual([
+        { type: 'NIDN', country: 'DE', issuer: null, value: '121231234342' }
+      ]);
+      expect(parseParty('F', 'CUST/DE/ABC BANK/123456789/8-123456\n1/JOHN SMITH')).toMatchObject({
+        account: null,
+        identifiers: [{ type: 'CUST', country: 'DE', issuer: 'ABC BANK', value: '123456789/8-123456' }]
+      });
+    });
+
+    test('should tolerate malformed option F details', () => {
+      const party = parseParty('F', 'UNKNOWN IDENTIFIER\n3/BERLIN\n4/1970\n6/DE\n8/X\n8/Y');
+
+      expect(party).toMatchObject({ account: null, country: null, town: 'BERLIN', dateOfBirth: '1970' });
+      expect(party.identifiers).toEqual([
+        { type: 'customer_identification', country: 'DE', issuer: null, value: 'XY' }
+      ]);
+    });
+
+    test('should ignore continuation lines without a preceding identifier', () => {
+      expect(parseParty('F', '/1\n1/NAME\n8/ORPHAN').identifiers).toEqual([]);
+    });
+
+    test('should read a country without a town', () => {
+      expect(parseParty('F', '/1\n1/NAME\n3/DE')).toMatchObject({ country: 'DE', town: null });
+      expect(parseParty('F', '/1\n1/NAME\n3/DE\n3/BERLIN')).toMatchObject({ country: 'DE', town: 'BERLIN' });
+    });
+
+    test('should parse option F without any lines', () => {
+      expect(parseParty('F', '\n')).toMatchObject({ partyIdentifier: null, lines: [] });
+    });
+
+    test('should parse the MT101 options G, H and L', () => {
+      expect(parseParty('G', '/12345\nAAAAGRA0')).toMatchObject({ type: 'bic', account: '/12345', bic: 'AAAAGRA0' });
+      expect(parseParty('H', '/12345\nACME CORP\nATHENS')).toMatchObject({
+        type: 'name_address',
+        account: '/12345',
+        name: 'ACME CORP',
+        address: 'ATHENS'
+      });
+      expect(parseParty('L', 'PARTY-ID-7')).toEqual({ option: 'L', type: 'identifier', identifier: 'PARTY-ID-7', raw: 'PARTY-ID-7' });
+      expect(parseParty('L', ' ').identifier).toBeNull();
+    });
+
+    test('should return null for empty content', () => {
+      expect(parseParty('A', '')).toBeNull();
+    });
+
+    test('should keep the raw content of unsupported options', () => {
+      expect(parseParty('E', 'NEW YORK')).toEqual({ option: 'E', type: 'unsupported', account: null, raw: 'NEW YORK' });
+    });
+  });
+
+  describe('institutionIdentifier()', () => {
+    test('should prefer the BIC', () => {
+      expect(institutionIdentifier(parseParty('A', '/1\nAAAAGRA0'))).toBe('AAAAGRA0');
+    });
+
+    test('should fall back to location, name and account', () => {
+      expect(institutionIdentifier(parseParty('B', 'LONDON'))).toBe('LONDON');
+      expect(institutionIdentifier(parseParty('D', 'BANK'))).toBe('BANK');
+      expect(institutionIdentifier(parseParty('C', '/CP1'))).toBe('/CP1');
+    });
+
+    test('should return null when nothing identifies the party', () => {
+      expect(institutionIdentifier(null)).toBeNull();
+      expect(institutionIdentifier(parseParty('C', '\n'))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for SWIFT MT798 proprietary message parsing
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  embeddedMessageType,
+  foldEnvelopeContents,
+  parseEmbeddedFieldList,
+  parseProprietaryMessage
+} from '../../src/parsers/swift/proprietary.js';
+import { tokenizeFIN } from '../../src/parsers/swift/fin-tokenizer.js';
+import { VALID_MT798, VALID_MT798_DETAILS } from '../fixtures/swift-messages.js';
+
+const envelope = (subMessageType, contents) => [
+  { tag: '20', content: 'FAREF' },
+  { tag: '12', content: subMessageType },
+  { tag: '77E', content: contents }
+];
+
+describe('SWIFT proprietary messages', () => {
+  describe('embeddedMessageType()', () => {
+    test('should key the sub-message dictionary by its type', () => {
+      expect(embeddedMessageType('770')).toBe('MT798<770>');
+    });
+  });
+
+  describe('foldEnvelopeContents()', () => {
+    test('should fold the fields after 77E into its content', () => {
+      const textBlock = tokenizeFIN(VALID_MT798_DETAILS).blocks['4'];
+      const fields = foldEnvelopeContents(textBlock);
+
+      expect(fields.map(field => field.tag)).toEqual(['20', '12', '77E']);
+      expect(fields[2].content.startsWith(':27A:2/2\n:21A:CUSTREF001\n:40A:IRREVOCABLE')).toBe(true);
+      expect(fields[2].content.endsWith(':49:WITHOUT')).toBe(true);
+      expect(fields[2].end).toBe(textBlock.fields[textBlock.fields.length - 1].end);
+    });
+
+    test('should drop carriage returns from the folded content', () => {
+      const textBlock = tokenizeFIN(VALID_MT798.replace(/\n/g, '\r\n')).blocks['4'];
+
+      expect(foldEnvelopeContents(textBlock)[2].content).not.toContain('\r');
+    });
+
+    test('should keep the fields of an envelope with nothing after 77E', () => {
+      const textBlock = { fields: [{ tag: '20' }, { tag: '77E' }], content: '', contentStart: 0 };
+      const withoutEnvelope = { fields: [{ tag: '20' }], content: '', contentStart: 0 };
+
+      expect(foldEnvelopeContents(textBlock)).toBe(textBlock.fields);
+      expect(foldEnvelopeContents(withoutEnvelope)).toBe(withoutEnvelope.fields);
+    });
+  });
+
+  describe('parseEmbeddedFieldList()', () => {
+    test('should read embedded fields with the sub-message dictionary', () => {
+      const embedded = parseEmbeddedFieldList(envelope('770', ':27A:1/1\n:21A:REF\n:99Z:EXTRA'));
+
+      expect(embedded.messageType).toBe('MT798<770>');
+      expect(embedded.fieldList).toEqual([
+        { tag: '27A', name: 'message_index_total', option: 'A', content: '1/1', offset: { start: 0, end: 8 } },
+        { tag: '21A', name: 'customer_reference_number', option: 'A', content: 'REF', offset: { start: 9, end: 17 } },
+        { tag: '99Z', name: null, option: 'Z', content: 'EXTRA', offset: { start: 18, end: 28 } }
+      ]);
+    });
+
+    test('should reject 77E content that is not a field list', () => {
+      expect(() => parseEmbeddedFieldList(envelope('770', 'FREE TEXT\n:27A:1/1')))
+        .toThrow('Invalid MT798 envelope: unexpected content in field 77E at offset 0');
+    });
+
+    test('should read an envelope without 77E as empty', () => {
+      expect(parseEmbeddedFieldList([{ tag: '12', content: '770' }]).fieldList).toEqual([]);
+    });
+  });
+
+  describe('parseProprietaryMessage()', () => {
+    test('should parse the index of a notification of issuance', () => {
+      const message = parseProprietaryMessage(envelope('774', [
+        ':27A:1/1',
+        ':21A:CUSTREF',
+        ':21P:BANKREF',
+        ':20:LC230701',
+        ':31C:230701',
+        ':52A:AAAAGRA0',
+        ':29B:TRADE DESK',
+        ':72Z:PLEASE CHECK',
+        'THE ATTACHED TERMS'
+      ].join('\n')));
+
+      expect(message).toMatchObject({
+        reference: 'FAREF',
+        subMessageType: '774',
+        subMessageName: 'Notification of Issuance of Documentary Credit'
+      });
+      expect(message.embeddedMessage).toMatchObject({
+        customerReference: 'CUSTREF',
+        warnings: [],
+        index: {
+          bankReference: 'BANKREF',
+          bankContact: 'TRADE DESK',
+          documentaryCreditNumber: 'LC230701',
+          creationDateTime: null,
+          bank: { bic: 'AAAAGRA0' },
+          instructions: ['PLEASE CHECK', 'THE ATTACHED TERMS']
+        }
+      });
+    });
+
+    test('should reject a malformed creation date and time', () => {
+      expect(() => parseProprietaryMessage(envelope('770', ':27A:1/1\n:21A:REF\n:13E:2023070115')))
+        .toThrow('Invalid creation date and time format: 2023070115');
+    });
+
+    test('should parse an index without a bank', () => {
+      const { embeddedMessage } = parseProprietaryMessage(envelope('784', ':27A:1/2\n:21A:GTEEREF'));
+
+      expect(embeddedMessage).toMatchObject({ page: { index: 1, total: 2 }, index: { bank: null } });
+    });
+
+    test('should parse the embedded extension and guarantee details', () => {
+      const extension = parseProprietaryMessage(envelope('701', ':27A:3/3\n:21A:CUSTREF\n:20:LC1\n:45B:MORE GOODS'));
+      const guarantee = parseProprietaryMessage(envelope('760', [
+        ':27A:2/2',
+        ':21A:CUSTREF',
+        ':15A:',
+        ':22A:ISSU',
+        ':15B:',
+        ':20:GTEE1',
+        ':32B:EUR1000,'
+      ].join('\n')));
+
+      expect(extension.embeddedMessage.creditContinuation).toMatchObject({ number: 'LC1', descriptionOfGoods: ['MORE GOODS'] });
+      expect(guarantee.embeddedMessage.guarantee).toMatchObject({
+        purpose: 'ISSU',
+        undertaking: { number: 'GTEE1', currency: 'EUR', amount: '1000.00' }
+      });
+    });
+
+    test('should leave a missing reference and page empty', () => {
+      const message = parseProprietaryMessage([{ tag: '12', content: '770' }, { tag: '77E', content: ':21A:REF' }]);
+
+      expect(message.reference).toBeNull();
+      expect(message.embeddedMessage).toMatchObject({ page: null, customerReference: 'REF' });
+    });
+
+    test('should warn about unrecognized tags of a known sub-message', () => {
+      const { embeddedMessage } = parseProprietaryMessage(envelope('770', ':27A:1/1\n:99Z:A\n:99Z:B'));
+
+      expect(embeddedMessage.warnings).toEqual([
+        { type: 'unrecognized_tag', tag: '99Z', message: 'Unrecognized tag 99Z for MT798<770>' }
+      ]);
+    });
+
+    test('should keep the fields of an unrecognized sub-message type', () => {
+      const message = parseProprietaryMessage(envelope('799', ':27A:1/1\n:21A:REF'));
+
+      expect(message.subMessageName).toBeNull();
+      expect(message.embeddedMessage).toMatchObject({
+        messageType: 'MT798<799>',
+        customerReference: 'REF',
+        warnings: [{
+          type: 'unrecognized_sub_message',
+          subMessageType: '799',
+          message: 'Unrecognized MT798 sub-message type 799'
+        }]
+      });
+      expect(message.embeddedMessage.fieldList.map(field => field.name)).toEqual([null, null]);
+      expect(message.embeddedMessage.index).toBeUndefined();
+    });
+  });
+});
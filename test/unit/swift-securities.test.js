@@ -0,0 +1,242 @@
+/**
+ * Unit tests for SWIFT securities message parsing
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  splitQualifiedField,
+  parseGenericField,
+  parseSecurity,
+  findBlocks,
+  parseTradeConfirmation,
+  parseSettlement
+} from '../../src/parsers/swift/securities.js';
+import { tokenizeFIN } from '../../src/parsers/swift/fin-tokenizer.js';
+import { VALID_MT515, VALID_MT541, VALID_MT548 } from '../fixtures/swift-messages.js';
+
+const fieldsOf = message => tokenizeFIN(message).blocks['4'].fields;
+const generic = (tag, content) => parseGenericField({ tag, content });
+
+describe('SWIFT securities', () => {
+  describe('splitQualifiedField()', () => {
+    test('should split qualifier, data source scheme and value', () => {
+      expect(splitQualifiedField({ tag: '20C', content: ':SEME//REF1' }))
+        .toEqual({ qualifier: 'SEME', dataSourceScheme: null, value: 'REF1' });
+      expect(splitQualifiedField({ tag: '22F', content: ':PRIC/ABCD/XYZW' }))
+        .toEqual({ qualifier: 'PRIC', dataSourceScheme: 'ABCD', value: 'XYZW' });
+    });
+
+    test('should reject content without a qualifier', () => {
+      expect(() => splitQualifiedField({ tag: '97A', content: 'SAFE//1' }))
+        .toThrow('Invalid qualified field format: 97A SAFE//1');
+    });
+  });
+
+  describe('parseGenericField()', () => {
+    test('should parse dates, date-times and date codes', () => {
+      expect(generic('98A', ':TRAD//20240701')).toEqual({ tag: '98A', qualifier: 'TRAD', dataSourceScheme: null, date: '2024-07-01' });
+      expect(generic('98C', ':PREP//20240701173000').date).toBe('2024-07-01T17:30:00');
+      expect(generic('98B', ':SETT/ABCD/OPEN')).toMatchObject({ dataSourceScheme: 'ABCD', code: 'OPEN' });
+    });
+
+    test('should parse periods with and without an end', () => {
+      expect(generic('69B', ':SETT//20230705120000/20230705170000'))
+        .toMatchObject({ start: '2023-07-05T12:00:00', end: '2023-07-05T17:00:00' });
+      expect(generic('69A', ':TRAD//20230701')).toMatchObject({ start: '2023-07-01', end: null });
+    });
+
+    test('should parse quantities, prices, rates and amounts', () => {
+      expect(generic('36B', ':SETT//FAMT/1000000,5')).toMatchObject({ quantityType: 'FAMT', quantity: '1000000.5' });
+      expect(generic('90A', ':DEAL//YIEL/N0,25')).toMatchObject({ priceType: 'YIEL', currency: null, price: '-0.25' });
+      expect(generic('90B', ':DEAL//ACTU/USD190,')).toMatchObject({ priceType: 'ACTU', currency: 'USD', price: '190' });
+      expect(generic('92A', ':EXCH//1,0825')).toMatchObject({ rate: '1.0825' });
+      expect(generic('19A', ':SETT//NJPY1500,')).toMatchObject({ negative: true, currency: 'JPY', amount: '1500' });
+      expect(() => generic('19A', ':SETT//1500,')).toThrow('Invalid qualified amount field format: 1500,');
+    });
+
+    test('should parse parties and accounts', () => {
+      expect(generic('95P', ':DEAG//DDDDDEFF')).toMatchObject({ qualifier: 'DEAG', bic: 'DDDDDEFF' });
+      expect(generic('95Q', ':BUYR//JOHN SMITH\nLONDON')).toMatchObject({ nameAndAddress: 'JOHN SMITH LONDON' });
+      expect(generic('95R', ':SELL/DEKU/12345')).toMatchObject({ dataSourceScheme: 'DEKU', proprietaryCode: '12345' });
+      expect(generic('95C', ':PACO//DE')).toMatchObject({ country: 'DE' });
+      expect(generic('97A', ':SAFE//123/45')).toMatchObject({ account: '123/45' });
+      expect(generic('97B', ':SAFE/ABCD/OMNI/777/8')).toMatchObject({ accountType: 'OMNI', account: '777/8' });
+    });
+
+    test('should parse codes, places, narratives, flags and numbers', () => {
+      expect(generic('25D', ':MTCH//NMAT')).toMatchObject({ code: 'NMAT' });
+      expect(generic('24B', ':NMAT//DDAT')).toMatchObject({ code: 'DDAT' });
+      expect(generic('22H', ':PAYM//APMT')).toMatchObject({ code: 'APMT' });
+      expect(generic('94B', ':TRAD//EXCH/XFRA')).toMatchObject({ code: 'EXCH', narrative: 'XFRA' });
+      expect(generic('94B', ':SAFE//NCSD')).toMatchObject({ code: 'NCSD', narrative: null });
+      expect(generic('70E', ':SPRO//LINE ONE\nLINE TWO')).toMatchObject({ narrative: 'LINE ONE LINE TWO' });
+      expect(generic('70C', ':PACO//A')).toMatchObject({ narrative: 'A' });
+      expect(generic('17B', ':ACRU//Y')).toMatchObject({ flag: true });
+      expect(generic('99A', ':DAAC//N005')).toMatchObject({ number: -5 });
+      expect(generic('13A', ':LINK//541')).toMatchObject({ number: '541' });
+      expect(generic('11A', ':FXIS//EUR')).toMatchObject({ currency: 'EUR' });
+      expect(generic('20C', ':PROC//REF9')).toMatchObject({ reference: 'REF9' });
+    });
+
+    test('should keep the raw value of tags without a value parser', () => {
+      expect(generic('93B', ':AGGR//UNIT/100,')).toEqual({ tag: '93B', qualifier: 'AGGR', dataSourceScheme: null, value: 'UNIT/100,' });
+    });
+  });
+
+  describe('parseSecurity()', () => {
+    test('should parse securities with and without an ISIN', () => {
+      expect(parseSecurity({ tag: '35B', content: 'ISIN US0378331005' })).toEqual({ isin: 'US0378331005', description: null });
+      expect(parseSecurity({ tag: '35B', content: '/XS/123456\nBOND 2030' }))
+        .toEqual({ isin: null, description: '/XS/123456 BOND 2030' });
+    });
+  });
+
+  describe('findBlocks()', () => {
+    test('should find blocks at any depth in message order', () => {
+      const tree = {
+        blocks: [
+          { name: 'A', fields: [], blocks: [{ name: 'B', fields: [], blocks: [] }] },
+          { name: 'B', fields: [], blocks: [] }
+        ]
+      };
+
+      expect(findBlocks(tree, 'B')).toEqual([tree.blocks[0].blocks[0], tree.blocks[1]]);
+      expect(findBlocks(tree, 'C')).toEqual([]);
+    });
+  });
+
+  describe('parseTradeConfirmation()', () => {
+    test('should build the trade of an MT515 from its blocks', () => {
+      const trade = parseTradeConfirmation(fieldsOf(VALID_MT515));
+
+      expect(trade).toMatchObject({
+        reference: 'CONF230701',
+        function: 'NEWM',
+        subfunction: null,
+        preparationDate: '2023-07-01T17:30:00',
+        linkages: [{ qualifier: 'RELA', reference: 'ORDER42' }],
+        tradeDate: '2023-07-01',
+        settlementDate: '2023-07-05',
+        security: { isin: 'US0378331005', description: 'APPLE INC' },
+        safekeepingAccount: '123456789',
+        dealPrice: { qualifier: 'DEAL', priceType: 'ACTU', currency: 'USD', price: '190.5' },
+        confirmationParties: [{ qualifier: 'BUYR', bic: 'CCCCUS33' }],
+        periods: [],
+        amounts: [{ qualifier: 'SETT', negative: false, currency: 'USD', amount: '19050.00' }]
+      });
+      expect(trade.indicators.map(indicator => `${indicator.qualifier}/${indicator.code}`))
+        .toEqual(['TRTR/TRAD', 'BUSE/BUYI', 'SETR/TRAD']);
+      expect(trade.quantities).toEqual([
+        { tag: '36B', qualifier: 'CONF', dataSourceScheme: null, quantityType: 'UNIT', quantity: '100' }
+      ]);
+      expect(trade.blocks.map(block => block.name)).toEqual(['GENL', 'CONFDET', 'SETDET']);
+    });
+
+    test('should read a message without blocks', () => {
+      const trade = parseTradeConfirmation([
+        { tag: '20C', content: ':SEME//FLAT1' },
+        { tag: '23G', content: 'CANC/COPY' },
+        { tag: '69A', content: ':TRAD//20230701/20230702' },
+        { tag: '98B', content: ':SETT//OPEN' }
+      ]);
+
+      expect(trade).toMatchObject({
+        reference: 'FLAT1',
+        function: 'CANC',
+        subfunction: 'COPY',
+        preparationDate: null,
+        tradeDate: null,
+        settlementDate: 'OPEN',
+        security: null,
+        safekeepingAccount: null,
+        dealPrice: null,
+        periods: [{ qualifier: 'TRAD', start: '2023-07-01', end: '2023-07-02' }],
+        blocks: []
+      });
+      expect(parseTradeConfirmation([])).toMatchObject({ reference: null, function: null });
+    });
+  });
+
+  describe('parseSettlement()', () => {
+    test('should build a receive against payment instruction', () => {
+      const settlement = parseSettlement('MT541', fieldsOf(VALID_MT541));
+
+      expect(settlement).toMatchObject({
+        direction: 'receive',
+        payment: 'against_payment',
+        confirmation: false,
+        reference: 'SETTLE001',
+        tradeDate: '2024-07-01',
+        settlementDate: '2024-07-03',
+        effectiveSettlementDate: null,
+        security: { isin: 'DE0005140008', description: 'DEUTSCHE BANK AG' },
+        safekeepingAccount: 'SAFE-7788',
+        amounts: [{ currency: 'EUR', amount: '31250.00' }],
+        statuses: []
+      });
+      expect(settlement.settlementParties).toEqual([
+        {
+          party: { tag: '95P', qualifier: 'DEAG', dataSourceScheme: null, bic: 'DDDDDEFF' },
+          account: null,
+          processingReference: null
+        },
+        {
+          party: { tag: '95R', qualifier: 'SELL', dataSourceScheme: 'DEKU', proprietaryCode: '12345' },
+          account: { tag: '97A', qualifier: 'SAFE', dataSourceScheme: null, account: '998877' },
+          processingReference: 'SELLREF1'
+        },
+        {
+          party: { tag: '95P', qualifier: 'PSET', dataSourceScheme: null, bic: 'DAKVDEFF' },
+          account: null,
+          processingReference: null
+        }
+      ]);
+    });
+
+    test('should read the effective settlement date of a confirmation', () => {
+      const fieldList = fieldsOf(VALID_MT541.replace(':98A::SETT//20240703', ':98A::SETT//20240703\n:98C::ESET//20240703101500'));
+
+      expect(parseSettlement('MT547', fieldList)).toMatchObject({
+        direction: 'deliver',
+        payment: 'against_payment',
+        confirmation: true,
+        effectiveSettlementDate: '2024-07-03T10:15:00'
+      });
+    });
+
+    test('should build the statuses and reasons of a status advice', () => {
+      const advice = parseSettlement('MT548', fieldsOf(VALID_MT548));
+
+      expect(advice).toMatchObject({
+        direction: null,
+        payment: null,
+        reference: 'STATUS001',
+        function: 'INST',
+        linkages: [{ qualifier: 'RELA', reference: 'SETTLE001' }],
+        settlementDate: '2024-07-03',
+        settlementParties: []
+      });
+      expect(advice.statuses).toEqual([{
+        status: { tag: '25D', qualifier: 'MTCH', dataSourceScheme: null, code: 'NMAT' },
+        reasons: [{
+          reason: { tag: '24B', qualifier: 'NMAT', dataSourceScheme: null, code: 'DDAT' },
+          narrative: 'SETTLEMENT DATE DIFFERS FROM COUNTERPARTY'
+        }]
+      }]);
+    });
+
+    test('should leave empty blocks without details', () => {
+      const advice = parseSettlement('MT548', [
+        { tag: '16R', content: 'STAT' },
+        { tag: '16R', content: 'REAS' },
+        { tag: '16S', content: 'REAS' },
+        { tag: '16S', content: 'STAT' },
+        { tag: '16R', content: 'SETPRTY' },
+        { tag: '16S', content: 'SETPRTY' }
+      ]);
+
+      expect(advice.statuses).toEqual([{ status: null, reasons: [{ reason: null, narrative: null }] }]);
+      expect(advice.settlementParties).toEqual([{ party: null, account: null, processingReference: null }]);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit tests for SWIFT sequence grouping
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import SWIFTParser from '../../src/parsers/swift/base-parser.js';
+import { groupSequences } from '../../src/parsers/swift/sequences.js';
+import { VALID_MT103, VALID_MT202, MT202_COV, VALID_MT950, VALID_MT101 } from '../fixtures/swift-messages.js';
+
+describe('SWIFT sequence grouping', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new SWIFTParser();
+  });
+
+  describe('parseFieldList()', () => {
+    test('should keep repeated tags in order', () => {
+      const fieldList = parser.parseFieldList(VALID_MT950, 'MT950');
+      const tags = fieldList.map(field => field.tag);
+
+      expect(tags).toEqual(['20', '25', '28C', '60F', '61', '86', '61', '86', '61', '62F', '64']);
+      expect(fieldList.filter(field => field.tag === '61')).toHaveLength(3);
+    });
+
+    test('should index the first occurrence for single lookups', () => {
+      const fields = parser.parseFields(VALID_MT950, 'MT950');
+
+      expect(fields['20'].content).toBe('STMT230701');
+      expect(fields['61'].content).toBe('2307010701D500,00NTRFREF001//BANKREF001');
+    });
+  });
+
+  describe('groupSequences()', () => {
+    test('should split MT101 into sequence A and repeating sequence B', () => {
+      const sequences = groupSequences('MT101', parser.parseFieldList(VALID_MT101, 'MT101'));
+
+      expect(sequences.sequenceA.map(field => field.tag)).toEqual(['20', '28D', '50H', '30']);
+      expect(sequences.sequenceB).toHaveLength(2);
+      expect(sequences.sequenceB[0].map(field => field.content)).toEqual([
+        'TXN001', 'USD1000,00', '/98765432\nBENEFICIARY ONE', 'SHA'
+      ]);
+      expect(sequences.sequenceB[1][0].content).toBe('TXN002');
+      expect(sequences.sequenceB[1][1].content).toBe('EUR2000,00');
+    });
+
+    test('should pair MT950 statement lines with their :86:', () => {
+      const sequences = groupSequences('MT950', parser.parseFieldList(VALID_MT950, 'MT950'));
+
+      expect(sequences.header.map(field => field.tag)).toEqual(['20', '25', '28C', '60F']);
+      expect(sequences.statementLines).toHaveLength(3);
+      expect(sequences.statementLines[0].information.content).toBe('PAYMENT TO SUPPLIER');
+      expect(sequences.statementLines[1].information.content).toBe('INCOMING WIRE');
+      expect(sequences.statementLines[2].information).toBeNull();
+      expect(sequences.footer.map(field => field.tag)).toEqual(['62F', '64']);
+    });
+
+    test('should keep a trailing :86: and late :61: in the footer', () => {
+      const fieldList = [
+        { tag: '20', content: 'REF' },
+        { tag: '61', content: 'LINE' },
+        { tag: '62F', content: 'C230701USD1,00' },
+        { tag: '86', content: 'MESSAGE LEVEL INFO' },
+        { tag: '61', content: 'LATE LINE' }
+      ];
+      const sequences = groupSequences('MT940', fieldList);
+
+      expect(sequences.statementLines).toHaveLength(1);
+      expect(sequences.footer.map(field => field.content)).toEqual(['C230701USD1,00', 'MESSAGE LEVEL INFO', 'LATE LINE']);
+    });
+
+    test('should build the block tree of a category 5 message', () => {
+      const fieldList = [
+        { tag: '16R', content: 'GENL' },
+        { tag: '20C', content: ':SEME//REF' },
+        { tag: '16R', content: 'LINK' },
+        { tag: '20C', content: ':RELA//PREV' },
+        { tag: '16S', content: 'LINK' },
+        { tag: '16S', content: 'GENL' },
+        { tag: '16R', content: 'SETDET' },
+        { tag: '22F', content: ':SETR//TRAD' },
+        { tag: '16S', content: 'SETDET' }
+      ];
+
+      expect(groupSequences('MT540', fieldList)).toEqual({
+        name: null,
+        fields: [],
+        blocks: [
+          {
+            name: 'GENL',
+            fields: [fieldList[1]],
+            blocks: [{ name: 'LINK', fields: [fieldList[3]], blocks: [] }]
+          },
+          { name: 'SETDET', fields: [fieldList[7]], blocks: [] }
+        ]
+      });
+    });
+
+    test('should reject unbalanced category 5 blocks with the offset of the field', () => {
+      const field = (tag, content, start) => ({ tag, content, offset: { start, end: start + 10 } });
+      const expectError = (fieldList, message, offset) => {
+        try {
+          groupSequences('MT548', fieldList);
+          throw new Error('Expected groupSequences to throw');
+        } catch (error) {
+          expect(error.message).toBe(message);
+          expect(error.offset).toBe(offset);
+        }
+      };
+
+      expectError([field('16R', 'GENL', 5), field('16S', 'LINK', 20)], 'Invalid block structure: :16S:LINK closes :16R:GENL', 20);
+      expectError([field('16S', 'GENL', 5)], 'Invalid block structure: :16S:GENL closes a block that was not opened', 5);
+      expectError([field('16R', 'GENL', 5), field('20C', ':SEME//REF', 18)], 'Invalid block structure: :16R:GENL is not closed', 18);
+      expectError([{ tag: '16R', content: 'GENL' }], 'Invalid block structure: :16R:GENL is not closed', null);
+    });
+
+    test('should split MT760 into the sequences opened by :15a:', () => {
+      const fieldList = [
+        { tag: '27', content: '1/1' },
+        { tag: '15B', content: '' },
+        { tag: '20', content: 'GTEE1' },
+        { tag: '15C', content: '' },
+        { tag: '22D', content: 'DGAR' },
+        { tag: '15A', content: '' },
+        { tag: '22A', content: 'ISSU' }
+      ];
+
+      expect(groupSequences('MT760', fieldList)).toEqual({
+        sequenceA: [fieldList[0], fieldList[6]],
+        sequenceB: [fieldList[2]],
+        sequenceC: [fieldList[4]]
+      });
+    });
+
+    test('should split an MT202 COV at the ordering customer of sequence B', () => {
+      const sequences = groupSequences('MT202', parser.parseFieldList(MT202_COV, 'MT202'));
+
+      expect(sequences.sequenceA.map(field => field.tag)).toEqual(['20', '21', '32A', '52A', '56A', '57A', '58A']);
+      expect(sequences.sequenceB.map(field => field.tag)).toEqual(['50K', '52A', '57A', '59', '70', '72', '33B']);
+    });
+
+    test('should keep every field of a plain MT202 in sequence A', () => {
+      const fieldList = parser.parseFieldList(VALID_MT202, 'MT202');
+
+      expect(groupSequences('MT202', fieldList)).toEqual({ sequenceA: fieldList, sequenceB: [] });
+    });
+
+    test('should return null for message types without sequences', () => {
+      expect(groupSequences('MT103', parser.parseFieldList(VALID_MT103, 'MT103'))).toBeNull();
+    });
+  });
+
+  describe('standardized message', () => {
+    test('should expose the ordered field list', () => {
+      const result = parser.parse(VALID_MT103);
+
+      expect(result.fieldList[0].tag).toBe('20');
+      expect(result.sequences).toBeNull();
+    });
+
+    test('should group sequences when building from fields only', () => {
+      const fields = parser.parseFields(VALID_MT101, 'MT101');
+      const message = parser.createStandardizedMessage(fields, 'MT101');
+
+      expect(message.sequences.sequenceB).toHaveLength(1);
+    });
+  });
+});
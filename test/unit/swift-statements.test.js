@@ -0,0 +1,286 @@
+/**
+ * Unit tests for SWIFT statement parsing
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseStatementLine,
+  parseBalanceField,
+  parseInformation,
+  parseFloorLimit,
+  parseEntryTotal,
+  parseDateTimeIndication,
+  parseStatement
+} from '../../src/parsers/swift/statements.js';
+import { tokenizeFIN } from '../../src/parsers/swift/fin-tokenizer.js';
+import { VALID_MT940, VALID_MT942, VALID_MT950 } from '../fixtures/swift-messages.js';
+
+describe('SWIFT statements', () => {
+  describe('parseStatementLine()', () => {
+    test('should parse every subfield of a statement line', () => {
+      const line = parseStatementLine('2307010703DR1500,5NTRFPO 123456//BANKREF99\nINVOICE 42 PAID', 'EUR');
+
+      expect(line).toEqual({
+        valueDate: '2023-07-01',
+        entryDate: '2023-07-03',
+        mark: 'D',
+        debit: true,
+        reversal: false,
+        fundsCode: 'R',
+        amount: '1500.50',
+        transactionType: 'NTRF',
+        customerReference: 'PO 123456',
+        bankReference: 'BANKREF99',
+        supplementaryDetails: 'INVOICE 42 PAID'
+      });
+    });
+
+    test('should parse reversal marks', () => {
+      expect(parseStatementLine('230701RC100,NMSCNONREF', 'USD')).toMatchObject({
+        mark: 'RC',
+        debit: true,
+        reversal: true,
+        entryDate: null,
+        fundsCode: null,
+        bankReference: null
+      });
+      expect(parseStatementLine('230701RD100,NMSCNONREF', 'USD')).toMatchObject({ mark: 'RD', debit: false, reversal: true });
+    });
+
+    test('should read a bank reference without a customer reference', () => {
+      expect(parseStatementLine('230701C100,NTRF//BANKREF', 'USD'))
+        .toMatchObject({ customerReference: null, bankReference: 'BANKREF' });
+    });
+
+    test('should read S transaction types with a message type', () => {
+      expect(parseStatementLine('230701C100,S103REF1', 'USD').transactionType).toBe('S103');
+    });
+
+    test('should place entry dates in the adjacent year around the turn of the year', () => {
+      expect(parseStatementLine('2301021230C1,NTRFREF', 'USD').entryDate).toBe('2022-12-30');
+      expect(parseStatementLine('2212310102C1,NTRFREF', 'USD').entryDate).toBe('2023-01-02');
+    });
+
+    test('should scale the amount to the account currency', () => {
+      expect(parseStatementLine('230701C5000,NTRFREF', 'JPY').amount).toBe('5000');
+    });
+
+    test('should keep the amount as a decimal string without a currency', () => {
+      expect(parseStatementLine('230701C1200,5NTRFREF').amount).toBe('1200.5');
+      expect(parseStatementLine('230701C1200,NTRFREF').amount).toBe('1200');
+    });
+
+    test('should reject a malformed statement line', () => {
+      expect(() => parseStatementLine('230701X100,NTRFREF', 'USD'))
+        .toThrow('Invalid statement line format: 230701X100,NTRFREF');
+    });
+  });
+
+  describe('parseBalanceField()', () => {
+    test('should parse final and intermediate balances', () => {
+      expect(parseBalanceField({ tag: '60F', content: 'C230630USD10000,00' })).toEqual({
+        mark: 'C',
+        date: '2023-06-30',
+        currency: 'USD',
+        amount: '10000.00',
+        debit: false,
+        intermediate: false
+      });
+      expect(parseBalanceField({ tag: '62M', content: 'D230701EUR5,' })).toMatchObject({ debit: true, intermediate: true });
+    });
+  });
+
+  describe('parseInformation()', () => {
+    test('should read ?NN subfields, the SEPA purpose keywords and the counterparty', () => {
+      const content = [
+        '166?00GUTSCHRIFT?10931?20EREF+E2E1?21MREF+M1?22SVWZ+INVOICE',
+        '?23 42?30COBADEFF?31DE44500105175407324931?32ACME?33 GMBH?34997'
+      ].join('\n');
+
+      expect(parseInformation(content)).toEqual({
+        raw: content,
+        format: 'subfields',
+        transactionCode: '166',
+        postingText: 'GUTSCHRIFT',
+        subfields: {
+          '00': 'GUTSCHRIFT',
+          '10': '931',
+          '20': 'EREF+E2E1',
+          '21': 'MREF+M1',
+          '22': 'SVWZ+INVOICE',
+          '23': ' 42',
+          '30': 'COBADEFF',
+          '31': 'DE44500105175407324931',
+          '32': 'ACME',
+          '33': ' GMBH',
+          '34': '997'
+        },
+        codes: { EREF: 'E2E1', MREF: 'M1', SVWZ: 'INVOICE 42' },
+        endToEndReference: 'E2E1',
+        remittanceInformation: 'INVOICE 42',
+        counterparty: { bankCode: 'COBADEFF', account: 'DE44500105175407324931', name: 'ACME GMBH' }
+      });
+    });
+
+    test('should use the whole purpose text when it has no keywords', () => {
+      const information = parseInformation('?20RENT?21 JULY?60 FLAT 4');
+
+      expect(information).toMatchObject({
+        transactionCode: null,
+        postingText: null,
+        codes: {},
+        endToEndReference: null,
+        remittanceInformation: 'RENT JULY FLAT 4',
+        counterparty: { bankCode: null, account: null, name: null }
+      });
+      expect(parseInformation('?00FEE').remittanceInformation).toBeNull();
+    });
+
+    test('should read /CODE/ pairs across lines', () => {
+      const information = parseInformation('/EREF/E2E2/REMI/USTD//INVOICE\n 1/ORDP//NAME/ACME/BIC/AAAAGRA0/IBAN/GR16');
+
+      expect(information).toMatchObject({
+        format: 'codes',
+        subfields: null,
+        codes: { EREF: 'E2E2', REMI: 'USTD//INVOICE 1', ORDP: '', NAME: 'ACME', BIC: 'AAAAGRA0', IBAN: 'GR16' },
+        endToEndReference: 'E2E2',
+        remittanceInformation: 'INVOICE 1',
+        counterparty: { bankCode: 'AAAAGRA0', account: 'GR16', name: 'ACME' }
+      });
+      expect(parseInformation('/REMI/STRD/RF18539007547034').remittanceInformation).toBe('RF18539007547034');
+      expect(parseInformation('/PURP/SALA')).toMatchObject({ endToEndReference: null, remittanceInformation: null });
+    });
+
+    test('should keep anything else as free text', () => {
+      expect(parseInformation('REF/123 PAID\n IN FULL')).toEqual({
+        raw: 'REF/123 PAID\n IN FULL',
+        format: 'text',
+        transactionCode: null,
+        postingText: null,
+        subfields: null,
+        codes: {},
+        endToEndReference: null,
+        remittanceInformation: 'REF/123 PAID IN FULL',
+        counterparty: null
+      });
+    });
+  });
+
+  describe('MT942 fields', () => {
+    test('should parse floor limits with and without a mark', () => {
+      expect(parseFloorLimit('EURD100,')).toEqual({ currency: 'EUR', mark: 'D', amount: '100.00' });
+      expect(parseFloorLimit('JPY0,')).toEqual({ currency: 'JPY', mark: null, amount: '0' });
+      expect(() => parseFloorLimit('EUR')).toThrow('Invalid floor limit format: EUR');
+    });
+
+    test('should parse the number and sum of entries', () => {
+      expect(parseEntryTotal('12USD1500,5')).toEqual({ count: 12, currency: 'USD', amount: '1500.50' });
+      expect(() => parseEntryTotal('USD1,')).toThrow('Invalid entry total format: USD1,');
+    });
+
+    test('should parse the date/time indication with its UTC offset', () => {
+      expect(parseDateTimeIndication('2312312359-0500')).toBe('2023-12-31T23:59:00-05:00');
+      expect(() => parseDateTimeIndication('2312312359')).toThrow('Invalid date/time indication format: 2312312359');
+    });
+  });
+
+  describe('parseStatement()', () => {
+    test('should build the statement of an MT950', () => {
+      const { blocks } = tokenizeFIN(VALID_MT950);
+      const statement = parseStatement('MT950', blocks['4'].fields);
+
+      expect(statement).toMatchObject({
+        transactionReference: 'STMT230701',
+        accountIdentification: '12345678901',
+        statementNumber: '102',
+        sequenceNumber: '1',
+        currency: 'USD',
+        openingBalance: { amount: '10000.00' },
+        closingBalance: { amount: '10675.50' },
+        closingAvailableBalance: { amount: '10675.50' },
+        forwardAvailableBalances: []
+      });
+      expect(statement.statementLines.map(line => [line.mark, line.amount, line.information?.raw ?? null])).toEqual([
+        ['D', '500.00', 'PAYMENT TO SUPPLIER'],
+        ['C', '1200.50', 'INCOMING WIRE'],
+        ['D', '25.00', null]
+      ]);
+      expect(statement.information).toBeNull();
+    });
+
+    test('should tie the :86: information of an MT940 to its statement line', () => {
+      const { blocks } = tokenizeFIN(VALID_MT940);
+      const statement = parseStatement('MT940', blocks['4'].fields);
+      const [direct, transfer, fee] = statement.statementLines;
+
+      expect(statement).toMatchObject({
+        accountIdentification: 'DE89370400440532013000',
+        statementNumber: '15',
+        currency: 'EUR',
+        floorLimits: [],
+        dateTimeIndication: null,
+        debitEntries: null,
+        creditEntries: null
+      });
+      expect(direct).toMatchObject({
+        transactionType: 'NDDT',
+        amount: '1500.00',
+        information: { format: 'subfields', transactionCode: '105', endToEndReference: 'E2E-REF-1' }
+      });
+      expect(transfer.information).toMatchObject({ format: 'codes', remittanceInformation: 'INVOICE 4711' });
+      expect(fee.information.remittanceInformation).toBe('ACCOUNT MAINTENANCE FEE');
+      expect(statement.information.raw).toBe('STATEMENT FOR JULY');
+    });
+
+    test('should build the interim report of an MT942', () => {
+      const { blocks } = tokenizeFIN(VALID_MT942);
+      const statement = parseStatement('MT942', blocks['4'].fields);
+
+      expect(statement).toMatchObject({
+        currency: 'EUR',
+        openingBalance: null,
+        closingBalance: null,
+        floorLimits: [
+          { currency: 'EUR', mark: 'D', amount: '100.00' },
+          { currency: 'EUR', mark: 'C', amount: '500.00' }
+        ],
+        dateTimeIndication: '2023-07-01T12:30:00+02:00',
+        debitEntries: { count: 1, amount: '200.00' },
+        creditEntries: { count: 1, amount: '750.00' },
+        information: null
+      });
+      expect(statement.statementLines.map(line => line.information?.endToEndReference ?? null))
+        .toEqual(['E2E-REF-3', null]);
+    });
+
+    test('should take the currency from the closing balance and read forward balances', () => {
+      const fieldList = [
+        { tag: '20', content: 'S1' },
+        { tag: '28C', content: '5' },
+        { tag: '61', content: '230701C10,NTRFREF' },
+        { tag: '62M', content: 'C230701GBP10,' },
+        { tag: '65', content: 'C230702GBP10,' },
+        { tag: '65', content: 'C230703GBP10,' }
+      ];
+      const statement = parseStatement('MT950', fieldList);
+
+      expect(statement).toMatchObject({
+        accountIdentification: null,
+        statementNumber: '5',
+        sequenceNumber: null,
+        currency: 'GBP',
+        openingBalance: null,
+        closingAvailableBalance: null
+      });
+      expect(statement.forwardAvailableBalances).toHaveLength(2);
+      expect(statement.statementLines[0].amount).toBe('10.00');
+    });
+
+    test('should handle a statement without balances', () => {
+      const statement = parseStatement('MT950', [{ tag: '61', content: '230701C10,5NTRFREF' }]);
+
+      expect(statement).toMatchObject({ transactionReference: null, statementNumber: null, currency: null, closingBalance: null });
+      expect(statement.statementLines[0].amount).toBe('10.5');
+    });
+  });
+});
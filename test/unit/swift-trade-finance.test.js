@@ -0,0 +1,291 @@
+/**
+ * Unit tests for SWIFT trade finance parsing
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseSequenceOfTotal,
+  parseExpiry,
+  parseTolerance,
+  parseApplicableRules,
+  parsePresentationPeriod,
+  parseAvailability,
+  parseNarrativeAmendment,
+  parseDocumentaryCredit,
+  parseCreditContinuation,
+  appendContinuations,
+  parseAmendment,
+  parseGuarantee
+} from '../../src/parsers/swift/trade-finance.js';
+import { tokenizeFIN } from '../../src/parsers/swift/fin-tokenizer.js';
+import {
+  VALID_MT700,
+  VALID_MT701,
+  VALID_MT707,
+  VALID_MT710,
+  VALID_MT720,
+  VALID_MT760
+} from '../fixtures/swift-messages.js';
+
+const fieldsOf = message => tokenizeFIN(message).blocks['4'].fields;
+
+describe('SWIFT trade finance', () => {
+  describe('field parsers', () => {
+    test('should parse the sequence of total', () => {
+      expect(parseSequenceOfTotal('2/3')).toEqual({ index: 2, total: 3 });
+    });
+
+    test('should parse the date and place of expiry', () => {
+      expect(parseExpiry('231231LONDON')).toEqual({ date: '2023-12-31', place: 'LONDON' });
+      expect(parseExpiry('231231')).toEqual({ date: '2023-12-31', place: null });
+    });
+
+    test('should parse the amount tolerance', () => {
+      expect(parseTolerance('10/05')).toEqual({ plus: 10, minus: 5 });
+    });
+
+    test('should parse applicable rules with and without a narrative', () => {
+      expect(parseApplicableRules('UCP LATEST VERSION')).toEqual({ rules: 'UCP LATEST VERSION', narrative: null });
+      expect(parseApplicableRules('OTHR/LOCAL RULES')).toEqual({ rules: 'OTHR', narrative: 'LOCAL RULES' });
+    });
+
+    test('should parse the period for presentation', () => {
+      expect(parsePresentationPeriod('21/FROM THE DATE OF SHIPMENT')).toEqual({ days: 21, narrative: 'FROM THE DATE OF SHIPMENT' });
+      expect(parsePresentationPeriod('15')).toEqual({ days: 15, narrative: null });
+    });
+
+    test('should parse availability by BIC or by name', () => {
+      expect(parseAvailability({ tag: '41A', content: 'BBBBGRB0\nBY PAYMENT' }))
+        .toEqual({ option: 'A', institution: 'BBBBGRB0', by: 'BY PAYMENT' });
+      expect(parseAvailability({ tag: '41D', content: 'ANY BANK\nIN GREECE\nBY NEGOTIATION' }))
+        .toEqual({ option: 'D', institution: 'ANY BANK IN GREECE', by: 'BY NEGOTIATION' });
+      expect(parseAvailability({ tag: '41D', content: 'ANY BANK' }).by).toBeNull();
+    });
+
+    test('should split amended narratives into their changes', () => {
+      expect(parseNarrativeAmendment('/ADD/+INSURANCE\nALL RISKS\n/REPALL/+NEW TEXT')).toEqual([
+        { action: 'ADD', lines: ['+INSURANCE', 'ALL RISKS'] },
+        { action: 'REPALL', lines: ['+NEW TEXT'] }
+      ]);
+      expect(parseNarrativeAmendment('NO CODE\n/OTHER/TEXT')).toEqual([
+        { action: null, lines: ['NO CODE', '/OTHER/TEXT'] }
+      ]);
+    });
+  });
+
+  describe('parseDocumentaryCredit()', () => {
+    test('should build the documentary credit of an MT700', () => {
+      const credit = parseDocumentaryCredit(fieldsOf(VALID_MT700));
+
+      expect(credit).toMatchObject({
+        number: 'LC230701',
+        senderReference: null,
+        sequenceOfTotal: { index: 1, total: 2 },
+        formOfCredit: 'IRREVOCABLE',
+        adviceConfirmation: null,
+        dateOfIssue: '2023-07-01',
+        applicableRules: { rules: 'UCP LATEST VERSION', narrative: null },
+        expiry: { date: '2023-12-31', place: 'LONDON' },
+        currency: 'USD',
+        amount: '50000.00',
+        tolerance: { plus: 10, minus: 5 },
+        availableWith: { option: 'A', institution: 'BBBBGRB0', by: 'BY NEGOTIATION' },
+        draftsAt: 'AT SIGHT',
+        drawee: { option: 'A', bic: 'BBBBGRB0' },
+        mixedPaymentDetails: null,
+        deferredPaymentDetails: null,
+        partialShipments: 'ALLOWED',
+        transhipment: 'NOT ALLOWED',
+        loadingOnBoard: 'PIRAEUS',
+        transportationTo: 'LONDON',
+        latestDateOfShipment: '2023-11-30',
+        shipmentPeriod: null,
+        descriptionOfGoods: ['1000 UNITS OF OLIVE OIL'],
+        documentsRequired: ['COMMERCIAL INVOICE IN 3 COPIES'],
+        additionalConditions: ['ALL DOCUMENTS IN ENGLISH'],
+        charges: ['ALL BANKING CHARGES OUTSIDE', 'GREECE ARE FOR BENEFICIARY'],
+        periodForPresentation: { days: 21, narrative: 'FROM THE DATE OF SHIPMENT' },
+        confirmationInstructions: 'WITHOUT',
+        applicant: { name: 'APPLICANT TRADING SA', address: 'ATHENS' },
+        firstBeneficiary: null,
+        beneficiary: { account: '/GB29NWBK60161331926819', name: 'BENEFICIARY LTD' }
+      });
+    });
+
+    test('should leave missing terms empty', () => {
+      expect(parseDocumentaryCredit([{ tag: '20', content: 'LC1' }])).toMatchObject({
+        number: 'LC1',
+        dateOfIssue: null,
+        expiry: null,
+        currency: null,
+        amount: null,
+        tolerance: null,
+        availableWith: null,
+        drawee: null,
+        descriptionOfGoods: null,
+        applicant: null,
+        beneficiary: null
+      });
+    });
+
+    test('should read the credit number and issuing bank of an advice', () => {
+      expect(parseDocumentaryCredit(fieldsOf(VALID_MT710), 'MT710')).toMatchObject({
+        number: 'LC230701',
+        senderReference: 'ADV230702',
+        formOfCredit: 'IRREVOCABLE',
+        adviceConfirmation: 'WITHOUT OUR CONFIRMATION',
+        issuingBank: { option: 'A', bic: 'AAAAGRA0' },
+        availableWith: { option: 'D', institution: 'ANY BANK', by: 'BY NEGOTIATION' },
+        applicant: { name: 'APPLICANT TRADING SA' }
+      });
+    });
+
+    test('should name the first and second beneficiary of a transfer', () => {
+      const credit = parseDocumentaryCredit(fieldsOf(VALID_MT720), 'MT720');
+
+      expect(credit).toMatchObject({
+        number: 'LC230701',
+        senderReference: 'TRF230710',
+        formOfCredit: 'IRREVOCABLE TRANSFERABLE',
+        amount: '45000.00',
+        applicant: null,
+        firstBeneficiary: { name: 'BENEFICIARY LTD' },
+        beneficiary: { name: 'SECOND BENEFICIARY GMBH' }
+      });
+    });
+  });
+
+  describe('continuations', () => {
+    test('should parse the continued narratives of an MT701', () => {
+      expect(parseCreditContinuation(fieldsOf(VALID_MT701))).toEqual({
+        number: 'LC230701',
+        sequenceOfTotal: { index: 2, total: 2 },
+        descriptionOfGoods: ['PACKED IN 5 LITRE TINS'],
+        documentsRequired: ['+PACKING LIST IN 2 COPIES', '+CERTIFICATE OF ORIGIN'],
+        additionalConditions: null
+      });
+    });
+
+    test('should append continuations in sequence order', () => {
+      const credit = parseDocumentaryCredit(fieldsOf(VALID_MT700));
+      const third = { number: 'LC230701', sequenceOfTotal: { index: 3, total: 3 }, descriptionOfGoods: ['LAST LINE'] };
+      const second = parseCreditContinuation(fieldsOf(VALID_MT701));
+      const combined = appendContinuations(credit, [third, second]);
+
+      expect(combined.descriptionOfGoods).toEqual(['1000 UNITS OF OLIVE OIL', 'PACKED IN 5 LITRE TINS', 'LAST LINE']);
+      expect(combined.documentsRequired).toEqual([
+        'COMMERCIAL INVOICE IN 3 COPIES', '+PACKING LIST IN 2 COPIES', '+CERTIFICATE OF ORIGIN'
+      ]);
+      expect(combined.additionalConditions).toEqual(['ALL DOCUMENTS IN ENGLISH']);
+      expect(credit.descriptionOfGoods).toEqual(['1000 UNITS OF OLIVE OIL']);
+    });
+
+    test('should start narratives missing from the credit and accept continuations without a sequence', () => {
+      const combined = appendContinuations(
+        { number: 'LC1', descriptionOfGoods: null },
+        [{ number: 'LC1', sequenceOfTotal: null, descriptionOfGoods: ['GOODS'] }, { number: 'LC1', sequenceOfTotal: null }]
+      );
+
+      expect(combined.descriptionOfGoods).toEqual(['GOODS']);
+    });
+
+    test('should reject a continuation of another credit', () => {
+      expect(() => appendContinuations({ number: 'LC1' }, [{ number: 'LC2', sequenceOfTotal: { index: 2, total: 2 } }]))
+        .toThrow('Continuation LC2 does not belong to documentary credit LC1');
+    });
+  });
+
+  describe('parseAmendment()', () => {
+    test('should build the amendment of an MT707', () => {
+      expect(parseAmendment(fieldsOf(VALID_MT707))).toMatchObject({
+        senderReference: 'AMD230801',
+        receiverReference: 'NONREF',
+        issuingBankReference: 'LC230701',
+        issuingBank: { bic: 'AAAAGRA0' },
+        amendmentNumber: 1,
+        dateOfAmendment: '2023-08-01',
+        purpose: 'ISCO',
+        cancellationRequested: false,
+        expiry: { date: '2024-01-31', place: 'LONDON' },
+        increase: { currency: 'USD', amount: '5000.00' },
+        decrease: null,
+        latestDateOfShipment: '2023-12-31',
+        descriptionOfGoods: null,
+        documentsRequired: [
+          { action: 'ADD', lines: ['+INSURANCE POLICY', 'COVERING ALL RISKS'] },
+          { action: 'DELETE', lines: ['+CERTIFICATE OF ORIGIN'] }
+        ]
+      });
+    });
+
+    test('should read a cancellation request', () => {
+      expect(parseAmendment([
+        { tag: '20', content: 'AMD2' },
+        { tag: '23S', content: 'CANCEL' },
+        { tag: '50', content: 'NEW APPLICANT SA' },
+        { tag: '59', content: 'NEW BENEFICIARY LTD' }
+      ])).toMatchObject({
+        senderReference: 'AMD2',
+        cancellationRequested: true,
+        amendmentNumber: null,
+        applicant: { name: 'NEW APPLICANT SA' },
+        beneficiary: { name: 'NEW BENEFICIARY LTD' }
+      });
+    });
+  });
+
+  describe('parseGuarantee()', () => {
+    test('should build the undertaking of an MT760', () => {
+      const guarantee = parseGuarantee(fieldsOf(VALID_MT760));
+
+      expect(guarantee).toMatchObject({
+        sequenceOfTotal: { index: 1, total: 1 },
+        purpose: 'ISSU',
+        fileIdentification: null,
+        localUndertaking: null
+      });
+      expect(guarantee.undertaking).toMatchObject({
+        number: 'GTEE230701',
+        dateOfIssue: '2023-07-01',
+        form: 'DGAR',
+        applicableRules: { rules: 'URDG', narrative: null },
+        expiryType: 'FIXD',
+        expiryDate: '2024-12-31',
+        applicant: { name: 'APPLICANT TRADING SA' },
+        issuer: { bic: 'AAAAGRA0' },
+        beneficiary: { account: '/GB29NWBK60161331926819', name: 'BENEFICIARY LTD' },
+        currency: 'EUR',
+        amount: '100000.00',
+        charges: ['ALL CHARGES FOR APPLICANT'],
+        termsAndConditions: ['WE HEREBY IRREVOCABLY UNDERTAKE TO PAY', 'ANY AMOUNT UP TO THE GUARANTEE AMOUNT'],
+        governingLaw: { country: 'GB', jurisdiction: 'LONDON' }
+      });
+    });
+
+    test('should build the requested local undertaking of sequence C', () => {
+      const guarantee = parseGuarantee([
+        { tag: '15A', content: '' },
+        { tag: '23X', content: 'COUR/DHL/12345' },
+        { tag: '15B', content: '' },
+        { tag: '20', content: 'GTEE2' },
+        { tag: '15C', content: '' },
+        { tag: '31C', content: '240101' },
+        { tag: '22D', content: 'DGAR' },
+        { tag: '51', content: 'OBLIGOR SA' },
+        { tag: '32B', content: 'EUR5000,' },
+        { tag: '77L', content: 'LOCAL TERMS' }
+      ]);
+
+      expect(guarantee.fileIdentification).toEqual({ type: 'COUR', name: 'DHL/12345' });
+      expect(guarantee.undertaking).toMatchObject({ number: 'GTEE2', amount: null, governingLaw: null });
+      expect(guarantee.localUndertaking).toMatchObject({
+        requestedDateOfIssue: '2024-01-01',
+        form: 'DGAR',
+        obligor: { name: 'OBLIGOR SA' },
+        currency: 'EUR',
+        amount: '5000.00',
+        termsAndConditions: ['LOCAL TERMS']
+      });
+    });
+  });
+});
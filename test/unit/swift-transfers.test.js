@@ -0,0 +1,106 @@
+/**
+ * Unit tests for SWIFT request for transfer parsing
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { parseRequestForTransfer } from '../../src/parsers/swift/transfers.js';
+import { tokenizeFIN } from '../../src/parsers/swift/fin-tokenizer.js';
+import { VALID_MT101 } from '../fixtures/swift-messages.js';
+
+const fieldsOf = (...pairs) => pairs.map(([tag, content]) => ({ tag, option: tag.substring(2), content }));
+
+describe('SWIFT request for transfer', () => {
+  test('should build sequence A and one transaction per sequence B', () => {
+    const { blocks } = tokenizeFIN(VALID_MT101);
+    const fieldList = blocks['4'].fields.map(field => ({ ...field, option: field.tag.substring(2) }));
+    const request = parseRequestForTransfer(fieldList);
+
+    expect(request).toMatchObject({
+      customerReference: null,
+      messageIndex: 1,
+      messageTotal: 1,
+      requestedExecutionDate: '2023-07-01',
+      authorisation: null,
+      sendingInstitution: null
+    });
+    expect(request.transactions).toHaveLength(2);
+    expect(request.transactions[1]).toMatchObject({
+      reference: 'TXN002',
+      currency: 'EUR',
+      amount: '2000.00',
+      instructingParty: null,
+      orderingCustomer: { option: 'H', account: '/12345678', name: 'ORDERING CORP' },
+      beneficiary: { account: '/11223344', name: 'BENEFICIARY TWO' },
+      detailsOfCharges: 'SHA',
+      exchangeRate: null
+    });
+  });
+
+  test('should prefer the parties of the transaction over those of sequence A', () => {
+    const request = parseRequestForTransfer(fieldsOf(
+      ['20', 'REF'],
+      ['21R', 'BATCH1'],
+      ['28D', '2/3'],
+      ['30', '230702'],
+      ['50C', 'CCCCGB2L'],
+      ['50G', '/111\nAAAAGRA0'],
+      ['52A', 'DDDDGRA0'],
+      ['51A', 'EEEEGRA0'],
+      ['21', 'TXN1'],
+      ['21F', 'FX1'],
+      ['23E', 'CHQB'],
+      ['23E', 'URGP'],
+      ['32B', 'JPY1000,'],
+      ['50L', 'PARTY-ID-7'],
+      ['56A', 'FFFFJPJT'],
+      ['57D', 'BANK OF TOKYO'],
+      ['59A', 'GGGGJPJT'],
+      ['70', 'INVOICE 9'],
+      ['77B', '/ORDERRES/JP'],
+      ['33B', 'USD7,5'],
+      ['25A', '/999'],
+      ['36', '133,2']
+    ));
+    const [transaction] = request.transactions;
+
+    expect(request).toMatchObject({
+      customerReference: 'BATCH1',
+      messageIndex: 2,
+      messageTotal: 3,
+      sendingInstitution: { bic: 'EEEEGRA0' }
+    });
+    expect(transaction).toMatchObject({
+      fxDealReference: 'FX1',
+      instructionCodes: ['CHQB', 'URGP'],
+      amount: '1000',
+      instructingParty: { option: 'L', type: 'identifier', identifier: 'PARTY-ID-7' },
+      orderingCustomer: { option: 'G', account: '/111', bic: 'AAAAGRA0' },
+      accountServicingInstitution: { bic: 'DDDDGRA0' },
+      intermediary: { bic: 'FFFFJPJT' },
+      accountWithInstitution: { option: 'D', name: 'BANK OF TOKYO' },
+      beneficiary: { option: 'A', bic: 'GGGGJPJT' },
+      remittanceInformation: 'INVOICE 9',
+      regulatoryReporting: '/ORDERRES/JP',
+      originalOrderedAmount: { currency: 'USD', amount: '7.50' },
+      chargesAccount: '/999',
+      exchangeRate: '133.2'
+    });
+  });
+
+  test('should read a BIC from option C of the instructing party', () => {
+    const request = parseRequestForTransfer(fieldsOf(['20', 'REF'], ['50C', 'CCCCGB2L'], ['21', 'TXN1']));
+
+    expect(request.transactions[0]).toMatchObject({
+      instructingParty: { option: 'C', type: 'bic', bic: 'CCCCGB2L' },
+      orderingCustomer: null,
+      currency: null,
+      amount: null
+    });
+  });
+
+  test('should handle a request without sequence A details', () => {
+    const request = parseRequestForTransfer(fieldsOf(['20', 'REF']));
+
+    expect(request).toMatchObject({ messageIndex: null, messageTotal: null, requestedExecutionDate: null, transactions: [] });
+  });
+});